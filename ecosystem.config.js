@@ -4,7 +4,7 @@ module.exports = {
       name: 'event-ai-server',
       script: './src/server.js',
       instances: 'max', // Use all available CPU cores
-      exec_mode: 'cluster',
+      exec_mode: 'cluster', // Cron jobs run on one worker per tick (cron_locks)
       watch: false,
       max_memory_restart: '1G',
       env: {
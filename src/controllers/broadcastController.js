@@ -0,0 +1,359 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const winston = require('winston');
+
+const broadcastService = require('../services/broadcastService');
+const scheduleService = require('../services/scheduleService');
+const pushNotificationService = require('../services/pushNotificationService');
+const broadcastTemplates = require('../utils/broadcastTemplates');
+const { AppError, asyncHandler } = require('../utils/errorHandler');
+const { authorizeEvent } = require('../utils/accessControl');
+
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'broadcast-controller' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Validation middleware for broadcasts; `isUpdate` makes every field optional
+const validateBroadcast = (isUpdate = false) => [
+  body('type')
+    .optional()
+    .isIn(broadcastTemplates.BROADCAST_TYPES)
+    .withMessage(`Type must be one of: ${broadcastTemplates.BROADCAST_TYPES.join(', ')}`),
+  (isUpdate ? body('anchor').optional() : body('anchor'))
+    .isIn(broadcastTemplates.BROADCAST_ANCHORS)
+    .withMessage(`Anchor must be one of: ${broadcastTemplates.BROADCAST_ANCHORS.join(', ')}`),
+  body('scheduleId')
+    .optional({ nullable: true })
+    .isString()
+    .notEmpty()
+    .withMessage('Schedule ID must be a string'),
+  body('offsetMinutes')
+    .optional()
+    .isInt({ min: -broadcastTemplates.MAX_OFFSET_MINUTES, max: broadcastTemplates.MAX_OFFSET_MINUTES })
+    .withMessage(`offsetMinutes must be between -${broadcastTemplates.MAX_OFFSET_MINUTES} and ${broadcastTemplates.MAX_OFFSET_MINUTES}`)
+    .toInt(),
+  body('sendAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('sendAt must be a valid ISO 8601 datetime'),
+  body('titleTemplate')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Title template must be 1-255 characters'),
+  body('bodyTemplate')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Body template must be 1-1000 characters'),
+  body('audiences')
+    .optional({ nullable: true })
+    .isArray({ min: 1 })
+    .withMessage('audiences must be a non-empty array'),
+  body('audiences.*')
+    .isIn(pushNotificationService.audiences)
+    .withMessage(`Each audience must be one of: ${pushNotificationService.audiences.join(', ')}`),
+  body('gate')
+    .optional({ nullable: true })
+    .isString()
+    .notEmpty()
+    .withMessage('Gate must be a gate name'),
+  body('zoneId')
+    .optional({ nullable: true })
+    .isString()
+    .notEmpty()
+    .withMessage('Zone ID must be a string')
+];
+
+const BROADCAST_FIELDS = [
+  'type', 'titleTemplate', 'bodyTemplate', 'audiences', 'gate', 'zoneId', 'anchor', 'scheduleId', 'offsetMinutes', 'sendAt'
+];
+
+/**
+ * Picks the known fields present in the request body
+ */
+const pickFields = (source) => Object.fromEntries(
+  BROADCAST_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+/**
+ * Sends a fail response with a code
+ */
+const sendFail = (req, res, statusCode, message, code, details) => res.status(statusCode).json({
+  success: false,
+  error: {
+    status: 'fail',
+    message,
+    code,
+    details
+  },
+  timestamp: new Date().toISOString(),
+  requestId: req.headers['x-request-id'] || 'unknown'
+});
+
+/**
+ * Checks a complete broadcast (the request merged over the stored broadcast on edits)
+ * and resolves its send time. Sends the fail response and returns null when invalid.
+ * @returns {Promise<{broadcast: Object, sendAt: Date}|null>}
+ */
+const resolveBroadcast = async (req, res, broadcast) => {
+  const errors = [];
+
+  if (broadcast.type === 'event_starting') {
+    if (broadcast.anchor !== 'event_start' || !(broadcast.offsetMinutes < 0)) {
+      errors.push('event_starting broadcasts must be anchored to event_start with a negative offsetMinutes');
+    }
+  } else {
+    ['titleTemplate', 'bodyTemplate'].forEach(field => {
+      if (!broadcast[field]) {
+        errors.push(`${field} is required for announcements`);
+      } else {
+        errors.push(...broadcastTemplates.validateTemplate(broadcast[field], broadcast.anchor).map(error => `${field}: ${error}`));
+      }
+    });
+  }
+
+  if (broadcast.anchor === 'schedule_item' && !broadcast.scheduleId) {
+    errors.push('scheduleId is required for broadcasts anchored to a schedule item');
+  }
+  if (broadcast.anchor === 'absolute' && !broadcast.sendAt) {
+    errors.push('sendAt is required for absolute broadcasts');
+  }
+
+  if (errors.length > 0) {
+    sendFail(req, res, 400, 'Invalid broadcast', 'INVALID_BROADCAST', errors);
+    return null;
+  }
+
+  const scheduleItem = broadcast.anchor === 'schedule_item'
+    ? await scheduleService.getScheduleItemById(req.params.eventId, broadcast.scheduleId)
+    : null;
+
+  if (broadcast.anchor === 'schedule_item' && !scheduleItem) {
+    sendFail(req, res, 404, 'Schedule item not found', 'SCHEDULE_ITEM_NOT_FOUND');
+    return null;
+  }
+
+  const sendAt = broadcastTemplates.resolveSendAt(broadcast, { event: req.event, scheduleItem });
+
+  if (!sendAt) {
+    sendFail(req, res, 400, 'The event has no date to anchor the broadcast to', 'INVALID_BROADCAST');
+    return null;
+  }
+  if (sendAt <= new Date()) {
+    sendFail(req, res, 400, `The broadcast would go out in the past (${sendAt.toISOString()})`, 'SEND_TIME_PASSED');
+    return null;
+  }
+
+  // Fields that do not apply to the anchor or type are not kept
+  return {
+    broadcast: {
+      ...broadcast,
+      scheduleId: broadcast.anchor === 'schedule_item' ? broadcast.scheduleId : null,
+      offsetMinutes: broadcast.anchor === 'absolute' ? 0 : broadcast.offsetMinutes,
+      titleTemplate: broadcast.type === 'event_starting' ? null : broadcast.titleTemplate,
+      bodyTemplate: broadcast.type === 'event_starting' ? null : broadcast.bodyTemplate
+    },
+    sendAt
+  };
+};
+
+/**
+ * GET /notifications/:eventId/broadcasts
+ * Lists an event's scheduled broadcasts by send time
+ */
+router.get('/:eventId/broadcasts', authorizeEvent('VIEWER'), [
+  query('status')
+    .optional()
+    .isIn(broadcastService.statuses)
+    .withMessage(`Status must be one of: ${broadcastService.statuses.join(', ')}`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendFail(req, res, 400, 'Validation failed', undefined, errors.array());
+  }
+
+  const { eventId } = req.params;
+
+  try {
+    const broadcasts = await broadcastService.getBroadcasts(eventId, { status: req.query.status });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId,
+        broadcasts,
+        pendingCount: broadcasts.filter(broadcast => broadcast.status === 'pending').length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving broadcasts', { eventId, error: error.message });
+    throw new AppError('Failed to retrieve broadcasts', 500, error.message);
+  }
+}));
+
+/**
+ * POST /notifications/:eventId/broadcasts
+ * Schedules a broadcast relative to the event start or end, to a programme item,
+ * or at a fixed time (e.g. "Doors open in {{minutes}} minutes" 15 minutes before event_start)
+ */
+router.post('/:eventId/broadcasts', authorizeEvent('OPERATOR'), validateBroadcast(), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendFail(req, res, 400, 'Validation failed', undefined, errors.array());
+  }
+
+  const { eventId } = req.params;
+
+  const resolved = await resolveBroadcast(req, res, {
+    type: 'announcement',
+    offsetMinutes: 0,
+    ...pickFields(req.body)
+  });
+  if (!resolved) return;
+
+  try {
+    const broadcast = await broadcastService.createBroadcast(req.event, resolved.broadcast, resolved.sendAt, req.user?.userId || null);
+
+    res.status(201).json({
+      success: true,
+      data: broadcast,
+      message: 'Broadcast scheduled successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error scheduling broadcast', { eventId, error: error.message });
+    throw new AppError('Failed to schedule broadcast', 500, error.message);
+  }
+}));
+
+/**
+ * GET /notifications/:eventId/broadcasts/:broadcastId
+ * Retrieves a scheduled broadcast
+ */
+router.get('/:eventId/broadcasts/:broadcastId', authorizeEvent('VIEWER'), asyncHandler(async (req, res) => {
+  const { eventId, broadcastId } = req.params;
+
+  try {
+    const broadcast = await broadcastService.getBroadcastById(eventId, broadcastId);
+
+    if (!broadcast) {
+      return sendFail(req, res, 404, 'Broadcast not found', 'BROADCAST_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: broadcast
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving broadcast', { eventId, broadcastId, error: error.message });
+    throw new AppError('Failed to retrieve broadcast', 500, error.message);
+  }
+}));
+
+/**
+ * PUT /notifications/:eventId/broadcasts/:broadcastId
+ * Edits a pending broadcast; fields not given keep their values
+ */
+router.put('/:eventId/broadcasts/:broadcastId', authorizeEvent('OPERATOR'), validateBroadcast(true), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendFail(req, res, 400, 'Validation failed', undefined, errors.array());
+  }
+
+  const { eventId, broadcastId } = req.params;
+  const updates = pickFields(req.body);
+
+  if (Object.keys(updates).length === 0) {
+    return sendFail(req, res, 400, 'No fields to update', 'NO_UPDATES');
+  }
+
+  const current = await broadcastService.getBroadcastById(eventId, broadcastId);
+
+  if (!current) {
+    return sendFail(req, res, 404, 'Broadcast not found', 'BROADCAST_NOT_FOUND');
+  }
+  if (current.status !== 'pending') {
+    return sendFail(req, res, 409, `Cannot edit a broadcast that is ${current.status}`, 'BROADCAST_NOT_PENDING');
+  }
+
+  // An absolute broadcast's sendAt is its stored send time; other anchors resolve their own
+  const merged = {
+    ...current,
+    sendAt: current.anchor === 'absolute' ? current.sendAt : undefined,
+    ...updates
+  };
+
+  const resolved = await resolveBroadcast(req, res, merged);
+  if (!resolved) return;
+
+  try {
+    const broadcast = await broadcastService.updateBroadcast(eventId, broadcastId, resolved.broadcast, resolved.sendAt);
+
+    if (!broadcast) {
+      return sendFail(req, res, 409, 'The broadcast is no longer pending', 'BROADCAST_NOT_PENDING');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: broadcast,
+      message: 'Broadcast updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating broadcast', { eventId, broadcastId, error: error.message });
+    throw new AppError('Failed to update broadcast', 500, error.message);
+  }
+}));
+
+/**
+ * DELETE /notifications/:eventId/broadcasts/:broadcastId
+ * Cancels a pending broadcast, or one whose sending was interrupted; sent broadcasts stay in the list
+ */
+router.delete('/:eventId/broadcasts/:broadcastId', authorizeEvent('OPERATOR'), asyncHandler(async (req, res) => {
+  const { eventId, broadcastId } = req.params;
+
+  try {
+    const broadcast = await broadcastService.cancelBroadcast(eventId, broadcastId);
+
+    if (!broadcast) {
+      const current = await broadcastService.getBroadcastById(eventId, broadcastId);
+
+      if (!current) {
+        return sendFail(req, res, 404, 'Broadcast not found', 'BROADCAST_NOT_FOUND');
+      }
+      if (current.status === 'sending') {
+        return sendFail(req, res, 409, 'The broadcast is being sent', 'BROADCAST_SENDING');
+      }
+      return sendFail(req, res, 409, `Cannot cancel a broadcast that is ${current.status}`, 'BROADCAST_NOT_PENDING');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: broadcast,
+      message: 'Broadcast cancelled successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error cancelling broadcast', { eventId, broadcastId, error: error.message });
+    throw new AppError('Failed to cancel broadcast', 500, error.message);
+  }
+}));
+
+module.exports = router;
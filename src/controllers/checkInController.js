@@ -0,0 +1,183 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const winston = require('winston');
+const multer = require('multer');
+
+const checkInService = require('../services/checkInService');
+const fileProcessor = require('../utils/fileProcessor');
+const { AppError, asyncHandler } = require('../utils/errorHandler');
+const { authorizeEvent } = require('../utils/accessControl');
+
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'check-in-controller' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Configure multer for check-in CSV uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (['text/csv', 'text/plain', 'application/vnd.ms-excel'].includes(file.mimetype) ||
+      file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error(`File type ${file.mimetype} is not supported, upload a CSV file`), false);
+    }
+  }
+});
+
+/**
+ * Sends a fail response with a code
+ */
+const sendFail = (req, res, statusCode, message, code, details) => res.status(statusCode).json({
+  success: false,
+  error: {
+    status: 'fail',
+    message,
+    code,
+    details
+  },
+  timestamp: new Date().toISOString(),
+  requestId: req.headers['x-request-id'] || 'unknown'
+});
+
+/**
+ * POST /events/:eventId/check-ins
+ * Records a JSON batch of ticket scans: { checkIns: [{ ticketId, gate, checkInTime }] }.
+ * `gate` is the gate name (or gate ID); tickets already scanned are skipped.
+ */
+router.post('/:eventId/check-ins', authorizeEvent('OPERATOR'), [
+  body('checkIns')
+    .isArray({ min: 1, max: checkInService.maxBatchSize })
+    .withMessage(`checkIns must be an array of 1-${checkInService.maxBatchSize} scans`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendFail(req, res, 400, 'Validation failed', undefined, errors.array());
+  }
+
+  const { eventId } = req.params;
+
+  try {
+    const result = await checkInService.recordCheckIns(eventId, req.body.checkIns, 'api');
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: `${result.recorded} check-ins recorded`
+    });
+
+  } catch (error) {
+    logger.error('Error recording check-ins', { eventId, error: error.message });
+    throw new AppError('Failed to record check-ins', 500, error.message);
+  }
+}));
+
+/**
+ * POST /events/:eventId/check-ins/upload
+ * Records ticket scans from a CSV file (form field `file`) with ticket_id, gate and
+ * check_in_time columns
+ */
+router.post('/:eventId/check-ins/upload', authorizeEvent('OPERATOR'), upload.single('file'), asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  if (!req.file) {
+    return sendFail(req, res, 400, 'A CSV file is required in the "file" field', 'NO_FILE');
+  }
+
+  logger.info('Processing check-in CSV', { eventId, fileName: req.file.originalname, size: req.file.size });
+
+  const { headers, rows } = fileProcessor.parseCsv(req.file.buffer.toString('utf-8'));
+
+  let scans;
+  try {
+    scans = checkInService.csvRowsToScans(headers, rows);
+  } catch (error) {
+    return sendFail(req, res, 400, error.message, 'INVALID_CSV');
+  }
+
+  if (scans.length === 0 || scans.length > checkInService.maxBatchSize) {
+    return sendFail(req, res, 400, `CSV must contain 1-${checkInService.maxBatchSize} scans`, 'INVALID_CSV');
+  }
+
+  try {
+    const result = await checkInService.recordCheckIns(eventId, scans, 'csv');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileName: req.file.originalname,
+        ...result
+      },
+      message: `${result.recorded} check-ins recorded`
+    });
+
+  } catch (error) {
+    logger.error('Error recording check-ins from CSV', { eventId, error: error.message });
+    throw new AppError('Failed to record check-ins', 500, error.message);
+  }
+}));
+
+/**
+ * GET /events/:eventId/check-ins/arrivals
+ * Rolling per-gate arrival counts: scans in the last `windowMinutes` (default 5)
+ * before `at` (default now), plus the running total
+ */
+router.get('/:eventId/check-ins/arrivals', authorizeEvent('VIEWER'), [
+  query('windowMinutes')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('windowMinutes must be between 1 and 1440')
+    .toInt(),
+  query('at')
+    .optional()
+    .isISO8601()
+    .withMessage('at must be a valid ISO 8601 datetime')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendFail(req, res, 400, 'Validation failed', undefined, errors.array());
+  }
+
+  const { eventId } = req.params;
+  const windowMinutes = req.query.windowMinutes || 5;
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+
+  try {
+    const gates = await checkInService.getArrivalCounts(eventId, { windowMinutes, at });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId,
+        windowMinutes,
+        at: at.toISOString(),
+        totalCheckIns: gates.reduce((sum, gate) => sum + gate.totalCount, 0),
+        gates
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving arrival counts', { eventId, error: error.message });
+    throw new AppError('Failed to retrieve arrival counts', 500, error.message);
+  }
+}));
+
+module.exports = router;
@@ -3,11 +3,16 @@ const { body, validationResult } = require('express-validator');
 const winston = require('winston');
 
 const forecastService = require('../services/forecastService');
+const scheduleService = require('../services/scheduleService');
+const incidentService = require('../services/incidentService');
 const eventService = require('../services/eventService');
 const bedrockService = require('../services/bedrockService');
 const reportService = require('../services/reportService');
 const s3Service = require('../services/s3Service');
+const notificationDispatcher = require('../services/notificationDispatcher');
 const { AppError, asyncHandler } = require('../utils/errorHandler');
+const { authorizeEvent } = require('../utils/accessControl');
+const { getEventTimeZone } = require('../utils/timezoneHelper');
 
 const router = express.Router();
 
@@ -66,6 +71,7 @@ const validateNewForecastGeneration = [
     .notEmpty()
     .withMessage('Event ID is required'),
   body('gates')
+    .optional()
     .isArray({ min: 1 })
     .withMessage('Gates must be a non-empty array'),
   body('gates.*')
@@ -73,9 +79,11 @@ const validateNewForecastGeneration = [
     .notEmpty()
     .withMessage('Each gate must be a non-empty string'),
   body('schedule_start_time')
+    .optional()
     .isISO8601()
     .withMessage('Schedule start time must be a valid ISO 8601 datetime'),
   body('event_end_time')
+    .optional()
     .isISO8601()
     .withMessage('Event end time must be a valid ISO 8601 datetime'),
   body('method_exits')
@@ -92,7 +100,7 @@ const validateNewForecastGeneration = [
  * POST /forecast
  * New forecast endpoint that calls the configured forecast model
  */
-router.post('/', validateNewForecastGeneration, asyncHandler(async (req, res) => {
+router.post('/', authorizeEvent('OPERATOR', { source: 'body', key: 'eventid' }), validateNewForecastGeneration, asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -110,8 +118,9 @@ router.post('/', validateNewForecastGeneration, asyncHandler(async (req, res) =>
 
   const { eventid, gates, schedule_start_time, event_end_time, method_exits, freq, gates_crowd } = req.body;
 
-  // Validate gates_crowd - now required
-  if (!gates_crowd) {
+  // Without gates in the request the event's configured gates (/events/:eventId/gates) are used;
+  // explicit gates still need a matching gates_crowd
+  if (gates && !gates_crowd) {
     return res.status(400).json({
       success: false,
       error: {
@@ -124,7 +133,7 @@ router.post('/', validateNewForecastGeneration, asyncHandler(async (req, res) =>
     });
   }
 
-  if (!Array.isArray(gates_crowd) || gates_crowd.length !== gates.length) {
+  if (gates && (!Array.isArray(gates_crowd) || gates_crowd.length !== gates.length)) {
     return res.status(400).json({
       success: false,
       error: {
@@ -138,7 +147,7 @@ router.post('/', validateNewForecastGeneration, asyncHandler(async (req, res) =>
   }
 
   // Validate that all gates_crowd values are valid numbers (not null/undefined)
-  for (let i = 0; i < gates_crowd.length; i++) {
+  for (let i = 0; gates && i < gates_crowd.length; i++) {
     if (gates_crowd[i] === null || gates_crowd[i] === undefined || isNaN(gates_crowd[i]) || gates_crowd[i] < 0) {
       return res.status(400).json({
         success: false,
@@ -171,15 +180,30 @@ router.post('/', validateNewForecastGeneration, asyncHandler(async (req, res) =>
       });
     }
 
-    // Generate forecast using new model endpoint (without auto-save)
-    const forecastData = {
+    // Generate forecast using new model endpoint (without auto-save).
+    // The event programme is included so surges can follow it (doors open, headliner, ...).
+    const schedule = await scheduleService.getSchedule(eventid);
+    const forecastData = await forecastService.resolveForecastGates(eventid, forecastService.applySchedule({
       gates,
       schedule_start_time,
       event_end_time,
       method_exits,
       freq,
       gates_crowd
-    };
+    }, schedule, getEventTimeZone(event)));
+
+    if (!forecastData.schedule_start_time || !forecastData.event_end_time) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          status: 'fail',
+          message: 'schedule_start_time and event_end_time are required when the event has no schedule',
+          code: 'MISSING_SCHEDULE'
+        },
+        timestamp: new Date().toISOString(),
+        requestId: req.headers['x-request-id'] || 'unknown'
+      });
+    }
 
     // Generate forecast without auto-saving (autoSave = false)
     const forecastResult = await forecastService.generateForecastWithNewModel(eventid, forecastData, false);
@@ -187,7 +211,7 @@ router.post('/', validateNewForecastGeneration, asyncHandler(async (req, res) =>
     logger.info('Forecast generated successfully', { eventid });
 
     // Get Bedrock incident recommendation based on forecast result
-    const bedrockRecommendation = await bedrockService.getIncidentRecommendation(forecastResult, forecastData);
+    const bedrockRecommendation = await bedrockService.getIncidentRecommendation(forecastResult, forecastData, event.alertPolicy);
 
     logger.info('Bedrock incident recommendation generated', { 
       eventid,
@@ -237,6 +261,19 @@ router.post('/', validateNewForecastGeneration, asyncHandler(async (req, res) =>
       });
     }
 
+    if (error.message.includes('No gates configured')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          status: 'fail',
+          message: error.message,
+          code: 'NO_GATES_CONFIGURED'
+        },
+        timestamp: new Date().toISOString(),
+        requestId: req.headers['x-request-id'] || 'unknown'
+      });
+    }
+
     if (error.message.includes('model service is unavailable') ||
       error.message.includes('endpoint not found') ||
       error.message.includes('timed out')) {
@@ -261,7 +298,7 @@ router.post('/', validateNewForecastGeneration, asyncHandler(async (req, res) =>
  * POST /forecast/legacy
  * Legacy forecast endpoint (moved from original POST /)
  */
-router.post('/legacy', validateForecastGeneration, asyncHandler(async (req, res) => {
+router.post('/legacy', authorizeEvent('OPERATOR', { source: 'body' }), validateForecastGeneration, asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -366,7 +403,7 @@ router.post('/legacy', validateForecastGeneration, asyncHandler(async (req, res)
  * GET /forecast/:eventId
  * Retrieves existing forecast for an event
  */
-router.get('/:eventId', asyncHandler(async (req, res) => {
+router.get('/:eventId', authorizeEvent('VIEWER'), asyncHandler(async (req, res) => {
   const { eventId } = req.params;
 
   logger.info('Retrieving forecast for event', { eventId });
@@ -416,7 +453,7 @@ router.get('/:eventId', asyncHandler(async (req, res) => {
  * DELETE /forecast/:eventId
  * Deletes forecast for an event
  */
-router.delete('/:eventId', asyncHandler(async (req, res) => {
+router.delete('/:eventId', authorizeEvent('OPERATOR'), asyncHandler(async (req, res) => {
   const { eventId } = req.params;
 
   logger.info('Deleting forecast for event', { eventId });
@@ -456,7 +493,7 @@ router.delete('/:eventId', asyncHandler(async (req, res) => {
  * POST /forecast/regenerate/:eventId
  * Regenerates forecast for an event (convenience endpoint)
  */
-router.post('/regenerate/:eventId', asyncHandler(async (req, res) => {
+router.post('/regenerate/:eventId', authorizeEvent('OPERATOR'), asyncHandler(async (req, res) => {
   const { eventId } = req.params;
   const inputData = req.body || {};
 
@@ -598,11 +635,40 @@ router.get('/health/new-model', asyncHandler(async (req, res) => {
   }
 }));
 
+// Report links sent to organizers stay valid longer than the one returned to the caller
+const REPORT_NOTICE_LINK_EXPIRES_IN = 24 * 3600;
+
+/**
+ * Tells the event's organizers a generated report is ready, with a download link.
+ * Runs after the response; a failure is only logged.
+ * @param {Object} event - Event
+ * @param {string} reportType - 'forecast' or 'postmortem'
+ * @param {string} s3Key - S3 key of the PDF
+ * @param {string} filename - PDF filename
+ */
+async function notifyReportReady(event, reportType, s3Key, filename) {
+  try {
+    const url = await s3Service.getPresignedDownloadUrl(s3Key, REPORT_NOTICE_LINK_EXPIRES_IN);
+
+    await notificationDispatcher.dispatch({
+      type: 'report_ready',
+      eventId: event.eventId,
+      event,
+      reportType,
+      filename,
+      url,
+      expiresAt: new Date(Date.now() + REPORT_NOTICE_LINK_EXPIRES_IN * 1000).toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to send report ready notice', { eventId: event.eventId, reportType, error: error.message });
+  }
+}
+
 /**
  * POST /forecast/:eventId/report
  * Generates a PDF forecast report and returns a signed URL
  */
-router.post('/:eventId/report', asyncHandler(async (req, res) => {
+router.post('/:eventId/report', authorizeEvent('OPERATOR'), asyncHandler(async (req, res) => {
   const { eventId } = req.params;
 
   logger.info('Generating forecast report', { eventId });
@@ -644,7 +710,8 @@ router.post('/:eventId/report', asyncHandler(async (req, res) => {
 
     // Upload to S3
     const filename = reportService.getReportFilename(event);
-    const s3Key = `reports/forecast/${eventId}/${filename}`;
+    // Reports are stored under the event's organization
+    const s3Key = `reports/${event.orgId}/forecast/${eventId}/${filename}`;
     
     logger.info('Uploading report to S3', { eventId, s3Key });
     await s3Service.uploadFile(s3Key, pdfBuffer, 'application/pdf');
@@ -660,6 +727,8 @@ router.post('/:eventId/report', asyncHandler(async (req, res) => {
       s3Key
     });
 
+    notifyReportReady(event, 'forecast', s3Key, filename);
+
     res.status(200).json({
       success: true,
       data: {
@@ -702,7 +771,7 @@ router.post('/:eventId/report', asyncHandler(async (req, res) => {
  * POST /forecast/:eventId/postmortem
  * Generates a PDF post-mortem report comparing forecast vs predictions
  */
-router.post('/:eventId/postmortem', asyncHandler(async (req, res) => {
+router.post('/:eventId/postmortem', authorizeEvent('OPERATOR'), asyncHandler(async (req, res) => {
   const { eventId } = req.params;
 
   logger.info('Generating post-mortem report', { eventId });
@@ -752,13 +821,24 @@ router.post('/:eventId/postmortem', asyncHandler(async (req, res) => {
       });
     }
 
+    // The incident timeline is optional; the accuracy analysis is still worth having without it
+    let incidentTimeline = null;
+    try {
+      incidentTimeline = await incidentService.getIncidentTimeline(eventId);
+    } catch (timelineError) {
+      logger.warn('Could not load incident timeline, leaving it out of the post-mortem', {
+        eventId,
+        error: timelineError.message
+      });
+    }
+
     // Generate PDF post-mortem report
     logger.info('Generating post-mortem PDF report', { eventId });
-    const pdfBuffer = await reportService.generatePostMortemReport(event);
+    const pdfBuffer = await reportService.generatePostMortemReport(event, incidentTimeline);
 
     // Upload to S3
     const filename = reportService.getPostMortemFilename(event);
-    const s3Key = `reports/postmortem/${eventId}/${filename}`;
+    const s3Key = `reports/${event.orgId}/postmortem/${eventId}/${filename}`;
     
     logger.info('Uploading post-mortem report to S3', { eventId, s3Key });
     await s3Service.uploadFile(s3Key, pdfBuffer, 'application/pdf');
@@ -774,6 +854,8 @@ router.post('/:eventId/postmortem', asyncHandler(async (req, res) => {
       s3Key
     });
 
+    notifyReportReady(event, 'postmortem', s3Key, filename);
+
     res.status(200).json({
       success: true,
       data: {
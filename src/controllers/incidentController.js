@@ -0,0 +1,344 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const winston = require('winston');
+
+const incidentService = require('../services/incidentService');
+const zoneService = require('../services/zoneService');
+const userService = require('../services/userService');
+const organizationService = require('../services/organizationService');
+const eventMemberService = require('../services/eventMemberService');
+const { AppError, asyncHandler } = require('../utils/errorHandler');
+const { authorizeEvent, isOrgMember } = require('../utils/accessControl');
+
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'incident-controller' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * Sends a fail response with a code
+ */
+const sendFail = (req, res, statusCode, message, code, details) => res.status(statusCode).json({
+  success: false,
+  error: {
+    status: 'fail',
+    message,
+    code,
+    details
+  },
+  timestamp: new Date().toISOString(),
+  requestId: req.headers['x-request-id'] || 'unknown'
+});
+
+/**
+ * Sends the response for a lifecycle step that matched no incident in an allowed status
+ */
+const sendTransitionFail = async (req, res, action) => {
+  const { eventId, incidentId } = req.params;
+  const current = await incidentService.getIncidentById(eventId, incidentId);
+
+  if (!current) {
+    return sendFail(req, res, 404, 'Incident not found', 'INCIDENT_NOT_FOUND');
+  }
+  return sendFail(req, res, 409, `Cannot ${action} an incident that is ${current.status.toLowerCase()}`, 'INVALID_INCIDENT_STATUS');
+};
+
+/**
+ * GET /events/:eventId/incidents
+ * Lists an event's incidents, newest first
+ */
+router.get('/:eventId/incidents', authorizeEvent('VIEWER'), [
+  query('status')
+    .optional()
+    .isIn(incidentService.statuses)
+    .withMessage(`Status must be one of: ${incidentService.statuses.join(', ')}`),
+  query('severity')
+    .optional()
+    .isIn(incidentService.severities)
+    .withMessage(`Severity must be one of: ${incidentService.severities.join(', ')}`),
+  query('type')
+    .optional()
+    .isIn(incidentService.types)
+    .withMessage(`Type must be one of: ${incidentService.types.join(', ')}`),
+  query('gate')
+    .optional()
+    .isString()
+    .trim(),
+  query('assignedTo')
+    .optional()
+    .isString()
+    .trim()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendFail(req, res, 400, 'Validation failed', undefined, errors.array());
+  }
+
+  const { eventId } = req.params;
+  const { status, severity, type, gate, assignedTo } = req.query;
+
+  try {
+    const incidents = await incidentService.getIncidents(eventId, { status, severity, type, gate, assignedTo });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId,
+        incidents,
+        openCount: incidents.filter(incident => incident.status !== 'RESOLVED').length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving incidents', { eventId, error: error.message });
+    throw new AppError('Failed to retrieve incidents', 500, error.message);
+  }
+}));
+
+/**
+ * POST /events/:eventId/incidents
+ * Logs an incident reported by staff. `gate` is the gate name (or gate ID).
+ */
+router.post('/:eventId/incidents', authorizeEvent('OPERATOR'), [
+  body('title')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Title must be 1-255 characters'),
+  body('severity')
+    .isIn(incidentService.severities)
+    .withMessage(`Severity must be one of: ${incidentService.severities.join(', ')}`),
+  body('type')
+    .optional()
+    .isIn(incidentService.types)
+    .withMessage(`Type must be one of: ${incidentService.types.join(', ')}`),
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage('Description must be at most 5000 characters'),
+  body('gate')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Gate must be 1-255 characters'),
+  body('zoneId')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Zone ID must be a string'),
+  body('incidentTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Incident time must be a valid ISO 8601 datetime')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendFail(req, res, 400, 'Validation failed', undefined, errors.array());
+  }
+
+  const { eventId } = req.params;
+  const { title, severity, type, description, gate, zoneId, incidentTime } = req.body;
+
+  if (incidentTime && new Date(incidentTime) > new Date()) {
+    return sendFail(req, res, 400, 'Incident time cannot be in the future', 'INVALID_INCIDENT_TIME');
+  }
+
+  logger.info('Logging incident', { eventId, type, severity });
+
+  try {
+    if (zoneId && !(await zoneService.getZoneById(eventId, zoneId))) {
+      return sendFail(req, res, 400, 'Zone not found for this event', 'ZONE_NOT_FOUND');
+    }
+
+    const incident = await incidentService.createIncident(eventId, {
+      title,
+      severity,
+      type,
+      description,
+      gate,
+      zoneId,
+      incidentTime
+    }, { reportedBy: req.user.userId });
+
+    res.status(201).json({
+      success: true,
+      data: incident,
+      message: 'Incident logged successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error logging incident', { eventId, error: error.message });
+    throw new AppError('Failed to log incident', 500, error.message);
+  }
+}));
+
+/**
+ * GET /events/:eventId/incidents/:incidentId
+ * Retrieves an incident
+ */
+router.get('/:eventId/incidents/:incidentId', authorizeEvent('VIEWER'), asyncHandler(async (req, res) => {
+  const { eventId, incidentId } = req.params;
+
+  try {
+    const incident = await incidentService.getIncidentById(eventId, incidentId);
+
+    if (!incident) {
+      return sendFail(req, res, 404, 'Incident not found', 'INCIDENT_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: incident
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving incident', { eventId, incidentId, error: error.message });
+    throw new AppError('Failed to retrieve incident', 500, error.message);
+  }
+}));
+
+/**
+ * POST /events/:eventId/incidents/:incidentId/acknowledge
+ * Acknowledges an open incident
+ */
+router.post('/:eventId/incidents/:incidentId/acknowledge', authorizeEvent('OPERATOR'), asyncHandler(async (req, res) => {
+  const { eventId, incidentId } = req.params;
+
+  try {
+    const incident = await incidentService.acknowledgeIncident(eventId, incidentId, req.user.userId);
+
+    if (!incident) {
+      return sendTransitionFail(req, res, 'acknowledge');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: incident,
+      message: 'Incident acknowledged'
+    });
+
+  } catch (error) {
+    logger.error('Error acknowledging incident', { eventId, incidentId, error: error.message });
+    throw new AppError('Failed to acknowledge incident', 500, error.message);
+  }
+}));
+
+/**
+ * POST /events/:eventId/incidents/:incidentId/assign
+ * Assigns an unresolved incident to a user with access to the event, by email
+ */
+router.post('/:eventId/incidents/:incidentId/assign', authorizeEvent('OPERATOR'), [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid assignee email is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendFail(req, res, 400, 'Validation failed', undefined, errors.array());
+  }
+
+  const { eventId, incidentId } = req.params;
+
+  try {
+    const current = await incidentService.getIncidentById(eventId, incidentId);
+
+    if (!current) {
+      return sendFail(req, res, 404, 'Incident not found', 'INCIDENT_NOT_FOUND');
+    }
+    if (current.status === 'RESOLVED') {
+      return sendFail(req, res, 409, 'Cannot assign an incident that is resolved', 'INVALID_INCIDENT_STATUS');
+    }
+
+    const assignee = await userService.getUserByEmail(req.body.email);
+
+    if (!assignee) {
+      return sendFail(req, res, 404, 'User not found', 'USER_NOT_FOUND');
+    }
+
+    // Assignees must be able to see the event
+    const organizations = await organizationService.getOrganizationsForUser(assignee.userId);
+    const assigneeRole = isOrgMember({ ...assignee, organizations }, req.event.orgId)
+      ? await eventMemberService.getEventRole(req.event, assignee)
+      : null;
+
+    if (!assigneeRole) {
+      return sendFail(req, res, 400, 'User does not have access to this event', 'NOT_EVENT_MEMBER');
+    }
+
+    const incident = await incidentService.assignIncident(current, assignee.userId, req.user.userId);
+
+    if (!incident) {
+      return sendTransitionFail(req, res, 'assign');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: incident,
+      message: 'Incident assigned'
+    });
+
+  } catch (error) {
+    logger.error('Error assigning incident', { eventId, incidentId, error: error.message });
+    throw new AppError('Failed to assign incident', 500, error.message);
+  }
+}));
+
+/**
+ * POST /events/:eventId/incidents/:incidentId/resolve
+ * Resolves an incident and records its resolution time
+ */
+router.post('/:eventId/incidents/:incidentId/resolve', authorizeEvent('OPERATOR'), [
+  body('notes')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage('Notes must be at most 5000 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendFail(req, res, 400, 'Validation failed', undefined, errors.array());
+  }
+
+  const { eventId, incidentId } = req.params;
+
+  try {
+    const current = await incidentService.getIncidentById(eventId, incidentId);
+
+    if (!current) {
+      return sendFail(req, res, 404, 'Incident not found', 'INCIDENT_NOT_FOUND');
+    }
+
+    const incident = await incidentService.resolveIncident(current, req.user.userId, req.body.notes);
+
+    if (!incident) {
+      return sendTransitionFail(req, res, 'resolve');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: incident,
+      message: 'Incident resolved'
+    });
+
+  } catch (error) {
+    logger.error('Error resolving incident', { eventId, incidentId, error: error.message });
+    throw new AppError('Failed to resolve incident', 500, error.message);
+  }
+}));
+
+module.exports = router;
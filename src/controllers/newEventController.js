@@ -5,11 +5,19 @@ const winston = require('winston');
 const multer = require('multer');
 
 const eventService = require('../services/eventService');
+const eventMemberService = require('../services/eventMemberService');
+const gateService = require('../services/gateService');
+const alertStateService = require('../services/alertStateService');
+const userService = require('../services/userService');
+const organizationService = require('../services/organizationService');
 const s3Service = require('../services/s3Service');
 const fileProcessor = require('../utils/fileProcessor');
+const alertPolicy = require('../utils/alertPolicy');
+const { isValidTimeZone } = require('../utils/timezoneHelper');
 const bedrockService = require('../services/bedrockService');
 const serpService = require('../services/serpService');
 const { AppError, asyncHandler } = require('../utils/errorHandler');
+const { isAdmin, isOrgMember, getOrgScope, getActiveOrgId, requireRole, authorizeEvent } = require('../utils/accessControl');
 
 const router = express.Router();
 
@@ -95,6 +103,14 @@ const validateCreateEvent = [
     .isLength({ min: 1, max: 255 })
     .trim()
     .withMessage('Venue must be 1-255 characters'),
+  body('timeZone')
+    .optional()
+    .custom(value => {
+      if (!isValidTimeZone(value)) {
+        throw new Error('Time zone must be an IANA time zone name, e.g. Asia/Singapore');
+      }
+      return true;
+    }),
   body('dateOfEventStart')
     .isISO8601()
     .withMessage('Event start date must be a valid ISO 8601 date'),
@@ -111,6 +127,7 @@ const validateCreateEvent = [
     .isObject()
     .withMessage('Venue layout must be a valid JSON object'),
   body('userEmail')
+    .optional()
     .isEmail()
     .normalizeEmail()
     .withMessage('Valid user email is required')
@@ -136,6 +153,14 @@ const validateUpdateEvent = [
     .isLength({ min: 1, max: 255 })
     .trim()
     .withMessage('Venue must be 1-255 characters'),
+  body('timeZone')
+    .optional()
+    .custom(value => {
+      if (!isValidTimeZone(value)) {
+        throw new Error('Time zone must be an IANA time zone name, e.g. Asia/Singapore');
+      }
+      return true;
+    }),
   body('dateOfEventStart')
     .optional()
     .isISO8601()
@@ -163,14 +188,23 @@ const validateUpdateEvent = [
     .optional()
     .isEmail()
     .normalizeEmail()
-    .withMessage('Valid user email is required')
+    .withMessage('Valid user email is required'),
+  body('alertPolicy')
+    .optional({ nullable: true })
+    .custom(value => {
+      const policyErrors = alertPolicy.validateAlertPolicy(value);
+      if (policyErrors.length > 0) {
+        throw new Error(`Invalid alert policy: ${policyErrors.join('; ')}`);
+      }
+      return true;
+    })
 ];
 
 /**
  * POST /events
  * Creates a new event
  */
-router.post('/', validateCreateEvent, asyncHandler(async (req, res) => {
+router.post('/', requireRole('ORGANIZER'), validateCreateEvent, asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -186,9 +220,16 @@ router.post('/', validateCreateEvent, asyncHandler(async (req, res) => {
     });
   }
 
-  const { name, description, venue, dateOfEventStart, dateOfEventEnd, status, venueLayout, userEmail, popularity } = req.body;
+  const { name, description, venue, timeZone, dateOfEventStart, dateOfEventEnd, status, venueLayout, popularity } = req.body;
   const eventId = `evt_${uuidv4()}`;
 
+  // Events are always owned by the authenticated caller
+  const userEmail = req.user.email;
+  if (req.body.userEmail && req.body.userEmail !== userEmail) {
+    throw new AppError('Events can only be created for the authenticated user', 403, { code: 'FORBIDDEN' });
+  }
+  const orgId = getActiveOrgId(req);
+
   logger.info('Creating new event', { eventId, name, hasPopularity: !!popularity, hasVenue: !!venue });
 
   try {
@@ -197,11 +238,14 @@ router.post('/', validateCreateEvent, asyncHandler(async (req, res) => {
       name,
       description,
       venue,
+      timeZone,
       dateOfEventStart,
       dateOfEventEnd,
       status,
       venueLayout,
-      userEmail
+      userEmail,
+      ownerUserId: req.user.userId || null,
+      orgId
     };
 
     // Handle popularity analysis if provided
@@ -256,6 +300,7 @@ router.post('/', validateCreateEvent, asyncHandler(async (req, res) => {
           name,
           venue,
           dateOfEventStart,
+          timeZone,
           location: venue // Use venue as location
         });
 
@@ -360,14 +405,11 @@ router.post('/', validateCreateEvent, asyncHandler(async (req, res) => {
  * 
  * Query Parameters:
  * - userEmail: Filter events by creator email (optional)
- * - myEvents: If true, filter by authenticated user's email (optional)
+ * - myEvents: If true, only events the authenticated user owns (optional)
  * - upcoming/past/ongoing: Filter by event status (optional)
  * - withForecast: Filter events with forecast data (optional)
  * - search: Search in event names (optional)
  * - startDate/endDate: Filter by date range (optional)
- * 
- * Headers:
- * - x-user-email: User's email for authentication context (optional)
  */
 router.get('/', asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
@@ -381,23 +423,20 @@ router.get('/', asyncHandler(async (req, res) => {
     // Explicit user email provided in query
     filters.userEmail = req.query.userEmail;
   } else if (req.query.myEvents === 'true') {
-    // Filter by authenticated user's email from header
-    const userEmail = req.headers['x-user-email'] || req.headers['user-email'];
-    if (userEmail) {
-      filters.userEmail = userEmail;
-    } else {
-      return res.status(400).json({
-        success: false,
-        error: {
-          status: 'fail',
-          message: 'User email required for myEvents filter',
-          code: 'MISSING_USER_EMAIL',
-          details: 'To use myEvents=true, provide user email in x-user-email header or userEmail query parameter'
-        },
-        timestamp: new Date().toISOString(),
-        requestId: req.headers['x-request-id'] || 'unknown'
-      });
-    }
+    // Events the authenticated user owns
+    filters.ownerUserId = req.user.userId;
+  }
+
+  // Scope to the caller's organizations (or the one selected via X-Organization-Id)
+  const orgIds = getOrgScope(req);
+  if (orgIds) filters.orgIds = orgIds;
+
+  // Non-admins only see events they own or are a member of (API keys see their whole organization)
+  if (!isAdmin(req.user) && !req.user.isApiKey) {
+    filters.accessibleBy = {
+      userId: req.user.userId,
+      eventIds: await eventMemberService.getMemberEventIds(req.user.userId)
+    };
   }
   
   // Other filters
@@ -434,7 +473,7 @@ router.get('/', asyncHandler(async (req, res) => {
     filters, 
     sortBy: validSortBy, 
     sortOrder, 
-    requestedBy: filters.userEmail || 'anonymous' 
+    requestedBy: req.user.email || req.user.username 
   });
 
   try {
@@ -480,13 +519,15 @@ router.get('/', asyncHandler(async (req, res) => {
 
 /**
  * GET /events/statistics
- * Retrieves event statistics
+ * Retrieves event statistics for the caller's organizations
  */
 router.get('/statistics', asyncHandler(async (req, res) => {
-  logger.info('Retrieving event statistics');
+  const orgIds = getOrgScope(req);
+
+  logger.info('Retrieving event statistics', { orgIds });
 
   try {
-    const statistics = await eventService.getEventStatistics();
+    const statistics = await eventService.getEventStatistics(orgIds);
 
     res.status(200).json({
       success: true,
@@ -505,6 +546,10 @@ router.get('/statistics', asyncHandler(async (req, res) => {
  */
 router.get('/user/:userEmail', asyncHandler(async (req, res) => {
   const { userEmail } = req.params;
+
+  if (!isAdmin(req.user) && userEmail.toLowerCase() !== req.user.email) {
+    throw new AppError('You can only list your own events', 403, { code: 'FORBIDDEN' });
+  }
   const page = parseInt(req.query.page) || 1;
   const limit = Math.min(parseInt(req.query.limit) || 10, 100); // Max 100 per page
   const offset = (page - 1) * limit;
@@ -521,6 +566,12 @@ router.get('/user/:userEmail', asyncHandler(async (req, res) => {
   if (req.query.status) additionalFilters.status = req.query.status;
   if (req.query.venue) additionalFilters.venue = req.query.venue;
 
+  const orgIds = getOrgScope(req);
+  if (orgIds) additionalFilters.orgIds = orgIds;
+
+  // The email is only a contact address; non-admins list the events they own
+  if (!isAdmin(req.user)) additionalFilters.ownerUserId = req.user.userId;
+
   logger.info('Retrieving events by user', { userEmail, page, limit, additionalFilters });
 
   try {
@@ -556,7 +607,7 @@ router.get('/user/:userEmail', asyncHandler(async (req, res) => {
  * GET /events/:eventId
  * Retrieves a specific event by ID
  */
-router.get('/:eventId', asyncHandler(async (req, res) => {
+router.get('/:eventId', authorizeEvent('VIEWER'), asyncHandler(async (req, res) => {
   const { eventId } = req.params;
 
   logger.info('Retrieving event by ID', { eventId });
@@ -592,7 +643,7 @@ router.get('/:eventId', asyncHandler(async (req, res) => {
  * PUT /events/:eventId
  * Updates an existing event
  */
-router.put('/:eventId', validateUpdateEvent, asyncHandler(async (req, res) => {
+router.put('/:eventId', authorizeEvent('OPERATOR'), validateUpdateEvent, asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -611,6 +662,29 @@ router.put('/:eventId', validateUpdateEvent, asyncHandler(async (req, res) => {
   const { eventId } = req.params;
   const updateData = req.body;
 
+  // Transferring ownership (or giving an event without an owner account one) is reserved for
+  // the owner and admins, and goes to an existing account
+  delete updateData.ownerUserId;
+  if (updateData.userEmail && (updateData.userEmail !== req.event.userEmail || !req.event.ownerUserId)) {
+    if (!eventMemberService.hasEventRole(req.eventRole, 'OWNER')) {
+      throw new AppError('Only the event owner can transfer ownership', 403, { code: 'FORBIDDEN' });
+    }
+
+    const newOwner = await userService.getUserByEmail(updateData.userEmail);
+    if (!newOwner || newOwner.status !== 'ACTIVE') {
+      throw new AppError('The new owner must have an active account', 400, { code: 'OWNER_NOT_FOUND' });
+    }
+
+    // Like members, the owner must belong to the event's organization (admins belong to all)
+    const ownerOrganizations = await organizationService.getOrganizationsForUser(newOwner.userId);
+    if (!isOrgMember({ role: newOwner.role, organizations: ownerOrganizations }, req.event.orgId)) {
+      throw new AppError('The new owner must be a member of the event organization', 400, { code: 'NOT_ORGANIZATION_MEMBER' });
+    }
+
+    updateData.userEmail = newOwner.email;
+    updateData.ownerUserId = newOwner.userId;
+  }
+
   logger.info('Updating event', { eventId });
 
   try {
@@ -649,7 +723,7 @@ router.put('/:eventId', validateUpdateEvent, asyncHandler(async (req, res) => {
  * DELETE /events/:eventId
  * Deletes an event
  */
-router.delete('/:eventId', asyncHandler(async (req, res) => {
+router.delete('/:eventId', authorizeEvent('OWNER'), asyncHandler(async (req, res) => {
   const { eventId } = req.params;
 
   logger.info('Deleting event', { eventId });
@@ -689,7 +763,7 @@ router.delete('/:eventId', asyncHandler(async (req, res) => {
  * POST /events/:eventId/uploadEventAttachments
  * Uploads files as event attachments and analyzes them with AWS Comprehend
  */
-router.post('/:eventId/uploadEventAttachments', upload.array('files', 10), asyncHandler(async (req, res) => {
+router.post('/:eventId/uploadEventAttachments', authorizeEvent('OPERATOR'), upload.array('files', 10), asyncHandler(async (req, res) => {
   const { eventId } = req.params;
   const files = req.files;
 
@@ -887,7 +961,7 @@ router.post('/:eventId/uploadEventAttachments', upload.array('files', 10), async
  * GET /events/:eventId/attachments/supported-types
  * Returns information about supported file types
  */
-router.get('/:eventId/attachments/supported-types', asyncHandler(async (req, res) => {
+router.get('/:eventId/attachments/supported-types', authorizeEvent('VIEWER'), asyncHandler(async (req, res) => {
   const supportedTypes = fileProcessor.getSupportedFileTypes();
   
   res.status(200).json({
@@ -896,4 +970,197 @@ router.get('/:eventId/attachments/supported-types', asyncHandler(async (req, res
   });
 }));
 
+/**
+ * GET /events/:eventId/alert-policy
+ * Returns the stored alert policy, the policy in effect for each gate (defaults, then
+ * the event policy, then gate overrides) and each gate's current alert state.
+ * Change the policy with PUT /events/:eventId.
+ */
+router.get('/:eventId/alert-policy', authorizeEvent('VIEWER'), asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const storedPolicy = req.event.alertPolicy || null;
+
+  try {
+    // Gates known from configuration, the forecast and the policy's own overrides
+    const [configuredGates, gateStates] = await Promise.all([
+      gateService.getConfiguredGates(eventId),
+      alertStateService.getGateStates(eventId)
+    ]);
+    const gateNames = [...new Set([
+      ...configuredGates.map(gate => gate.name),
+      ...Object.keys(req.event.forecastResult?.forecast || {}),
+      ...Object.keys(storedPolicy?.gates || {})
+    ])];
+
+    const { gates, ...eventLevelPolicy } = alertPolicy.normalizeAlertPolicy(storedPolicy);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId,
+        policy: storedPolicy,
+        effective: {
+          ...eventLevelPolicy,
+          gates: Object.fromEntries(gateNames.map(gate => {
+            const { quietPeriods, ...gatePolicy } = alertPolicy.resolveGatePolicy(storedPolicy, gate);
+            return [gate, gatePolicy];
+          }))
+        },
+        states: gateStates
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving alert policy', { eventId, error: error.message });
+    throw new AppError('Failed to retrieve alert policy', 500, error.message);
+  }
+}));
+
+/**
+ * GET /events/:eventId/members
+ * Lists the users with access to an event
+ */
+router.get('/:eventId/members', authorizeEvent('VIEWER'), asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  logger.info('Retrieving event members', { eventId });
+
+  try {
+    const members = await eventMemberService.getMembers(eventId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId,
+        owner: req.event.userEmail,
+        ownerUserId: req.event.ownerUserId || null,
+        members
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving event members', { eventId, error: error.message });
+    throw new AppError('Failed to retrieve event members', 500, error.message);
+  }
+}));
+
+/**
+ * POST /events/:eventId/members
+ * Grants a user operator or viewer access to an event (owner only). `onCall` members
+ * get critical alerts (falls, overcrowding, emergency broadcasts) by SMS on their phone.
+ */
+router.post('/:eventId/members', authorizeEvent('OWNER'), [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid member email is required'),
+  body('role')
+    .isIn(eventMemberService.memberRoles)
+    .withMessage(`Role must be one of: ${eventMemberService.memberRoles.join(', ')}`),
+  body('onCall')
+    .optional()
+    .isBoolean()
+    .withMessage('onCall must be boolean')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        status: 'fail',
+        message: 'Validation failed',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString(),
+      requestId: req.headers['x-request-id'] || 'unknown'
+    });
+  }
+
+  const { eventId } = req.params;
+  const { email, role, onCall } = req.body;
+
+  logger.info('Adding event member', { eventId, email, role, onCall });
+
+  try {
+    const user = await userService.getUserByEmail(email);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          status: 'fail',
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        },
+        timestamp: new Date().toISOString(),
+        requestId: req.headers['x-request-id'] || 'unknown'
+      });
+    }
+
+    // Members must belong to the event's organization
+    const userOrganizations = await organizationService.getOrganizationsForUser(user.userId);
+    if (!isOrgMember({ organizations: userOrganizations }, req.event.orgId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          status: 'fail',
+          message: 'User is not a member of the event organization',
+          code: 'NOT_ORGANIZATION_MEMBER'
+        },
+        timestamp: new Date().toISOString(),
+        requestId: req.headers['x-request-id'] || 'unknown'
+      });
+    }
+
+    const member = await eventMemberService.upsertMember(eventId, user.userId, role, req.user.userId, onCall);
+
+    res.status(200).json({
+      success: true,
+      data: member,
+      message: 'Event member saved successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error adding event member', { eventId, email, error: error.message });
+    throw new AppError('Failed to add event member', 500, error.message);
+  }
+}));
+
+/**
+ * DELETE /events/:eventId/members/:userId
+ * Revokes a user's access to an event (owner only)
+ */
+router.delete('/:eventId/members/:userId', authorizeEvent('OWNER'), asyncHandler(async (req, res) => {
+  const { eventId, userId } = req.params;
+
+  logger.info('Removing event member', { eventId, userId });
+
+  try {
+    const removed = await eventMemberService.removeMember(eventId, userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          status: 'fail',
+          message: 'Event member not found',
+          code: 'MEMBER_NOT_FOUND'
+        },
+        timestamp: new Date().toISOString(),
+        requestId: req.headers['x-request-id'] || 'unknown'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Event member removed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error removing event member', { eventId, userId, error: error.message });
+    throw new AppError('Failed to remove event member', 500, error.message);
+  }
+}));
+
 module.exports = router;
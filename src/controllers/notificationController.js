@@ -1,9 +1,18 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const winston = require('winston');
 const supabaseService = require('../services/supabaseService');
 const pushNotificationService = require('../services/pushNotificationService');
+const notificationDispatcher = require('../services/notificationDispatcher');
+const eventService = require('../services/eventService');
+const eventMemberService = require('../services/eventMemberService');
+const gateService = require('../services/gateService');
+const zoneService = require('../services/zoneService');
+const notificationPreferenceService = require('../services/notificationPreferenceService');
+const notificationLogService = require('../services/notificationLogService');
 const { asyncHandler, AppError } = require('../utils/errorHandler');
+const { authorizeEvent, isOrgMember } = require('../utils/accessControl');
+const notificationPreferences = require('../utils/notificationPreferences');
 
 const router = express.Router();
 
@@ -23,9 +32,39 @@ const logger = winston.createLogger({
   ]
 });
 
+/**
+ * Sends a fail response with a code
+ */
+const sendFail = (res, statusCode, message, code) => res.status(statusCode).json({
+  success: false,
+  error: {
+    status: 'fail',
+    message,
+    code
+  },
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Validates push subscription preferences (no channels: subscriptions only get push)
+ */
+const validateSubscriptionPreferences = value => {
+  if (value === null) return true;
+  const preferenceErrors = notificationPreferences.validateNotificationPreferences(value, { channels: false });
+  if (preferenceErrors.length > 0) {
+    throw new Error(`Invalid notification preferences: ${preferenceErrors.join('; ')}`);
+  }
+  return true;
+};
+
 /**
  * POST /api/v1/notifications/subscribe
- * Subscribe a user to push notifications for an event
+ * Subscribe a user to push notifications for an event. Attendees subscribe anonymously;
+ * the staff, security and medical audiences require a signed-in member of the event.
+ * `gate` (gate name) or `zoneId` assigns the subscriber to part of the venue. Attendees
+ * can also share `ticketGate` and their `latitude`/`longitude` so congestion alerts only
+ * reach them when they are near the gate; subscribe again to update the location.
+ * `preferences` choose which notifications the subscription gets.
  */
 router.post('/subscribe', [
   body('eventId')
@@ -49,7 +88,39 @@ router.post('/subscribe', [
   body('subscription.keys.auth')
     .isString()
     .notEmpty()
-    .withMessage('auth key is required')
+    .withMessage('auth key is required'),
+  body('audience')
+    .optional()
+    .isIn(pushNotificationService.audiences)
+    .withMessage(`Audience must be one of: ${pushNotificationService.audiences.join(', ')}`),
+  body('gate')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Gate must be a gate name'),
+  body('zoneId')
+    .optional({ nullable: true })
+    .isString()
+    .notEmpty()
+    .withMessage('Zone ID must be a string'),
+  body('ticketGate')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Ticket gate must be a gate name'),
+  body('latitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('longitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('preferences')
+    .optional({ nullable: true })
+    .custom(validateSubscriptionPreferences)
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -65,15 +136,67 @@ router.post('/subscribe', [
     });
   }
 
-  const { eventId, subscription } = req.body;
+  const { eventId, subscription, gate, zoneId, ticketGate, latitude, longitude, preferences } = req.body;
+  const audience = req.body.audience || 'attendee';
   const { endpoint, keys } = subscription;
 
   logger.info('📝 [Notification] Subscription request received', {
     eventId,
+    audience,
     endpoint: endpoint.substring(0, 50) + '...'
   });
 
   try {
+    // Subscriptions inherit the organization of their event
+    const event = await eventService.getEventById(eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          status: 'fail',
+          message: 'Event not found',
+          code: 'EVENT_NOT_FOUND'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Staff-facing audiences are limited to users with access to the event
+    if (audience !== 'attendee') {
+      if (!req.user) {
+        return sendFail(res, 401, `Sign in to subscribe as ${audience}`, 'AUTH_REQUIRED');
+      }
+
+      const role = isOrgMember(req.user, event.orgId)
+        ? await eventMemberService.getEventRole(event, req.user)
+        : null;
+
+      if (!role) {
+        return sendFail(res, 403, `Only event members can subscribe as ${audience}`, 'FORBIDDEN');
+      }
+    }
+
+    const hasLocation = latitude !== undefined && latitude !== null;
+    if (hasLocation !== (longitude !== undefined && longitude !== null)) {
+      return sendFail(res, 400, 'Latitude and longitude must be given together', 'INVALID_LOCATION');
+    }
+
+    if (gate || ticketGate) {
+      const configuredGates = await gateService.getConfiguredGates(eventId);
+      const gateNames = [
+        ...configuredGates.map(configuredGate => configuredGate.name),
+        ...Object.keys(event.forecastResult?.forecast || {})
+      ];
+
+      if ([gate, ticketGate].some(name => name && !gateNames.includes(name))) {
+        return sendFail(res, 400, 'Gate not found for this event', 'GATE_NOT_FOUND');
+      }
+    }
+
+    if (zoneId && !(await zoneService.getZoneById(eventId, zoneId))) {
+      return sendFail(res, 400, 'Zone not found for this event', 'ZONE_NOT_FOUND');
+    }
+
     // Get user agent and IP
     const userAgent = req.headers['user-agent'];
     const ipAddress = req.ip || req.connection.remoteAddress;
@@ -83,9 +206,19 @@ router.post('/subscribe', [
       .from('push_subscriptions')
       .upsert({
         event_id: eventId,
+        org_id: event.orgId,
         endpoint: endpoint,
         p256dh: keys.p256dh,
         auth: keys.auth,
+        user_id: req.user?.userId || null,
+        audience,
+        gate_name: gate || null,
+        zone_id: zoneId || null,
+        ticket_gate: ticketGate || null,
+        latitude: hasLocation ? Number(latitude) : null,
+        longitude: hasLocation ? Number(longitude) : null,
+        location_updated_at: hasLocation ? new Date().toISOString() : null,
+        ...(preferences !== undefined && { preferences }),
         user_agent: userAgent,
         ip_address: ipAddress,
         is_active: true,
@@ -117,7 +250,13 @@ router.post('/subscribe', [
       data: {
         subscriptionId: data?.id,
         subscribedAt: data?.subscribed_at,
-        eventId
+        eventId,
+        audience,
+        gate: gate || null,
+        zoneId: zoneId || null,
+        ticketGate: ticketGate || null,
+        locationShared: hasLocation,
+        ...(preferences !== undefined && { preferences })
       },
       timestamp: new Date().toISOString()
     });
@@ -189,23 +328,93 @@ router.post('/unsubscribe', [
   }
 }));
 
+/**
+ * PUT /api/v1/notifications/preferences
+ * Replaces the notification preferences of a push subscription, identified by its event
+ * and endpoint like /unsubscribe. `preferences: null` falls back to the preferences of
+ * the signed-in user the subscription belongs to, or the defaults.
+ */
+router.put('/preferences', [
+  body('eventId')
+    .isString()
+    .notEmpty()
+    .withMessage('Event ID is required'),
+  body('endpoint')
+    .isString()
+    .notEmpty()
+    .withMessage('Endpoint is required'),
+  body('preferences')
+    .exists()
+    .withMessage('preferences is required (null clears them)')
+    .bail()
+    .custom(validateSubscriptionPreferences)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        status: 'fail',
+        message: 'Validation failed',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const { eventId, endpoint, preferences } = req.body;
+
+  logger.info('⚙️ [Notification] Updating subscription preferences', { eventId });
+
+  try {
+    const subscription = await notificationPreferenceService.updateSubscriptionPreferences(eventId, endpoint, preferences);
+
+    if (!subscription) {
+      return sendFail(res, 404, 'Subscription not found', 'SUBSCRIPTION_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: {
+        subscriptionId: subscription.id,
+        eventId,
+        preferences: subscription.preferences,
+        effective: notificationPreferences.normalizeNotificationPreferences(subscription.preferences)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ [Notification] Error updating subscription preferences', {
+      eventId,
+      error: error.message
+    });
+    throw new AppError('Failed to update subscription preferences', 500, error.message);
+  }
+}));
+
 /**
  * GET /api/v1/notifications/subscriptions/:eventId
  * Get subscription count for an event
  */
-router.get('/subscriptions/:eventId', asyncHandler(async (req, res) => {
+router.get('/subscriptions/:eventId', authorizeEvent('VIEWER'), asyncHandler(async (req, res) => {
   const { eventId } = req.params;
 
   logger.info('📊 [Notification] Getting subscription count', { eventId });
 
   try {
-    const count = await pushNotificationService.getSubscriptionCount(eventId);
+    const [count, byAudience] = await Promise.all([
+      pushNotificationService.getSubscriptionCount(eventId),
+      pushNotificationService.getSubscriptionCountsByAudience(eventId)
+    ]);
 
     res.json({
       success: true,
       data: {
         eventId,
-        activeSubscriptions: count
+        activeSubscriptions: count,
+        byAudience
       },
       timestamp: new Date().toISOString()
     });
@@ -219,11 +428,214 @@ router.get('/subscriptions/:eventId', asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * GET /api/v1/notifications/:eventId/receipts/:notificationId
+ * Get the per-recipient delivery receipts of a dispatched notification
+ */
+router.get('/:eventId/receipts/:notificationId', authorizeEvent('OPERATOR'), asyncHandler(async (req, res) => {
+  const { eventId, notificationId } = req.params;
+
+  logger.info('🧾 [Notification] Getting delivery receipts', { eventId, notificationId });
+
+  try {
+    const receipts = await notificationDispatcher.getReceipts(eventId, notificationId);
+
+    if (receipts.length === 0) {
+      return sendFail(res, 404, 'Notification not found', 'NOTIFICATION_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        eventId,
+        notificationId,
+        type: receipts[0].type,
+        severity: receipts[0].severity,
+        delivered: receipts.filter(receipt => receipt.status === 'delivered').length,
+        failed: receipts.filter(receipt => receipt.status === 'failed').length,
+        receipts
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ [Notification] Error getting delivery receipts', {
+      eventId,
+      notificationId,
+      error: error.message
+    });
+    throw new AppError('Failed to get delivery receipts', 500, error.message);
+  }
+}));
+
+/**
+ * GET /api/v1/notifications/:eventId/dead-letters
+ * Get the push deliveries of an event that failed every retry
+ */
+router.get('/:eventId/dead-letters', authorizeEvent('OPERATOR'), asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200); // Max 200 per request
+
+  logger.info('☠️ [Notification] Getting dead letters', { eventId });
+
+  try {
+    const deadLetters = await pushNotificationService.getDeadLetters(eventId, { limit });
+
+    res.json({
+      success: true,
+      data: {
+        eventId,
+        count: deadLetters.length,
+        critical: deadLetters.filter(deadLetter => deadLetter.severity === 'critical' || deadLetter.type === 'emergency').length,
+        deadLetters
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ [Notification] Error getting dead letters', {
+      eventId,
+      error: error.message
+    });
+    throw new AppError('Failed to get dead letters', 500, error.message);
+  }
+}));
+
+/**
+ * GET /api/v1/notifications/:eventId/history
+ * Get the notifications sent for an event (push, email and SMS deliveries), newest first,
+ * with the delivery rate, failures by status code, opens and counts per gate
+ */
+router.get('/:eventId/history', authorizeEvent('VIEWER'), [
+  query('type')
+    .optional()
+    .isString()
+    .trim(),
+  query('tag')
+    .optional()
+    .isString(),
+  query('status')
+    .optional()
+    .isIn(notificationLogService.statuses)
+    .withMessage(`Status must be one of: ${notificationLogService.statuses.join(', ')}`),
+  query('channel')
+    .optional()
+    .isIn(notificationLogService.channels)
+    .withMessage(`Channel must be one of: ${notificationLogService.channels.join(', ')}`),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid ISO 8601 datetime'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid ISO 8601 datetime')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        status: 'fail',
+        message: 'Validation failed',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const { eventId } = req.params;
+  const { type, tag, status, channel, from, to } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200); // Max 200 per page
+  const offset = (page - 1) * limit;
+
+  logger.info('📜 [Notification] Getting notification history', { eventId, type, tag, status, channel });
+
+  try {
+    const history = await notificationLogService.getHistory(
+      eventId,
+      { type, tag, status, channel, from, to },
+      { limit, offset }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        eventId,
+        notifications: history.notifications,
+        summary: history.summary,
+        pagination: {
+          page,
+          limit,
+          total: history.total,
+          totalPages: Math.ceil(history.total / limit)
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ [Notification] Error getting notification history', {
+      eventId,
+      error: error.message
+    });
+    throw new AppError('Failed to get notification history', 500, error.message);
+  }
+}));
+
+/**
+ * POST /api/v1/notifications/logs/:logId/click
+ * Called by the service worker when a push notification is opened; `logId` is the
+ * notification's data.logId
+ */
+router.post('/logs/:logId/click', [
+  param('logId')
+    .isUUID()
+    .withMessage('logId must be a valid UUID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        status: 'fail',
+        message: 'Validation failed',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const { logId } = req.params;
+
+  try {
+    const click = await notificationLogService.recordClick(logId);
+
+    if (!click) {
+      return sendFail(res, 404, 'Notification not found', 'NOTIFICATION_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: click,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ [Notification] Error recording notification click', {
+      logId,
+      error: error.message
+    });
+    throw new AppError('Failed to record notification click', 500, error.message);
+  }
+}));
+
 /**
  * POST /api/v1/notifications/test
  * Send a test notification to an event's subscribers
  */
-router.post('/test', [
+router.post('/test', authorizeEvent('OPERATOR', { source: 'body' }), [
   body('eventId')
     .isString()
     .notEmpty()
@@ -261,7 +673,7 @@ router.post('/test', [
         eventId,
         timestamp: Date.now()
       }
-    });
+    }, { audiences: pushNotificationService.audiences });
 
     logger.info('✅ [Notification] Test notification sent', {
       eventId,
@@ -292,9 +704,11 @@ router.post('/test', [
 
 /**
  * POST /api/v1/notifications/send
- * Send a custom notification to event subscribers
+ * Send a custom notification to event subscribers, by default attendees. `gate` or
+ * `zoneId` limits it to subscribers not assigned elsewhere. Emergency broadcasts
+ * (`data.type` 'emergency') are also texted to the event's on-call staff.
  */
-router.post('/send', [
+router.post('/send', authorizeEvent('OPERATOR', { source: 'body' }), [
   body('eventId')
     .isString()
     .notEmpty()
@@ -314,7 +728,24 @@ router.post('/send', [
   body('data')
     .optional()
     .isObject()
-    .withMessage('data must be an object')
+    .withMessage('data must be an object'),
+  body('audiences')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('audiences must be a non-empty array'),
+  body('audiences.*')
+    .isIn(pushNotificationService.audiences)
+    .withMessage(`Each audience must be one of: ${pushNotificationService.audiences.join(', ')}`),
+  body('gate')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Gate must be a gate name'),
+  body('zoneId')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Zone ID must be a string')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -329,23 +760,38 @@ router.post('/send', [
     });
   }
 
-  const { eventId, title, body, requireInteraction, data } = req.body;
+  const { eventId, title, body, requireInteraction, data, audiences, gate, zoneId } = req.body;
 
   logger.info('📤 [Notification] Sending custom notification', {
     eventId,
-    title
+    title,
+    audiences
   });
 
   try {
-    const result = await pushNotificationService.sendToEvent(eventId, {
+    // Emergencies also reach the event's on-call staff
+    const dispatched = await notificationDispatcher.dispatch({
+      type: data?.type === 'emergency' ? 'emergency' : 'announcement',
+      eventId,
       title,
       body,
-      requireInteraction: requireInteraction || false,
-      data: data || { type: 'custom' }
+      requireInteraction,
+      data,
+      audiences,
+      gate,
+      zoneId
     });
 
+    const subscriberAttempt = dispatched.receipts.find(receipt => receipt.recipientGroup === 'subscribers').attempts[0];
+    const result = {
+      sent: subscriberAttempt.sent || 0,
+      failed: subscriberAttempt.failed || 0,
+      queued: subscriberAttempt.queued || 0
+    };
+
     logger.info('✅ [Notification] Custom notification sent', {
       eventId,
+      notificationId: dispatched.notificationId,
       sent: result.sent,
       failed: result.failed
     });
@@ -355,9 +801,12 @@ router.post('/send', [
       message: 'Notification sent successfully',
       data: {
         eventId,
+        notificationId: dispatched.notificationId,
         sent: result.sent,
         failed: result.failed,
-        totalAttempts: result.sent + result.failed
+        queuedForRetry: result.queued,
+        totalAttempts: result.sent + result.failed,
+        receipts: dispatched.receipts
       },
       timestamp: new Date().toISOString()
     });
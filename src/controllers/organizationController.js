@@ -0,0 +1,389 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const winston = require('winston');
+
+const organizationService = require('../services/organizationService');
+const userService = require('../services/userService');
+const apiKeyService = require('../services/apiKeyService');
+const { AppError, asyncHandler } = require('../utils/errorHandler');
+const { isAdmin, requireRole, requireOrgRole } = require('../utils/accessControl');
+
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'organization-controller' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * POST /organizations
+ * Creates an organization; the creator becomes its admin
+ */
+router.post('/', requireRole('ORGANIZER'), [
+  body('name')
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .trim()
+    .withMessage('Organization name must be 1-255 characters'),
+  body('slug')
+    .matches(/^[a-z0-9][a-z0-9-]{0,99}$/)
+    .withMessage('Slug must be lowercase letters, digits and dashes (max 100 characters)')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        status: 'fail',
+        message: 'Validation failed',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString(),
+      requestId: req.headers['x-request-id'] || 'unknown'
+    });
+  }
+
+  const { name, slug } = req.body;
+
+  logger.info('Creating organization', { name, slug, userId: req.user.userId });
+
+  try {
+    const organization = await organizationService.createOrganization({ name, slug }, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      data: organization,
+      message: 'Organization created successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error creating organization', { slug, error: error.message });
+
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          status: 'fail',
+          message: error.message,
+          code: 'DUPLICATE_RESOURCE'
+        },
+        timestamp: new Date().toISOString(),
+        requestId: req.headers['x-request-id'] || 'unknown'
+      });
+    }
+
+    throw new AppError('Failed to create organization', 500, error.message);
+  }
+}));
+
+/**
+ * GET /organizations
+ * Lists the caller's organizations (all organizations for platform admins)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  try {
+    const organizations = isAdmin(req.user)
+      ? await organizationService.getOrganizations()
+      : req.user.organizations;
+
+    res.status(200).json({
+      success: true,
+      data: organizations
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving organizations', { error: error.message });
+    throw new AppError('Failed to retrieve organizations', 500, error.message);
+  }
+}));
+
+/**
+ * GET /organizations/:orgId
+ * Retrieves an organization
+ */
+router.get('/:orgId', requireOrgRole('MEMBER'), asyncHandler(async (req, res) => {
+  const { orgId } = req.params;
+
+  try {
+    const organization = await organizationService.getOrganizationById(orgId);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          status: 'fail',
+          message: 'Organization not found',
+          code: 'ORGANIZATION_NOT_FOUND'
+        },
+        timestamp: new Date().toISOString(),
+        requestId: req.headers['x-request-id'] || 'unknown'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: organization
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving organization', { orgId, error: error.message });
+    throw new AppError('Failed to retrieve organization', 500, error.message);
+  }
+}));
+
+/**
+ * GET /organizations/:orgId/members
+ * Lists the members of an organization
+ */
+router.get('/:orgId/members', requireOrgRole('MEMBER'), asyncHandler(async (req, res) => {
+  const { orgId } = req.params;
+
+  try {
+    const members = await organizationService.getMembers(orgId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orgId,
+        members
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving organization members', { orgId, error: error.message });
+    throw new AppError('Failed to retrieve organization members', 500, error.message);
+  }
+}));
+
+/**
+ * POST /organizations/:orgId/members
+ * Adds a user to an organization or changes their role (organization admins only)
+ */
+router.post('/:orgId/members', requireOrgRole('ADMIN'), [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid member email is required'),
+  body('role')
+    .optional()
+    .isIn(organizationService.orgRoles)
+    .withMessage(`Role must be one of: ${organizationService.orgRoles.join(', ')}`)
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        status: 'fail',
+        message: 'Validation failed',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString(),
+      requestId: req.headers['x-request-id'] || 'unknown'
+    });
+  }
+
+  const { orgId } = req.params;
+  const { email, role = 'MEMBER' } = req.body;
+
+  logger.info('Adding organization member', { orgId, email, role });
+
+  try {
+    const user = await userService.getUserByEmail(email);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          status: 'fail',
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        },
+        timestamp: new Date().toISOString(),
+        requestId: req.headers['x-request-id'] || 'unknown'
+      });
+    }
+
+    const member = await organizationService.upsertMember(orgId, user.userId, role);
+
+    res.status(200).json({
+      success: true,
+      data: member,
+      message: 'Organization member saved successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error adding organization member', { orgId, email, error: error.message });
+    throw new AppError('Failed to add organization member', 500, error.message);
+  }
+}));
+
+/**
+ * DELETE /organizations/:orgId/members/:userId
+ * Removes a user from an organization (organization admins only)
+ */
+router.delete('/:orgId/members/:userId', requireOrgRole('ADMIN'), asyncHandler(async (req, res) => {
+  const { orgId, userId } = req.params;
+
+  logger.info('Removing organization member', { orgId, userId });
+
+  try {
+    const removed = await organizationService.removeMember(orgId, userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          status: 'fail',
+          message: 'Organization member not found',
+          code: 'MEMBER_NOT_FOUND'
+        },
+        timestamp: new Date().toISOString(),
+        requestId: req.headers['x-request-id'] || 'unknown'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Organization member removed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error removing organization member', { orgId, userId, error: error.message });
+    throw new AppError('Failed to remove organization member', 500, error.message);
+  }
+}));
+
+/**
+ * POST /organizations/:orgId/api-keys
+ * Creates an API key for machine clients (organization admins only).
+ * The plain key is returned once and cannot be retrieved again.
+ */
+router.post('/:orgId/api-keys', requireOrgRole('ADMIN'), [
+  body('name')
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .trim()
+    .withMessage('API key name must be 1-255 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(apiKeyService.scopes)
+    .withMessage(`Scopes must be any of: ${apiKeyService.scopes.join(', ')}`),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid ISO 8601 date')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        status: 'fail',
+        message: 'Validation failed',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString(),
+      requestId: req.headers['x-request-id'] || 'unknown'
+    });
+  }
+
+  const { orgId } = req.params;
+  const { name, scopes, expiresAt } = req.body;
+
+  logger.info('Creating API key', { orgId, name, scopes });
+
+  try {
+    const apiKey = await apiKeyService.createApiKey(orgId, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt
+    }, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      data: apiKey,
+      message: 'API key created successfully. Store it now - it will not be shown again.'
+    });
+
+  } catch (error) {
+    logger.error('Error creating API key', { orgId, error: error.message });
+    throw new AppError('Failed to create API key', 500, error.message);
+  }
+}));
+
+/**
+ * GET /organizations/:orgId/api-keys
+ * Lists an organization's API keys with last-used information (organization admins only)
+ */
+router.get('/:orgId/api-keys', requireOrgRole('ADMIN'), asyncHandler(async (req, res) => {
+  const { orgId } = req.params;
+
+  try {
+    const apiKeys = await apiKeyService.getApiKeys(orgId);
+
+    res.status(200).json({
+      success: true,
+      data: apiKeys
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving API keys', { orgId, error: error.message });
+    throw new AppError('Failed to retrieve API keys', 500, error.message);
+  }
+}));
+
+/**
+ * DELETE /organizations/:orgId/api-keys/:keyId
+ * Revokes an API key (organization admins only)
+ */
+router.delete('/:orgId/api-keys/:keyId', requireOrgRole('ADMIN'), asyncHandler(async (req, res) => {
+  const { orgId, keyId } = req.params;
+
+  logger.info('Revoking API key', { orgId, keyId });
+
+  try {
+    const apiKey = await apiKeyService.revokeApiKey(orgId, keyId, req.user.userId);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          status: 'fail',
+          message: 'API key not found or already revoked',
+          code: 'API_KEY_NOT_FOUND'
+        },
+        timestamp: new Date().toISOString(),
+        requestId: req.headers['x-request-id'] || 'unknown'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: apiKey,
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error revoking API key', { orgId, keyId, error: error.message });
+    throw new AppError('Failed to revoke API key', 500, error.message);
+  }
+}));
+
+module.exports = router;
@@ -3,33 +3,28 @@ const winston = require('winston');
 
 const eventService = require('../services/eventService');
 const predictionService = require('../services/predictionService');
+const gateService = require('../services/gateService');
+const checkInService = require('../services/checkInService');
 const { AppError, asyncHandler } = require('../utils/errorHandler');
+const { requireRole, authorizeEvent } = require('../utils/accessControl');
+const { getEventTimeZone, localToUTC, getLocalTimeOfDay } = require('../utils/timezoneHelper');
+const { getEventDay, countEventDays } = require('../utils/eventDays');
 
 /**
  * Parses a timestamp string from forecast_result
  * Forecast timestamps are in format "YYYY-MM-DD HH:mm:ss" without timezone info
- * They represent Malaysia local time (UTC+8) and need to be converted to UTC
+ * They represent the event's local time and need to be converted to UTC
  */
-const parseAsUTC = (timestamp) => {
+const parseAsUTC = (timestamp, timeZone) => {
   if (!timestamp) return new Date();
-  if (timestamp.includes("Z") || timestamp.includes("+") || timestamp.includes("-")) {
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(timestamp)) {
     return new Date(timestamp);
   }
   
   // For "YYYY-MM-DD HH:mm:ss" format without timezone
-  // Treat as Malaysia time (UTC+8) and convert to UTC by subtracting 8 hours
-  const match = timestamp.match(/(\d{4})-(\d{2})-(\d{2})\s+(\d{2}):(\d{2}):(\d{2})/);
-  if (match) {
-    const [, year, month, day, hour, minute, second] = match;
-    const MALAYSIA_OFFSET_HOURS = 8;
-    return new Date(Date.UTC(
-      parseInt(year),
-      parseInt(month) - 1, // Month is 0-indexed
-      parseInt(day),
-      parseInt(hour) - MALAYSIA_OFFSET_HOURS, // Convert Malaysia time to UTC
-      parseInt(minute),
-      parseInt(second)
-    ));
+  // Treat as the event's local time and convert to UTC
+  if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?/.test(timestamp)) {
+    return new Date(localToUTC(timestamp.replace("T", " "), timeZone));
   }
   
   // Fallback: try appending 'Z' (may not work correctly in all timezones)
@@ -52,10 +47,13 @@ function formatForecastVsPredictionData(event) {
   const gates = forecastResult.summary?.gates || [];
   const forecastPredictions = forecastResult.summary?.predictions || [];
   
+  // Times are shown in the event's time zone
+  const timeZone = getEventTimeZone(event);
+  
   // Create timeline from forecast period
   const forecastPeriod = forecastResult.summary?.forecastPeriod;
-  const startTime = new Date(forecastPeriod?.start || event.dateOfEventStart);
-  const endTime = new Date(forecastPeriod?.end || event.dateOfEventEnd);
+  const startTime = parseAsUTC(forecastPeriod?.start || event.dateOfEventStart, timeZone);
+  const endTime = parseAsUTC(forecastPeriod?.end || event.dateOfEventEnd, timeZone);
   
   // Generate 5-minute intervals for the timeline
   const timeline = [];
@@ -72,7 +70,7 @@ function formatForecastVsPredictionData(event) {
     // Create forecast line (complete data)
     const forecastLine = timeline.map(time => ({
       timestamp: time.toISOString(),
-      time: time.toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' }),
+      time: getLocalTimeOfDay(time, timeZone),
       forecastCount: forecastData.avgPrediction || 0,
       capacity: forecastData.capacity || 0
     }));
@@ -104,11 +102,7 @@ function formatForecastVsPredictionData(event) {
       gateTimeFrames.forEach(timeFrame => {
         predictionLine.push({
           timestamp: timeFrame.timestamp,
-          time: new Date(timeFrame.timestamp).toLocaleTimeString('en-US', { 
-            hour12: false, 
-            hour: '2-digit', 
-            minute: '2-digit' 
-          }),
+          time: getLocalTimeOfDay(timeFrame.timestamp, timeZone),
           predictedCount: timeFrame.predicted || timeFrame.actual || 0,
           actualCount: timeFrame.actual || 0,
           congestionLevel: timeFrame.congestionLevel || 'Unknown',
@@ -148,12 +142,13 @@ function formatForecastVsPredictionData(event) {
     eventPeriod: {
       start: startTime.toISOString(),
       end: endTime.toISOString(),
+      timeZone,
       duration: Math.round((endTime - startTime) / (1000 * 60)) // minutes
     },
     timeline: {
       intervals: timeline.map(t => ({
         timestamp: t.toISOString(),
-        time: t.toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' })
+        time: getLocalTimeOfDay(t, timeZone)
       })),
       intervalMinutes: 5,
       totalIntervals: timeline.length
@@ -192,7 +187,7 @@ const logger = winston.createLogger({
  * Gets real-time prediction for an event (on-demand trigger from frontend)
  * Only works if current time is within event/forecast period
  */
-router.post('/:eventId', asyncHandler(async (req, res) => {
+router.post('/:eventId', authorizeEvent('OPERATOR'), asyncHandler(async (req, res) => {
   const { eventId } = req.params;
   const now = new Date();
 
@@ -240,20 +235,23 @@ router.post('/:eventId', asyncHandler(async (req, res) => {
     if (event.forecastResult?.summary?.forecastPeriod) {
       const period = event.forecastResult.summary.forecastPeriod;
       if (period.start) {
-        forecastStart = parseAsUTC(period.start);
+        forecastStart = parseAsUTC(period.start, getEventTimeZone(event));
       }
       if (period.end) {
-        forecastEnd = parseAsUTC(period.end);
+        forecastEnd = parseAsUTC(period.end, getEventTimeZone(event));
       }
     }
     
-    // Check if current time is within forecast period
-    // Allow prediction to start 1 hour before event starts
-    const ONE_HOUR_MS = 60 * 60 * 1000;
-    const oneHourBeforeStart = new Date(forecastStart.getTime() - ONE_HOUR_MS);
+    // Check if current time is within the prediction window the cron job uses:
+    // from PREDICTION_PRE_START_MINUTES before the start to PREDICTION_POST_END_MINUTES after the end
+    const cronService = require('../services/cronService');
+    const { windowStart, windowEnd } = cronService.getPredictionWindow({
+      dateOfEventStart: forecastStart,
+      dateOfEventEnd: forecastEnd
+    });
     
-    const isWithinPreStartWindow = now >= oneHourBeforeStart;
-    const hasNotEnded = now <= forecastEnd;
+    const isWithinPreStartWindow = now >= windowStart;
+    const hasNotEnded = now <= windowEnd;
     const isOngoing = isWithinPreStartWindow && hasNotEnded;
 
     logger.info('Time validation check', {
@@ -261,7 +259,8 @@ router.post('/:eventId', asyncHandler(async (req, res) => {
       currentTime: now.toISOString(),
       forecastStart: forecastStart.toISOString(),
       forecastEnd: forecastEnd.toISOString(),
-      oneHourBeforeStart: oneHourBeforeStart.toISOString(),
+      windowStart: windowStart.toISOString(),
+      windowEnd: windowEnd.toISOString(),
       isWithinPreStartWindow,
       hasNotEnded,
       isOngoing
@@ -270,7 +269,7 @@ router.post('/:eventId', asyncHandler(async (req, res) => {
     // ❌ Reject if outside time range
     if (!isOngoing) {
       const errorMessage = !isWithinPreStartWindow 
-        ? `Event has not started yet. Prediction will be available from ${oneHourBeforeStart.toISOString()} (1 hour before event starts)`
+        ? `Event has not started yet. Prediction will be available from ${windowStart.toISOString()} (${cronService.preStartMinutes} minutes before event starts)`
         : `Event has already ended at ${forecastEnd.toISOString()}`;
       
       return res.status(400).json({
@@ -278,14 +277,18 @@ router.post('/:eventId', asyncHandler(async (req, res) => {
         error: {
           status: 'fail',
           message: errorMessage,
-          code: !hasStarted ? 'EVENT_NOT_STARTED' : 'EVENT_ENDED',
+          code: !isWithinPreStartWindow ? 'EVENT_NOT_STARTED' : 'EVENT_ENDED',
           details: {
             currentTime: now.toISOString(),
             forecastPeriod: {
               start: forecastStart.toISOString(),
               end: forecastEnd.toISOString()
             },
-            hasStarted,
+            predictionWindow: {
+              start: windowStart.toISOString(),
+              end: windowEnd.toISOString()
+            },
+            hasStarted: isWithinPreStartWindow,
             hasNotEnded
           }
         },
@@ -318,11 +321,15 @@ router.post('/:eventId', asyncHandler(async (req, res) => {
     }
 
     // ✅ Merge with existing predictions (append timeframes)
-    const cronService = require('../services/cronService');
+    const [configuredGates, arrivalCounts] = await Promise.all([
+      gateService.getConfiguredGates(eventId),
+      checkInService.getLiveArrivalCounts(eventId, { at: predictionResult.metadata?.requestedAt })
+    ]);
     const updatedPredictResult = cronService.mergePredictions(
       event.predictResult,
       predictionResult,
-      event
+      event,
+      { configuredGates, arrivalCounts }
     );
 
     // Update event with merged prediction result
@@ -369,7 +376,7 @@ router.post('/:eventId', asyncHandler(async (req, res) => {
  * GET /prediction/:eventId
  * Gets the latest prediction result for an event
  */
-router.get('/:eventId', asyncHandler(async (req, res) => {
+router.get('/:eventId', authorizeEvent('VIEWER'), asyncHandler(async (req, res) => {
   const { eventId } = req.params;
 
   logger.info('Retrieving prediction result for event', { eventId });
@@ -448,7 +455,7 @@ router.get('/health/model', asyncHandler(async (req, res) => {
  * GET /prediction/:eventId/comparison
  * Gets formatted comparison data between forecast and prediction results for line graphs
  */
-router.get('/:eventId/comparison', asyncHandler(async (req, res) => {
+router.get('/:eventId/comparison', authorizeEvent('VIEWER'), asyncHandler(async (req, res) => {
   const { eventId } = req.params;
 
   logger.info('Getting forecast vs prediction comparison data', { eventId });
@@ -501,7 +508,7 @@ router.get('/:eventId/comparison', asyncHandler(async (req, res) => {
  * DELETE /prediction/:eventId/reset
  * Clears predict_result for an event (useful for testing or resetting)
  */
-router.delete('/:eventId/reset', asyncHandler(async (req, res) => {
+router.delete('/:eventId/reset', authorizeEvent('OPERATOR'), asyncHandler(async (req, res) => {
   const { eventId } = req.params;
 
   logger.info('Resetting prediction data for event', { eventId });
@@ -549,7 +556,7 @@ router.delete('/:eventId/reset', asyncHandler(async (req, res) => {
  * GET /prediction/debug/events
  * Debug endpoint to see which events would be selected for prediction updates
  */
-router.get('/debug/events', asyncHandler(async (req, res) => {
+router.get('/debug/events', requireRole('ADMIN'), asyncHandler(async (req, res) => {
   logger.info('Debug: Getting events for prediction update');
   
   try {
@@ -579,13 +586,18 @@ router.get('/debug/events', asyncHandler(async (req, res) => {
           dateOfEventStart: event.dateOfEventStart,
           dateOfEventEnd: event.dateOfEventEnd,
           hasForecastResult: !!event.forecastResult,
-          status: event.status
+          status: event.status,
+          timeZone: getEventTimeZone(event)
         })),
+        predictionWindow: {
+          preStartMinutes: cronService.preStartMinutes,
+          postEndMinutes: cronService.postEndMinutes
+        },
         allActiveEvents: allEvents.map(event => {
-          const eventStart = new Date(event.dateOfEventStart);
-          const eventEnd = new Date(event.dateOfEventEnd);
-          const eventStartDate = new Date(eventStart.getFullYear(), eventStart.getMonth(), eventStart.getDate());
-          const todayDate = new Date(todayStart.getFullYear(), todayStart.getMonth(), todayStart.getDate());
+          const timeZone = getEventTimeZone(event);
+          const hasDates = !!(event.dateOfEventStart && event.dateOfEventEnd);
+          const { windowStart, windowEnd } = hasDates ? cronService.getPredictionWindow(event) : {};
+          const isWithinWindow = hasDates && now >= windowStart && now <= windowEnd;
           
           return {
             eventId: event.eventId,
@@ -595,11 +607,13 @@ router.get('/debug/events', asyncHandler(async (req, res) => {
             hasForecastResult: !!event.forecastResult,
             status: event.status,
             debugInfo: {
-              eventStartDate: eventStartDate.toISOString(),
-              todayDate: todayDate.toISOString(),
-              isToday: eventStartDate.getTime() === todayDate.getTime(),
-              hasNotEnded: now <= eventEnd,
-              wouldBeSelected: eventStartDate.getTime() === todayDate.getTime() && !!event.forecastResult && now <= eventEnd
+              timeZone,
+              windowStart: hasDates ? windowStart.toISOString() : null,
+              windowEnd: hasDates ? windowEnd.toISOString() : null,
+              eventDay: isWithinWindow ? getEventDay(now, event).day : null,
+              eventDays: hasDates ? countEventDays(event) : null,
+              isWithinWindow,
+              wouldBeSelected: isWithinWindow && !!event.forecastResult
             }
           };
         }),
@@ -618,7 +632,7 @@ router.get('/debug/events', asyncHandler(async (req, res) => {
  * POST /test/ongoing-notifications
  * Manually trigger ongoing event notifications for testing
  */
-router.post('/test/ongoing-notifications', asyncHandler(async (req, res) => {
+router.post('/test/ongoing-notifications', requireRole('ADMIN'), asyncHandler(async (req, res) => {
   try {
     logger.info('📲 Manual trigger of ongoing event notifications requested');
 
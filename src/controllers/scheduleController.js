@@ -0,0 +1,224 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const winston = require('winston');
+
+const scheduleService = require('../services/scheduleService');
+const { AppError, asyncHandler } = require('../utils/errorHandler');
+const { authorizeEvent } = require('../utils/accessControl');
+
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'schedule-controller' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Validation middleware for programme items; `isUpdate` makes every field optional
+const validateScheduleItem = (isUpdate = false) => [
+  (isUpdate ? body('activity').optional() : body('activity'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Activity must be 1-255 characters'),
+  (isUpdate ? body('startTime').optional() : body('startTime'))
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 datetime'),
+  (isUpdate ? body('endTime').optional() : body('endTime'))
+    .isISO8601()
+    .withMessage('End time must be a valid ISO 8601 datetime'),
+  body('expectedAttendance')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Expected attendance must be a non-negative integer')
+    .toInt()
+];
+
+const SCHEDULE_FIELDS = ['activity', 'startTime', 'endTime', 'expectedAttendance'];
+
+/**
+ * Picks the known fields present in the request body
+ */
+const pickFields = (source) => Object.fromEntries(
+  SCHEDULE_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+/**
+ * Sends a fail response with a code
+ */
+const sendFail = (req, res, statusCode, message, code, details) => res.status(statusCode).json({
+  success: false,
+  error: {
+    status: 'fail',
+    message,
+    code,
+    details
+  },
+  timestamp: new Date().toISOString(),
+  requestId: req.headers['x-request-id'] || 'unknown'
+});
+
+/**
+ * GET /events/:eventId/schedule
+ * Lists an event's programme in chronological order
+ */
+router.get('/:eventId/schedule', authorizeEvent('VIEWER'), asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const schedule = await scheduleService.getSchedule(eventId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId,
+        schedule
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving schedule', { eventId, error: error.message });
+    throw new AppError('Failed to retrieve schedule', 500, error.message);
+  }
+}));
+
+/**
+ * POST /events/:eventId/schedule
+ * Adds a programme item (doors open, support act, headliner, intermission, ...)
+ */
+router.post('/:eventId/schedule', authorizeEvent('OPERATOR'), validateScheduleItem(), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendFail(req, res, 400, 'Validation failed', undefined, errors.array());
+  }
+
+  const { eventId } = req.params;
+  const itemData = pickFields(req.body);
+
+  if (new Date(itemData.endTime) <= new Date(itemData.startTime)) {
+    return sendFail(req, res, 400, 'End time must be after start time', 'INVALID_TIME_RANGE');
+  }
+
+  logger.info('Creating schedule item', { eventId, activity: itemData.activity });
+
+  try {
+    const item = await scheduleService.createScheduleItem(eventId, itemData);
+
+    res.status(201).json({
+      success: true,
+      data: item,
+      message: 'Schedule item created successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error creating schedule item', { eventId, error: error.message });
+    throw new AppError('Failed to create schedule item', 500, error.message);
+  }
+}));
+
+/**
+ * GET /events/:eventId/schedule/:scheduleId
+ * Retrieves a programme item
+ */
+router.get('/:eventId/schedule/:scheduleId', authorizeEvent('VIEWER'), asyncHandler(async (req, res) => {
+  const { eventId, scheduleId } = req.params;
+
+  try {
+    const item = await scheduleService.getScheduleItemById(eventId, scheduleId);
+
+    if (!item) {
+      return sendFail(req, res, 404, 'Schedule item not found', 'SCHEDULE_ITEM_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: item
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving schedule item', { eventId, scheduleId, error: error.message });
+    throw new AppError('Failed to retrieve schedule item', 500, error.message);
+  }
+}));
+
+/**
+ * PUT /events/:eventId/schedule/:scheduleId
+ * Updates a programme item
+ */
+router.put('/:eventId/schedule/:scheduleId', authorizeEvent('OPERATOR'), validateScheduleItem(true), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendFail(req, res, 400, 'Validation failed', undefined, errors.array());
+  }
+
+  const { eventId, scheduleId } = req.params;
+  const updates = pickFields(req.body);
+
+  logger.info('Updating schedule item', { eventId, scheduleId, fields: Object.keys(updates) });
+
+  try {
+    const existing = await scheduleService.getScheduleItemById(eventId, scheduleId);
+
+    if (!existing) {
+      return sendFail(req, res, 404, 'Schedule item not found', 'SCHEDULE_ITEM_NOT_FOUND');
+    }
+
+    // Check the resulting range when only one end is changed
+    const startTime = updates.startTime || existing.startTime;
+    const endTime = updates.endTime || existing.endTime;
+    if (new Date(endTime) <= new Date(startTime)) {
+      return sendFail(req, res, 400, 'End time must be after start time', 'INVALID_TIME_RANGE');
+    }
+
+    const item = await scheduleService.updateScheduleItem(eventId, scheduleId, updates);
+
+    res.status(200).json({
+      success: true,
+      data: item,
+      message: 'Schedule item updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating schedule item', { eventId, scheduleId, error: error.message });
+    throw new AppError('Failed to update schedule item', 500, error.message);
+  }
+}));
+
+/**
+ * DELETE /events/:eventId/schedule/:scheduleId
+ * Removes a programme item
+ */
+router.delete('/:eventId/schedule/:scheduleId', authorizeEvent('OPERATOR'), asyncHandler(async (req, res) => {
+  const { eventId, scheduleId } = req.params;
+
+  logger.info('Deleting schedule item', { eventId, scheduleId });
+
+  try {
+    const deleted = await scheduleService.deleteScheduleItem(eventId, scheduleId);
+
+    if (!deleted) {
+      return sendFail(req, res, 404, 'Schedule item not found', 'SCHEDULE_ITEM_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Schedule item deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting schedule item', { eventId, scheduleId, error: error.message });
+    throw new AppError('Failed to delete schedule item', 500, error.message);
+  }
+}));
+
+module.exports = router;
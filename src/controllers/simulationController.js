@@ -4,7 +4,7 @@ const winston = require('winston');
 
 const supabaseService = require('../services/supabaseService');
 const aiModelService = require('../services/aiModelService');
-const notificationService = require('../services/notificationService');
+const notificationDispatcher = require('../services/notificationDispatcher');
 const { AppError, asyncHandler } = require('../utils/errorHandler');
 
 const router = express.Router();
@@ -104,10 +104,20 @@ router.post('/run', validateRunSimulation, asyncHandler(async (req, res) => {
         // Send notification if results contain recommendations
         if (results.recommendations && results.recommendations.length > 0) {
           try {
-            await notificationService.sendWhatsAppAlert(simulationId, results.recommendations);
-            logger.info('WhatsApp notification sent', { simulationId });
+            const notification = await notificationDispatcher.dispatch({
+              type: 'simulation_results',
+              eventId: simulation.eventId,
+              simulationId,
+              recommendations: results.recommendations
+            });
+            logger.info('Simulation notification sent', {
+              simulationId,
+              notificationId: notification.notificationId,
+              delivered: notification.delivered,
+              failed: notification.failed
+            });
           } catch (notificationError) {
-            logger.error('Failed to send WhatsApp notification', {
+            logger.error('Failed to send simulation notification', {
               simulationId,
               error: notificationError.message
             });
@@ -4,7 +4,13 @@ const { v4: uuidv4 } = require('uuid');
 const winston = require('winston');
 
 const userService = require('../services/userService');
+const authService = require('../services/authService');
+const oauthService = require('../services/oauthService');
+const notificationPreferenceService = require('../services/notificationPreferenceService');
 const { AppError, asyncHandler } = require('../utils/errorHandler');
+const organizationService = require('../services/organizationService');
+const { isAdmin, getOrgScope } = require('../utils/accessControl');
+const notificationPreferences = require('../utils/notificationPreferences');
 
 const router = express.Router();
 
@@ -42,7 +48,12 @@ const validateCreateUser = [
   body('phone')
     .optional()
     .matches(/^\+?[1-9]\d{1,14}$/)
-    .withMessage('Phone must be a valid international format')
+    .withMessage('Phone must be a valid international format'),
+  body('password')
+    .optional()
+    .isString()
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be 8-128 characters')
 ];
 
 // Validation middleware for updating users
@@ -64,9 +75,48 @@ const validateUpdateUser = [
   body('phone')
     .optional()
     .matches(/^\+?[1-9]\d{1,14}$/)
-    .withMessage('Phone must be a valid international format')
+    .withMessage('Phone must be a valid international format'),
+  body('role')
+    .optional()
+    .isIn(['ADMIN', 'ORGANIZER', 'OPERATOR', 'VIEWER'])
+    .withMessage('Role must be one of: ADMIN, ORGANIZER, OPERATOR, VIEWER')
 ];
 
+/**
+ * Ensures the authenticated caller is acting on their own account (admins may act on any)
+ * @param {Object} req - Express request (req.user set by authenticate middleware)
+ * @param {Object} target - Identifying fields of the targeted user (userId, email or username)
+ */
+const ensureSelf = (req, target) => {
+  const caller = req.user;
+  if (isAdmin(caller)) return;
+
+  const isSelf = caller && (
+    (target.userId && target.userId === caller.userId) ||
+    (target.email && target.email.toLowerCase() === caller.email) ||
+    (target.username && target.username.toLowerCase() === caller.username)
+  );
+
+  if (!isSelf) {
+    throw new AppError('You can only access your own user account', 403, { code: 'FORBIDDEN' });
+  }
+};
+
+/**
+ * Resolves the organizations whose users the caller may administer
+ * @param {Object} req - Express request
+ * @returns {Array<string>|null} - Organization IDs, or null for platform admins (all users)
+ */
+const getAdministeredOrgIds = (req) => {
+  const orgIds = getOrgScope(req, 'ADMIN');
+
+  if (orgIds && orgIds.length === 0) {
+    throw new AppError('Only organization admins can list users', 403, { code: 'FORBIDDEN' });
+  }
+
+  return orgIds;
+};
+
 /**
  * POST /users
  * Creates a new user
@@ -91,7 +141,8 @@ router.post('/', validateCreateUser, asyncHandler(async (req, res) => {
     email,
     username,
     status,
-    phone
+    phone,
+    password
   } = req.body;
 
   // Generate unique user ID
@@ -105,7 +156,8 @@ router.post('/', validateCreateUser, asyncHandler(async (req, res) => {
       email,
       username,
       status,
-      phone
+      phone,
+      passwordHash: password ? await authService.hashPassword(password) : null
     };
 
     const user = await userService.createUser(userData);
@@ -115,6 +167,7 @@ router.post('/', validateCreateUser, asyncHandler(async (req, res) => {
     res.status(201).json({
       success: true,
       data: user,
+      tokens: authService.issueTokens(user),
       message: 'User created successfully'
     });
 
@@ -140,21 +193,21 @@ router.post('/', validateCreateUser, asyncHandler(async (req, res) => {
 
 /**
  * POST /users/oauth
- * Creates a user from OAuth provider data (Google, etc.)
+ * Signs in with an OpenID Connect ID token from Google or LinkedIn, creating the user on
+ * first sign-in. The token is verified here (signature, issuer, audience, verified email)
+ * and the email and provider identity are taken from it, never from the request body.
+ * Returns access/refresh tokens. Existing users must present the provider identity they
+ * were bound to; an account without one is only linked when the caller is signed in as it.
  */
 router.post('/oauth', [
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Valid email is required'),
   body('provider')
     .isString()
-    .isIn(['google', 'facebook', 'github', 'linkedin'])
-    .withMessage('Provider must be one of: google, facebook, github, linkedin'),
-  body('providerId')
+    .isIn(oauthService.getSupportedProviders())
+    .withMessage(`Provider must be one of: ${oauthService.getSupportedProviders().join(', ')}`),
+  body('idToken')
     .isString()
     .notEmpty()
-    .withMessage('Provider ID is required'),
+    .withMessage('ID token from the provider is required'),
   body('username')
     .optional()
     .isString()
@@ -163,22 +216,6 @@ router.post('/oauth', [
     .optional()
     .isString()
     .withMessage('Display name must be a string'),
-  body('name')
-    .optional()
-    .isString()
-    .withMessage('Name must be a string'),
-  body('given_name')
-    .optional()
-    .isString()
-    .withMessage('Given name must be a string'),
-  body('family_name')
-    .optional()
-    .isString()
-    .withMessage('Family name must be a string'),
-  body('status')
-    .optional()
-    .isIn(['ACTIVE', 'INACTIVE', 'SUSPENDED', 'PENDING'])
-    .withMessage('Status must be one of: ACTIVE, INACTIVE, SUSPENDED, PENDING'),
   body('phone')
     .optional()
     .matches(/^\+?[1-9]\d{1,14}$/)
@@ -199,14 +236,77 @@ router.post('/oauth', [
     });
   }
 
-  const oauthData = req.body;
+  let identity;
+  try {
+    identity = await oauthService.verifyIdToken(req.body.provider, req.body.idToken);
+  } catch (error) {
+    if (error.code === 'OAUTH_PROVIDER_NOT_CONFIGURED') {
+      throw new AppError(`Sign-in with ${req.body.provider} is not configured`, 503, { code: error.code });
+    }
+    if (error.code) {
+      throw new AppError(error.message, 401, { code: error.code });
+    }
+    logger.error('Error verifying OAuth ID token', { provider: req.body.provider, error: error.message });
+    throw new AppError('Failed to verify OAuth sign-in', 502, error.message);
+  }
+
+  const { username, displayName, phone } = req.body;
+  const oauthData = { ...identity, username, displayName, phone };
 
-  logger.info('Creating OAuth user', { 
+  logger.info('OAuth sign-in', { 
     email: oauthData.email, 
     provider: oauthData.provider,
     displayName: oauthData.displayName 
   });
 
+  const existingUser = await userService.getUserAuthRecord('email', oauthData.email);
+
+  if (existingUser) {
+    const isBound = existingUser.oauthProvider && existingUser.oauthProviderId;
+    const matches = existingUser.oauthProvider === oauthData.provider &&
+      existingUser.oauthProviderId === oauthData.providerId;
+
+    if (isBound && !matches) {
+      logger.warn('OAuth identity mismatch', { email: oauthData.email, provider: oauthData.provider });
+      throw new AppError('OAuth identity does not match this account', 401, { code: 'INVALID_CREDENTIALS' });
+    }
+
+    // Linking a provider to an existing account needs proof of owning that account
+    if (!isBound && req.user?.userId !== existingUser.userId) {
+      logger.warn('OAuth link without account sign-in', { email: oauthData.email, provider: oauthData.provider });
+      throw new AppError(
+        'An account with this email already exists. Sign in to it first to link this provider',
+        409,
+        { code: 'OAUTH_LINK_REQUIRES_SIGN_IN' }
+      );
+    }
+
+    if (existingUser.status !== 'ACTIVE') {
+      throw new AppError(`User account is ${existingUser.status.toLowerCase()}`, 403, { code: 'USER_NOT_ACTIVE' });
+    }
+
+    try {
+      await userService.updateUserAuth(existingUser.userId, {
+        ...(isBound ? {} : { oauthProvider: oauthData.provider, oauthProviderId: oauthData.providerId }),
+        lastLoginAt: new Date().toISOString()
+      });
+
+      const { passwordHash, oauthProvider, oauthProviderId, tokenVersion, ...user } = existingUser;
+
+      logger.info('OAuth user signed in', { userId: user.userId, provider: oauthData.provider });
+
+      return res.status(200).json({
+        success: true,
+        data: user,
+        tokens: authService.issueTokens(existingUser),
+        message: 'OAuth user signed in successfully'
+      });
+    } catch (error) {
+      logger.error('Error signing in OAuth user', { email: oauthData.email, error: error.message });
+      throw new AppError('Failed to sign in OAuth user', 500, error.message);
+    }
+  }
+
   try {
     const user = await userService.createUserFromOAuth(oauthData);
 
@@ -220,6 +320,7 @@ router.post('/oauth', [
     res.status(201).json({
       success: true,
       data: user,
+      tokens: authService.issueTokens(user),
       message: 'OAuth user created successfully'
     });
 
@@ -247,9 +348,165 @@ router.post('/oauth', [
   }
 }));
 
+/**
+ * POST /users/login
+ * Exchanges email + password for access/refresh tokens
+ */
+router.post('/login', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        status: 'fail',
+        message: 'Validation failed',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString(),
+      requestId: req.headers['x-request-id'] || 'unknown'
+    });
+  }
+
+  const { email, password } = req.body;
+
+  logger.info('User login attempt', { email });
+
+  const authRecord = await userService.getUserAuthRecord('email', email);
+  const isValid = authRecord && await authService.verifyPassword(password, authRecord.passwordHash);
+
+  if (!isValid) {
+    logger.warn('Invalid login attempt', { email });
+    throw new AppError('Invalid email or password', 401, { code: 'INVALID_CREDENTIALS' });
+  }
+
+  if (authRecord.status !== 'ACTIVE') {
+    throw new AppError(`User account is ${authRecord.status.toLowerCase()}`, 403, { code: 'USER_NOT_ACTIVE' });
+  }
+
+  try {
+    await userService.updateUserAuth(authRecord.userId, { lastLoginAt: new Date().toISOString() });
+
+    const { passwordHash, oauthProvider, oauthProviderId, tokenVersion, ...user } = authRecord;
+
+    logger.info('User logged in successfully', { userId: user.userId });
+
+    res.status(200).json({
+      success: true,
+      data: user,
+      tokens: authService.issueTokens(authRecord),
+      message: 'Login successful'
+    });
+
+  } catch (error) {
+    logger.error('Error logging in user', { email, error: error.message });
+    throw new AppError('Failed to log in', 500, error.message);
+  }
+}));
+
+/**
+ * POST /users/refresh
+ * Exchanges a refresh token for a new access/refresh token pair
+ */
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        status: 'fail',
+        message: 'Validation failed',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString(),
+      requestId: req.headers['x-request-id'] || 'unknown'
+    });
+  }
+
+  // Invalid/expired tokens throw jsonwebtoken errors, mapped to 401 by the global handler
+  const payload = authService.verifyRefreshToken(req.body.refreshToken);
+  const authRecord = await userService.getUserAuthRecord('user_id', payload.sub);
+
+  if (!authRecord || authRecord.tokenVersion !== payload.ver) {
+    throw new AppError('Refresh token has been revoked', 401, { code: 'TOKEN_REVOKED' });
+  }
+
+  if (authRecord.status !== 'ACTIVE') {
+    throw new AppError(`User account is ${authRecord.status.toLowerCase()}`, 403, { code: 'USER_NOT_ACTIVE' });
+  }
+
+  logger.info('Refreshing tokens', { userId: authRecord.userId });
+
+  res.status(200).json({
+    success: true,
+    tokens: authService.issueTokens(authRecord)
+  });
+}));
+
+/**
+ * POST /users/logout
+ * Revokes all refresh tokens of the authenticated user
+ */
+router.post('/logout', asyncHandler(async (req, res) => {
+  const { userId } = req.user;
+
+  logger.info('Logging out user', { userId });
+
+  try {
+    const authRecord = await userService.getUserAuthRecord('user_id', userId);
+    await userService.updateUserAuth(userId, { tokenVersion: authRecord.tokenVersion + 1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error logging out user', { userId, error: error.message });
+    throw new AppError('Failed to log out', 500, error.message);
+  }
+}));
+
+/**
+ * GET /users/me
+ * Retrieves the authenticated user and the organizations they belong to
+ */
+router.get('/me', asyncHandler(async (req, res) => {
+  try {
+    const user = await userService.getUserById(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...user,
+        organizations: req.user.organizations
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving current user', { userId: req.user.userId, error: error.message });
+    throw new AppError('Failed to retrieve user', 500, error.message);
+  }
+}));
+
 /**
  * GET /users
- * Retrieves all users with pagination and filtering
+ * Retrieves users with pagination and filtering, scoped to the organizations the caller administers
  */
 router.get('/', asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
@@ -260,9 +517,15 @@ router.get('/', asyncHandler(async (req, res) => {
   if (req.query.status) filters.status = req.query.status;
   if (req.query.search) filters.search = req.query.search;
 
-  logger.info('Retrieving users', { page, limit, filters });
+  const orgIds = getAdministeredOrgIds(req);
+
+  logger.info('Retrieving users', { page, limit, filters, orgIds });
 
   try {
+    if (orgIds) {
+      filters.userIds = await organizationService.getMemberUserIds(orgIds);
+    }
+
     const result = await userService.getUsers(limit, offset, filters);
 
     const totalPages = Math.ceil(result.total / limit);
@@ -292,13 +555,15 @@ router.get('/', asyncHandler(async (req, res) => {
 
 /**
  * GET /users/statistics
- * Retrieves user statistics
+ * Retrieves user statistics, scoped to the organizations the caller administers
  */
 router.get('/statistics', asyncHandler(async (req, res) => {
-  logger.info('Retrieving user statistics');
+  const orgIds = getAdministeredOrgIds(req);
+
+  logger.info('Retrieving user statistics', { orgIds });
 
   try {
-    const statistics = await userService.getUserStatistics();
+    const statistics = await userService.getUserStatistics(orgIds);
 
     res.status(200).json({
       success: true,
@@ -317,6 +582,7 @@ router.get('/statistics', asyncHandler(async (req, res) => {
  */
 router.get('/email/:email', asyncHandler(async (req, res) => {
   const { email } = req.params;
+  ensureSelf(req, { email });
 
   logger.info('Retrieving user by email', { email });
 
@@ -353,6 +619,7 @@ router.get('/email/:email', asyncHandler(async (req, res) => {
  */
 router.get('/username/:username', asyncHandler(async (req, res) => {
   const { username } = req.params;
+  ensureSelf(req, { username });
 
   logger.info('Retrieving user by username', { username });
 
@@ -389,6 +656,7 @@ router.get('/username/:username', asyncHandler(async (req, res) => {
  */
 router.get('/:userId', asyncHandler(async (req, res) => {
   const { userId } = req.params;
+  ensureSelf(req, { userId });
 
   logger.info('Retrieving user by ID', { userId });
 
@@ -440,8 +708,18 @@ router.put('/:userId', validateUpdateUser, asyncHandler(async (req, res) => {
   }
 
   const { userId } = req.params;
+  ensureSelf(req, { userId });
   const updateData = req.body;
 
+  if ((updateData.role || updateData.status) && !isAdmin(req.user)) {
+    throw new AppError('Only admins can change user roles or status', 403, { code: 'FORBIDDEN' });
+  }
+
+  // Emails are not verified, so users cannot move their account to another address
+  if (updateData.email && updateData.email.toLowerCase() !== req.user.email && !isAdmin(req.user)) {
+    throw new AppError('Only admins can change a user\'s email', 403, { code: 'EMAIL_CHANGE_NOT_ALLOWED' });
+  }
+
   logger.info('Updating user', { userId });
 
   try {
@@ -490,12 +768,125 @@ router.put('/:userId', validateUpdateUser, asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * GET /users/:userId/preferences
+ * Retrieves a user's notification preferences, as stored and with the defaults filled in
+ */
+router.get('/:userId/preferences', asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  ensureSelf(req, { userId });
+
+  try {
+    const user = await userService.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          status: 'fail',
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        },
+        timestamp: new Date().toISOString(),
+        requestId: req.headers['x-request-id'] || 'unknown'
+      });
+    }
+
+    const preferences = await notificationPreferenceService.getUserPreferences(userId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        userId,
+        preferences,
+        effective: notificationPreferences.normalizeNotificationPreferences(preferences)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving notification preferences', { userId, error: error.message });
+    throw new AppError('Failed to retrieve notification preferences', 500, error.message);
+  }
+}));
+
+/**
+ * PUT /users/:userId/preferences
+ * Replaces a user's notification preferences; `preferences: null` restores the defaults.
+ * Quiet hours are in the time zone of the event a notification is about.
+ */
+router.put('/:userId/preferences', [
+  body('preferences')
+    .exists()
+    .withMessage('preferences is required (null restores the defaults)')
+    .bail()
+    .custom(value => {
+      if (value === null) return true;
+      const preferenceErrors = notificationPreferences.validateNotificationPreferences(value);
+      if (preferenceErrors.length > 0) {
+        throw new Error(`Invalid notification preferences: ${preferenceErrors.join('; ')}`);
+      }
+      return true;
+    })
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        status: 'fail',
+        message: 'Validation failed',
+        details: errors.array()
+      },
+      timestamp: new Date().toISOString(),
+      requestId: req.headers['x-request-id'] || 'unknown'
+    });
+  }
+
+  const { userId } = req.params;
+  ensureSelf(req, { userId });
+
+  logger.info('Updating notification preferences', { userId });
+
+  try {
+    const user = await userService.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          status: 'fail',
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        },
+        timestamp: new Date().toISOString(),
+        requestId: req.headers['x-request-id'] || 'unknown'
+      });
+    }
+
+    const preferences = await notificationPreferenceService.updateUserPreferences(userId, req.body.preferences);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        userId,
+        preferences,
+        effective: notificationPreferences.normalizeNotificationPreferences(preferences)
+      },
+      message: 'Notification preferences updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating notification preferences', { userId, error: error.message });
+    throw new AppError('Failed to update notification preferences', 500, error.message);
+  }
+}));
+
 /**
  * DELETE /users/:userId
  * Deletes a user
  */
 router.delete('/:userId', asyncHandler(async (req, res) => {
   const { userId } = req.params;
+  ensureSelf(req, { userId });
 
   logger.info('Deleting user', { userId });
 
@@ -0,0 +1,429 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const winston = require('winston');
+
+const gateService = require('../services/gateService');
+const zoneService = require('../services/zoneService');
+const { AppError, asyncHandler } = require('../utils/errorHandler');
+const { authorizeEvent } = require('../utils/accessControl');
+
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'venue-controller' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Position fields shared by gates and zones
+const validatePosition = [
+  body('latitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  body('longitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat()
+];
+
+// Validation middleware for gates; `isUpdate` makes every field optional
+const validateGate = (isUpdate = false) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Gate name must be 1-255 characters'),
+  (isUpdate ? body('capacity').optional() : body('capacity'))
+    .isInt({ min: 1 })
+    .withMessage('Gate capacity must be a positive integer')
+    .toInt(),
+  body('zoneId')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Zone ID must be a string'),
+  body('sortOrder')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Sort order must be a non-negative integer')
+    .toInt(),
+  ...validatePosition
+];
+
+// Validation middleware for zones; `isUpdate` makes every field optional
+const validateZone = (isUpdate = false) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Zone name must be 1-255 characters'),
+  (isUpdate ? body('realCapacity').optional() : body('realCapacity'))
+    .isInt({ min: 1 })
+    .withMessage('Real capacity must be a positive integer')
+    .toInt(),
+  (isUpdate ? body('expectedCapacity').optional() : body('expectedCapacity'))
+    .isInt({ min: 1 })
+    .withMessage('Expected capacity must be a positive integer')
+    .toInt(),
+  ...validatePosition
+];
+
+/**
+ * Sends the standard validation failure response if the request is invalid
+ * @returns {boolean} - True if a response was sent
+ */
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    error: {
+      status: 'fail',
+      message: 'Validation failed',
+      details: errors.array()
+    },
+    timestamp: new Date().toISOString(),
+    requestId: req.headers['x-request-id'] || 'unknown'
+  });
+  return true;
+};
+
+/**
+ * Sends a fail response with a code
+ */
+const sendFail = (req, res, statusCode, message, code) => res.status(statusCode).json({
+  success: false,
+  error: {
+    status: 'fail',
+    message,
+    code
+  },
+  timestamp: new Date().toISOString(),
+  requestId: req.headers['x-request-id'] || 'unknown'
+});
+
+/**
+ * Picks the known fields present in the request body
+ */
+const pickFields = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+const GATE_FIELDS = ['name', 'capacity', 'zoneId', 'latitude', 'longitude', 'sortOrder'];
+const ZONE_FIELDS = ['name', 'realCapacity', 'expectedCapacity', 'latitude', 'longitude'];
+
+/**
+ * GET /events/:eventId/gates
+ * Lists an event's gates in forecast order
+ */
+router.get('/:eventId/gates', authorizeEvent('VIEWER'), asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const gates = await gateService.getGates(eventId, { zoneId: req.query.zoneId });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId,
+        gates
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving gates', { eventId, error: error.message });
+    throw new AppError('Failed to retrieve gates', 500, error.message);
+  }
+}));
+
+/**
+ * POST /events/:eventId/gates
+ * Creates a gate. Its name is the key used in forecast and prediction results.
+ */
+router.post('/:eventId/gates', authorizeEvent('OPERATOR'), validateGate(), asyncHandler(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const { eventId } = req.params;
+  const gateData = pickFields(req.body, GATE_FIELDS);
+
+  logger.info('Creating gate', { eventId, name: gateData.name });
+
+  try {
+    if (gateData.zoneId && !(await zoneService.getZoneById(eventId, gateData.zoneId))) {
+      return sendFail(req, res, 400, 'Zone not found for this event', 'ZONE_NOT_FOUND');
+    }
+
+    const gate = await gateService.createGate(eventId, gateData);
+
+    res.status(201).json({
+      success: true,
+      data: gate,
+      message: 'Gate created successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error creating gate', { eventId, error: error.message });
+
+    if (error.message.includes('already exists')) {
+      return sendFail(req, res, 409, error.message, 'DUPLICATE_RESOURCE');
+    }
+
+    throw new AppError('Failed to create gate', 500, error.message);
+  }
+}));
+
+/**
+ * GET /events/:eventId/gates/:gateId
+ * Retrieves a gate
+ */
+router.get('/:eventId/gates/:gateId', authorizeEvent('VIEWER'), asyncHandler(async (req, res) => {
+  const { eventId, gateId } = req.params;
+
+  try {
+    const gate = await gateService.getGateById(eventId, gateId);
+
+    if (!gate) {
+      return sendFail(req, res, 404, 'Gate not found', 'GATE_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: gate
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving gate', { eventId, gateId, error: error.message });
+    throw new AppError('Failed to retrieve gate', 500, error.message);
+  }
+}));
+
+/**
+ * PUT /events/:eventId/gates/:gateId
+ * Updates a gate; send `zoneId: null` to remove it from its zone
+ */
+router.put('/:eventId/gates/:gateId', authorizeEvent('OPERATOR'), validateGate(true), asyncHandler(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const { eventId, gateId } = req.params;
+  const updates = pickFields(req.body, GATE_FIELDS);
+
+  logger.info('Updating gate', { eventId, gateId, fields: Object.keys(updates) });
+
+  try {
+    if (updates.zoneId && !(await zoneService.getZoneById(eventId, updates.zoneId))) {
+      return sendFail(req, res, 400, 'Zone not found for this event', 'ZONE_NOT_FOUND');
+    }
+
+    const gate = await gateService.updateGate(eventId, gateId, updates);
+
+    if (!gate) {
+      return sendFail(req, res, 404, 'Gate not found', 'GATE_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: gate,
+      message: 'Gate updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating gate', { eventId, gateId, error: error.message });
+
+    if (error.message.includes('already exists')) {
+      return sendFail(req, res, 409, error.message, 'DUPLICATE_RESOURCE');
+    }
+
+    throw new AppError('Failed to update gate', 500, error.message);
+  }
+}));
+
+/**
+ * DELETE /events/:eventId/gates/:gateId
+ * Deletes a gate
+ */
+router.delete('/:eventId/gates/:gateId', authorizeEvent('OPERATOR'), asyncHandler(async (req, res) => {
+  const { eventId, gateId } = req.params;
+
+  logger.info('Deleting gate', { eventId, gateId });
+
+  try {
+    const deleted = await gateService.deleteGate(eventId, gateId);
+
+    if (!deleted) {
+      return sendFail(req, res, 404, 'Gate not found', 'GATE_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Gate deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting gate', { eventId, gateId, error: error.message });
+    throw new AppError('Failed to delete gate', 500, error.message);
+  }
+}));
+
+/**
+ * GET /events/:eventId/zones
+ * Lists an event's zones
+ */
+router.get('/:eventId/zones', authorizeEvent('VIEWER'), asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const zones = await zoneService.getZones(eventId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId,
+        zones
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving zones', { eventId, error: error.message });
+    throw new AppError('Failed to retrieve zones', 500, error.message);
+  }
+}));
+
+/**
+ * POST /events/:eventId/zones
+ * Creates a zone
+ */
+router.post('/:eventId/zones', authorizeEvent('OPERATOR'), validateZone(), asyncHandler(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const { eventId } = req.params;
+  const zoneData = pickFields(req.body, ZONE_FIELDS);
+
+  logger.info('Creating zone', { eventId, name: zoneData.name });
+
+  try {
+    const zone = await zoneService.createZone(eventId, zoneData);
+
+    res.status(201).json({
+      success: true,
+      data: zone,
+      message: 'Zone created successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error creating zone', { eventId, error: error.message });
+
+    if (error.message.includes('already exists')) {
+      return sendFail(req, res, 409, error.message, 'DUPLICATE_RESOURCE');
+    }
+
+    throw new AppError('Failed to create zone', 500, error.message);
+  }
+}));
+
+/**
+ * GET /events/:eventId/zones/:zoneId
+ * Retrieves a zone with its gates
+ */
+router.get('/:eventId/zones/:zoneId', authorizeEvent('VIEWER'), asyncHandler(async (req, res) => {
+  const { eventId, zoneId } = req.params;
+
+  try {
+    const zone = await zoneService.getZoneById(eventId, zoneId);
+
+    if (!zone) {
+      return sendFail(req, res, 404, 'Zone not found', 'ZONE_NOT_FOUND');
+    }
+
+    const gates = await gateService.getGates(eventId, { zoneId });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...zone,
+        gates
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving zone', { eventId, zoneId, error: error.message });
+    throw new AppError('Failed to retrieve zone', 500, error.message);
+  }
+}));
+
+/**
+ * PUT /events/:eventId/zones/:zoneId
+ * Updates a zone
+ */
+router.put('/:eventId/zones/:zoneId', authorizeEvent('OPERATOR'), validateZone(true), asyncHandler(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const { eventId, zoneId } = req.params;
+  const updates = pickFields(req.body, ZONE_FIELDS);
+
+  logger.info('Updating zone', { eventId, zoneId, fields: Object.keys(updates) });
+
+  try {
+    const zone = await zoneService.updateZone(eventId, zoneId, updates);
+
+    if (!zone) {
+      return sendFail(req, res, 404, 'Zone not found', 'ZONE_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: zone,
+      message: 'Zone updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating zone', { eventId, zoneId, error: error.message });
+
+    if (error.message.includes('already exists')) {
+      return sendFail(req, res, 409, error.message, 'DUPLICATE_RESOURCE');
+    }
+
+    throw new AppError('Failed to update zone', 500, error.message);
+  }
+}));
+
+/**
+ * DELETE /events/:eventId/zones/:zoneId
+ * Deletes a zone; its gates are kept without a zone
+ */
+router.delete('/:eventId/zones/:zoneId', authorizeEvent('OPERATOR'), asyncHandler(async (req, res) => {
+  const { eventId, zoneId } = req.params;
+
+  logger.info('Deleting zone', { eventId, zoneId });
+
+  try {
+    const deleted = await zoneService.deleteZone(eventId, zoneId);
+
+    if (!deleted) {
+      return sendFail(req, res, 404, 'Zone not found', 'ZONE_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Zone deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting zone', { eventId, zoneId, error: error.message });
+    throw new AppError('Failed to delete zone', 500, error.message);
+  }
+}));
+
+module.exports = router;
@@ -12,14 +12,21 @@ require('dotenv').config();
 
 // Import controllers
 const eventController = require('./controllers/newEventController');
+const venueController = require('./controllers/venueController');
+const scheduleController = require('./controllers/scheduleController');
+const checkInController = require('./controllers/checkInController');
+const incidentController = require('./controllers/incidentController');
 const forecastController = require('./controllers/forecastController');
 const userController = require('./controllers/userController');
+const organizationController = require('./controllers/organizationController');
 const predictionController = require('./controllers/predictionController');
 const notificationController = require('./controllers/notificationController');
+const broadcastController = require('./controllers/broadcastController');
 const videoStreamingController = require('./controllers/videoStreamingController');
 
 // Import middleware
 const errorHandler = require('./utils/errorHandler');
+const { authenticate } = require('./utils/authMiddleware');
 
 // Import services
 const cronService = require('./services/cronService');
@@ -95,7 +102,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Organization-Id', 'X-API-Key']
 }));
 
 // Rate limiting - DISABLED
@@ -474,11 +481,6 @@ app.get('/postman-guide', (req, res) => {
   }
 });
 
-// API routes
-app.use('/api/v1/users', userController);
-app.use('/api/v1/events', eventController);
-app.use('/api/v1/forecast', forecastController);
-
 // Root endpoint
 app.get('/', (req, res) => {
   res.status(200).json({
@@ -494,6 +496,7 @@ app.get('/', (req, res) => {
     endpoints: {
       health: `${req.protocol}://${req.get('host')}/health`,
       users: `${req.protocol}://${req.get('host')}/api/v1/users`,
+      organizations: `${req.protocol}://${req.get('host')}/api/v1/organizations`,
       events: `${req.protocol}://${req.get('host')}/api/v1/events`,
       forecast: `${req.protocol}://${req.get('host')}/api/v1/forecast`,
       notifications: `${req.protocol}://${req.get('host')}/api/v1/notifications`,
@@ -502,13 +505,42 @@ app.get('/', (req, res) => {
   });
 });
 
-// API Routes
-app.use('/api/v1/users', userController);
-app.use('/api/v1/events', eventController);
-app.use('/api/v1/forecast', forecastController);
-app.use('/api/v1/prediction', predictionController);
-app.use('/api/v1/notifications', notificationController);
-app.use('/api/v1/video-streaming', videoStreamingController);
+// API Routes - every router requires a bearer token except the listed public routes;
+// routes in apiKeyRoutes also accept an X-API-Key with the given scope
+app.use('/api/v1/users', authenticate({
+  publicRoutes: ['POST /', 'POST /oauth', 'POST /login', 'POST /refresh']
+}), userController);
+app.use('/api/v1/organizations', authenticate(), organizationController);
+app.use('/api/v1/events', authenticate({
+  apiKeyRoutes: {
+    'GET /': 'read:events',
+    'GET /statistics': 'read:events',
+    'GET /:eventId': 'read:events',
+    'GET /:eventId/gates': 'read:events',
+    'GET /:eventId/zones': 'read:events',
+    'GET /:eventId/schedule': 'read:events',
+    'GET /:eventId/check-ins/arrivals': 'read:events',
+    'POST /:eventId/check-ins': 'write:check-ins',
+    'POST /:eventId/check-ins/upload': 'write:check-ins',
+    'GET /:eventId/incidents': 'read:events',
+    'GET /:eventId/alert-policy': 'read:events'
+  }
+}), eventController, venueController, scheduleController, checkInController, incidentController);
+app.use('/api/v1/forecast', authenticate({
+  publicRoutes: ['GET /health/model', 'GET /health/new-model'],
+  apiKeyRoutes: { 'GET /:eventId': 'read:predictions' }
+}), forecastController);
+app.use('/api/v1/prediction', authenticate({
+  publicRoutes: ['GET /health/model'],
+  apiKeyRoutes: { 'GET /:eventId': 'read:predictions', 'GET /:eventId/comparison': 'read:predictions' }
+}), predictionController);
+app.use('/api/v1/notifications', authenticate({
+  publicRoutes: ['GET /public-key', 'POST /subscribe', 'POST /unsubscribe', 'PUT /preferences', 'POST /logs/:logId/click'],
+  apiKeyRoutes: { 'POST /send': 'write:notifications', 'POST /test': 'write:notifications' }
+}), notificationController, broadcastController);
+app.use('/api/v1/video-streaming', authenticate({
+  publicRoutes: ['GET /health', 'GET /api-health']
+}), videoStreamingController);
 
 // 404 handler
 app.use('*', (req, res) => {
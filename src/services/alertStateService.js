@@ -0,0 +1,247 @@
+const supabaseService = require('./supabaseService');
+const winston = require('winston');
+const { compareLevels } = require('../utils/alertPolicy');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'alert-state-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const STATE_COLUMNS = 'event_id, gate_name, state, level, alerted_since, recovering_since, last_notified_level, last_notified_at, last_warning_level, last_warning_at, updated_at';
+
+/**
+ * Congestion alert state of each gate, persisted in gate_alert_states:
+ *
+ *   NORMAL -> ELEVATED -> CRITICAL -> RECOVERING -> NORMAL
+ *
+ * A gate enters ELEVATED (or CRITICAL for critical and overcrowded) when its sustained
+ * level is one the policy notifies at, escalates when the level rises, and only steps
+ * down once the level with the hysteresis margin falls. It then waits in RECOVERING for
+ * the cooldown before returning to NORMAL with an "all clear".
+ */
+class AlertStateService {
+  constructor() {
+    this.client = supabaseService.client;
+    this.states = ['NORMAL', 'ELEVATED', 'CRITICAL', 'RECOVERING'];
+  }
+
+  /**
+   * Retrieves the alert states of an event's gates
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} - Gate name -> state
+   */
+  async getGateStates(eventId) {
+    try {
+      const { data: rows, error } = await this.client
+        .from('gate_alert_states')
+        .select(STATE_COLUMNS)
+        .eq('event_id', eventId);
+
+      if (error) throw error;
+
+      return Object.fromEntries(rows.map(row => [row.gate_name, this.convertStateToCamelCase(row)]));
+    } catch (error) {
+      logger.error('Error retrieving gate alert states', { eventId, error: error.message });
+      throw new Error(`Failed to retrieve gate alert states: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stores the alert state of a gate
+   * @param {string} eventId - Event ID
+   * @param {string} gateName - Gate key as used in predict_result
+   * @param {Object} state - From transition()
+   * @returns {Promise<Object>} - Stored state
+   */
+  async saveGateState(eventId, gateName, state) {
+    try {
+      const { data: row, error } = await this.client
+        .from('gate_alert_states')
+        .upsert({
+          event_id: eventId,
+          gate_name: gateName,
+          state: state.state,
+          level: state.level,
+          alerted_since: state.alertedSince,
+          recovering_since: state.recoveringSince,
+          last_notified_level: state.lastNotifiedLevel,
+          last_notified_at: state.lastNotifiedAt,
+          last_warning_level: state.lastWarningLevel,
+          last_warning_at: state.lastWarningAt,
+          updated_at: new Date().toISOString()
+        }, {
+          onConflict: 'event_id,gate_name'
+        })
+        .select(STATE_COLUMNS)
+        .single();
+
+      if (error) throw error;
+
+      return this.convertStateToCamelCase(row);
+    } catch (error) {
+      logger.error('Error saving gate alert state', { eventId, gateName, error: error.message });
+      throw new Error(`Failed to save gate alert state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Works out a gate's next alert state from its latest readings
+   * @param {Object|null} current - Stored state, null for a gate without one
+   * @param {Object} readings
+   * @param {string} readings.sustainedLevel - alertPolicy.getSustainedLevel()
+   * @param {string} readings.recoveryLevel - alertPolicy.getRecoveryLevel()
+   * @param {Object} readings.gatePolicy - alertPolicy.resolveGatePolicy()
+   * @param {Date} [readings.now=new Date()]
+   * @returns {{state: Object, changed: boolean, notify: {type: string, level: string}|null}}
+   *   notify.type is 'escalation' (when subscribers have not yet heard of the level) or 'all_clear'
+   */
+  transition(current, { sustainedLevel, recoveryLevel, gatePolicy, now = new Date() }) {
+    const previous = current || {
+      state: 'NORMAL',
+      level: 'low',
+      alertedSince: null,
+      recoveringSince: null,
+      lastNotifiedLevel: null,
+      lastNotifiedAt: null,
+      lastWarningLevel: null,
+      lastWarningAt: null
+    };
+    const nowIso = now.toISOString();
+    const cooldownMs = gatePolicy.cooldownMinutes * 60 * 1000;
+    const isAlerting = (level) => level !== 'low' && (gatePolicy.recipients[level] || []).length > 0;
+    const stateFor = (level) => (compareLevels(level, 'critical') >= 0 ? 'CRITICAL' : 'ELEVATED');
+    const isActive = (state) => state === 'ELEVATED' || state === 'CRITICAL';
+
+    let next = { ...previous };
+    let notify = null;
+
+    if (isAlerting(sustainedLevel) &&
+      (!isActive(previous.state) || compareLevels(sustainedLevel, previous.level) > 0)) {
+      // Enter or escalate; a gate coming back from RECOVERING continues its episode
+      next = {
+        ...next,
+        state: stateFor(sustainedLevel),
+        level: sustainedLevel,
+        alertedSince: previous.state === 'NORMAL' ? nowIso : previous.alertedSince,
+        recoveringSince: null
+      };
+    } else if (isActive(previous.state) && compareLevels(recoveryLevel, previous.level) < 0) {
+      // Step down only once the level with the hysteresis margin is lower
+      next = isAlerting(recoveryLevel)
+        ? { ...next, state: stateFor(recoveryLevel), level: recoveryLevel }
+        : { ...next, state: 'RECOVERING', recoveringSince: nowIso };
+    } else if (previous.state === 'RECOVERING' && isAlerting(recoveryLevel)) {
+      // Back within the hysteresis margin: the calm period starts again
+      next = { ...next, recoveringSince: nowIso };
+    }
+
+    if (next.state === 'RECOVERING' && now - new Date(next.recoveringSince) >= cooldownMs) {
+      // Subscribers only hear "all clear" for an episode they were alerted about
+      if (next.lastNotifiedAt && new Date(next.lastNotifiedAt) >= new Date(next.alertedSince)) {
+        notify = { type: 'all_clear', level: next.level };
+      }
+      next = { ...next, state: 'NORMAL', level: 'low', alertedSince: null, recoveringSince: null };
+    }
+
+    // Each level is announced once per episode, and not again within the cooldown of an
+    // earlier episode's alert. Levels held back by a quiet period stay pending.
+    if (isActive(next.state)) {
+      const covered = next.lastNotifiedAt &&
+        compareLevels(next.lastNotifiedLevel, next.level) >= 0 &&
+        (new Date(next.lastNotifiedAt) >= new Date(next.alertedSince) ||
+          now - new Date(next.lastNotifiedAt) < cooldownMs);
+
+      if (!covered) {
+        notify = { type: 'escalation', level: next.level };
+      }
+    }
+
+    const changed = !current || ['state', 'level', 'alertedSince', 'recoveringSince']
+      .some(field => next[field] !== previous[field]);
+
+    return { state: next, changed, notify };
+  }
+
+  /**
+   * Records that subscribers were notified of a level
+   * @param {Object} state - From transition()
+   * @param {string} level - Level notified
+   * @param {Date} [now=new Date()]
+   * @returns {Object} - Updated state
+   */
+  markNotified(state, level, now = new Date()) {
+    return {
+      ...state,
+      lastNotifiedLevel: level,
+      lastNotifiedAt: now.toISOString()
+    };
+  }
+
+  /**
+   * Whether operators should get an early warning for a forecast level. Not when the
+   * gate is already alerting at that level, nor when the same or a higher level was
+   * warned about within the cooldown.
+   * @param {Object} state - From transition()
+   * @param {string} level - Level the forecast reaches
+   * @param {Object} gatePolicy - alertPolicy.resolveGatePolicy()
+   * @param {Date} [now=new Date()]
+   * @returns {boolean}
+   */
+  isEarlyWarningDue(state, level, gatePolicy, now = new Date()) {
+    if ((state.state === 'ELEVATED' || state.state === 'CRITICAL') && compareLevels(state.level, level) >= 0) {
+      return false;
+    }
+
+    return !(state.lastWarningAt &&
+      compareLevels(state.lastWarningLevel, level) >= 0 &&
+      now - new Date(state.lastWarningAt) < gatePolicy.cooldownMinutes * 60 * 1000);
+  }
+
+  /**
+   * Records that operators were warned of a forecast level
+   * @param {Object} state - From transition()
+   * @param {string} level - Level warned about
+   * @param {Date} [now=new Date()]
+   * @returns {Object} - Updated state
+   */
+  markEarlyWarning(state, level, now = new Date()) {
+    return {
+      ...state,
+      lastWarningLevel: level,
+      lastWarningAt: now.toISOString()
+    };
+  }
+
+  /**
+   * Converts a gate_alert_states row to camelCase
+   * @param {Object} row - Database row
+   * @returns {Object}
+   */
+  convertStateToCamelCase(row) {
+    return {
+      gate: row.gate_name,
+      state: row.state,
+      level: row.level,
+      alertedSince: row.alerted_since,
+      recoveringSince: row.recovering_since,
+      lastNotifiedLevel: row.last_notified_level,
+      lastNotifiedAt: row.last_notified_at,
+      lastWarningLevel: row.last_warning_level,
+      lastWarningAt: row.last_warning_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new AlertStateService();
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const supabaseService = require('./supabaseService');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'api-key-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const API_KEY_SCOPES = ['read:events', 'read:predictions', 'write:notifications', 'write:check-ins'];
+const KEY_PREFIX = 'eai_';
+
+// Don't write last-used tracking more than once per key per minute
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+class ApiKeyService {
+  constructor() {
+    this.client = supabaseService.client;
+    this.scopes = API_KEY_SCOPES;
+    this.lastUsedWrites = new Map(); // keyId -> timestamp of last tracking write
+  }
+
+  /**
+   * Hashes a plain API key for storage and lookup
+   * @param {string} apiKey - Plain API key
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Creates an API key for an organization
+   * @param {string} orgId - Organization ID
+   * @param {Object} keyData - { name, scopes, expiresAt }
+   * @param {string} createdBy - User ID of the creator
+   * @returns {Promise<Object>} - Key metadata plus the plain `apiKey`, which is never retrievable again
+   */
+  async createApiKey(orgId, keyData, createdBy) {
+    try {
+      const keyId = `key_${uuidv4()}`;
+      const apiKey = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+      logger.info('Creating API key', { keyId, orgId, scopes: keyData.scopes });
+
+      const { data: record, error } = await this.client
+        .from('api_keys')
+        .insert({
+          key_id: keyId,
+          org_id: orgId,
+          name: keyData.name,
+          key_prefix: apiKey.substring(0, 12),
+          key_hash: this.hashKey(apiKey),
+          scopes: keyData.scopes,
+          expires_at: keyData.expiresAt || null,
+          created_by: createdBy
+        })
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      logger.info('API key created successfully', { keyId, orgId });
+      return {
+        ...this.convertApiKeyToCamelCase(record),
+        apiKey
+      };
+    } catch (error) {
+      logger.error('Error creating API key', { orgId, error: error.message });
+      throw new Error(`Failed to create API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists the API keys of an organization (without secrets)
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Object[]>}
+   */
+  async getApiKeys(orgId) {
+    try {
+      const { data: records, error } = await this.client
+        .from('api_keys')
+        .select('*')
+        .eq('org_id', orgId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return records.map(record => this.convertApiKeyToCamelCase(record));
+    } catch (error) {
+      logger.error('Error retrieving API keys', { orgId, error: error.message });
+      throw new Error(`Failed to retrieve API keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revokes an API key
+   * @param {string} orgId - Organization ID
+   * @param {string} keyId - API key ID
+   * @param {string} revokedBy - User ID of the caller
+   * @returns {Promise<Object|null>} - Revoked key, or null if not found
+   */
+  async revokeApiKey(orgId, keyId, revokedBy) {
+    try {
+      logger.info('Revoking API key', { orgId, keyId });
+
+      const { data: records, error } = await this.client
+        .from('api_keys')
+        .update({
+          revoked_at: new Date().toISOString(),
+          revoked_by: revokedBy
+        })
+        .eq('org_id', orgId)
+        .eq('key_id', keyId)
+        .is('revoked_at', null)
+        .select('*');
+
+      if (error) throw error;
+
+      return records.length > 0 ? this.convertApiKeyToCamelCase(records[0]) : null;
+    } catch (error) {
+      logger.error('Error revoking API key', { orgId, keyId, error: error.message });
+      throw new Error(`Failed to revoke API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolves a plain API key to its record. Revoked and expired keys resolve to null.
+   * @param {string} apiKey - Plain API key from the X-API-Key header
+   * @returns {Promise<Object|null>}
+   */
+  async authenticate(apiKey) {
+    if (!apiKey || !apiKey.startsWith(KEY_PREFIX)) return null;
+
+    const { data: record, error } = await this.client
+      .from('api_keys')
+      .select('*')
+      .eq('key_hash', this.hashKey(apiKey))
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = not found
+      throw new Error(`Failed to verify API key: ${error.message}`);
+    }
+
+    if (!record || record.revoked_at) return null;
+    if (record.expires_at && new Date(record.expires_at) <= new Date()) return null;
+
+    return this.convertApiKeyToCamelCase(record);
+  }
+
+  /**
+   * Records key usage. Throttled and never throws - tracking must not fail requests.
+   * @param {string} keyId - API key ID
+   * @param {string} ipAddress - Caller IP address
+   */
+  async recordUsage(keyId, ipAddress) {
+    const now = Date.now();
+    const lastWrite = this.lastUsedWrites.get(keyId);
+    if (lastWrite && now - lastWrite < LAST_USED_UPDATE_INTERVAL_MS) return;
+
+    this.lastUsedWrites.set(keyId, now);
+
+    try {
+      const { error } = await this.client
+        .from('api_keys')
+        .update({
+          last_used_at: new Date(now).toISOString(),
+          last_used_ip: ipAddress || null
+        })
+        .eq('key_id', keyId);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.warn('Failed to record API key usage', { keyId, error: error.message });
+    }
+  }
+
+  /**
+   * Converts database API key object to camelCase (never includes the hash)
+   * @param {Object} record - API key from database
+   * @returns {Object}
+   */
+  convertApiKeyToCamelCase(record) {
+    return {
+      keyId: record.key_id,
+      orgId: record.org_id,
+      name: record.name,
+      keyPrefix: record.key_prefix,
+      scopes: record.scopes || [],
+      createdBy: record.created_by,
+      expiresAt: record.expires_at,
+      revokedAt: record.revoked_at,
+      lastUsedAt: record.last_used_at,
+      lastUsedIp: record.last_used_ip,
+      createdAt: record.created_at
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,134 @@
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'auth-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+if (!process.env.JWT_SECRET) {
+  logger.error('Missing JWT configuration. Please set JWT_SECRET (and optionally JWT_REFRESH_SECRET)');
+}
+
+class AuthService {
+  constructor() {
+    this.accessSecret = process.env.JWT_SECRET;
+    this.refreshSecret = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+    this.accessExpiresIn = process.env.JWT_EXPIRES_IN || '1h';
+    this.refreshExpiresIn = process.env.JWT_REFRESH_EXPIRES_IN || '30d';
+    this.saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
+    this.issuer = 'event-ai-server';
+  }
+
+  /**
+   * Issues an access/refresh token pair for a user
+   * @param {Object} user - User in camelCase form (userId, email, username, tokenVersion)
+   * @returns {{accessToken: string, refreshToken: string, tokenType: string, expiresIn: string}}
+   */
+  issueTokens(user) {
+    if (!this.accessSecret) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+
+    const accessToken = jwt.sign(
+      {
+        type: 'access',
+        email: user.email,
+        username: user.username
+      },
+      this.accessSecret,
+      {
+        subject: user.userId,
+        issuer: this.issuer,
+        expiresIn: this.accessExpiresIn
+      }
+    );
+
+    const refreshToken = jwt.sign(
+      {
+        type: 'refresh',
+        ver: user.tokenVersion || 0
+      },
+      this.refreshSecret,
+      {
+        subject: user.userId,
+        issuer: this.issuer,
+        expiresIn: this.refreshExpiresIn
+      }
+    );
+
+    logger.info('Issued tokens', { userId: user.userId });
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: this.accessExpiresIn
+    };
+  }
+
+  /**
+   * Verifies an access token. Throws jsonwebtoken errors (JsonWebTokenError,
+   * TokenExpiredError) which the global error handler maps to 401.
+   * @param {string} token - Bearer token
+   * @returns {Object} - Decoded payload
+   */
+  verifyAccessToken(token) {
+    const payload = jwt.verify(token, this.accessSecret, { issuer: this.issuer });
+
+    if (payload.type !== 'access') {
+      throw new jwt.JsonWebTokenError('Token is not an access token');
+    }
+
+    return payload;
+  }
+
+  /**
+   * Verifies a refresh token
+   * @param {string} token - Refresh token
+   * @returns {Object} - Decoded payload
+   */
+  verifyRefreshToken(token) {
+    const payload = jwt.verify(token, this.refreshSecret, { issuer: this.issuer });
+
+    if (payload.type !== 'refresh') {
+      throw new jwt.JsonWebTokenError('Token is not a refresh token');
+    }
+
+    return payload;
+  }
+
+  /**
+   * Hashes a plain-text password
+   * @param {string} password - Plain-text password
+   * @returns {Promise<string>} - bcrypt hash
+   */
+  async hashPassword(password) {
+    return bcrypt.hash(password, this.saltRounds);
+  }
+
+  /**
+   * Compares a plain-text password with a stored hash
+   * @param {string} password - Plain-text password
+   * @param {string|null} passwordHash - Stored bcrypt hash
+   * @returns {Promise<boolean>}
+   */
+  async verifyPassword(password, passwordHash) {
+    if (!passwordHash) return false;
+    return bcrypt.compare(password, passwordHash);
+  }
+}
+
+module.exports = new AuthService();
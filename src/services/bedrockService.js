@@ -345,9 +345,9 @@ Output ONLY the JSON. Start with { and end with }`;
     }
   }
 
-  async getIncidentRecommendation(forecastResult, forecastData) {
+  async getIncidentRecommendation(forecastResult, forecastData, alertPolicy = null) {
     const modelId = "amazon.nova-lite-v1:0";
-    const prompt = generateRecommendationPrompt(forecastResult, forecastData);
+    const prompt = generateRecommendationPrompt(forecastResult, forecastData, alertPolicy);
 
     const input = {
       modelId,
@@ -0,0 +1,536 @@
+const supabaseService = require('./supabaseService');
+const eventService = require('./eventService');
+const scheduleService = require('./scheduleService');
+const notificationDispatcher = require('./notificationDispatcher');
+const broadcastTemplates = require('../utils/broadcastTemplates');
+const { getEventTimeZone } = require('../utils/timezoneHelper');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'broadcast-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const BROADCAST_COLUMNS = 'id, broadcast_id, event_id, org_id, type, title_template, body_template, audiences, gate, zone_id, anchor, schedule_id, offset_minutes, send_at, status, claimed_at, notification_id, result, last_error, created_by, sent_at, created_at, updated_at';
+
+const BROADCAST_STATUSES = ['pending', 'sending', 'sent', 'cancelled', 'missed', 'failed'];
+
+// Due broadcasts sent per run; the rest are sent on the next run
+const DUE_BATCH_SIZE = 100;
+
+/**
+ * Stores broadcasts organizers schedule ahead (relative to the event or its programme)
+ * and sends them when due. Pending broadcasts live in scheduled_broadcasts, so they
+ * survive restarts; the cron job calls processDueBroadcasts every minute. Their send_at
+ * is kept current by eventService and scheduleService when the anchor moves.
+ */
+class BroadcastService {
+  constructor() {
+    this.client = supabaseService.client;
+    this.statuses = BROADCAST_STATUSES;
+
+    // A broadcast found this late (e.g. after downtime) is marked missed instead of sent
+    this.missedAfterMs = (parseInt(process.env.BROADCAST_MISSED_AFTER_MINUTES, 10) || 15) * 60 * 1000;
+    // A broadcast still sending this long after it was claimed was interrupted (e.g. by a crash)
+    this.sendingTimeoutMs = (parseInt(process.env.BROADCAST_SENDING_TIMEOUT_MINUTES, 10) || 10) * 60 * 1000;
+  }
+
+  /**
+   * Schedules a broadcast
+   * @param {Object} event - Event
+   * @param {Object} broadcastData - { type, titleTemplate, bodyTemplate, audiences, gate, zoneId, anchor, scheduleId, offsetMinutes }
+   * @param {Date} sendAt - Resolved send time
+   * @param {string} [createdBy] - User ID of the organizer
+   * @returns {Promise<Object>} - Created broadcast
+   */
+  async createBroadcast(event, broadcastData, sendAt, createdBy = null) {
+    try {
+      const broadcastId = `bcast_${uuidv4()}`;
+
+      logger.info('Scheduling broadcast', { eventId: event.eventId, broadcastId, anchor: broadcastData.anchor, sendAt });
+
+      const { data: broadcast, error } = await this.client
+        .from('scheduled_broadcasts')
+        .insert({
+          broadcast_id: broadcastId,
+          event_id: event.eventId,
+          org_id: event.orgId || null,
+          created_by: createdBy,
+          ...this.convertBroadcastToSnakeCase(broadcastData),
+          send_at: sendAt.toISOString(),
+          status: 'pending'
+        })
+        .select(BROADCAST_COLUMNS)
+        .single();
+
+      if (error) throw error;
+
+      return this.convertBroadcastToCamelCase(broadcast);
+    } catch (error) {
+      logger.error('Error scheduling broadcast', { eventId: event.eventId, error: error.message });
+      throw new Error(`Failed to schedule broadcast: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists an event's broadcasts by send time
+   * @param {string} eventId - Event ID
+   * @param {Object} [filters] - { status }
+   * @returns {Promise<Object[]>}
+   */
+  async getBroadcasts(eventId, filters = {}) {
+    try {
+      let query = this.client
+        .from('scheduled_broadcasts')
+        .select(BROADCAST_COLUMNS)
+        .eq('event_id', eventId);
+
+      if (filters.status) {
+        query = query.eq('status', filters.status);
+      }
+
+      const { data: broadcasts, error } = await query.order('send_at', { ascending: true });
+
+      if (error) throw error;
+
+      return broadcasts.map(broadcast => this.convertBroadcastToCamelCase(broadcast));
+    } catch (error) {
+      logger.error('Error retrieving broadcasts', { eventId, error: error.message });
+      throw new Error(`Failed to retrieve broadcasts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves a broadcast of an event
+   * @param {string} eventId - Event ID
+   * @param {string} broadcastId - Broadcast ID
+   * @returns {Promise<Object|null>}
+   */
+  async getBroadcastById(eventId, broadcastId) {
+    try {
+      const { data: broadcast, error } = await this.client
+        .from('scheduled_broadcasts')
+        .select(BROADCAST_COLUMNS)
+        .eq('event_id', eventId)
+        .eq('broadcast_id', broadcastId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = not found
+        throw error;
+      }
+
+      return broadcast ? this.convertBroadcastToCamelCase(broadcast) : null;
+    } catch (error) {
+      logger.error('Error retrieving broadcast', { eventId, broadcastId, error: error.message });
+      throw new Error(`Failed to retrieve broadcast: ${error.message}`);
+    }
+  }
+
+  /**
+   * Edits a pending broadcast
+   * @param {string} eventId - Event ID
+   * @param {string} broadcastId - Broadcast ID
+   * @param {Object} updates - Broadcast fields to change
+   * @param {Date} sendAt - Send time resolved with the updates
+   * @returns {Promise<Object|null>} - Updated broadcast, or null if it is no longer pending
+   */
+  async updateBroadcast(eventId, broadcastId, updates, sendAt) {
+    try {
+      logger.info('Updating broadcast', { eventId, broadcastId, fields: Object.keys(updates) });
+
+      const { data: broadcasts, error } = await this.client
+        .from('scheduled_broadcasts')
+        .update({
+          ...this.convertBroadcastToSnakeCase(updates),
+          send_at: sendAt.toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('event_id', eventId)
+        .eq('broadcast_id', broadcastId)
+        .eq('status', 'pending')
+        .select(BROADCAST_COLUMNS);
+
+      if (error) throw error;
+
+      return broadcasts.length > 0 ? this.convertBroadcastToCamelCase(broadcasts[0]) : null;
+    } catch (error) {
+      logger.error('Error updating broadcast', { eventId, broadcastId, error: error.message });
+      throw new Error(`Failed to update broadcast: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancels a pending broadcast, or one whose sending was interrupted
+   * @param {string} eventId - Event ID
+   * @param {string} broadcastId - Broadcast ID
+   * @returns {Promise<Object|null>} - Cancelled broadcast, or null if it can no longer be cancelled
+   */
+  async cancelBroadcast(eventId, broadcastId) {
+    const cancelled = await this.setStatus(broadcastId, 'cancelled', { from: 'pending', eventId });
+    if (cancelled) return cancelled;
+
+    return this.setStatus(broadcastId, 'cancelled', {
+      from: 'sending',
+      eventId,
+      claimedBefore: new Date(Date.now() - this.sendingTimeoutMs)
+    });
+  }
+
+  /**
+   * Whether a broadcast in `sending` was claimed longer ago than the sending timeout
+   * @param {Object} broadcast - Broadcast
+   * @param {Date} [now=new Date()]
+   * @returns {boolean}
+   */
+  isSendingStale(broadcast, now = new Date()) {
+    return broadcast.status === 'sending' &&
+      (!broadcast.claimedAt || now - new Date(broadcast.claimedAt) > this.sendingTimeoutMs);
+  }
+
+  /**
+   * Moves the pending broadcasts anchored to an event's start or end to its current dates
+   * @param {Object} event - Event with its new dates
+   * @returns {Promise<number>} - Broadcasts moved or cancelled
+   */
+  async rescheduleEventBroadcasts(event) {
+    const { data: rows, error } = await this.client
+      .from('scheduled_broadcasts')
+      .select(BROADCAST_COLUMNS)
+      .eq('event_id', event.eventId)
+      .eq('status', 'pending')
+      .in('anchor', ['event_start', 'event_end']);
+
+    if (error) throw error;
+
+    return this.reschedule(rows, { event, scheduleItem: null });
+  }
+
+  /**
+   * Moves the pending broadcasts anchored to a schedule item to its current start
+   * @param {string} eventId - Event ID
+   * @param {Object} scheduleItem - Schedule item with its new times
+   * @returns {Promise<number>} - Broadcasts moved
+   */
+  async rescheduleScheduleItemBroadcasts(eventId, scheduleItem) {
+    const { data: rows, error } = await this.client
+      .from('scheduled_broadcasts')
+      .select(BROADCAST_COLUMNS)
+      .eq('event_id', eventId)
+      .eq('status', 'pending')
+      .eq('schedule_id', scheduleItem.scheduleId);
+
+    if (error) throw error;
+
+    return this.reschedule(rows, { event: null, scheduleItem });
+  }
+
+  /**
+   * Cancels the pending broadcasts of an event whose schedule item was deleted
+   * (deleting it clears their schedule_id)
+   * @param {string} eventId - Event ID
+   * @returns {Promise<number>} - Broadcasts cancelled
+   */
+  async cancelOrphanedBroadcasts(eventId) {
+    const { data: cancelled, error } = await this.client
+      .from('scheduled_broadcasts')
+      .update({ status: 'cancelled', last_error: 'Schedule item was deleted', updated_at: new Date().toISOString() })
+      .eq('event_id', eventId)
+      .eq('status', 'pending')
+      .eq('anchor', 'schedule_item')
+      .is('schedule_id', null)
+      .select('broadcast_id');
+
+    if (error) throw error;
+
+    if (cancelled.length > 0) {
+      logger.info('Broadcasts cancelled with their schedule item', { eventId, count: cancelled.length });
+    }
+    return cancelled.length;
+  }
+
+  /**
+   * Resolves the send time of pending broadcasts again and stores the ones that moved;
+   * broadcasts left without an anchor time are cancelled
+   * @param {Array<Object>} rows - scheduled_broadcasts rows
+   * @param {Object} refs - { event, scheduleItem }
+   * @returns {Promise<number>} - Broadcasts moved or cancelled
+   * @private
+   */
+  async reschedule(rows, refs) {
+    let changed = 0;
+
+    for (const row of rows) {
+      const broadcast = this.convertBroadcastToCamelCase(row);
+      const sendAt = broadcastTemplates.resolveSendAt(broadcast, refs);
+
+      if (!sendAt) {
+        await this.setStatus(broadcast.broadcastId, 'cancelled', { from: 'pending', last_error: 'Event has no date to anchor to' });
+        changed++;
+      } else if (sendAt.getTime() !== new Date(broadcast.sendAt).getTime()) {
+        const { error } = await this.client
+          .from('scheduled_broadcasts')
+          .update({ send_at: sendAt.toISOString(), updated_at: new Date().toISOString() })
+          .eq('broadcast_id', broadcast.broadcastId)
+          .eq('status', 'pending');
+
+        if (error) throw error;
+        changed++;
+      }
+    }
+
+    if (changed > 0) {
+      logger.info('Broadcasts rescheduled', { eventId: rows[0].event_id, count: changed });
+    }
+    return changed;
+  }
+
+  /**
+   * Fails the broadcasts whose sending was interrupted (claimed longer ago than the
+   * sending timeout). They are not sent again: the crash may have come after delivery.
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} - Broadcasts failed
+   */
+  async failInterruptedBroadcasts(now) {
+    const { data: interrupted, error } = await this.client
+      .from('scheduled_broadcasts')
+      .update({
+        status: 'failed',
+        last_error: 'Sending was interrupted; not retried, as it may have been delivered',
+        updated_at: now.toISOString()
+      })
+      .eq('status', 'sending')
+      .lt('claimed_at', new Date(now.getTime() - this.sendingTimeoutMs).toISOString())
+      .select('broadcast_id, event_id');
+
+    if (error) throw error;
+
+    interrupted.forEach(row => {
+      logger.warn('⚠️ Broadcast sending was interrupted', { broadcastId: row.broadcast_id, eventId: row.event_id });
+    });
+    return interrupted.length;
+  }
+
+  /**
+   * Sends the pending broadcasts that are due, and fails the ones whose sending was
+   * interrupted
+   * @param {Date} [now=new Date()]
+   * @returns {Promise<{sent: number, missed: number, failed: number, cancelled: number, interrupted: number}>}
+   */
+  async processDueBroadcasts(now = new Date()) {
+    const results = { sent: 0, missed: 0, failed: 0, cancelled: 0, interrupted: 0 };
+
+    results.interrupted = await this.failInterruptedBroadcasts(now);
+
+    const { data: due, error } = await this.client
+      .from('scheduled_broadcasts')
+      .select(BROADCAST_COLUMNS)
+      .eq('status', 'pending')
+      .lte('send_at', now.toISOString())
+      .order('send_at', { ascending: true })
+      .limit(DUE_BATCH_SIZE);
+
+    if (error) throw error;
+
+    const broadcasts = due.map(row => this.convertBroadcastToCamelCase(row));
+    const scheduleIds = broadcasts
+      .filter(broadcast => broadcast.anchor === 'schedule_item' && broadcast.scheduleId)
+      .map(broadcast => broadcast.scheduleId);
+
+    const [events, scheduleItems] = await Promise.all([
+      eventService.getEventsByIds([...new Set(broadcasts.map(broadcast => broadcast.eventId))]),
+      scheduleService.getScheduleItemsByIds([...new Set(scheduleIds)])
+    ]);
+
+    for (const broadcast of broadcasts) {
+      try {
+        const event = events.get(broadcast.eventId) || null;
+        const scheduleItem = broadcast.anchor === 'schedule_item' ? scheduleItems.get(broadcast.scheduleId) || null : null;
+
+        // Normally cancelled when the schedule item is deleted already
+        if (!event || (broadcast.anchor === 'schedule_item' && !scheduleItem)) {
+          await this.setStatus(broadcast.broadcastId, 'cancelled', {
+            from: 'pending',
+            last_error: event ? 'Schedule item was deleted' : 'Event was deleted'
+          });
+          results.cancelled++;
+          continue;
+        }
+
+        if (now - new Date(broadcast.sendAt) > this.missedAfterMs) {
+          logger.warn('Broadcast missed its send time', { broadcastId: broadcast.broadcastId, sendAt: broadcast.sendAt });
+          await this.setStatus(broadcast.broadcastId, 'missed', { from: 'pending' });
+          results.missed++;
+          continue;
+        }
+
+        // Only one instance gets to send it
+        const claimed = await this.setStatus(broadcast.broadcastId, 'sending', { from: 'pending', claimed_at: now.toISOString() });
+        if (!claimed) continue;
+
+        const sent = await this.sendBroadcast(broadcast, { event, scheduleItem });
+        results[sent ? 'sent' : 'failed']++;
+      } catch (processError) {
+        logger.error('Error processing broadcast', { broadcastId: broadcast.broadcastId, error: processError.message });
+        results.failed++;
+      }
+    }
+
+    if (Object.values(results).some(count => count > 0)) {
+      logger.info('Scheduled broadcasts processed', results);
+    }
+
+    return results;
+  }
+
+  /**
+   * Renders and dispatches a claimed broadcast and records the outcome
+   * @returns {Promise<boolean>} - Whether it was sent
+   * @private
+   */
+  async sendBroadcast(broadcast, refs) {
+    try {
+      let notification;
+
+      if (broadcast.type === 'event_starting') {
+        notification = {
+          type: 'event_starting',
+          eventId: broadcast.eventId,
+          event: refs.event,
+          minutesUntilStart: Math.abs(broadcast.offsetMinutes)
+        };
+      } else {
+        const variables = broadcastTemplates.buildTemplateVariables(broadcast, refs, getEventTimeZone(refs.event));
+
+        notification = {
+          type: 'announcement',
+          eventId: broadcast.eventId,
+          event: refs.event,
+          title: broadcastTemplates.renderTemplate(broadcast.titleTemplate, variables),
+          body: broadcastTemplates.renderTemplate(broadcast.bodyTemplate, variables),
+          data: { type: 'scheduled_broadcast', broadcastId: broadcast.broadcastId, eventId: broadcast.eventId },
+          audiences: broadcast.audiences || undefined,
+          gate: broadcast.gate || undefined,
+          zoneId: broadcast.zoneId || undefined
+        };
+      }
+
+      const dispatched = await notificationDispatcher.dispatch(notification);
+
+      await this.setStatus(broadcast.broadcastId, 'sent', {
+        notification_id: dispatched.notificationId,
+        result: { delivered: dispatched.delivered, failed: dispatched.failed, skipped: dispatched.skipped },
+        sent_at: new Date().toISOString()
+      });
+
+      logger.info('Scheduled broadcast sent', {
+        broadcastId: broadcast.broadcastId,
+        eventId: broadcast.eventId,
+        notificationId: dispatched.notificationId
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Error sending scheduled broadcast', { broadcastId: broadcast.broadcastId, error: error.message });
+      await this.setStatus(broadcast.broadcastId, 'failed', { last_error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Moves a broadcast to a status, optionally only from a given status
+   * @param {string} broadcastId - Broadcast ID
+   * @param {string} status - New status
+   * @param {Object} [options] - { from, eventId, claimedBefore, ...columns to set }
+   * @returns {Promise<Object|null>} - Updated broadcast, or null if none matched
+   * @private
+   */
+  async setStatus(broadcastId, status, { from, eventId, claimedBefore, ...columns } = {}) {
+    try {
+      let query = this.client
+        .from('scheduled_broadcasts')
+        .update({ status, ...columns, updated_at: new Date().toISOString() })
+        .eq('broadcast_id', broadcastId);
+
+      if (eventId) query = query.eq('event_id', eventId);
+      if (from) query = query.eq('status', from);
+      if (claimedBefore) query = query.lt('claimed_at', claimedBefore.toISOString());
+
+      const { data: broadcasts, error } = await query.select(BROADCAST_COLUMNS);
+
+      if (error) throw error;
+
+      return broadcasts.length > 0 ? this.convertBroadcastToCamelCase(broadcasts[0]) : null;
+    } catch (error) {
+      logger.error('Error updating broadcast status', { broadcastId, status, error: error.message });
+      throw new Error(`Failed to update broadcast: ${error.message}`);
+    }
+  }
+
+  /**
+   * Maps the provided camelCase broadcast fields to database columns
+   * @param {Object} broadcastData - Broadcast fields
+   * @returns {Object}
+   */
+  convertBroadcastToSnakeCase(broadcastData) {
+    const columns = {
+      type: broadcastData.type,
+      title_template: broadcastData.titleTemplate,
+      body_template: broadcastData.bodyTemplate,
+      audiences: broadcastData.audiences,
+      gate: broadcastData.gate,
+      zone_id: broadcastData.zoneId,
+      anchor: broadcastData.anchor,
+      schedule_id: broadcastData.scheduleId,
+      offset_minutes: broadcastData.offsetMinutes
+    };
+
+    return Object.fromEntries(Object.entries(columns).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * Converts database broadcast to camelCase
+   * @param {Object} broadcast - Broadcast from database
+   * @returns {Object}
+   */
+  convertBroadcastToCamelCase(broadcast) {
+    return {
+      id: broadcast.id,
+      broadcastId: broadcast.broadcast_id,
+      eventId: broadcast.event_id,
+      orgId: broadcast.org_id,
+      type: broadcast.type,
+      titleTemplate: broadcast.title_template,
+      bodyTemplate: broadcast.body_template,
+      audiences: broadcast.audiences,
+      gate: broadcast.gate,
+      zoneId: broadcast.zone_id,
+      anchor: broadcast.anchor,
+      scheduleId: broadcast.schedule_id,
+      offsetMinutes: broadcast.offset_minutes,
+      sendAt: broadcast.send_at,
+      status: broadcast.status,
+      claimedAt: broadcast.claimed_at,
+      notificationId: broadcast.notification_id,
+      result: broadcast.result,
+      lastError: broadcast.last_error,
+      createdBy: broadcast.created_by,
+      sentAt: broadcast.sent_at,
+      createdAt: broadcast.created_at,
+      updatedAt: broadcast.updated_at
+    };
+  }
+}
+
+module.exports = new BroadcastService();
@@ -0,0 +1,194 @@
+const supabaseService = require('./supabaseService');
+const gateService = require('./gateService');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'check-in-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const INSERT_CHUNK_SIZE = 500;
+const DEFAULT_WINDOW_MINUTES = 5;
+
+class CheckInService {
+  constructor() {
+    this.client = supabaseService.client;
+    this.maxBatchSize = 5000;
+  }
+
+  /**
+   * Records a batch of ticket scans. Gates are matched by name or gate ID against the
+   * event's configured gates; each ticket is only counted once.
+   * @param {string} eventId - Event ID
+   * @param {Array<{ticketId: string, gate: string, checkInTime: string}>} scans - Ticket scans
+   * @param {string} [source='api'] - 'api' or 'csv'
+   * @returns {Promise<Object>} - { received, recorded, duplicates, rejected: [{ index, ticketId, reason }] }
+   */
+  async recordCheckIns(eventId, scans, source = 'api') {
+    try {
+      logger.info('Recording check-ins', { eventId, count: scans.length, source });
+
+      const gates = await gateService.getGates(eventId);
+      const gatesByKey = new Map();
+      gates.forEach(gate => {
+        gatesByKey.set(gate.name, gate);
+        gatesByKey.set(gate.gateId, gate);
+      });
+
+      const rejected = [];
+      const rows = [];
+      const seenTickets = new Set();
+
+      scans.forEach((scan, index) => {
+        const ticketId = scan.ticketId ? String(scan.ticketId).trim() : '';
+        const gate = gatesByKey.get(scan.gate ? String(scan.gate).trim() : '');
+        const checkInTime = new Date(scan.checkInTime);
+
+        let reason = null;
+        if (!ticketId) reason = 'Missing ticket ID';
+        else if (!gate) reason = `Unknown gate: ${scan.gate}`;
+        else if (isNaN(checkInTime.getTime())) reason = `Invalid check-in time: ${scan.checkInTime}`;
+        else if (seenTickets.has(ticketId)) reason = 'Ticket appears more than once in this batch';
+
+        if (reason) {
+          rejected.push({ index, ticketId: ticketId || null, reason });
+          return;
+        }
+
+        seenTickets.add(ticketId);
+        rows.push({
+          ticket_id: ticketId,
+          event_id: eventId,
+          gate_id: gate.gateId,
+          zone_id: gate.zoneId,
+          check_in_time: checkInTime.toISOString(),
+          source
+        });
+      });
+
+      // Tickets that were already scanned are ignored, so re-sending a batch is safe
+      let recorded = 0;
+      for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+        const { data, error } = await this.client
+          .from('ticketing')
+          .upsert(rows.slice(i, i + INSERT_CHUNK_SIZE), { onConflict: 'ticket_id', ignoreDuplicates: true })
+          .select('id');
+
+        if (error) throw error;
+        recorded += data.length;
+      }
+
+      const result = {
+        received: scans.length,
+        recorded,
+        duplicates: rows.length - recorded,
+        rejected
+      };
+
+      logger.info('Check-ins recorded', { eventId, ...result, rejected: rejected.length });
+      return result;
+    } catch (error) {
+      logger.error('Error recording check-ins', { eventId, error: error.message });
+      throw new Error(`Failed to record check-ins: ${error.message}`);
+    }
+  }
+
+  /**
+   * Converts parsed CSV rows into scans. Accepts ticket_id/ticketId, gate/gate_name/gate_id
+   * and check_in_time/checkInTime/scanned_at columns in any order and case.
+   * @param {string[]} headers - CSV header row
+   * @param {string[][]} rows - CSV data rows
+   * @returns {Array<Object>} - Scans for recordCheckIns
+   */
+  csvRowsToScans(headers, rows) {
+    const normalized = headers.map(header => header.toLowerCase().replace(/[^a-z]/g, ''));
+    const columnIndex = (...names) => normalized.findIndex(header => names.includes(header));
+
+    const ticketColumn = columnIndex('ticketid', 'ticket');
+    const gateColumn = columnIndex('gate', 'gatename', 'gateid');
+    const timeColumn = columnIndex('checkintime', 'checkin', 'scannedat', 'timestamp');
+
+    if (ticketColumn === -1 || gateColumn === -1 || timeColumn === -1) {
+      throw new Error('CSV must have ticket_id, gate and check_in_time columns');
+    }
+
+    return rows.map(row => ({
+      ticketId: row[ticketColumn],
+      gate: row[gateColumn],
+      checkInTime: row[timeColumn]
+    }));
+  }
+
+  /**
+   * Rolling arrival counts per configured gate
+   * @param {string} eventId - Event ID
+   * @param {Object} [options]
+   * @param {number} [options.windowMinutes=5] - Rolling window length
+   * @param {Date|string} [options.at=now] - End of the window
+   * @returns {Promise<Array<{gateId: string, gate: string, windowCount: number, totalCount: number}>>}
+   */
+  async getArrivalCounts(eventId, options = {}) {
+    try {
+      const windowMinutes = options.windowMinutes || DEFAULT_WINDOW_MINUTES;
+      const windowEnd = options.at ? new Date(options.at) : new Date();
+      const windowStart = new Date(windowEnd.getTime() - windowMinutes * 60 * 1000);
+
+      const [gates, { data: counts, error }] = await Promise.all([
+        gateService.getGates(eventId),
+        this.client.rpc('get_gate_arrival_counts', {
+          p_event_id: eventId,
+          p_window_start: windowStart.toISOString(),
+          p_window_end: windowEnd.toISOString()
+        })
+      ]);
+
+      if (error) throw error;
+
+      const countsByGateId = new Map(counts.map(count => [count.gate_id, count]));
+
+      return gates.map(gate => ({
+        gateId: gate.gateId,
+        gate: gate.name,
+        windowCount: Number(countsByGateId.get(gate.gateId)?.window_count || 0),
+        totalCount: Number(countsByGateId.get(gate.gateId)?.total_count || 0)
+      }));
+    } catch (error) {
+      logger.error('Error retrieving arrival counts', { eventId, error: error.message });
+      throw new Error(`Failed to retrieve arrival counts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Arrival counts keyed by gate name, for the prediction pipeline. Only gates that have
+   * any check-ins are included, so gates without scanners keep the model's counts.
+   * Never throws.
+   * @param {string} eventId - Event ID
+   * @param {Object} [options] - See getArrivalCounts
+   * @returns {Promise<Object<string, {windowCount: number, totalCount: number}>>}
+   */
+  async getLiveArrivalCounts(eventId, options = {}) {
+    try {
+      const counts = await this.getArrivalCounts(eventId, options);
+
+      return Object.fromEntries(counts
+        .filter(count => count.totalCount > 0)
+        .map(count => [count.gate, { windowCount: count.windowCount, totalCount: count.totalCount }]));
+    } catch (error) {
+      logger.warn('Could not load arrival counts, using model counts', { eventId, error: error.message });
+      return {};
+    }
+  }
+}
+
+module.exports = new CheckInService();
@@ -0,0 +1,316 @@
+const os = require('os');
+const winston = require('winston');
+const supabaseService = require('./supabaseService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'cron-lock-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * Lock providers implement `name`, `acquire(jobName, ownerId, leaseMs)`, which
+ * resolves to whether a free or expired lock was taken, `renew(jobName, ownerId,
+ * leaseMs)`, which resolves to whether the holder's unexpired lease was extended,
+ * and `release(jobName, ownerId, lockedUntil)`, which shortens the holder's lease.
+ */
+
+/**
+ * Locks in the cron_locks table, shared by every instance using the database
+ */
+class DatabaseCronLockProvider {
+  constructor() {
+    this.name = 'database';
+    this.client = supabaseService.client;
+  }
+
+  async acquire(jobName, ownerId, leaseMs) {
+    const { data, error } = await this.client.rpc('acquire_cron_lock', {
+      p_job_name: jobName,
+      p_owner_id: ownerId,
+      p_lease_seconds: Math.ceil(leaseMs / 1000)
+    });
+
+    if (error) throw error;
+    return data === true;
+  }
+
+  async renew(jobName, ownerId, leaseMs) {
+    const { data, error } = await this.client.rpc('renew_cron_lock', {
+      p_job_name: jobName,
+      p_owner_id: ownerId,
+      p_lease_seconds: Math.ceil(leaseMs / 1000)
+    });
+
+    if (error) throw error;
+    return data === true;
+  }
+
+  async release(jobName, ownerId, lockedUntil) {
+    const { error } = await this.client
+      .from('cron_locks')
+      .update({ locked_until: lockedUntil.toISOString(), updated_at: new Date().toISOString() })
+      .eq('job_name', jobName)
+      .eq('owner_id', ownerId);
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * Keeps locks in memory, so they only guard this process (tests and single-instance setups)
+ */
+class InMemoryCronLockProvider {
+  constructor() {
+    this.name = 'memory';
+    // jobName -> { ownerId, lockedUntil }
+    this.locks = new Map();
+  }
+
+  async acquire(jobName, ownerId, leaseMs) {
+    const now = Date.now();
+    const lock = this.locks.get(jobName);
+
+    if (lock && lock.lockedUntil > now) {
+      return false;
+    }
+
+    this.locks.set(jobName, { ownerId, lockedUntil: now + leaseMs });
+    return true;
+  }
+
+  async renew(jobName, ownerId, leaseMs) {
+    const now = Date.now();
+    const lock = this.locks.get(jobName);
+
+    if (!lock || lock.ownerId !== ownerId || lock.lockedUntil <= now) {
+      return false;
+    }
+
+    lock.lockedUntil = now + leaseMs;
+    return true;
+  }
+
+  async release(jobName, ownerId, lockedUntil) {
+    const lock = this.locks.get(jobName);
+
+    if (lock && lock.ownerId === ownerId) {
+      lock.lockedUntil = lockedUntil.getTime();
+    }
+  }
+
+  clear() {
+    this.locks.clear();
+  }
+}
+
+const PROVIDERS = {
+  database: DatabaseCronLockProvider,
+  memory: InMemoryCronLockProvider
+};
+
+/**
+ * Makes each cron job run on one instance per tick when several run the server
+ * (PM2 cluster mode). The instance that gets a job's lock renews its lease while
+ * the job runs, for at most the maximum run time; others skip the tick. A lock
+ * whose holder crashed or hung is free again once its lease expires. Within an
+ * instance, a tick is skipped while the previous run of the job is still going.
+ */
+class CronLockService {
+  constructor() {
+    const providerName = process.env.CRON_LOCK_PROVIDER || 'database';
+    this.provider = this.createProvider(providerName);
+
+    // Identifies this instance as a lock holder; PM2 sets NODE_APP_INSTANCE per worker
+    this.ownerId = [os.hostname(), process.pid, process.env.NODE_APP_INSTANCE]
+      .filter(part => part !== undefined && part !== '')
+      .join(':');
+
+    // How long a lock lasts without renewal; renewed every third of it while the job runs
+    this.leaseMs = (parseInt(process.env.CRON_LOCK_LEASE_SECONDS, 10) || 120) * 1000;
+    // A finished job keeps its lock this long after it started, so an instance whose
+    // timer fires a little late does not run the same tick again. Below the shortest
+    // cron interval (1 minute), so the next tick is free.
+    this.minHoldMs = (parseInt(process.env.CRON_LOCK_MIN_HOLD_SECONDS, 10) || 30) * 1000;
+    // The lease stops being renewed once a run takes this long, so a hung job
+    // lets another instance take the job over when the lease expires
+    this.maxRunMs = (parseInt(process.env.CRON_LOCK_MAX_RUN_SECONDS, 10) || 900) * 1000;
+
+    // jobName -> startedAt of the runs in progress on this instance
+    this.running = new Map();
+
+    // jobName -> { ranAt, skippedAt } of this instance
+    this.lastRuns = new Map();
+
+    logger.info('CronLockService initialized', {
+      provider: this.provider.name,
+      ownerId: this.ownerId,
+      leaseSeconds: this.leaseMs / 1000,
+      minHoldSeconds: this.minHoldMs / 1000,
+      maxRunSeconds: this.maxRunMs / 1000
+    });
+  }
+
+  /**
+   * Creates a provider by name
+   * @param {string} name - 'database' or 'memory'
+   * @returns {Object} - Provider
+   */
+  createProvider(name) {
+    const Provider = PROVIDERS[name];
+
+    if (!Provider) {
+      logger.warn('Unknown CRON_LOCK_PROVIDER, falling back to database', { provider: name });
+      return new DatabaseCronLockProvider();
+    }
+
+    return new Provider();
+  }
+
+  /**
+   * Replaces the provider, e.g. with an in-memory one in tests
+   * @param {Object} provider - Object with `name`, `acquire`, `renew` and `release`
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    this.lastRuns.clear();
+  }
+
+  /**
+   * Runs a cron job if this instance gets its lock; skips the tick otherwise.
+   * When the lock cannot be checked (e.g. the database is unreachable) the tick is
+   * skipped too, since running it could duplicate another instance's run. A tick
+   * is also skipped while this instance is still running the job.
+   * @param {string} jobName - Lock name, one per cron job
+   * @param {Function} job - Async function running the job
+   * @returns {Promise<boolean>} - Whether the job ran here
+   */
+  async runExclusive(jobName, job) {
+    if (this.running.has(jobName)) {
+      logger.warn('⚠️ Previous cron run still in progress, skipping this run', {
+        jobName,
+        startedAt: new Date(this.running.get(jobName)).toISOString()
+      });
+      this.recordRun(jobName, 'skippedAt');
+      return false;
+    }
+
+    const startedAt = Date.now();
+    this.running.set(jobName, startedAt);
+
+    try {
+      let acquired;
+      try {
+        acquired = await this.provider.acquire(jobName, this.ownerId, this.leaseMs);
+      } catch (error) {
+        logger.error('❌ Could not acquire cron lock, skipping this run', { jobName, error: error.message });
+        return false;
+      }
+
+      if (!acquired) {
+        logger.debug('Cron lock held by another instance, skipping this run', { jobName, ownerId: this.ownerId });
+        this.recordRun(jobName, 'skippedAt');
+        return false;
+      }
+
+      const renewal = this.startRenewal(jobName, startedAt);
+
+      try {
+        this.recordRun(jobName, 'ranAt');
+        await job();
+        return true;
+      } finally {
+        clearInterval(renewal);
+        await this.release(jobName, new Date(Math.max(startedAt + this.minHoldMs, Date.now())));
+      }
+    } finally {
+      this.running.delete(jobName);
+    }
+  }
+
+  /**
+   * Renews the lease of a running job until it reaches the maximum run time
+   * @param {string} jobName - Lock name
+   * @param {number} startedAt - When the run started (ms)
+   * @returns {NodeJS.Timeout} - Interval to clear when the job finishes
+   */
+  startRenewal(jobName, startedAt) {
+    const renewal = setInterval(() => {
+      if (Date.now() - startedAt >= this.maxRunMs) {
+        clearInterval(renewal);
+        logger.error('❌ Cron job exceeded its maximum run time, no longer renewing its lock', {
+          jobName,
+          ownerId: this.ownerId,
+          maxRunSeconds: this.maxRunMs / 1000
+        });
+        return;
+      }
+
+      this.provider.renew(jobName, this.ownerId, this.leaseMs)
+        .then(renewed => {
+          if (!renewed) {
+            clearInterval(renewal);
+            logger.warn('⚠️ Lost cron lock while the job was running', { jobName, ownerId: this.ownerId });
+          }
+        })
+        .catch(error => logger.error('❌ Could not renew cron lock', { jobName, error: error.message }));
+    }, Math.max(this.leaseMs / 3, 1000));
+    renewal.unref();
+
+    return renewal;
+  }
+
+  /**
+   * Shortens this instance's lease on a job once the job finished
+   * @param {string} jobName - Lock name
+   * @param {Date} lockedUntil - When the lock becomes free
+   */
+  async release(jobName, lockedUntil) {
+    try {
+      await this.provider.release(jobName, this.ownerId, lockedUntil);
+    } catch (error) {
+      // The lease still expires on its own
+      logger.warn('Could not release cron lock', { jobName, error: error.message });
+    }
+  }
+
+  /**
+   * Records when this instance last ran or skipped a job
+   * @param {string} jobName - Lock name
+   * @param {string} field - ranAt or skippedAt
+   */
+  recordRun(jobName, field) {
+    const lastRun = this.lastRuns.get(jobName) || { ranAt: null, skippedAt: null };
+    lastRun[field] = new Date().toISOString();
+    this.lastRuns.set(jobName, lastRun);
+  }
+
+  /**
+   * Lock settings and this instance's last runs, for the cron status
+   */
+  getStatus() {
+    return {
+      provider: this.provider.name,
+      ownerId: this.ownerId,
+      leaseSeconds: this.leaseMs / 1000,
+      minHoldSeconds: this.minHoldMs / 1000,
+      maxRunSeconds: this.maxRunMs / 1000,
+      running: Object.fromEntries(
+        [...this.running].map(([jobName, startedAt]) => [jobName, new Date(startedAt).toISOString()])
+      ),
+      jobs: Object.fromEntries(this.lastRuns)
+    };
+  }
+}
+
+module.exports = new CronLockService();
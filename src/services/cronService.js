@@ -2,7 +2,20 @@ const cron = require('node-cron');
 const winston = require('winston');
 const eventService = require('./eventService');
 const predictionService = require('./predictionService');
+const gateService = require('./gateService');
+const checkInService = require('./checkInService');
+const incidentService = require('./incidentService');
+const alertStateService = require('./alertStateService');
 const pushNotificationService = require('./pushNotificationService');
+const notificationService = require('./notificationService');
+const notificationDispatcher = require('./notificationDispatcher');
+const notificationPreferenceService = require('./notificationPreferenceService');
+const broadcastService = require('./broadcastService');
+const cronLockService = require('./cronLockService');
+const eventMemberService = require('./eventMemberService');
+const alertPolicy = require('../utils/alertPolicy');
+const { getEventTimeZone, getLocalTimeOfDay, formatLocalTime, localToUTC } = require('../utils/timezoneHelper');
+const { getEventDay, countEventDays, summarizeEventDays } = require('../utils/eventDays');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -27,32 +40,76 @@ class CronService {
     this.isEnabled = process.env.ENABLE_PREDICTION_CRON === 'true';
     // Run at standard 5-minute intervals: :00, :05, :10, :15, :20, :25, :30, :35, :40, :45, :50, :55
     this.cronPattern = process.env.PREDICTION_CRON_PATTERN || '0,5,10,15,20,25,30,35,40,45,50,55 * * * *';
+    // Predictions run from this many minutes before an event starts until this many after it ends
+    this.preStartMinutes = this.parseMinutes(process.env.PREDICTION_PRE_START_MINUTES, 60);
+    this.postEndMinutes = this.parseMinutes(process.env.PREDICTION_POST_END_MINUTES, 0);
     
     // Ongoing event notification cron job settings
     this.notificationTask = null;
     this.notificationEnabled = process.env.ENABLE_ONGOING_EVENT_NOTIFICATIONS === 'true';
     // Run every 10 minutes: :00, :10, :20, :30, :40, :50
     this.notificationPattern = process.env.ONGOING_EVENT_NOTIFICATION_PATTERN || '0,10,20,30,40,50 * * * *';
+
+    // Daily digest email settings
+    this.digestTask = null;
+    this.digestEnabled = process.env.ENABLE_DAILY_DIGEST === 'true';
+    // Run every hour; each event gets its digest once its local clock reaches digestHour
+    this.digestPattern = process.env.DAILY_DIGEST_PATTERN || '0 * * * *';
+    this.digestHour = this.parseHour(process.env.DAILY_DIGEST_HOUR, 8);
+
+    // Push retry queue settings; on unless disabled, so queued emergencies are not lost
+    this.pushRetryTask = null;
+    this.pushRetryEnabled = process.env.ENABLE_PUSH_RETRY !== 'false';
+    // Run every minute
+    this.pushRetryPattern = process.env.PUSH_RETRY_CRON_PATTERN || '* * * * *';
+    this.isRetryingPushes = false;
+
+    // Scheduled broadcast settings; on unless disabled, so organizers' broadcasts go out
+    this.broadcastTask = null;
+    this.broadcastEnabled = process.env.ENABLE_SCHEDULED_BROADCASTS !== 'false';
+    // Run every minute
+    this.broadcastPattern = process.env.BROADCAST_CRON_PATTERN || '* * * * *';
+    this.isSendingBroadcasts = false;
     
-    // Track last notification times to prevent spam (eventId -> timestamp)
+    // Events already announced as live (eventId -> timestamp); each event is announced once
     this.lastNotificationTimes = new Map();
+
+    // Optional comma-separated allowlist of organizations both jobs process (all when unset)
+    this.organizationIds = this.parseOrganizationIds(process.env.CRON_ORGANIZATION_IDS);
+    // Events loaded per database query while walking the active events
+    this.eventPageSize = parseInt(process.env.CRON_EVENT_PAGE_SIZE, 10) || 200;
     
     logger.info('CronService initialized', { 
+      organizationIds: this.organizationIds || 'all',
       predictionEnabled: this.isEnabled,
       predictionPattern: this.cronPattern,
+      preStartMinutes: this.preStartMinutes,
+      postEndMinutes: this.postEndMinutes,
       notificationEnabled: this.notificationEnabled,
       notificationPattern: this.notificationPattern,
+      digestEnabled: this.digestEnabled,
+      digestPattern: this.digestPattern,
+      digestHour: this.digestHour,
+      pushRetryEnabled: this.pushRetryEnabled,
+      pushRetryPattern: this.pushRetryPattern,
+      broadcastEnabled: this.broadcastEnabled,
+      broadcastPattern: this.broadcastPattern,
       predictionDescription: 'Runs at standard 5-minute intervals (:00, :05, :10, :15, :20, :25, :30, :35, :40, :45, :50, :55)',
       notificationDescription: 'Runs every 10 minutes (:00, :10, :20, :30, :40, :50) to notify ongoing events'
     });
   }
 
   /**
-   * Starts both cron jobs (prediction and ongoing event notifications)
+   * Starts the cron jobs (prediction, ongoing event notifications, daily digest, push retries
+   * and scheduled broadcasts). Every instance schedules them; each tick runs on the one
+   * instance that gets the job's lock (cronLockService).
    */
   start() {
     this.startPredictionCron();
     this.startOngoingEventNotificationCron();
+    this.startDailyDigestCron();
+    this.startPushRetryCron();
+    this.startBroadcastCron();
   }
 
   /**
@@ -72,7 +129,7 @@ class CronService {
     logger.info('Starting prediction cron job', { pattern: this.cronPattern });
 
     this.predictionTask = cron.schedule(this.cronPattern, async () => {
-      await this.runPredictionUpdate();
+      await cronLockService.runExclusive('prediction', () => this.runPredictionUpdate());
     }, {
       scheduled: true,
       timezone: process.env.TZ || 'UTC'
@@ -98,7 +155,7 @@ class CronService {
     logger.info('Starting ongoing event notification cron job', { pattern: this.notificationPattern });
 
     this.notificationTask = cron.schedule(this.notificationPattern, async () => {
-      await this.runOngoingEventNotifications();
+      await cronLockService.runExclusive('ongoing_event_notifications', () => this.runOngoingEventNotifications());
     }, {
       scheduled: true,
       timezone: process.env.TZ || 'UTC'
@@ -108,11 +165,92 @@ class CronService {
   }
 
   /**
-   * Stops both cron jobs
+   * Starts the daily digest email cron job
+   */
+  startDailyDigestCron() {
+    if (!this.digestEnabled) {
+      logger.info('Daily digest cron job is disabled via environment variable');
+      return;
+    }
+
+    if (this.digestTask) {
+      logger.warn('Daily digest cron job is already running');
+      return;
+    }
+
+    logger.info('Starting daily digest cron job', { pattern: this.digestPattern });
+
+    this.digestTask = cron.schedule(this.digestPattern, async () => {
+      await cronLockService.runExclusive('daily_digest', () => this.runDailyDigest());
+    }, {
+      scheduled: true,
+      timezone: process.env.TZ || 'UTC'
+    });
+
+    logger.info('Daily digest cron job started successfully');
+  }
+
+  /**
+   * Starts the push retry cron job
+   */
+  startPushRetryCron() {
+    if (!this.pushRetryEnabled) {
+      logger.info('Push retry cron job is disabled via environment variable');
+      return;
+    }
+
+    if (this.pushRetryTask) {
+      logger.warn('Push retry cron job is already running');
+      return;
+    }
+
+    logger.info('Starting push retry cron job', { pattern: this.pushRetryPattern });
+
+    this.pushRetryTask = cron.schedule(this.pushRetryPattern, async () => {
+      await cronLockService.runExclusive('push_retries', () => this.runPushRetries());
+    }, {
+      scheduled: true,
+      timezone: process.env.TZ || 'UTC'
+    });
+
+    logger.info('Push retry cron job started successfully');
+  }
+
+  /**
+   * Starts the scheduled broadcast cron job
+   */
+  startBroadcastCron() {
+    if (!this.broadcastEnabled) {
+      logger.info('Scheduled broadcast cron job is disabled via environment variable');
+      return;
+    }
+
+    if (this.broadcastTask) {
+      logger.warn('Scheduled broadcast cron job is already running');
+      return;
+    }
+
+    logger.info('Starting scheduled broadcast cron job', { pattern: this.broadcastPattern });
+
+    this.broadcastTask = cron.schedule(this.broadcastPattern, async () => {
+      await cronLockService.runExclusive('scheduled_broadcasts', () => this.runScheduledBroadcasts());
+    }, {
+      scheduled: true,
+      timezone: process.env.TZ || 'UTC'
+    });
+
+    logger.info('Scheduled broadcast cron job started successfully');
+  }
+
+  /**
+   * Stops the cron jobs
    */
   stop() {
     this.stopPredictionCron();
     this.stopOngoingEventNotificationCron();
+    this.stopDailyDigestCron();
+    this.stopPushRetryCron();
+    this.stopBroadcastCron();
   }
 
   /**
@@ -142,7 +280,46 @@ class CronService {
   }
 
   /**
-   * Restarts both cron jobs
+   * Stops the daily digest email cron job
+   */
+  stopDailyDigestCron() {
+    if (this.digestTask) {
+      this.digestTask.stop();
+      this.digestTask = null;
+      logger.info('Daily digest cron job stopped');
+    } else {
+      logger.info('No daily digest cron job to stop');
+    }
+  }
+
+  /**
+   * Stops the push retry cron job
+   */
+  stopPushRetryCron() {
+    if (this.pushRetryTask) {
+      this.pushRetryTask.stop();
+      this.pushRetryTask = null;
+      logger.info('Push retry cron job stopped');
+    } else {
+      logger.info('No push retry cron job to stop');
+    }
+  }
+
+  /**
+   * Stops the scheduled broadcast cron job
+   */
+  stopBroadcastCron() {
+    if (this.broadcastTask) {
+      this.broadcastTask.stop();
+      this.broadcastTask = null;
+      logger.info('Scheduled broadcast cron job stopped');
+    } else {
+      logger.info('No scheduled broadcast cron job to stop');
+    }
+  }
+
+  /**
+   * Restarts the cron jobs
    */
   restart() {
     logger.info('Restarting all cron jobs');
@@ -151,22 +328,110 @@ class CronService {
     // Re-read environment variables
     this.isEnabled = process.env.ENABLE_PREDICTION_CRON === 'true';
     this.cronPattern = process.env.PREDICTION_CRON_PATTERN || '0,5,10,15,20,25,30,35,40,45,50,55 * * * *';
+    this.preStartMinutes = this.parseMinutes(process.env.PREDICTION_PRE_START_MINUTES, 60);
+    this.postEndMinutes = this.parseMinutes(process.env.PREDICTION_POST_END_MINUTES, 0);
     this.notificationEnabled = process.env.ENABLE_ONGOING_EVENT_NOTIFICATIONS === 'true';
     this.notificationPattern = process.env.ONGOING_EVENT_NOTIFICATION_PATTERN || '0,10,20,30,40,50 * * * *';
+    this.digestEnabled = process.env.ENABLE_DAILY_DIGEST === 'true';
+    this.digestPattern = process.env.DAILY_DIGEST_PATTERN || '0 * * * *';
+    this.digestHour = this.parseHour(process.env.DAILY_DIGEST_HOUR, 8);
+    this.pushRetryEnabled = process.env.ENABLE_PUSH_RETRY !== 'false';
+    this.pushRetryPattern = process.env.PUSH_RETRY_CRON_PATTERN || '* * * * *';
+    this.broadcastEnabled = process.env.ENABLE_SCHEDULED_BROADCASTS !== 'false';
+    this.broadcastPattern = process.env.BROADCAST_CRON_PATTERN || '* * * * *';
+    this.organizationIds = this.parseOrganizationIds(process.env.CRON_ORGANIZATION_IDS);
+    this.eventPageSize = parseInt(process.env.CRON_EVENT_PAGE_SIZE, 10) || 200;
     
     this.start();
   }
 
   /**
-   * Gets the status of both cron jobs
+   * Parses the CRON_ORGANIZATION_IDS allowlist
+   * @param {string} value - Comma-separated organization IDs
+   * @returns {Array<string>|null} - Organization IDs, or null for all organizations
+   */
+  parseOrganizationIds(value) {
+    const orgIds = (value || '').split(',').map(id => id.trim()).filter(Boolean);
+    return orgIds.length > 0 ? orgIds : null;
+  }
+
+  /**
+   * Parses a non-negative number of minutes, keeping an explicit 0
+   * @param {string} value - Environment variable value
+   * @param {number} defaultValue - Used when unset or invalid
+   * @returns {number}
+   */
+  parseMinutes(value, defaultValue) {
+    const minutes = parseInt(value, 10);
+    return Number.isNaN(minutes) || minutes < 0 ? defaultValue : minutes;
+  }
+
+  /**
+   * Parses an hour of the day (0-23), keeping an explicit 0
+   * @param {string} value - Environment variable value
+   * @param {number} defaultValue - Used when unset or invalid
+   * @returns {number}
+   */
+  parseHour(value, defaultValue) {
+    const hour = parseInt(value, 10);
+    return Number.isNaN(hour) || hour < 0 || hour > 23 ? defaultValue : hour;
+  }
+
+  /**
+   * Loads every event of the configured organizations whose active window overlaps
+   * a period, a page of eventPageSize events per query
+   * @param {Object} window - { startsBefore, endsAfter }
+   * @param {Object} [options] - withForecast and include (see eventService.getActiveEvents)
+   * @returns {Promise<Array>} - Events
+   */
+  async getActiveEvents(window, options = {}) {
+    const events = [];
+    let offset = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+      const page = await eventService.getActiveEvents(window, {
+        ...options,
+        orgIds: this.organizationIds,
+        limit: this.eventPageSize,
+        offset
+      });
+
+      events.push(...page.events);
+      hasMore = page.hasMore;
+      offset += this.eventPageSize;
+    }
+
+    return events;
+  }
+
+  /**
+   * Counts events per organization for run summaries
+   * @param {Array} events - Events being processed
+   * @returns {Object} - orgId -> event count
+   */
+  countEventsByOrganization(events) {
+    return events.reduce((counts, event) => {
+      counts[event.orgId] = (counts[event.orgId] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  /**
+   * Gets the status of the cron jobs
    */
   getStatus() {
     return {
+      organizationIds: this.organizationIds || 'all',
+      eventPageSize: this.eventPageSize,
+      locks: cronLockService.getStatus(),
       prediction: {
         isEnabled: this.isEnabled,
         isRunning: !!this.predictionTask,
         cronPattern: this.cronPattern,
         timezone: process.env.TZ || 'UTC',
+        preStartMinutes: this.preStartMinutes,
+        postEndMinutes: this.postEndMinutes,
         lastRun: this.lastRunTime || null,
         nextRun: this.predictionTask ? 'Every 5 minutes' : null
       },
@@ -177,6 +442,28 @@ class CronService {
         timezone: process.env.TZ || 'UTC',
         lastNotificationRun: this.lastNotificationRunTime || null,
         nextRun: this.notificationTask ? 'Every 10 minutes' : null
+      },
+      dailyDigest: {
+        isEnabled: this.digestEnabled,
+        isRunning: !!this.digestTask,
+        cronPattern: this.digestPattern,
+        timezone: process.env.TZ || 'UTC',
+        localHour: this.digestHour,
+        lastDigestRun: this.lastDigestRunTime || null
+      },
+      pushRetries: {
+        isEnabled: this.pushRetryEnabled,
+        isRunning: !!this.pushRetryTask,
+        cronPattern: this.pushRetryPattern,
+        timezone: process.env.TZ || 'UTC',
+        lastRetryRun: this.lastPushRetryRunTime || null
+      },
+      scheduledBroadcasts: {
+        isEnabled: this.broadcastEnabled,
+        isRunning: !!this.broadcastTask,
+        cronPattern: this.broadcastPattern,
+        timezone: process.env.TZ || 'UTC',
+        lastBroadcastRun: this.lastBroadcastRunTime || null
       }
     };
   }
@@ -201,7 +488,8 @@ class CronService {
 
       logger.info('Found ongoing events for prediction update', { 
         count: ongoingEvents.length,
-        eventIds: ongoingEvents.map(e => e.eventId)
+        eventIds: ongoingEvents.map(e => e.eventId),
+        byOrganization: this.countEventsByOrganization(ongoingEvents)
       });
 
       // Process each ongoing event
@@ -239,145 +527,46 @@ class CronService {
   }
 
   /**
-   * Gets events that are happening now (based on Malaysia timezone)
-   * Events are stored in UTC but represent Malaysia local times
+   * Gets events whose prediction window is open: from preStartMinutes before the
+   * event starts until postEndMinutes after it ends. Multi-day festivals and
+   * concerts running past midnight stay in the window for their whole run.
    */
   async getOngoingEvents() {
     try {
-      // Malaysia is UTC+8
-      const MALAYSIA_OFFSET_MS = 8 * 60 * 60 * 1000;
-      
-      // Get current time in UTC
       const nowUTC = new Date();
       
-      // Get current time in Malaysia (for display/logging)
-      const nowMalaysia = new Date(nowUTC.getTime() + MALAYSIA_OFFSET_MS);
-      
-      // Get Malaysia date boundaries (midnight to 11:59:59 PM Malaysia time)
-      // Use Date.UTC to ensure we're working in UTC, then the date is already offset-adjusted
-      const malaysiaTodayStart = new Date(Date.UTC(
-        nowMalaysia.getUTCFullYear(),
-        nowMalaysia.getUTCMonth(),
-        nowMalaysia.getUTCDate(),
-        0, 0, 0, 0
-      ));
-      const malaysiaTodayEnd = new Date(Date.UTC(
-        nowMalaysia.getUTCFullYear(),
-        nowMalaysia.getUTCMonth(),
-        nowMalaysia.getUTCDate(),
-        23, 59, 59, 999
-      ));
-      
-      logger.info('Getting ongoing events (Malaysia timezone)', { 
+      logger.info('Getting ongoing events', { 
         currentTimeUTC: nowUTC.toISOString(),
-        currentTimeMalaysia: this.formatMalaysiaTime(nowMalaysia),
-        malaysiaTodayStart: this.formatMalaysiaTime(malaysiaTodayStart),
-        malaysiaTodayEnd: this.formatMalaysiaTime(malaysiaTodayEnd)
+        preStartMinutes: this.preStartMinutes,
+        postEndMinutes: this.postEndMinutes
       });
       
-      // Get all events
-      const { events } = await eventService.getEvents(1000, 0, {});
-
-      // Filter for events happening NOW in Malaysia timezone
-      const ongoingEvents = events.filter(event => {
-        if (!event.dateOfEventStart || !event.dateOfEventEnd) {
-          return false;
-        }
-
-        // Event times are stored in UTC but represent Malaysia local times
-        // e.g., "2025-10-09T04:00:00.000Z" = 12:00 PM Malaysia time
-        const eventStartUTC = new Date(event.dateOfEventStart);
-        const eventEndUTC = new Date(event.dateOfEventEnd);
-        
-        // Check if event is scheduled for today in Malaysia timezone
-        const eventStartMalaysia = new Date(eventStartUTC.getTime() + MALAYSIA_OFFSET_MS);
-        const eventStartDateOnly = new Date(Date.UTC(
-          eventStartMalaysia.getUTCFullYear(),
-          eventStartMalaysia.getUTCMonth(),
-          eventStartMalaysia.getUTCDate()
-        ));
-        const todayDateOnly = new Date(Date.UTC(
-          nowMalaysia.getUTCFullYear(),
-          nowMalaysia.getUTCMonth(),
-          nowMalaysia.getUTCDate()
-        ));
-        
-        const isToday = eventStartDateOnly.getTime() === todayDateOnly.getTime();
-        const hasForecast = !!event.forecastResult;
-        
-        // Require forecast - events need forecast data to generate predictions
-        if (!isToday || !hasForecast) {
-          return false;
-        }
-
-        // ALWAYS use actual event times, not forecast period
-        // Forecast period might be outdated or incorrect
-        const forecastStartUTC = eventStartUTC;
-        const forecastEndUTC = eventEndUTC;
-        
-        // ✅ ADDITIONAL CONDITION: Start predictions 1 hour before event starts (Malaysia timezone aware)
-        // Example: Event at 12:00 PM Malaysia (04:00 UTC) → Start predictions at 11:00 AM Malaysia (03:00 UTC)
-        const ONE_HOUR_MS = 60 * 60 * 1000;
-        const oneHourBeforeStartUTC = new Date(forecastStartUTC.getTime() - ONE_HOUR_MS);
-        const oneHourBeforeStartMalaysia = new Date(oneHourBeforeStartUTC.getTime() + MALAYSIA_OFFSET_MS);
-        
-        // Check if current time is within the prediction window
-        // 1. Must be at least 1 hour before event start (or already started)
-        // 2. Must not have ended yet
-        const isWithinPreStartWindow = nowUTC >= oneHourBeforeStartUTC; // At least 1 hour before start
-        const hasNotEnded = nowUTC <= forecastEndUTC; // Has not ended yet
-        const isOngoing = isWithinPreStartWindow && hasNotEnded;
-
-        logger.debug('Event filter check (Malaysia timezone)', {
-          eventId: event.eventId,
-          eventName: event.name,
-          // Event times
-          eventStartUTC: eventStartUTC.toISOString(),
-          eventEndUTC: eventEndUTC.toISOString(),
-          eventStartMalaysia: this.formatMalaysiaTime(new Date(eventStartUTC.getTime() + MALAYSIA_OFFSET_MS)),
-          eventEndMalaysia: this.formatMalaysiaTime(new Date(eventEndUTC.getTime() + MALAYSIA_OFFSET_MS)),
-          // Forecast period
-          forecastStartUTC: forecastStartUTC.toISOString(),
-          forecastEndUTC: forecastEndUTC.toISOString(),
-          // Pre-start window (1 hour before)
-          oneHourBeforeStartUTC: oneHourBeforeStartUTC.toISOString(),
-          oneHourBeforeStartMalaysia: this.formatMalaysiaTime(oneHourBeforeStartMalaysia),
-          // Current time
-          currentTimeUTC: nowUTC.toISOString(),
-          currentTimeMalaysia: this.formatMalaysiaTime(nowMalaysia),
-          // Conditions
-          isToday,
-          hasForecast,
-          isWithinPreStartWindow: `${isWithinPreStartWindow} (current >= 1hr before start)`,
-          hasNotEnded: `${hasNotEnded} (current <= event end)`,
-          isOngoing,
-          included: isOngoing
-        });
-
-        return isOngoing;
+      // The database selects events whose window is open now: started by now + the pre-start
+      // margin and not ended before now - the post-end margin. Event times are stored in UTC,
+      // so the window is independent of the event's time zone. Only events with a forecast
+      // are selected, since predictions need it.
+      const ongoingEvents = await this.getActiveEvents({
+        startsBefore: new Date(nowUTC.getTime() + this.preStartMinutes * 60 * 1000),
+        endsAfter: new Date(nowUTC.getTime() - this.postEndMinutes * 60 * 1000)
+      }, {
+        withForecast: true,
+        include: ['forecast_result', 'predict_result']
       });
 
-      const ONE_HOUR_MS = 60 * 60 * 1000;
-      
-      logger.info('Filtered ongoing events (Malaysia timezone)', { 
-        totalEvents: events.length,
+      logger.info('Filtered ongoing events', { 
         ongoingEvents: ongoingEvents.length,
-        currentTimeMalaysia: this.formatMalaysiaTime(nowMalaysia),
-        note: 'Predictions start 1 hour before event start time',
+        currentTimeUTC: nowUTC.toISOString(),
         eventDetails: ongoingEvents.map(e => {
-          const startUTC = new Date(e.dateOfEventStart);
-          const endUTC = new Date(e.dateOfEventEnd);
-          const startMalaysia = new Date(startUTC.getTime() + MALAYSIA_OFFSET_MS);
-          const endMalaysia = new Date(endUTC.getTime() + MALAYSIA_OFFSET_MS);
-          const oneHourBeforeStartUTC = new Date(startUTC.getTime() - ONE_HOUR_MS);
-          const oneHourBeforeStartMalaysia = new Date(oneHourBeforeStartUTC.getTime() + MALAYSIA_OFFSET_MS);
+          const timeZone = getEventTimeZone(e);
+          const { windowStart, windowEnd } = this.getPredictionWindow(e);
           
           return {
             eventId: e.eventId,
             name: e.name,
-            predictionsStartMalaysia: this.formatMalaysiaTime(oneHourBeforeStartMalaysia),
-            eventStartMalaysia: this.formatMalaysiaTime(startMalaysia),
-            eventEndMalaysia: this.formatMalaysiaTime(endMalaysia)
+            timeZone,
+            eventDay: `${getEventDay(nowUTC, e).day} of ${countEventDays(e)}`,
+            predictionsStartLocal: formatLocalTime(windowStart, timeZone),
+            predictionsEndLocal: formatLocalTime(windowEnd, timeZone)
           };
         })
       });
@@ -390,20 +579,15 @@ class CronService {
   }
 
   /**
-   * Formats a date to Malaysia local time string (for logging)
-   * @param {Date} date - Date object
-   * @returns {string} - Formatted string (YYYY-MM-DD HH:mm:ss MYT)
+   * Prediction window of an event
+   * @param {Object} event - { dateOfEventStart, dateOfEventEnd }
+   * @returns {{windowStart: Date, windowEnd: Date}}
    */
-  formatMalaysiaTime(date) {
-    // Use UTC methods since the date is already offset-adjusted
-    const year = date.getUTCFullYear();
-    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
-    const day = String(date.getUTCDate()).padStart(2, '0');
-    const hours = String(date.getUTCHours()).padStart(2, '0');
-    const minutes = String(date.getUTCMinutes()).padStart(2, '0');
-    const seconds = String(date.getUTCSeconds()).padStart(2, '0');
-    
-    return `${year}-${month}-${day} ${hours}:${minutes}:${seconds} MYT`;
+  getPredictionWindow(event) {
+    return {
+      windowStart: new Date(new Date(event.dateOfEventStart).getTime() - this.preStartMinutes * 60 * 1000),
+      windowEnd: new Date(new Date(event.dateOfEventEnd).getTime() + this.postEndMinutes * 60 * 1000)
+    };
   }
 
   /**
@@ -421,11 +605,16 @@ class CronService {
         throw new Error(`Prediction failed: ${predictionResult.message}`);
       }
 
-      // Merge new predictions with existing predict_result
+      // Merge new predictions with existing predict_result, preferring real check-in counts
+      const [configuredGates, arrivalCounts] = await Promise.all([
+        gateService.getConfiguredGates(event.eventId),
+        checkInService.getLiveArrivalCounts(event.eventId, { at: predictionResult.metadata?.requestedAt })
+      ]);
       const updatedPredictResult = this.mergePredictions(
         event.predictResult,
         predictionResult,
-        event
+        event,
+        { configuredGates, arrivalCounts }
       );
 
       // Update event with merged prediction result
@@ -440,7 +629,12 @@ class CronService {
       });
 
       // 📲 Check for high congestion and send push notifications
-      await this.checkAndSendCongestionAlerts(event.eventId, updatedPredictResult);
+      await this.checkAndSendCongestionAlerts(event.eventId, updatedPredictResult, {
+        eventAlertPolicy: event.alertPolicy,
+        eventName: event.name,
+        event,
+        configuredGates
+      });
 
       return {
         eventId: event.eventId,
@@ -463,41 +657,41 @@ class CronService {
    * @param {Object} existingPredictResult - Existing predict_result
    * @param {Object} newPredictionResult - New prediction from model
    * @param {Object} event - Event object (to get correct capacities from forecast_result)
+   * @param {Object} [options]
+   * @param {Array} [options.configuredGates] - Gates configured for the event (gateService.getGates)
+   * @param {Object} [options.arrivalCounts] - Check-in counts by gate name (checkInService.getLiveArrivalCounts)
    */
-  mergePredictions(existingPredictResult, newPredictionResult, event) {
+  mergePredictions(existingPredictResult, newPredictionResult, event, options = {}) {
+    const { configuredGates = [], arrivalCounts = {} } = options;
+
     // Initialize with existing structure or create new
     const merged = existingPredictResult ? JSON.parse(JSON.stringify(existingPredictResult)) : {};
 
-    // Get forecast gate list and capacities
-    const forecastGates = this.getForecastGateList(event.forecastResult);
-    const gateCapacities = this.extractGateCapacitiesFromForecast(event.forecastResult);
-
-    // Create reverse mapping: prediction gate_id -> forecast gate ID
-    const predictionToForecastMap = this.createPredictionToForecastMapping(forecastGates);
+    // Configured gates are authoritative; otherwise use the gates in forecast_result.
+    // Gates are sent to the model under these same keys, so predictions match them exactly.
+    const forecastGates = configuredGates.length > 0
+      ? configuredGates.map(gate => gate.name)
+      : this.getForecastGateList(event.forecastResult);
 
     logger.info('Initializing predict_result for all forecast gates', {
       forecastGates,
-      gateCapacities
+      configuredGates: configuredGates.length
     });
 
-    // ✅ STEP 1: Initialize ALL forecast gates with their capacities from forecast_result.summary.predictions
+    // ✅ STEP 1: Initialize ALL forecast gates with their capacities
     forecastGates.forEach(forecastGateId => {
+      const configuredGate = configuredGates.find(gate => gate.name === forecastGateId);
+
+      // Configured capacity changes apply to gates already in predict_result
+      if (merged[forecastGateId] && configuredGate) {
+        merged[forecastGateId].capacity = configuredGate.capacity;
+      }
+
       if (!merged[forecastGateId]) {
-        // Get capacity from forecast_result.summary.predictions (most reliable source)
-        let capacity = 100; // default
-        
-        if (event.forecastResult?.summary?.predictions) {
-          const summaryPred = event.forecastResult.summary.predictions.find(p => p.gate === forecastGateId);
-          if (summaryPred && summaryPred.capacity) {
-            capacity = summaryPred.capacity;
-          }
-        }
-        
-        // Fallback: try forecast object
-        if (capacity === 100 && event.forecastResult?.forecast?.[forecastGateId]?.capacity) {
-          capacity = event.forecastResult.forecast[forecastGateId].capacity;
-        }
-        
+        const capacity = configuredGate
+          ? configuredGate.capacity
+          : this.getForecastGateCapacity(event.forecastResult, forecastGateId);
+
         merged[forecastGateId] = {
           capacity,
           timeFrames: []
@@ -513,43 +707,46 @@ class CronService {
 
     if (predictions.length === 0) {
       logger.warn('No predictions from model, returning initialized gates with existing data');
-      return merged;
+      return this.segmentByEventDay(merged, event);
     }
 
     logger.info('Processing model predictions', {
       predictionsCount: predictions.length,
       modelGateIds: predictions.map(p => p.gate_id),
-      predictionToForecastMap,
       forecastGates
     });
 
     // Process each prediction from model
     predictions.forEach(prediction => {
       const modelGateId = prediction.gate_id;
-      
-      // Map model gate_id to forecast gate ID
-      const forecastGateId = predictionToForecastMap[modelGateId];
+      const forecastGateId = forecastGates.includes(modelGateId) ? modelGateId : null;
       
       if (!forecastGateId) {
         logger.warn('Skipping prediction for unknown gate', {
           modelGateId,
-          forecastGates,
-          availableMapping: predictionToForecastMap
+          forecastGates
         });
         return; // Skip gates not in forecast
       }
 
       // ✅ Extract values from correct model response fields
       const predicted = prediction.forecast_next_5_min?.predicted_people_count ?? 0;
-      const actual = prediction.current_people_count ?? 0;
       const riskScore = prediction.forecast_next_5_min?.risk_score ?? null;
       const possibleIncidents = prediction.forecast_next_5_min?.possible_incidents ?? [];
 
-      // Create new timeframe entry
+      // Real arrivals from ticket scans beat the model's camera estimate when the gate has scanners
+      const checkIns = arrivalCounts[forecastGateId];
+      const actual = checkIns ? checkIns.windowCount : (prediction.current_people_count ?? 0);
+
+      // Create new timeframe entry, tagged with the event day it falls on
+      const { day, date } = getEventDay(timestamp, event);
       const newTimeFrame = {
         predicted,
         actual,
+        actualSource: checkIns ? 'check_ins' : 'ai_model',
         timestamp: this.formatTimestamp(timestamp),
+        eventDay: day,
+        eventDate: date,
         dataSource: 'ai_model',
         riskScore,
         possibleIncidents
@@ -571,7 +768,35 @@ class CronService {
       });
     });
 
-    return merged;
+    return this.segmentByEventDay(merged, event);
+  }
+
+  /**
+   * Tags timeframes with their event day and summarizes each gate per day
+   * (gate.days), so reports of multi-day events can be split per day.
+   * Timeframes stored before days were tracked are tagged here too.
+   * @param {Object} predictResult - predict_result being built
+   * @param {Object} event - Event (start and time zone)
+   * @returns {Object} - predictResult
+   */
+  segmentByEventDay(predictResult, event) {
+    if (!event?.dateOfEventStart) return predictResult;
+
+    Object.values(predictResult).forEach(gateData => {
+      const timeFrames = gateData.timeFrames || [];
+
+      timeFrames.forEach(tf => {
+        if (!tf.eventDay && tf.timestamp) {
+          const { day, date } = getEventDay(tf.timestamp, event);
+          tf.eventDay = day;
+          tf.eventDate = date;
+        }
+      });
+
+      gateData.days = summarizeEventDays(timeFrames);
+    });
+
+    return predictResult;
   }
 
   /**
@@ -602,118 +827,19 @@ class CronService {
   }
 
   /**
-   * Creates reverse mapping from prediction gate IDs to forecast gate IDs
-   * @param {Array} forecastGates - Array of gate IDs from forecast (e.g., ["1", "A", "B"])
-   * @returns {Object} - Map of prediction gate_id to forecast gate ID
-   */
-  createPredictionToForecastMapping(forecastGates) {
-    const mapping = {};
-    
-    forecastGates.forEach(forecastGateId => {
-      // Get all possible prediction formats for this forecast gate
-      const predictionIds = this.mapForecastGateIdToPredictionIds(forecastGateId);
-      
-      // Map each prediction ID back to the forecast gate ID
-      predictionIds.forEach(predictionId => {
-        mapping[predictionId] = forecastGateId;
-      });
-    });
-    
-    return mapping;
-  }
-
-  /**
-   * Extracts gate capacities from forecast_result
-   * Maps gate IDs from forecast format to prediction format
+   * Gets a gate's capacity from forecast_result
    * @param {Object} forecastResult - Forecast result object
-   * @returns {Object} - Map of gate_id to capacity
+   * @param {String} gateId - Gate key in forecast_result
+   * @returns {Number} - Capacity, 100 when forecast_result has none
    */
-  extractGateCapacitiesFromForecast(forecastResult) {
-    const capacities = {};
-    
-    if (!forecastResult) {
-      logger.debug('No forecast_result, capacities will use model defaults');
-      return capacities;
-    }
-
-    // Check forecast_result.summary.predictions for capacity
-    if (forecastResult.summary?.predictions && forecastResult.summary.predictions.length > 0) {
-      forecastResult.summary.predictions.forEach(pred => {
-        if (pred.gate && pred.capacity) {
-          const gateId = pred.gate;
-          
-          // Map forecast gate IDs to prediction gate IDs
-          // forecast: "1", "2", "A", "B" 
-          // prediction: "gate_1", "gate_2", "gate_3", etc.
-          const mappedIds = this.mapForecastGateIdToPredictionIds(gateId);
-          
-          // Store capacity for all mapped IDs
-          mappedIds.forEach(id => {
-            capacities[id] = pred.capacity;
-          });
-        }
-      });
+  getForecastGateCapacity(forecastResult, gateId) {
+    // forecast_result.summary.predictions is the most reliable source
+    const summaryPred = forecastResult?.summary?.predictions?.find(p => p.gate === gateId);
+    if (summaryPred && summaryPred.capacity) {
+      return summaryPred.capacity;
     }
 
-    // Check forecast_result.forecast for capacity (alternative structure)
-    if (forecastResult.forecast && Object.keys(forecastResult.forecast).length > 0) {
-      Object.keys(forecastResult.forecast).forEach(gateId => {
-        const gateData = forecastResult.forecast[gateId];
-        if (gateData.capacity) {
-          // Map and store capacity
-          const mappedIds = this.mapForecastGateIdToPredictionIds(gateId);
-          mappedIds.forEach(id => {
-            capacities[id] = gateData.capacity;
-          });
-        }
-      });
-    }
-
-    // If no capacities found, it means forecast_result has no proper structure
-    // Capacities will be taken from model response (prediction.total_capacity)
-    if (Object.keys(capacities).length === 0) {
-      logger.debug('No capacities found in forecast_result, will use model defaults');
-    }
-
-    logger.debug('Extracted gate capacities from forecast', { capacities, capacityCount: Object.keys(capacities).length });
-
-    return capacities;
-  }
-
-  /**
-   * Maps forecast gate IDs to prediction gate IDs
-   * Handles different naming conventions between forecast and prediction
-   * @param {String} forecastGateId - Gate ID from forecast (e.g., "1", "A")
-   * @returns {Array} - Array of possible prediction gate IDs
-   */
-  mapForecastGateIdToPredictionIds(forecastGateId) {
-    const mappedIds = [];
-    
-    // Always include the original ID
-    mappedIds.push(forecastGateId);
-    
-    // Map numeric IDs: "1" -> "gate_1"
-    if (/^\d+$/.test(forecastGateId)) {
-      mappedIds.push(`gate_${forecastGateId}`);
-    }
-    
-    // Map letter IDs: "A" -> "gate_3", "gate_A"
-    // A=1st gate (sometimes gate_3), B=2nd gate (gate_4), etc.
-    if (/^[A-Z]$/.test(forecastGateId)) {
-      mappedIds.push(`gate_${forecastGateId}`);
-      
-      // Also map to numeric: A->gate_3, B->gate_4 (common pattern)
-      const letterIndex = forecastGateId.charCodeAt(0) - 'A'.charCodeAt(0);
-      mappedIds.push(`gate_${letterIndex + 3}`); // A=gate_3, B=gate_4, C=gate_5
-    }
-    
-    // Map with "gate_" prefix: "gate_1" -> stays as is
-    if (forecastGateId.startsWith('gate_')) {
-      // Already in prediction format, keep as is
-      // (already added as original ID)
-    }
-    
-    return mappedIds;
+    return forecastResult?.forecast?.[gateId]?.capacity || 100;
   }
 
   /**
@@ -732,32 +858,23 @@ class CronService {
   /**
    * Parses a timestamp string from forecast_result
    * Forecast timestamps are in format "YYYY-MM-DD HH:mm:ss" without timezone info
-   * They represent Malaysia local time (UTC+8) and need to be converted to UTC
+   * They represent the event's local time and need to be converted to UTC
    * @param {String} timestamp - Timestamp string in format "YYYY-MM-DD HH:mm:ss"
+   * @param {String} [timeZone] - IANA time zone of the event (getEventTimeZone)
    * @returns {Date} - Date object in UTC
    */
-  parseAsUTC(timestamp) {
+  parseAsUTC(timestamp, timeZone = getEventTimeZone()) {
     if (!timestamp) return new Date();
     
-    // If timestamp already has timezone info (Z or +00:00), parse normally
-    if (timestamp.includes('Z') || timestamp.includes('+') || timestamp.includes('-')) {
+    // If timestamp already has timezone info (Z or +08:00), parse normally
+    if (/(Z|[+-]\d{2}:?\d{2})$/.test(timestamp)) {
       return new Date(timestamp);
     }
     
     // For "YYYY-MM-DD HH:mm:ss" format without timezone
-    // Treat as Malaysia time (UTC+8) and convert to UTC by subtracting 8 hours
-    const match = timestamp.match(/(\d{4})-(\d{2})-(\d{2})\s+(\d{2}):(\d{2}):(\d{2})/);
-    if (match) {
-      const [, year, month, day, hour, minute, second] = match;
-      const MALAYSIA_OFFSET_HOURS = 8;
-      return new Date(Date.UTC(
-        parseInt(year),
-        parseInt(month) - 1, // Month is 0-indexed
-        parseInt(day),
-        parseInt(hour) - MALAYSIA_OFFSET_HOURS, // Convert Malaysia time to UTC
-        parseInt(minute),
-        parseInt(second)
-      ));
+    // Treat as the event's local time and convert to UTC
+    if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?/.test(timestamp)) {
+      return new Date(localToUTC(timestamp.replace('T', ' '), timeZone));
     }
     
     // Fallback: try appending 'Z' (may not work correctly in all timezones)
@@ -791,11 +908,22 @@ class CronService {
   }
 
   /**
-   * Check congestion levels and send push notifications for high/overcrowded gates
+   * Check congestion levels against the event's alert policy and move each gate through
+   * its persisted alert state. Subscribers are notified on escalation and with an
+   * "all clear" once a gate has recovered, not on every prediction update; organizers
+   * are emailed escalations at the levels the policy names them for. Operators are
+   * warned when the model's 5-minute forecast breaches the policy.
    * @param {string} eventId - Event ID
    * @param {Object} predictResult - Updated predict_result object
+   * @param {Object} [options]
+   * @param {Object} [options.eventAlertPolicy] - events.alert_policy (defaults when not set)
+   * @param {string} [options.eventName] - Event name for operator warnings
+   * @param {Object} [options.event] - The event, for emailing its organizers
+   * @param {Array<Object>} [options.configuredGates] - Gates from gateService, for alternative gate suggestions
    */
-  async checkAndSendCongestionAlerts(eventId, predictResult) {
+  async checkAndSendCongestionAlerts(eventId, predictResult, options = {}) {
+    const { eventAlertPolicy = null, eventName = null, event = null, configuredGates = [] } = options;
+
     try {
       if (!predictResult || Object.keys(predictResult).length === 0) {
         logger.debug('No predict_result to check for congestion alerts', { eventId });
@@ -807,6 +935,20 @@ class CronService {
         gateCount: Object.keys(predictResult).length
       });
 
+      // Without the stored states every update would look like a new alert, so
+      // notifications are skipped rather than repeated
+      let gateStates = null;
+      try {
+        gateStates = await alertStateService.getGateStates(eventId);
+      } catch (stateError) {
+        logger.error('Skipping congestion notifications, gate alert states unavailable', {
+          eventId,
+          error: stateError.message
+        });
+      }
+
+      const now = new Date();
+
       // Analyze each gate
       for (const [gateId, gateData] of Object.entries(predictResult)) {
         if (!gateData.timeFrames || gateData.timeFrames.length === 0) {
@@ -821,15 +963,12 @@ class CronService {
         // Calculate congestion percentage
         const congestionPercentage = (actual / capacity) * 100;
 
-        // Determine congestion level
-        let level = 'Low';
-        if (congestionPercentage >= 100) {
-          level = 'Overcrowded';
-        } else if (congestionPercentage >= 80) {
-          level = 'High';
-        } else if (congestionPercentage >= 50) {
-          level = 'Moderate';
-        }
+        // A level only counts once the policy's number of consecutive updates reached it,
+        // and is only left once the same updates are below it by the hysteresis margin
+        const gatePolicy = alertPolicy.resolveGatePolicy(eventAlertPolicy, gateId);
+        const percentages = gateData.timeFrames.map(tf => ((tf.actual || 0) / capacity) * 100);
+        const levelKey = alertPolicy.getSustainedLevel(percentages, gatePolicy);
+        const level = alertPolicy.getLevelLabel(levelKey);
 
         logger.debug('Gate congestion analysis', {
           eventId,
@@ -840,33 +979,38 @@ class CronService {
           level
         });
 
-        // Send notification for High or Overcrowded levels
-        if (level === 'High' || level === 'Overcrowded') {
-          try {
-            await pushNotificationService.sendCongestionAlert(
-              eventId,
-              gateId,
-              level,
-              actual
-            );
-
-            logger.info('📲 Sent congestion alert notification', {
-              eventId,
-              gateId,
-              level,
+        if (gateStates) {
+          await this.updateGateAlertState(eventId, gateId, gateStates[gateId] || null, {
+            sustainedLevel: levelKey,
+            recoveryLevel: alertPolicy.getRecoveryLevel(percentages, gatePolicy),
+            gatePolicy,
+            now,
+            peopleCount: actual,
+            capacity,
+            congestionPercentage,
+            latestTimeFrame,
+            eventName,
+            event,
+            alternativeGate: this.suggestAlternativeGate(predictResult, gateId, eventAlertPolicy, configuredGates)
+          });
+        }
+
+        // Overcrowding is logged as an incident once per episode; the incident stays
+        // open until staff resolve it
+        if (levelKey === 'overcrowded') {
+          await incidentService.recordDetectedIncident(eventId, {
+            title: `Gate ${gateId} overcrowded`,
+            type: 'OVERCROWDING',
+            severity: 'HIGH',
+            description: `${actual} people at gate ${gateId} (capacity ${capacity}, ${congestionPercentage.toFixed(1)}%).`,
+            gate: gateId,
+            incidentTime: latestTimeFrame.timestamp,
+            metadata: {
               peopleCount: actual,
               capacity,
-              congestionPercentage: congestionPercentage.toFixed(1)
-            });
-          } catch (notificationError) {
-            // Log error but don't fail the prediction update
-            logger.error('Failed to send congestion alert notification', {
-              eventId,
-              gateId,
-              level,
-              error: notificationError.message
-            });
-          }
+              congestionPercentage: Math.round(congestionPercentage * 10) / 10
+            }
+          }, { source: 'CONGESTION_MONITOR', dedupe: true });
         }
       }
 
@@ -880,6 +1024,358 @@ class CronService {
     }
   }
 
+  /**
+   * Moves one gate to its next alert state, sends the escalation or "all clear"
+   * notification the transition calls for and any early warning, and stores the state
+   * @param {string} eventId - Event ID
+   * @param {string} gateId - Gate key in predict_result
+   * @param {Object|null} currentState - Stored state of the gate
+   * @param {Object} readings - Levels, policy and crowd figures of the latest update
+   */
+  async updateGateAlertState(eventId, gateId, currentState, readings) {
+    const { gatePolicy, now, peopleCount, capacity, congestionPercentage, alternativeGate } = readings;
+    const { state, changed, notify } = alertStateService.transition(currentState, readings);
+    let nextState = state;
+
+    if (changed) {
+      logger.info('Gate alert state changed', {
+        eventId,
+        gateId,
+        from: currentState ? `${currentState.state}/${currentState.level}` : 'NORMAL/low',
+        to: `${state.state}/${state.level}`
+      });
+    }
+
+    try {
+      if (notify?.type === 'escalation') {
+        const level = alertPolicy.getLevelLabel(notify.level);
+        const recipients = alertPolicy.getAlertRecipients(gatePolicy, notify.level, now);
+
+        // Held back alerts stay pending and go out once the quiet period ends
+        if (recipients.length === 0) {
+          if (changed) {
+            logger.info('Congestion alert suppressed by quiet period', { eventId, gateId, level });
+          }
+        } else {
+          const result = await notificationDispatcher.dispatch({
+            type: 'congestion',
+            eventId,
+            event: readings.event,
+            severity: notify.level === 'high' ? 'warning' : 'critical',
+            // Overcrowding is critical enough to reach on-call staff as well
+            recipients: notify.level === 'overcrowded' ? ['on_call', ...recipients] : recipients,
+            gate: gateId,
+            level,
+            peopleCount,
+            capacity,
+            congestionPercentage,
+            alternativeGate
+          });
+
+          logger.info('📲 Sent congestion alert notification', {
+            eventId,
+            gateId,
+            level,
+            notificationId: result.notificationId,
+            delivered: result.delivered,
+            failed: result.failed,
+            alternativeGate: alternativeGate?.gate,
+            peopleCount,
+            capacity,
+            congestionPercentage: congestionPercentage.toFixed(1)
+          });
+
+          // Retried on the next update if nothing could be sent
+          if (result.receipts.some(receipt => receipt.status !== 'failed')) {
+            nextState = alertStateService.markNotified(nextState, notify.level, now);
+          }
+        }
+      } else if (notify?.type === 'all_clear') {
+        await notificationDispatcher.dispatch({
+          type: 'congestion_all_clear',
+          eventId,
+          event: readings.event,
+          gate: gateId,
+          previousLevel: alertPolicy.getLevelLabel(notify.level),
+          peopleCount
+        });
+
+        logger.info('📲 Sent congestion all clear notification', { eventId, gateId, peopleCount });
+      }
+    } catch (notificationError) {
+      // Log error but don't fail the prediction update; an unsent escalation is retried
+      // on the next update
+      logger.error('Failed to send congestion alert notification', {
+        eventId,
+        gateId,
+        notification: notify.type,
+        error: notificationError.message
+      });
+    }
+
+    nextState = await this.sendEarlyWarning(eventId, gateId, nextState, readings);
+
+    if (changed || nextState !== state) {
+      try {
+        await alertStateService.saveGateState(eventId, gateId, nextState);
+      } catch (stateError) {
+        logger.error('Failed to store gate alert state', { eventId, gateId, error: stateError.message });
+      }
+    }
+  }
+
+  /**
+   * Suggests the gate to send people to instead of a congested one: the least loaded
+   * gate below its high threshold, preferring gates in the same zone
+   * @param {Object} predictResult - predict_result object
+   * @param {string} gateId - Congested gate
+   * @param {Object|null} eventAlertPolicy - events.alert_policy
+   * @param {Array<Object>} [configuredGates] - Gates from gateService (for zones)
+   * @returns {{gate: string, utilizationPercentage: number}|null} - null when every other gate is busy
+   */
+  suggestAlternativeGate(predictResult, gateId, eventAlertPolicy, configuredGates = []) {
+    const zoneOf = (name) => configuredGates.find(gate => gate.name === name)?.zoneId || null;
+    const congestedZone = zoneOf(gateId);
+
+    const candidates = Object.entries(predictResult)
+      .filter(([name, gateData]) => name !== gateId && gateData.timeFrames && gateData.timeFrames.length > 0)
+      .map(([name, gateData]) => {
+        const latest = gateData.timeFrames[gateData.timeFrames.length - 1];
+        return {
+          gate: name,
+          utilizationPercentage: ((latest.actual || 0) / (gateData.capacity || 100)) * 100,
+          sameZone: congestedZone !== null && zoneOf(name) === congestedZone
+        };
+      })
+      .filter(candidate => candidate.utilizationPercentage <
+        alertPolicy.resolveGatePolicy(eventAlertPolicy, candidate.gate).thresholds.high)
+      .sort((a, b) => (b.sameZone - a.sameZone) || (a.utilizationPercentage - b.utilizationPercentage));
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    return {
+      gate: candidates[0].gate,
+      utilizationPercentage: Math.round(candidates[0].utilizationPercentage)
+    };
+  }
+
+  /**
+   * Warns operators when the latest timeframe's 5-minute forecast (predicted count or
+   * risk score) breaches the gate's policy, with the model's possible incidents
+   * @param {string} eventId - Event ID
+   * @param {string} gateId - Gate key in predict_result
+   * @param {Object} state - Gate alert state
+   * @param {Object} readings - See updateGateAlertState
+   * @returns {Promise<Object>} - State, marked when a warning was sent
+   */
+  async sendEarlyWarning(eventId, gateId, state, readings) {
+    const { gatePolicy, now, capacity, latestTimeFrame, eventName } = readings;
+    const warning = alertPolicy.getEarlyWarning(latestTimeFrame, capacity, gatePolicy);
+
+    if (!warning || !alertStateService.isEarlyWarningDue(state, warning.level, gatePolicy, now)) {
+      return state;
+    }
+
+    const sent = await notificationService.sendEarlyWarningAlert({
+      eventId,
+      eventName,
+      gate: gateId,
+      level: alertPolicy.getLevelLabel(warning.level),
+      predictedCount: latestTimeFrame.predicted || 0,
+      capacity,
+      predictedPercentage: Math.round(warning.predictedPercentage * 10) / 10,
+      riskScore: latestTimeFrame.riskScore ?? null,
+      reasons: warning.reasons,
+      possibleIncidents: latestTimeFrame.possibleIncidents || [],
+      predictedAt: latestTimeFrame.timestamp
+    });
+
+    if (!sent) {
+      logger.warn('Early warning not delivered, retrying on the next update', { eventId, gateId });
+      return state;
+    }
+
+    logger.info('⚠️ Sent early warning to operators', {
+      eventId,
+      gateId,
+      level: warning.level,
+      reasons: warning.reasons
+    });
+
+    return alertStateService.markEarlyWarning(state, warning.level, now);
+  }
+
+  /**
+   * Retries the queued push deliveries that are due; a run is skipped while the previous one is going
+   */
+  async runPushRetries() {
+    if (this.isRetryingPushes) {
+      logger.warn('🔁 Previous push retry run still in progress, skipping');
+      return;
+    }
+
+    this.isRetryingPushes = true;
+    this.lastPushRetryRunTime = new Date().toISOString();
+
+    try {
+      await pushNotificationService.processRetryQueue();
+    } catch (error) {
+      logger.error('❌ Error in push retry cron job', {
+        error: error.message,
+        stack: error.stack
+      });
+    } finally {
+      this.isRetryingPushes = false;
+    }
+  }
+
+  /**
+   * Sends the scheduled broadcasts that are due; a run is skipped while the previous one is going
+   */
+  async runScheduledBroadcasts() {
+    if (this.isSendingBroadcasts) {
+      logger.warn('📣 Previous scheduled broadcast run still in progress, skipping');
+      return;
+    }
+
+    this.isSendingBroadcasts = true;
+    this.lastBroadcastRunTime = new Date().toISOString();
+
+    try {
+      await broadcastService.processDueBroadcasts();
+    } catch (error) {
+      logger.error('❌ Error in scheduled broadcast cron job', {
+        error: error.message,
+        stack: error.stack
+      });
+    } finally {
+      this.isSendingBroadcasts = false;
+    }
+  }
+
+  /**
+   * Emails organizers a digest of the last 24 hours of each event that ran in them.
+   * Runs hourly and covers the events whose local time is in the digestHour hour, so
+   * each event gets its digest at the same wall-clock time in its own time zone.
+   */
+  async runDailyDigest() {
+    const periodEnd = new Date();
+    const periodStart = new Date(periodEnd.getTime() - 24 * 60 * 60 * 1000);
+    this.lastDigestRunTime = periodEnd.toISOString();
+
+    logger.info('📧 Starting daily digest cron job', { periodStart: periodStart.toISOString(), localHour: this.digestHour });
+
+    try {
+      const activeEvents = await this.getActiveEvents(
+        { startsBefore: periodEnd, endsAfter: periodStart },
+        { include: ['predict_result'] }
+      );
+      const digestEvents = activeEvents.filter(event => this.isDigestHour(event, periodEnd));
+
+      if (digestEvents.length === 0) {
+        logger.info('📧 No events due for the daily digest this hour', { activeEvents: activeEvents.length });
+        return;
+      }
+
+      const results = await Promise.allSettled(
+        digestEvents.map(event => this.sendDailyDigest(event, periodStart, periodEnd))
+      );
+
+      logger.info('📧 Daily digest cron job completed', {
+        totalEvents: digestEvents.length,
+        successful: results.filter(r => r.status === 'fulfilled' && r.value).length,
+        failed: results.filter(r => r.status === 'rejected' || !r.value).length
+      });
+    } catch (error) {
+      logger.error('❌ Error in daily digest cron job', {
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  /**
+   * Whether an event's local time is in the daily digest hour
+   * @param {Object} event - Event
+   * @param {Date} now - Current time
+   * @returns {boolean}
+   */
+  isDigestHour(event, now) {
+    const localHour = parseInt(getLocalTimeOfDay(now, getEventTimeZone(event)).split(':')[0], 10);
+    return localHour === this.digestHour;
+  }
+
+  /**
+   * Builds and emails the digest of one event: gate peaks, alert states and the
+   * incidents and broadcasts of the period
+   * @param {Object} event - Event
+   * @param {Date} periodStart - Start of the period
+   * @param {Date} periodEnd - End of the period
+   * @returns {Promise<boolean>} - Whether the digest was delivered
+   */
+  async sendDailyDigest(event, periodStart, periodEnd) {
+    const inPeriod = (time) => {
+      const date = new Date(time);
+      return date >= periodStart && date <= periodEnd;
+    };
+
+    const [organizers, gateStates, timeline] = await Promise.all([
+      eventMemberService.getOrganizers(event),
+      alertStateService.getGateStates(event.eventId),
+      incidentService.getIncidentTimeline(event.eventId)
+    ]);
+
+    const gates = Object.entries(event.predictResult || {}).map(([gate, gateData]) => {
+      const capacity = gateData.capacity || 100;
+      const peakCount = Math.max(0, ...(gateData.timeFrames || [])
+        .filter(tf => inPeriod(tf.timestamp))
+        .map(tf => tf.actual || 0));
+
+      return {
+        gate,
+        peakCount,
+        capacity,
+        peakPercentage: (peakCount / capacity) * 100,
+        state: gateStates[gate]?.state || 'NORMAL'
+      };
+    });
+
+    const entries = timeline.entries.filter(entry => inPeriod(entry.time));
+    const incidents = entries.filter(entry => entry.kind === 'INCIDENT');
+
+    // Organizers who muted the digest or turned off email are left out
+    const digestNotification = { type: 'daily_digest', severity: 'info' };
+    const preferencesByUser = await notificationPreferenceService.getUsersPreferences(organizers.map(organizer => organizer.userId));
+    const included = await Promise.all(organizers.map(async organizer => {
+      const preferences = preferencesByUser.get(organizer.userId);
+      return !preferences || ((!preferences.channels || preferences.channels.includes('email')) &&
+        !(await notificationPreferenceService.getBlockReason(preferences, digestNotification, `user:${organizer.userId}`, { channel: 'email' })));
+    }));
+    const recipients = organizers
+      .filter((organizer, index) => included[index])
+      .map(organizer => organizer.email)
+      .filter(Boolean);
+
+    return notificationService.sendDailyDigestEmail({
+      eventId: event.eventId,
+      orgId: event.orgId,
+      eventName: event.name,
+      periodStart: periodStart.toISOString(),
+      periodEnd: periodEnd.toISOString(),
+      timeZone: getEventTimeZone(event),
+      gates,
+      totals: {
+        incidents: incidents.length,
+        unresolved: incidents.filter(entry => entry.status !== 'RESOLVED').length,
+        fallDetections: incidents.filter(entry => entry.incidentType === 'FALL').length,
+        congestionAlerts: entries.filter(entry => entry.kind === 'CONGESTION_ALERT').length,
+        emergencyBroadcasts: entries.filter(entry => entry.kind === 'EMERGENCY_BROADCAST').length
+      }
+    }, recipients);
+  }
+
   /**
    * Run ongoing event notifications for events that are currently happening
    */
@@ -901,7 +1397,8 @@ class CronService {
 
       logger.info('📢 Found ongoing events for notifications', { 
         count: ongoingEvents.length,
-        eventIds: ongoingEvents.map(e => e.eventId)
+        eventIds: ongoingEvents.map(e => e.eventId),
+        byOrganization: this.countEventsByOrganization(ongoingEvents)
       });
 
       // Send notifications for each ongoing event
@@ -935,21 +1432,17 @@ class CronService {
     try {
       logger.info('🔍 Fetching ongoing events for notifications');
 
-      // Get current time in UTC and Malaysia timezone
       const nowUTC = new Date();
-      const MALAYSIA_OFFSET_MS = 8 * 60 * 60 * 1000; // UTC+8 in milliseconds
-      const nowMalaysia = new Date(nowUTC.getTime() + MALAYSIA_OFFSET_MS);
 
       logger.info('⏰ Time information for ongoing events check', {
-        nowUTC: nowUTC.toISOString(),
-        nowMalaysia: this.formatMalaysiaTime(nowMalaysia)
+        nowUTC: nowUTC.toISOString()
       });
 
-      // Fetch all events
-      const { events } = await eventService.getEvents(1000, 0, {});
+      // The database selects the events happening now (start <= now <= end, both UTC)
+      const events = await this.getActiveEvents({ startsBefore: nowUTC, endsAfter: nowUTC });
 
-      if (!events || events.length === 0) {
-        logger.info('📅 No events found in database');
+      if (events.length === 0) {
+        logger.info('📅 No ongoing events found in database');
         return [];
       }
 
@@ -958,35 +1451,22 @@ class CronService {
       });
 
       const ongoingEvents = events.filter(event => {
-        // Parse event start and end times (they are in UTC in the database)
-        const eventStartUTC = new Date(event.dateOfEventStart);
-        const eventEndUTC = new Date(event.dateOfEventEnd);
-
-        // Convert to Malaysia time for comparison
-        const eventStartMalaysia = new Date(eventStartUTC.getTime() + MALAYSIA_OFFSET_MS);
-        const eventEndMalaysia = new Date(eventEndUTC.getTime() + MALAYSIA_OFFSET_MS);
-
-        // Check if current time is between start and end
-        const isCurrentlyOngoing = nowMalaysia >= eventStartMalaysia && nowMalaysia <= eventEndMalaysia;
-
-        // Check if we already sent a notification recently (within last 30 minutes)
+        // Each event is announced once (sendOngoingEventNotification also checks past receipts)
         const lastNotificationTime = this.lastNotificationTimes.get(event.eventId);
-        const thirtyMinutesAgo = nowUTC.getTime() - (30 * 60 * 1000);
-        const shouldSendNotification = !lastNotificationTime || lastNotificationTime < thirtyMinutesAgo;
-
-        if (isCurrentlyOngoing) {
-          logger.debug('🎪 Event currently ongoing', {
-            eventId: event.eventId,
-            name: event.name,
-            eventStartMalaysia: this.formatMalaysiaTime(eventStartMalaysia),
-            eventEndMalaysia: this.formatMalaysiaTime(eventEndMalaysia),
-            currentTime: this.formatMalaysiaTime(nowMalaysia),
-            lastNotificationTime: lastNotificationTime ? new Date(lastNotificationTime).toISOString() : 'never',
-            shouldSendNotification
-          });
-        }
+        const shouldSendNotification = !lastNotificationTime;
+        const timeZone = getEventTimeZone(event);
+
+        logger.debug('🎪 Event currently ongoing', {
+          eventId: event.eventId,
+          name: event.name,
+          eventStartLocal: formatLocalTime(event.dateOfEventStart, timeZone),
+          eventEndLocal: formatLocalTime(event.dateOfEventEnd, timeZone),
+          currentTime: formatLocalTime(nowUTC, timeZone),
+          lastNotificationTime: lastNotificationTime ? new Date(lastNotificationTime).toISOString() : 'never',
+          shouldSendNotification
+        });
 
-        return isCurrentlyOngoing && shouldSendNotification;
+        return shouldSendNotification;
       });
 
       logger.info('🎪 Filtered ongoing events for notifications', {
@@ -1019,6 +1499,12 @@ class CronService {
         venue: event.venue
       });
 
+      // Announced before this instance started
+      if (await notificationDispatcher.wasSent(event.eventId, 'event_live')) {
+        this.lastNotificationTimes.set(event.eventId, Date.now());
+        return { eventId: event.eventId, success: true, reason: 'already_announced' };
+      }
+
       // Get subscription count to decide if it's worth sending
       const subscriptionCount = await pushNotificationService.getSubscriptionCount(event.eventId);
 
@@ -1030,19 +1516,9 @@ class CronService {
       }
 
       // Send the notification
-      const result = await pushNotificationService.sendToEvent(event.eventId, {
-        title: `🎪 ${event.name} is Live!`,
-        body: `The event at ${event.venue} is currently happening. Join us now!`,
-        tag: 'event-live',
-        requireInteraction: false,
-        data: {
-          type: 'event_live',
-          eventId: event.eventId,
-          eventName: event.name,
-          venue: event.venue,
-          timestamp: Date.now()
-        }
-      });
+      const { receipts } = await notificationDispatcher.dispatch({ type: 'event_live', eventId: event.eventId, event });
+      const [attempt] = receipts[0].attempts;
+      const result = { sent: attempt.sent || 0, failed: attempt.failed || 0 };
 
       // Update last notification time
       this.lastNotificationTimes.set(event.eventId, Date.now());
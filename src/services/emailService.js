@@ -0,0 +1,211 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const winston = require('winston');
+const supabaseService = require('./supabaseService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'email-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// smtp    - delivers through SMTP_HOST
+// file    - writes each message as an .eml file to EMAIL_FILE_DIR (local testing)
+// console - logs each message (development)
+const TRANSPORTS = ['smtp', 'file', 'console'];
+
+/**
+ * Sends email through a pluggable transport and records every delivery in
+ * notification_logs (channel 'email'), next to the push notifications
+ */
+class EmailService {
+  constructor() {
+    this.transportName = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+    this.from = process.env.EMAIL_FROM || 'Event AI <no-reply@eventai.com>';
+    this.fileDir = process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'eventai-emails');
+    this.transporter = null;
+
+    if (!TRANSPORTS.includes(this.transportName)) {
+      logger.warn('Unknown EMAIL_TRANSPORT, falling back to console', { transport: this.transportName });
+      this.transportName = 'console';
+    }
+
+    logger.info('EmailService initialized', { transport: this.transportName });
+  }
+
+  /**
+   * Creates the nodemailer transport on first use
+   * @returns {Object} - Nodemailer transporter
+   * @private
+   */
+  getTransporter() {
+    if (this.transporter) {
+      return this.transporter;
+    }
+
+    if (this.transportName === 'smtp') {
+      const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    } else if (this.transportName === 'file') {
+      this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    } else {
+      this.transporter = nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    return this.transporter;
+  }
+
+  /**
+   * Whether email can be delivered to real inboxes
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.transportName === 'smtp' && Boolean(process.env.SMTP_HOST);
+  }
+
+  /**
+   * Sends a message to each recipient separately, so one bad address does not
+   * fail the others, and logs each delivery
+   * @param {Array<string>} recipients - Email addresses
+   * @param {Object} content - { subject, html, text } from emailTemplates
+   * @param {Object} [context] - Stored with the delivery log
+   * @param {string} [context.type] - Notification type, e.g. 'congestion_alert'
+   * @param {string} [context.eventId] - Event ID
+   * @param {string} [context.orgId] - Organization of the event
+   * @param {Object} [context.data] - Extra data for the log
+   * @returns {Promise<{sent: number, failed: number, results: Array}>}
+   */
+  async sendEmail(recipients, content, context = {}) {
+    const addresses = [...new Set((recipients || [])
+      .map(address => String(address).trim().toLowerCase())
+      .filter(Boolean))];
+
+    if (addresses.length === 0) {
+      logger.warn('No recipients for email', { type: context.type, eventId: context.eventId });
+      return { sent: 0, failed: 0, results: [] };
+    }
+
+    const transporter = this.getTransporter();
+
+    const results = await Promise.all(addresses.map(async (to) => {
+      try {
+        const info = await transporter.sendMail({
+          from: this.from,
+          to,
+          subject: content.subject,
+          html: content.html,
+          text: content.text
+        });
+
+        if (this.transportName === 'file') {
+          await this.writeMessageFile(info);
+        } else if (this.transportName === 'console') {
+          logger.info('Email (development mode)', { to, subject: content.subject, text: content.text });
+        }
+
+        await this.logDelivery(to, content, context, 'sent');
+        return { to, success: true, messageId: info.messageId };
+      } catch (error) {
+        logger.error('Error sending email', { to, type: context.type, error: error.message });
+        await this.logDelivery(to, content, context, 'failed', error.message);
+        return { to, success: false, error: error.message };
+      }
+    }));
+
+    const sent = results.filter(result => result.success).length;
+
+    logger.info('Email delivery completed', {
+      type: context.type,
+      eventId: context.eventId,
+      sent,
+      failed: results.length - sent
+    });
+
+    return { sent, failed: results.length - sent, results };
+  }
+
+  /**
+   * Writes a message produced by the file transport to EMAIL_FILE_DIR
+   * @param {Object} info - sendMail result with the raw message
+   * @private
+   */
+  async writeMessageFile(info) {
+    await fs.promises.mkdir(this.fileDir, { recursive: true });
+    const filename = `${Date.now()}-${String(info.messageId).replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+    await fs.promises.writeFile(path.join(this.fileDir, filename), info.message);
+  }
+
+  /**
+   * Logs an email delivery to notification_logs
+   * @param {string} recipient - Email address
+   * @param {Object} content - { subject, text }
+   * @param {Object} context - See sendEmail
+   * @param {string} status - 'sent' or 'failed'
+   * @param {string} [errorMessage] - Error message if failed
+   * @private
+   */
+  async logDelivery(recipient, content, context, status, errorMessage = null) {
+    try {
+      await supabaseService.client
+        .from('notification_logs')
+        .insert({
+          subscription_id: null,
+          event_id: context.eventId || null,
+          org_id: context.orgId || null,
+          channel: 'email',
+          recipient,
+          title: content.subject,
+          body: content.text,
+          data: { type: context.type, ...(context.data || {}) },
+          status,
+          error_message: errorMessage
+        });
+    } catch (error) {
+      logger.error('Error logging email delivery', {
+        recipient,
+        eventId: context.eventId,
+        error: error.message
+      });
+      // Don't throw - logging errors shouldn't break email sending
+    }
+  }
+
+  /**
+   * Verifies the SMTP connection
+   * @returns {Promise<boolean>}
+   */
+  async verifyConnection() {
+    if (this.transportName !== 'smtp') {
+      return true;
+    }
+
+    try {
+      await this.getTransporter().verify();
+      return true;
+    } catch (error) {
+      logger.warn('SMTP verification failed', { error: error.message });
+      return false;
+    }
+  }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,295 @@
+const supabaseService = require('./supabaseService');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'event-member-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// Event roles from least to most privileged. OWNER is implicit (events.owner_user_id)
+// and ADMIN is the global user role; neither is stored in event_members.
+const EVENT_ROLES = ['VIEWER', 'OPERATOR', 'OWNER', 'ADMIN'];
+const MEMBER_ROLES = ['OPERATOR', 'VIEWER'];
+
+const MEMBER_COLUMNS = 'id, event_id, user_id, role, on_call, added_by, created_at, updated_at';
+
+class EventMemberService {
+  constructor() {
+    this.client = supabaseService.client;
+    this.memberRoles = MEMBER_ROLES;
+  }
+
+  /**
+   * Resolves the caller's effective role on an event
+   * @param {Object} event - Event in camelCase form
+   * @param {Object} user - Authenticated user (req.user)
+   * @returns {Promise<string|null>} - ADMIN, OWNER, OPERATOR, VIEWER or null if no access
+   */
+  async getEventRole(event, user) {
+    if (!user) return null;
+    if (user.role === 'ADMIN') return 'ADMIN';
+    if (event.ownerUserId && event.ownerUserId === user.userId) return 'OWNER';
+
+    const membership = await this.getMembership(event.eventId, user.userId);
+    return membership ? membership.role : null;
+  }
+
+  /**
+   * Checks whether a role satisfies a minimum event role
+   * @param {string|null} role - Effective role
+   * @param {string} minRole - Required role
+   * @returns {boolean}
+   */
+  hasEventRole(role, minRole) {
+    if (!role) return false;
+    return EVENT_ROLES.indexOf(role) >= EVENT_ROLES.indexOf(minRole);
+  }
+
+  /**
+   * Retrieves a user's membership of an event
+   * @param {string} eventId - Event ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>}
+   */
+  async getMembership(eventId, userId) {
+    try {
+      const { data: member, error } = await this.client
+        .from('event_members')
+        .select(MEMBER_COLUMNS)
+        .eq('event_id', eventId)
+        .eq('user_id', userId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = not found
+        throw error;
+      }
+
+      return member ? this.convertMemberToCamelCase(member) : null;
+    } catch (error) {
+      logger.error('Error retrieving event membership', { eventId, userId, error: error.message });
+      throw new Error(`Failed to retrieve event membership: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists the members of an event
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object[]>}
+   */
+  async getMembers(eventId) {
+    try {
+      const { data: members, error } = await this.client
+        .from('event_members')
+        .select(MEMBER_COLUMNS)
+        .eq('event_id', eventId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return members.map(member => this.convertMemberToCamelCase(member));
+    } catch (error) {
+      logger.error('Error retrieving event members', { eventId, error: error.message });
+      throw new Error(`Failed to retrieve event members: ${error.message}`);
+    }
+  }
+
+  /**
+   * Contact details of the people running an event: the owner and its operators
+   * @param {Object} event - Event in camelCase form
+   * @returns {Promise<Array<{userId: string|null, email: string|null, phone: string|null}>>}
+   */
+  async getOrganizers(event) {
+    try {
+      const operatorIds = (await this.getMembers(event.eventId))
+        .filter(member => member.role === 'OPERATOR')
+        .map(member => member.userId);
+
+      const ownerEmail = event.userEmail ? event.userEmail.toLowerCase() : null;
+
+      const [owners, operators] = await Promise.all([
+        event.ownerUserId ? this.client.from('users').select('user_id, email, phone').eq('user_id', event.ownerUserId) : { data: [] },
+        operatorIds.length > 0 ? this.client.from('users').select('user_id, email, phone').in('user_id', operatorIds) : { data: [] }
+      ]);
+
+      if (owners.error) throw owners.error;
+      if (operators.error) throw operators.error;
+
+      // An event without an owner account can still email its contact address
+      const organizers = owners.data.length > 0
+        ? owners.data.map(user => this.convertContactToCamelCase(user))
+        : (ownerEmail ? [{ userId: null, email: ownerEmail, phone: null }] : []);
+
+      operators.data
+        .filter(user => !organizers.some(organizer => organizer.userId === user.user_id))
+        .forEach(user => organizers.push(this.convertContactToCamelCase(user)));
+
+      return organizers;
+    } catch (error) {
+      logger.error('Error retrieving event organizers', { eventId: event.eventId, error: error.message });
+      throw new Error(`Failed to retrieve event organizers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Contact details of an event's on-call members
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Array<{userId: string, email: string|null, phone: string|null}>>}
+   */
+  async getOnCallMembers(eventId) {
+    try {
+      const { data: members, error } = await this.client
+        .from('event_members')
+        .select('user_id')
+        .eq('event_id', eventId)
+        .eq('on_call', true);
+
+      if (error) throw error;
+
+      if (members.length === 0) {
+        return [];
+      }
+
+      const { data: users, error: usersError } = await this.client
+        .from('users')
+        .select('user_id, email, phone')
+        .in('user_id', members.map(member => member.user_id));
+
+      if (usersError) throw usersError;
+
+      const missingPhones = users.filter(user => !user.phone).length;
+      if (missingPhones > 0) {
+        logger.warn('On-call members without a phone number', { eventId, missing: missingPhones });
+      }
+
+      return users.map(user => this.convertContactToCamelCase(user));
+    } catch (error) {
+      logger.error('Error retrieving on-call members', { eventId, error: error.message });
+      throw new Error(`Failed to retrieve on-call members: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists the IDs of all events a user is a member of
+   * @param {string} userId - User ID
+   * @returns {Promise<string[]>}
+   */
+  async getMemberEventIds(userId) {
+    try {
+      const { data: members, error } = await this.client
+        .from('event_members')
+        .select('event_id')
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      return members.map(member => member.event_id);
+    } catch (error) {
+      logger.error('Error retrieving member events', { userId, error: error.message });
+      throw new Error(`Failed to retrieve member events: ${error.message}`);
+    }
+  }
+
+  /**
+   * Adds a member to an event, or changes the role of an existing member
+   * @param {string} eventId - Event ID
+   * @param {string} userId - User ID of the member
+   * @param {string} role - OPERATOR or VIEWER
+   * @param {string} addedBy - User ID of the caller granting access
+   * @param {boolean} [onCall] - Whether the member gets critical alerts by SMS (unchanged when omitted)
+   * @returns {Promise<Object>} - Membership
+   */
+  async upsertMember(eventId, userId, role, addedBy, onCall) {
+    try {
+      logger.info('Upserting event member', { eventId, userId, role, onCall });
+
+      const { data: member, error } = await this.client
+        .from('event_members')
+        .upsert({
+          event_id: eventId,
+          user_id: userId,
+          role,
+          added_by: addedBy,
+          ...(onCall !== undefined && { on_call: onCall })
+        }, { onConflict: 'event_id,user_id' })
+        .select(MEMBER_COLUMNS)
+        .single();
+
+      if (error) throw error;
+
+      return this.convertMemberToCamelCase(member);
+    } catch (error) {
+      logger.error('Error upserting event member', { eventId, userId, error: error.message });
+      throw new Error(`Failed to add event member: ${error.message}`);
+    }
+  }
+
+  /**
+   * Removes a member from an event
+   * @param {string} eventId - Event ID
+   * @param {string} userId - User ID of the member
+   * @returns {Promise<boolean>} - True if a membership was removed
+   */
+  async removeMember(eventId, userId) {
+    try {
+      logger.info('Removing event member', { eventId, userId });
+
+      const { data, error } = await this.client
+        .from('event_members')
+        .delete()
+        .eq('event_id', eventId)
+        .eq('user_id', userId)
+        .select('id');
+
+      if (error) throw error;
+
+      return data.length > 0;
+    } catch (error) {
+      logger.error('Error removing event member', { eventId, userId, error: error.message });
+      throw new Error(`Failed to remove event member: ${error.message}`);
+    }
+  }
+
+  /**
+   * Converts a users row to the contact details notifications need
+   * @param {Object} user - { user_id, email, phone }
+   * @returns {Object}
+   */
+  convertContactToCamelCase(user) {
+    return {
+      userId: user.user_id,
+      email: user.email ? user.email.toLowerCase() : null,
+      phone: user.phone || null
+    };
+  }
+
+  /**
+   * Converts database membership object to camelCase
+   * @param {Object} member - Membership from database
+   * @returns {Object}
+   */
+  convertMemberToCamelCase(member) {
+    return {
+      id: member.id,
+      eventId: member.event_id,
+      userId: member.user_id,
+      role: member.role,
+      onCall: Boolean(member.on_call),
+      addedBy: member.added_by,
+      createdAt: member.created_at,
+      updatedAt: member.updated_at
+    };
+  }
+}
+
+module.exports = new EventMemberService();
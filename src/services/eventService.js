@@ -1,5 +1,6 @@
 const { createClient } = require('@supabase/supabase-js');
 const winston = require('winston');
+const { DEFAULT_EVENT_TIMEZONE } = require('../utils/timezoneHelper');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -30,6 +31,10 @@ if (!supabaseUrl || (!supabaseServiceKey && !supabaseAnonKey)) {
 const supabaseKey = supabaseServiceKey || supabaseAnonKey;
 const supabase = createClient(supabaseUrl, supabaseKey);
 
+// Columns the cron jobs need from an active event; the JSON results are added on request
+const ACTIVE_EVENT_COLUMNS = 'id, event_id, name, venue, time_zone, date_of_event_start, date_of_event_end, status, user_email, owner_user_id, org_id, alert_policy';
+const ACTIVE_EVENT_RESULT_COLUMNS = ['forecast_result', 'predict_result'];
+
 class EventService {
   constructor() {
     this.client = supabase;
@@ -50,11 +55,14 @@ class EventService {
         name: eventData.name,
         description: eventData.description || null,
         venue: eventData.venue || null,
+        time_zone: eventData.timeZone || DEFAULT_EVENT_TIMEZONE,
         date_of_event_start: eventData.dateOfEventStart,
         date_of_event_end: eventData.dateOfEventEnd,
         status: eventData.status || 'CREATED',
         venue_layout: eventData.venueLayout || null,
         user_email: eventData.userEmail,
+        owner_user_id: eventData.ownerUserId || null,
+        org_id: eventData.orgId,
         forecast_result: null, // Will be populated by forecast service
         attachment_urls: eventData.attachmentUrls || [],
         attachment_context: eventData.attachmentContext || null,
@@ -67,7 +75,7 @@ class EventService {
         .from('events')
         .insert(eventRecord)
         .select(`
-          id, event_id, name, description, venue, date_of_event_start, date_of_event_end, status, venue_layout, user_email, forecast_result, attachment_urls, attachment_filenames, attachment_context, predict_result, popularity, popularity_extent, nearby_event, created_at, updated_at
+          id, event_id, name, description, venue, date_of_event_start, date_of_event_end, status, venue_layout, user_email, owner_user_id, org_id, forecast_result, attachment_urls, attachment_filenames, attachment_context, predict_result, popularity, popularity_extent, nearby_event, alert_policy, time_zone, created_at, updated_at
         `)
         .single();
 
@@ -99,7 +107,7 @@ class EventService {
       const { data: event, error } = await this.client
         .from('events')
         .select(`
-          id, event_id, name, description, venue, date_of_event_start, date_of_event_end, status, venue_layout, user_email, forecast_result, attachment_urls, attachment_filenames, attachment_context, predict_result, popularity, popularity_extent, nearby_event, created_at, updated_at
+          id, event_id, name, description, venue, date_of_event_start, date_of_event_end, status, venue_layout, user_email, owner_user_id, org_id, forecast_result, attachment_urls, attachment_filenames, attachment_context, predict_result, popularity, popularity_extent, nearby_event, alert_policy, time_zone, created_at, updated_at
         `)
         .eq('event_id', eventId)
         .single();
@@ -121,11 +129,35 @@ class EventService {
     }
   }
 
+  /**
+   * Retrieves several events by ID with the lean columns of ACTIVE_EVENT_COLUMNS
+   * @param {Array<string>} eventIds - Event IDs
+   * @returns {Promise<Map<string, Object>>} - eventId -> event; missing events are left out
+   */
+  async getEventsByIds(eventIds) {
+    if (eventIds.length === 0) return new Map();
+
+    try {
+      const { data: events, error } = await this.client
+        .from('events')
+        .select(ACTIVE_EVENT_COLUMNS)
+        .in('event_id', eventIds);
+
+      if (error) throw error;
+
+      logger.debug('Events retrieved by ID', { requested: eventIds.length, found: events.length });
+      return new Map(events.map(event => [event.event_id, this.convertEventToCamelCase(event)]));
+    } catch (error) {
+      logger.error('Error retrieving events by ID', { count: eventIds.length, error: error.message });
+      throw new Error(`Failed to retrieve events: ${error.message}`);
+    }
+  }
+
   /**
    * Retrieves events with pagination and filtering
    * @param {number} limit - Number of events to retrieve
    * @param {number} offset - Number of events to skip
-   * @param {Object} filters - Filter criteria
+   * @param {Object} filters - Filter criteria (orgIds scopes to organizations, ownerUserId to one owner, accessibleBy limits results to events a user owns or is a member of)
    * @returns {Promise<{events: Object[], total: number}>} - Events and total count
    */
   async getEvents(limit = 10, offset = 0, filters = {}, sortBy = 'date_of_event_start', sortOrder = 'asc') {
@@ -139,6 +171,15 @@ class EventService {
       if (filters.userEmail) {
         countQuery = countQuery.eq('user_email', filters.userEmail);
       }
+      if (filters.ownerUserId) {
+        countQuery = countQuery.eq('owner_user_id', filters.ownerUserId);
+      }
+      if (filters.accessibleBy) {
+        countQuery = countQuery.or(this.buildAccessFilter(filters.accessibleBy));
+      }
+      if (filters.orgIds) {
+        countQuery = countQuery.in('org_id', filters.orgIds);
+      }
       if (filters.upcoming) {
         countQuery = countQuery.gte('date_of_event_start', new Date().toISOString());
       }
@@ -175,7 +216,7 @@ class EventService {
       const ascending = sortOrder === 'asc';
       let dataQuery = this.client.from('events')
         .select(`
-          id, event_id, name, description, venue, date_of_event_start, date_of_event_end, status, venue_layout, user_email, forecast_result, attachment_urls, attachment_filenames, attachment_context, predict_result, popularity, popularity_extent, nearby_event, created_at, updated_at
+          id, event_id, name, description, venue, date_of_event_start, date_of_event_end, status, venue_layout, user_email, owner_user_id, org_id, forecast_result, attachment_urls, attachment_filenames, attachment_context, predict_result, popularity, popularity_extent, nearby_event, alert_policy, time_zone, created_at, updated_at
         `)
         .order(sortBy, { ascending })
         .range(offset, offset + limit - 1);
@@ -184,6 +225,15 @@ class EventService {
       if (filters.userEmail) {
         dataQuery = dataQuery.eq('user_email', filters.userEmail);
       }
+      if (filters.ownerUserId) {
+        dataQuery = dataQuery.eq('owner_user_id', filters.ownerUserId);
+      }
+      if (filters.accessibleBy) {
+        dataQuery = dataQuery.or(this.buildAccessFilter(filters.accessibleBy));
+      }
+      if (filters.orgIds) {
+        dataQuery = dataQuery.in('org_id', filters.orgIds);
+      }
       if (filters.upcoming) {
         dataQuery = dataQuery.gte('date_of_event_start', new Date().toISOString());
       }
@@ -227,6 +277,70 @@ class EventService {
     }
   }
 
+  /**
+   * Retrieves one page of the events whose active window overlaps a period, filtered
+   * in the database: events starting by `startsBefore` and ending at or after `endsAfter`.
+   * Only lean columns are selected unless `include` asks for the JSON results.
+   * @param {Object} window - { startsBefore, endsAfter } (Date or ISO string)
+   * @param {Object} [options]
+   * @param {Array<string>|null} [options.orgIds] - Organizations to include (null for all)
+   * @param {boolean} [options.withForecast] - Only events with a forecast_result
+   * @param {Array<string>} [options.include] - forecast_result and/or predict_result
+   * @param {number} [options.limit=200] - Page size
+   * @param {number} [options.offset=0] - Events to skip
+   * @returns {Promise<{events: Object[], hasMore: boolean}>}
+   */
+  async getActiveEvents(window, options = {}) {
+    const { orgIds = null, withForecast = false, include = [], limit = 200, offset = 0 } = options;
+
+    try {
+      const resultColumns = include.filter(column => ACTIVE_EVENT_RESULT_COLUMNS.includes(column));
+      const columns = [ACTIVE_EVENT_COLUMNS, ...resultColumns].join(', ');
+
+      // Ordered by start, then ID, so pages stay stable while the cron walks them
+      let query = this.client.from('events')
+        .select(columns)
+        .lte('date_of_event_start', new Date(window.startsBefore).toISOString())
+        .gte('date_of_event_end', new Date(window.endsAfter).toISOString())
+        .order('date_of_event_start', { ascending: true })
+        .order('event_id', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (orgIds) {
+        query = query.in('org_id', orgIds);
+      }
+      if (withForecast) {
+        query = query.not('forecast_result', 'is', null);
+      }
+
+      const { data: events, error } = await query;
+
+      if (error) throw error;
+
+      logger.debug('Active events page retrieved', { offset, count: events.length, include: resultColumns });
+      return {
+        events: events.map(event => this.convertEventToCamelCase(event)),
+        hasMore: events.length === limit
+      };
+    } catch (error) {
+      logger.error('Error retrieving active events', { offset, error: error.message });
+      throw new Error(`Failed to retrieve active events: ${error.message}`);
+    }
+  }
+
+  /**
+   * Builds a PostgREST `or` filter matching events owned by, or shared with, a user
+   * @param {Object} accessibleBy - { userId, eventIds }
+   * @returns {string}
+   */
+  buildAccessFilter(accessibleBy) {
+    const conditions = [`owner_user_id.eq.${accessibleBy.userId}`];
+    if (accessibleBy.eventIds && accessibleBy.eventIds.length > 0) {
+      conditions.push(`event_id.in.(${accessibleBy.eventIds.join(',')})`);
+    }
+    return conditions.join(',');
+  }
+
   /**
    * Updates an event
    * @param {string} eventId - Event ID
@@ -243,11 +357,13 @@ class EventService {
       if (updateData.name) updateFields.name = updateData.name;
       if (updateData.description !== undefined) updateFields.description = updateData.description;
       if (updateData.venue !== undefined) updateFields.venue = updateData.venue;
+      if (updateData.timeZone) updateFields.time_zone = updateData.timeZone;
       if (updateData.dateOfEventStart) updateFields.date_of_event_start = updateData.dateOfEventStart;
       if (updateData.dateOfEventEnd) updateFields.date_of_event_end = updateData.dateOfEventEnd;
       if (updateData.status) updateFields.status = updateData.status;
       if (updateData.venueLayout !== undefined) updateFields.venue_layout = updateData.venueLayout;
       if (updateData.userEmail) updateFields.user_email = updateData.userEmail;
+      if (updateData.ownerUserId) updateFields.owner_user_id = updateData.ownerUserId;
       if (updateData.forecastResult !== undefined) updateFields.forecast_result = updateData.forecastResult;
       if (updateData.predictResult !== undefined) updateFields.predict_result = updateData.predictResult;
       if (updateData.attachmentUrls !== undefined) updateFields.attachment_urls = updateData.attachmentUrls;
@@ -256,26 +372,49 @@ class EventService {
       if (updateData.popularity !== undefined) updateFields.popularity = updateData.popularity;
       if (updateData.popularityExtent !== undefined) updateFields.popularity_extent = updateData.popularityExtent;
       if (updateData.nearbyEvent !== undefined) updateFields.nearby_event = updateData.nearbyEvent;
+      if (updateData.alertPolicy !== undefined) updateFields.alert_policy = updateData.alertPolicy;
 
       const { data: event, error } = await this.client
         .from('events')
         .update(updateFields)
         .eq('event_id', eventId)
         .select(`
-          id, event_id, name, description, venue, date_of_event_start, date_of_event_end, status, venue_layout, user_email, forecast_result, attachment_urls, attachment_filenames, attachment_context, predict_result, popularity, popularity_extent, nearby_event, created_at, updated_at
+          id, event_id, name, description, venue, date_of_event_start, date_of_event_end, status, venue_layout, user_email, owner_user_id, org_id, forecast_result, attachment_urls, attachment_filenames, attachment_context, predict_result, popularity, popularity_extent, nearby_event, alert_policy, time_zone, created_at, updated_at
         `)
         .single();
 
       if (error) throw error;
 
       logger.info('Event updated successfully', { eventId });
-      return this.convertEventToCamelCase(event);
+      const updatedEvent = this.convertEventToCamelCase(event);
+
+      if (updateFields.date_of_event_start || updateFields.date_of_event_end) {
+        await this.rescheduleBroadcasts(updatedEvent);
+      }
+
+      return updatedEvent;
     } catch (error) {
       logger.error('Error updating event', { eventId, error: error.message });
       throw new Error(`Failed to update event: ${error.message}`);
     }
   }
 
+  /**
+   * Moves the pending broadcasts anchored to the start or end of an event whose dates
+   * changed. A failure is logged only: the event itself was updated.
+   * @param {Object} event - Updated event
+   */
+  async rescheduleBroadcasts(event) {
+    // Required here, since broadcastService depends on this service
+    const broadcastService = require('./broadcastService');
+
+    try {
+      await broadcastService.rescheduleEventBroadcasts(event);
+    } catch (error) {
+      logger.error('❌ Could not move the broadcasts of the event to its new dates', { eventId: event.eventId, error: error.message });
+    }
+  }
+
   /**
    * Updates event forecast result
    * @param {string} eventId - Event ID
@@ -291,7 +430,7 @@ class EventService {
         .update({ forecast_result: forecastResult })
         .eq('event_id', eventId)
         .select(`
-          id, event_id, name, description, venue, date_of_event_start, date_of_event_end, status, venue_layout, user_email, forecast_result, attachment_urls, attachment_filenames, attachment_context, predict_result, popularity, popularity_extent, nearby_event, created_at, updated_at
+          id, event_id, name, description, venue, date_of_event_start, date_of_event_end, status, venue_layout, user_email, owner_user_id, org_id, forecast_result, attachment_urls, attachment_filenames, attachment_context, predict_result, popularity, popularity_extent, nearby_event, alert_policy, time_zone, created_at, updated_at
         `)
         .single();
 
@@ -330,26 +469,42 @@ class EventService {
 
   /**
    * Retrieves event statistics
+   * @param {Array<string>|null} orgIds - Organizations to include (null for all)
    * @returns {Promise<Object>} - Statistics object
    */
-  async getEventStatistics() {
+  async getEventStatistics(orgIds = null) {
     try {
-      logger.info('Retrieving event statistics');
+      logger.info('Retrieving event statistics', { orgIds });
+
+      // Unscoped requests read the global view, scoped ones sum the per-organization rows
+      let rows;
+      if (orgIds) {
+        const { data, error } = await this.client
+          .from('event_statistics_by_org')
+          .select('*')
+          .in('org_id', orgIds);
+
+        if (error) throw error;
+        rows = data;
+      } else {
+        const { data, error } = await this.client
+          .from('event_statistics')
+          .select('*')
+          .single();
 
-      const { data: stats, error } = await this.client
-        .from('event_statistics')
-        .select('*')
-        .single();
+        if (error) throw error;
+        rows = [data];
+      }
 
-      if (error) throw error;
+      const sum = (field) => rows.reduce((total, row) => total + Number(row[field] || 0), 0);
 
       // Convert snake_case to camelCase
       const statistics = {
-        totalEvents: stats.total_events,
-        upcomingEvents: stats.upcoming_events,
-        pastEvents: stats.past_events,
-        ongoingEvents: stats.ongoing_events,
-        eventsWithForecast: stats.events_with_forecast
+        totalEvents: sum('total_events'),
+        upcomingEvents: sum('upcoming_events'),
+        pastEvents: sum('past_events'),
+        ongoingEvents: sum('ongoing_events'),
+        eventsWithForecast: sum('events_with_forecast')
       };
 
       logger.info('Event statistics retrieved successfully', statistics);
@@ -372,11 +527,14 @@ class EventService {
       name: event.name,
       description: event.description,
       venue: event.venue,
+      timeZone: event.time_zone,
       dateOfEventStart: event.date_of_event_start,
       dateOfEventEnd: event.date_of_event_end,
       status: event.status,
       venueLayout: event.venue_layout,
       userEmail: event.user_email,
+      ownerUserId: event.owner_user_id,
+      orgId: event.org_id,
       forecastResult: event.forecast_result,
       attachmentUrls: event.attachment_urls,
       attachmentFilenames: event.attachment_filenames,
@@ -385,6 +543,7 @@ class EventService {
       popularity: event.popularity,
       popularityExtent: event.popularity_extent,
       nearbyEvent: event.nearby_event,
+      alertPolicy: event.alert_policy,
       createdAt: event.created_at,
       updatedAt: event.updated_at
     };
@@ -1,6 +1,8 @@
 const axios = require('axios');
 const winston = require('winston');
 const eventService = require('./eventService');
+const gateService = require('./gateService');
+const { utcToLocal, getEventTimeZone } = require('../utils/timezoneHelper');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -310,8 +312,9 @@ class ForecastService {
         throw new Error('Event not found');
       }
 
-      // Call new AI model endpoint
-      const modelResponse = await this.callNewAIModel(forecastData);
+      // Call new AI model endpoint with the event's configured gates unless the caller overrides them
+      const modelInput = await this.resolveForecastGates(eventId, forecastData);
+      const modelResponse = await this.callNewAIModel(modelInput);
 
       // Optionally update event with forecast result
       if (autoSave) {
@@ -329,6 +332,67 @@ class ForecastService {
     }
   }
 
+  /**
+   * Fills `gates` and `gates_crowd` from the event's configured gates when the
+   * request does not provide them. Explicit gates in the request take precedence.
+   * @param {string} eventId - Event ID
+   * @param {Object} forecastData - Forecast input data for new model
+   * @returns {Promise<Object>} - Forecast input data with gates and capacities
+   */
+  async resolveForecastGates(eventId, forecastData) {
+    if (Array.isArray(forecastData.gates) && forecastData.gates.length > 0) {
+      return forecastData;
+    }
+
+    const gates = await gateService.getGates(eventId);
+    if (gates.length === 0) {
+      throw new Error('No gates configured for this event; add gates or pass gates and gates_crowd');
+    }
+
+    logger.info('Using configured gates for forecast', { eventId, gates: gates.map(gate => gate.name) });
+
+    return {
+      ...forecastData,
+      gates: gates.map(gate => gate.name),
+      gates_crowd: gates.map(gate => gate.capacity)
+    };
+  }
+
+  /**
+   * Adds the event programme (event_schedule) to the forecast input so the model and
+   * the recommendation prompt see when surges are expected. Missing
+   * `schedule_start_time` / `event_end_time` default to the first and last programme items.
+   * @param {Object} forecastData - Forecast input data for new model
+   * @param {Array} schedule - Programme items (scheduleService.getSchedule)
+   * @param {string} [timeZone] - IANA time zone of the event (getEventTimeZone)
+   * @returns {Object} - Forecast input data with a `schedule` array in model time format
+   */
+  applySchedule(forecastData, schedule, timeZone = getEventTimeZone()) {
+    if (!schedule || schedule.length === 0) {
+      return forecastData;
+    }
+
+    // The model works in venue-local time without offsets, like schedule_start_time
+    const modelSchedule = schedule.map(item => ({
+      activity: item.activity,
+      start_time: utcToLocal(item.startTime, timeZone),
+      end_time: utcToLocal(item.endTime, timeZone),
+      expected_attendance: item.expectedAttendance ?? null
+    }));
+
+    const lastEnd = modelSchedule.reduce(
+      (latest, item) => (item.end_time > latest ? item.end_time : latest),
+      modelSchedule[0].end_time
+    );
+
+    return {
+      ...forecastData,
+      schedule_start_time: forecastData.schedule_start_time || modelSchedule[0].start_time,
+      event_end_time: forecastData.event_end_time || lastEnd,
+      schedule: modelSchedule
+    };
+  }
+
   /**
    * Cleans datetime string by removing timezone information
    * @param {string} datetimeStr - Datetime string that may contain timezone
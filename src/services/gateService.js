@@ -0,0 +1,234 @@
+const supabaseService = require('./supabaseService');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'gate-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const GATE_COLUMNS = 'id, gate_id, event_id, zone_id, name, capacity, latitude, longitude, sort_order, created_at, updated_at, zones(name)';
+
+class GateService {
+  constructor() {
+    this.client = supabaseService.client;
+  }
+
+  /**
+   * Creates a gate for an event
+   * @param {string} eventId - Event ID
+   * @param {Object} gateData - { name, capacity, zoneId, latitude, longitude, sortOrder }
+   * @returns {Promise<Object>} - Created gate
+   */
+  async createGate(eventId, gateData) {
+    try {
+      const gateId = `gate_${uuidv4()}`;
+
+      logger.info('Creating gate', { eventId, gateId, name: gateData.name });
+
+      const { data: gate, error } = await this.client
+        .from('gates')
+        .insert({
+          gate_id: gateId,
+          event_id: eventId,
+          ...this.convertGateToSnakeCase(gateData)
+        })
+        .select(GATE_COLUMNS)
+        .single();
+
+      if (error) throw error;
+
+      return this.convertGateToCamelCase(gate);
+    } catch (error) {
+      logger.error('Error creating gate', { eventId, error: error.message });
+
+      if (error.code === '23505') {
+        throw new Error('Gate name already exists for this event');
+      }
+
+      throw new Error(`Failed to create gate: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists the gates of an event in forecast order
+   * @param {string} eventId - Event ID
+   * @param {Object} [filters] - { zoneId }
+   * @returns {Promise<Object[]>}
+   */
+  async getGates(eventId, filters = {}) {
+    try {
+      let query = this.client
+        .from('gates')
+        .select(GATE_COLUMNS)
+        .eq('event_id', eventId);
+
+      if (filters.zoneId) {
+        query = query.eq('zone_id', filters.zoneId);
+      }
+
+      const { data: gates, error } = await query
+        .order('sort_order', { ascending: true })
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+
+      return gates.map(gate => this.convertGateToCamelCase(gate));
+    } catch (error) {
+      logger.error('Error retrieving gates', { eventId, error: error.message });
+      throw new Error(`Failed to retrieve gates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists the gates of an event for the forecast and prediction pipelines.
+   * Never throws: callers fall back to the gates in forecast_result when none are configured.
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object[]>}
+   */
+  async getConfiguredGates(eventId) {
+    try {
+      return await this.getGates(eventId);
+    } catch (error) {
+      logger.warn('Could not load configured gates, falling back to forecast gates', { eventId, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Retrieves a gate of an event
+   * @param {string} eventId - Event ID
+   * @param {string} gateId - Gate ID
+   * @returns {Promise<Object|null>}
+   */
+  async getGateById(eventId, gateId) {
+    try {
+      const { data: gate, error } = await this.client
+        .from('gates')
+        .select(GATE_COLUMNS)
+        .eq('event_id', eventId)
+        .eq('gate_id', gateId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = not found
+        throw error;
+      }
+
+      return gate ? this.convertGateToCamelCase(gate) : null;
+    } catch (error) {
+      logger.error('Error retrieving gate', { eventId, gateId, error: error.message });
+      throw new Error(`Failed to retrieve gate: ${error.message}`);
+    }
+  }
+
+  /**
+   * Updates a gate of an event
+   * @param {string} eventId - Event ID
+   * @param {string} gateId - Gate ID
+   * @param {Object} updates - Any of { name, capacity, zoneId, latitude, longitude, sortOrder }
+   * @returns {Promise<Object|null>} - Updated gate, or null if not found
+   */
+  async updateGate(eventId, gateId, updates) {
+    try {
+      logger.info('Updating gate', { eventId, gateId, fields: Object.keys(updates) });
+
+      const { data: gates, error } = await this.client
+        .from('gates')
+        .update(this.convertGateToSnakeCase(updates))
+        .eq('event_id', eventId)
+        .eq('gate_id', gateId)
+        .select(GATE_COLUMNS);
+
+      if (error) throw error;
+
+      return gates.length > 0 ? this.convertGateToCamelCase(gates[0]) : null;
+    } catch (error) {
+      logger.error('Error updating gate', { eventId, gateId, error: error.message });
+
+      if (error.code === '23505') {
+        throw new Error('Gate name already exists for this event');
+      }
+
+      throw new Error(`Failed to update gate: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a gate of an event
+   * @param {string} eventId - Event ID
+   * @param {string} gateId - Gate ID
+   * @returns {Promise<boolean>} - True if a gate was deleted
+   */
+  async deleteGate(eventId, gateId) {
+    try {
+      logger.info('Deleting gate', { eventId, gateId });
+
+      const { data, error } = await this.client
+        .from('gates')
+        .delete()
+        .eq('event_id', eventId)
+        .eq('gate_id', gateId)
+        .select('id');
+
+      if (error) throw error;
+
+      return data.length > 0;
+    } catch (error) {
+      logger.error('Error deleting gate', { eventId, gateId, error: error.message });
+      throw new Error(`Failed to delete gate: ${error.message}`);
+    }
+  }
+
+  /**
+   * Maps the provided camelCase gate fields to database columns
+   * @param {Object} gateData - Gate fields
+   * @returns {Object}
+   */
+  convertGateToSnakeCase(gateData) {
+    const columns = {
+      name: gateData.name,
+      capacity: gateData.capacity,
+      zone_id: gateData.zoneId,
+      latitude: gateData.latitude,
+      longitude: gateData.longitude,
+      sort_order: gateData.sortOrder
+    };
+
+    return Object.fromEntries(Object.entries(columns).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * Converts database gate object to camelCase
+   * @param {Object} gate - Gate from database
+   * @returns {Object}
+   */
+  convertGateToCamelCase(gate) {
+    return {
+      id: gate.id,
+      gateId: gate.gate_id,
+      eventId: gate.event_id,
+      zoneId: gate.zone_id,
+      zoneName: gate.zones?.name || null,
+      name: gate.name,
+      capacity: gate.capacity,
+      latitude: gate.latitude !== null ? Number(gate.latitude) : null,
+      longitude: gate.longitude !== null ? Number(gate.longitude) : null,
+      sortOrder: gate.sort_order,
+      createdAt: gate.created_at,
+      updatedAt: gate.updated_at
+    };
+  }
+}
+
+module.exports = new GateService();
@@ -0,0 +1,510 @@
+const supabaseService = require('./supabaseService');
+const gateService = require('./gateService');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'incident-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const INCIDENT_COLUMNS = `
+  id, incident_id, event_id, title, type, status, source, severity, description,
+  gate_id, gate_name, zone_id, incident_time, reported_by,
+  acknowledged_at, acknowledged_by, assigned_to, assigned_at,
+  resolve_time, resolved_by, resolution_notes, duration, metadata, created_at, updated_at
+`;
+
+const INCIDENT_TYPES = ['FALL', 'OVERCROWDING', 'MEDICAL', 'SECURITY', 'OTHER'];
+const INCIDENT_STATUSES = ['OPEN', 'ACKNOWLEDGED', 'RESOLVED'];
+const INCIDENT_SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// notification_logs data.type values that appear on the incident timeline
+const BROADCAST_KINDS = {
+  congestion_alert: 'CONGESTION_ALERT',
+  congestion_all_clear: 'CONGESTION_ALL_CLEAR',
+  emergency: 'EMERGENCY_BROADCAST'
+};
+const LOG_PAGE_SIZE = 1000;
+
+/**
+ * Whole minutes from `from` to `to`, or null if `to` is not set
+ */
+const minutesBetween = (from, to) => (
+  from && to ? Math.max(0, Math.round((new Date(to) - new Date(from)) / 60000)) : null
+);
+
+/**
+ * Average rounded to one decimal, or null for no values
+ */
+const average = (values) => (
+  values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10 : null
+);
+
+class IncidentService {
+  constructor() {
+    this.client = supabaseService.client;
+    this.types = INCIDENT_TYPES;
+    this.statuses = INCIDENT_STATUSES;
+    this.severities = INCIDENT_SEVERITIES;
+  }
+
+  /**
+   * Logs an incident for an event. `gate` may be a configured gate's name or ID; the
+   * gate name is kept even when the event has no gate configured under it.
+   * @param {string} eventId - Event ID
+   * @param {Object} incidentData - { title, type, severity, description, gate, zoneId, incidentTime, metadata }
+   * @param {Object} [options]
+   * @param {string} [options.source='MANUAL'] - MANUAL, FALL_DETECTION or CONGESTION_MONITOR
+   * @param {string} [options.reportedBy] - User ID of the reporter
+   * @returns {Promise<Object>} - Created incident
+   */
+  async createIncident(eventId, incidentData, options = {}) {
+    try {
+      const incidentId = `inc_${uuidv4()}`;
+      const source = options.source || 'MANUAL';
+
+      logger.info('Creating incident', { eventId, incidentId, type: incidentData.type, source });
+
+      const gate = await this.resolveGate(eventId, incidentData.gate);
+
+      const { data: incident, error } = await this.client
+        .from('incidents')
+        .insert({
+          incident_id: incidentId,
+          event_id: eventId,
+          title: incidentData.title,
+          type: incidentData.type || 'OTHER',
+          severity: incidentData.severity,
+          description: incidentData.description || null,
+          status: 'OPEN',
+          source,
+          gate_id: gate ? gate.gateId : null,
+          gate_name: gate ? gate.name : (incidentData.gate || null),
+          zone_id: incidentData.zoneId || (gate ? gate.zoneId : null),
+          incident_time: incidentData.incidentTime || new Date().toISOString(),
+          reported_by: options.reportedBy || null,
+          metadata: incidentData.metadata || null
+        })
+        .select(INCIDENT_COLUMNS)
+        .single();
+
+      if (error) throw error;
+
+      return this.convertIncidentToCamelCase(incident);
+    } catch (error) {
+      logger.error('Error creating incident', { eventId, error: error.message });
+      throw new Error(`Failed to create incident: ${error.message}`);
+    }
+  }
+
+  /**
+   * Logs an incident raised by a detector (fall detection, congestion monitor). When
+   * `dedupe` is set and the same kind of incident is still open at the gate, that
+   * incident is returned instead, so a gate that stays overcrowded is logged once.
+   * Never throws: detection must not fail because the incident could not be logged.
+   * @param {string} eventId - Event ID
+   * @param {Object} incidentData - See createIncident
+   * @param {Object} options
+   * @param {string} options.source - FALL_DETECTION or CONGESTION_MONITOR
+   * @param {boolean} [options.dedupe=false] - Reuse an unresolved incident of the same type and gate
+   * @returns {Promise<Object|null>} - Incident, or null if it could not be logged
+   */
+  async recordDetectedIncident(eventId, incidentData, options) {
+    try {
+      if (options.dedupe) {
+        let openQuery = this.client
+          .from('incidents')
+          .select(INCIDENT_COLUMNS)
+          .eq('event_id', eventId)
+          .eq('type', incidentData.type)
+          .eq('source', options.source)
+          .neq('status', 'RESOLVED')
+          .limit(1);
+
+        openQuery = incidentData.gate
+          ? openQuery.eq('gate_name', incidentData.gate)
+          : openQuery.is('gate_name', null);
+
+        const { data: open, error } = await openQuery;
+        if (error) throw error;
+
+        if (open.length > 0) {
+          logger.debug('Incident already open, not logging again', {
+            eventId,
+            incidentId: open[0].incident_id,
+            type: incidentData.type
+          });
+          return this.convertIncidentToCamelCase(open[0]);
+        }
+      }
+
+      return await this.createIncident(eventId, incidentData, { source: options.source });
+    } catch (error) {
+      logger.error('Could not log detected incident', { eventId, type: incidentData.type, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Lists an event's incidents, newest first
+   * @param {string} eventId - Event ID
+   * @param {Object} [filters] - { status, severity, type, gate, assignedTo }
+   * @returns {Promise<Object[]>}
+   */
+  async getIncidents(eventId, filters = {}) {
+    try {
+      let query = this.client
+        .from('incidents')
+        .select(INCIDENT_COLUMNS)
+        .eq('event_id', eventId)
+        .order('incident_time', { ascending: false });
+
+      if (filters.status) query = query.eq('status', filters.status);
+      if (filters.severity) query = query.eq('severity', filters.severity);
+      if (filters.type) query = query.eq('type', filters.type);
+      if (filters.gate) query = query.eq('gate_name', filters.gate);
+      if (filters.assignedTo) query = query.eq('assigned_to', filters.assignedTo);
+
+      const { data: incidents, error } = await query;
+
+      if (error) throw error;
+
+      return incidents.map(incident => this.convertIncidentToCamelCase(incident));
+    } catch (error) {
+      logger.error('Error retrieving incidents', { eventId, error: error.message });
+      throw new Error(`Failed to retrieve incidents: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves an incident of an event
+   * @param {string} eventId - Event ID
+   * @param {string} incidentId - Incident ID
+   * @returns {Promise<Object|null>}
+   */
+  async getIncidentById(eventId, incidentId) {
+    try {
+      const { data: incident, error } = await this.client
+        .from('incidents')
+        .select(INCIDENT_COLUMNS)
+        .eq('event_id', eventId)
+        .eq('incident_id', incidentId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = not found
+        throw error;
+      }
+
+      return incident ? this.convertIncidentToCamelCase(incident) : null;
+    } catch (error) {
+      logger.error('Error retrieving incident', { eventId, incidentId, error: error.message });
+      throw new Error(`Failed to retrieve incident: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marks an open incident as acknowledged
+   * @param {string} eventId - Event ID
+   * @param {string} incidentId - Incident ID
+   * @param {string} userId - Acknowledging user
+   * @returns {Promise<Object|null>} - Updated incident, or null if it is not open
+   */
+  async acknowledgeIncident(eventId, incidentId, userId) {
+    logger.info('Acknowledging incident', { eventId, incidentId, userId });
+
+    return this.updateIncident(eventId, incidentId, ['OPEN'], {
+      status: 'ACKNOWLEDGED',
+      acknowledged_at: new Date().toISOString(),
+      acknowledged_by: userId
+    });
+  }
+
+  /**
+   * Assigns an unresolved incident to a user. Assigning an open incident also
+   * acknowledges it.
+   * @param {Object} incident - Current incident (camelCase)
+   * @param {string} assigneeUserId - User the incident is assigned to
+   * @param {string} userId - Assigning user
+   * @returns {Promise<Object|null>} - Updated incident, or null if it is resolved or changed meanwhile
+   */
+  async assignIncident(incident, assigneeUserId, userId) {
+    logger.info('Assigning incident', { eventId: incident.eventId, incidentId: incident.incidentId, assigneeUserId });
+
+    const now = new Date().toISOString();
+    const updates = {
+      assigned_to: assigneeUserId,
+      assigned_at: now
+    };
+
+    if (incident.status === 'OPEN') {
+      updates.status = 'ACKNOWLEDGED';
+      updates.acknowledged_at = now;
+      updates.acknowledged_by = userId;
+    }
+
+    return this.updateIncident(incident.eventId, incident.incidentId, [incident.status], updates);
+  }
+
+  /**
+   * Resolves an incident and records how long it took, in minutes from incident_time
+   * @param {Object} incident - Current incident (camelCase)
+   * @param {string} userId - Resolving user
+   * @param {string} [notes] - Resolution notes
+   * @returns {Promise<Object|null>} - Updated incident, or null if it was already resolved
+   */
+  async resolveIncident(incident, userId, notes) {
+    logger.info('Resolving incident', { eventId: incident.eventId, incidentId: incident.incidentId, userId });
+
+    const resolveTime = new Date().toISOString();
+
+    const updates = {
+      status: 'RESOLVED',
+      resolve_time: resolveTime,
+      resolved_by: userId,
+      resolution_notes: notes || null,
+      duration: minutesBetween(incident.incidentTime, resolveTime)
+    };
+
+    // Resolving straight from OPEN still counts as the acknowledgement
+    if (!incident.acknowledgedAt) {
+      updates.acknowledged_at = updates.resolve_time;
+      updates.acknowledged_by = userId;
+    }
+
+    return this.updateIncident(incident.eventId, incident.incidentId, ['OPEN', 'ACKNOWLEDGED'], updates);
+  }
+
+  /**
+   * Applies a lifecycle update if the incident is still in one of `fromStatuses`, so
+   * two operators acting at once cannot both move it
+   * @param {string} eventId - Event ID
+   * @param {string} incidentId - Incident ID
+   * @param {string[]} fromStatuses - Statuses the incident may be in
+   * @param {Object} updates - Column updates
+   * @returns {Promise<Object|null>} - Updated incident, or null if no row matched
+   */
+  async updateIncident(eventId, incidentId, fromStatuses, updates) {
+    try {
+      const { data: incidents, error } = await this.client
+        .from('incidents')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('event_id', eventId)
+        .eq('incident_id', incidentId)
+        .in('status', fromStatuses)
+        .select(INCIDENT_COLUMNS);
+
+      if (error) throw error;
+
+      return incidents.length > 0 ? this.convertIncidentToCamelCase(incidents[0]) : null;
+    } catch (error) {
+      logger.error('Error updating incident', { eventId, incidentId, error: error.message });
+      throw new Error(`Failed to update incident: ${error.message}`);
+    }
+  }
+
+  /**
+   * Builds the chronological incident timeline of an event for the post-mortem: every
+   * incident (manual, fall detection, overcrowding) plus the congestion alerts and
+   * emergency broadcasts that were pushed, with time-to-acknowledge and time-to-resolve
+   * statistics per gate
+   * @param {string} eventId - Event ID
+   * @returns {Promise<{entries: Object[], gateStats: Object[], totals: Object}>}
+   */
+  async getIncidentTimeline(eventId) {
+    try {
+      const [incidents, broadcasts] = await Promise.all([
+        this.getIncidents(eventId),
+        this.getAlertBroadcasts(eventId)
+      ]);
+
+      const incidentEntries = incidents.map(incident => ({
+        time: incident.incidentTime,
+        kind: 'INCIDENT',
+        incidentId: incident.incidentId,
+        incidentType: incident.type,
+        source: incident.source,
+        severity: incident.severity,
+        title: incident.title || incident.description,
+        gate: incident.gate,
+        status: incident.status,
+        acknowledgedAt: incident.acknowledgedAt,
+        resolvedAt: incident.resolvedAt,
+        timeToAcknowledgeMinutes: minutesBetween(incident.incidentTime, incident.acknowledgedAt),
+        timeToResolveMinutes: minutesBetween(incident.incidentTime, incident.resolvedAt)
+      }));
+
+      const entries = [...incidentEntries, ...broadcasts]
+        .sort((a, b) => new Date(a.time) - new Date(b.time));
+
+      // Per-gate response statistics; incidents without a gate are grouped together
+      const gates = new Map();
+      const gateStatsFor = (gate) => {
+        const key = gate || 'No gate';
+        if (!gates.has(key)) {
+          gates.set(key, { gate: key, incidents: 0, alerts: 0, acknowledged: [], resolved: [] });
+        }
+        return gates.get(key);
+      };
+
+      incidentEntries.forEach(entry => {
+        const stats = gateStatsFor(entry.gate);
+        stats.incidents++;
+        if (entry.timeToAcknowledgeMinutes !== null) stats.acknowledged.push(entry.timeToAcknowledgeMinutes);
+        if (entry.timeToResolveMinutes !== null) stats.resolved.push(entry.timeToResolveMinutes);
+      });
+      broadcasts
+        .filter(entry => entry.kind !== 'CONGESTION_ALL_CLEAR')
+        .forEach(entry => {
+          gateStatsFor(entry.gate).alerts++;
+        });
+
+      const gateStats = [...gates.values()]
+        .map(stats => ({
+          gate: stats.gate,
+          incidents: stats.incidents,
+          alerts: stats.alerts,
+          acknowledged: stats.acknowledged.length,
+          resolved: stats.resolved.length,
+          avgTimeToAcknowledgeMinutes: average(stats.acknowledged),
+          avgTimeToResolveMinutes: average(stats.resolved),
+          maxTimeToResolveMinutes: stats.resolved.length > 0 ? Math.max(...stats.resolved) : null
+        }))
+        .sort((a, b) => a.gate.localeCompare(b.gate));
+
+      const acknowledgeTimes = incidentEntries.map(e => e.timeToAcknowledgeMinutes).filter(m => m !== null);
+      const resolveTimes = incidentEntries.map(e => e.timeToResolveMinutes).filter(m => m !== null);
+
+      return {
+        entries,
+        gateStats,
+        totals: {
+          incidents: incidentEntries.length,
+          unresolved: incidentEntries.filter(e => e.status !== 'RESOLVED').length,
+          fallDetections: incidentEntries.filter(e => e.incidentType === 'FALL').length,
+          congestionAlerts: broadcasts.filter(e => e.kind === 'CONGESTION_ALERT').length,
+          emergencyBroadcasts: broadcasts.filter(e => e.kind === 'EMERGENCY_BROADCAST').length,
+          avgTimeToAcknowledgeMinutes: average(acknowledgeTimes),
+          avgTimeToResolveMinutes: average(resolveTimes)
+        }
+      };
+    } catch (error) {
+      logger.error('Error building incident timeline', { eventId, error: error.message });
+      throw new Error(`Failed to build incident timeline: ${error.message}`);
+    }
+  }
+
+  /**
+   * Congestion alerts, all clears and emergency broadcasts pushed for an event.
+   * notification_logs holds one row per subscription, so rows of the same push are
+   * folded into one entry. Organizer emails of the same alerts are left out.
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object[]>} - [{ time, kind, title, detail, gate, level, recipients, failed }]
+   */
+  async getAlertBroadcasts(eventId) {
+    const rows = [];
+
+    // Page through the logs; large events easily exceed one response
+    for (let from = 0; ; from += LOG_PAGE_SIZE) {
+      const { data, error } = await this.client
+        .from('notification_logs')
+        .select('sent_at, title, body, data, status')
+        .eq('event_id', eventId)
+        .eq('channel', 'push')
+        .in('data->>type', Object.keys(BROADCAST_KINDS))
+        .order('sent_at', { ascending: true })
+        .range(from, from + LOG_PAGE_SIZE - 1);
+
+      if (error) throw error;
+
+      rows.push(...data);
+      if (data.length < LOG_PAGE_SIZE) break;
+    }
+
+    const broadcasts = new Map();
+    rows.forEach(row => {
+      const data = row.data || {};
+      const key = `${data.type}|${data.timestamp}|${row.title}`;
+
+      if (!broadcasts.has(key)) {
+        broadcasts.set(key, {
+          time: data.timestamp ? new Date(data.timestamp).toISOString() : row.sent_at,
+          kind: BROADCAST_KINDS[data.type],
+          title: row.title,
+          detail: row.body,
+          gate: data.area || null,
+          level: data.level || null,
+          recipients: 0,
+          failed: 0
+        });
+      }
+
+      const broadcast = broadcasts.get(key);
+      if (row.status === 'failed') broadcast.failed++;
+      else broadcast.recipients++;
+    });
+
+    return [...broadcasts.values()];
+  }
+
+  /**
+   * Finds the configured gate an incident refers to, by name or gate ID
+   * @param {string} eventId - Event ID
+   * @param {string} [gateKey] - Gate name or ID
+   * @returns {Promise<Object|null>}
+   */
+  async resolveGate(eventId, gateKey) {
+    if (!gateKey) return null;
+
+    const gates = await gateService.getConfiguredGates(eventId);
+    return gates.find(gate => gate.name === gateKey || gate.gateId === gateKey) || null;
+  }
+
+  /**
+   * Converts incident from snake_case (Supabase) to camelCase (API)
+   * @param {Object} incident - Incident from Supabase
+   * @returns {Object} - Converted incident
+   */
+  convertIncidentToCamelCase(incident) {
+    return {
+      id: incident.id,
+      incidentId: incident.incident_id,
+      eventId: incident.event_id,
+      title: incident.title,
+      type: incident.type,
+      status: incident.status,
+      source: incident.source,
+      severity: incident.severity,
+      description: incident.description,
+      gateId: incident.gate_id,
+      gate: incident.gate_name,
+      zoneId: incident.zone_id,
+      incidentTime: incident.incident_time,
+      reportedBy: incident.reported_by,
+      acknowledgedAt: incident.acknowledged_at,
+      acknowledgedBy: incident.acknowledged_by,
+      assignedTo: incident.assigned_to,
+      assignedAt: incident.assigned_at,
+      resolvedAt: incident.resolve_time,
+      resolvedBy: incident.resolved_by,
+      resolutionNotes: incident.resolution_notes,
+      durationMinutes: incident.duration,
+      metadata: incident.metadata,
+      createdAt: incident.created_at,
+      updatedAt: incident.updated_at
+    };
+  }
+}
+
+module.exports = new IncidentService();
@@ -0,0 +1,607 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const supabaseService = require('./supabaseService');
+const eventService = require('./eventService');
+const eventMemberService = require('./eventMemberService');
+const pushNotificationService = require('./pushNotificationService');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+const notificationPreferenceService = require('./notificationPreferenceService');
+const emailTemplates = require('../utils/emailTemplates');
+const notificationPreferences = require('../utils/notificationPreferences');
+const { getEventTimeZone, formatLocalTime } = require('../utils/timezoneHelper');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'notification-dispatcher' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Channels a notification may use by severity; fallback never goes past these
+const SEVERITY_CHANNELS = {
+  info: ['push', 'email'],
+  warning: ['push', 'email', 'whatsapp'],
+  critical: ['push', 'email', 'whatsapp', 'sms']
+};
+
+// Recipient groups:
+//   subscribers - the event's push subscribers (anonymous, push only)
+//   organizers  - the event owner and operators
+//   on_call     - event members marked on call
+//   operators   - NOTIFICATION_RECIPIENTS phones and EMAIL_RECIPIENTS addresses
+const RECIPIENT_GROUPS = ['subscribers', 'organizers', 'on_call', 'operators'];
+
+// Channel order each group is tried in
+const GROUP_CHANNELS = {
+  organizers: ['push', 'email', 'whatsapp', 'sms'],
+  on_call: ['sms', 'whatsapp', 'push', 'email'],
+  operators: ['whatsapp', 'sms', 'email']
+};
+
+// Notification types: default severity and recipients; `channels` overrides the group order
+const NOTIFICATION_TYPES = {
+  congestion: { severity: 'warning', recipients: ['subscribers'] },
+  congestion_all_clear: { severity: 'info', recipients: ['subscribers'] },
+  fall: { severity: 'critical', recipients: ['subscribers', 'on_call'] },
+  emergency: { severity: 'critical', recipients: ['subscribers', 'on_call'] },
+  announcement: { severity: 'info', recipients: ['subscribers'] },
+  event_live: { severity: 'info', recipients: ['subscribers'] },
+  event_starting: { severity: 'info', recipients: ['subscribers'] },
+  report_ready: { severity: 'info', recipients: ['organizers'], channels: ['email', 'push'] },
+  simulation_results: { severity: 'warning', recipients: ['operators'] }
+};
+
+const REPORT_LABELS = {
+  forecast: 'Forecast report',
+  postmortem: 'Post-mortem report'
+};
+
+/**
+ * Routes typed notifications to their recipients. Each recipient is tried on the
+ * channels its group prefers that the severity allows, falling back to the next
+ * channel when one fails, and the outcome is stored as a delivery receipt in
+ * notification_receipts. Users' notification preferences can reorder those channels
+ * or skip the recipient.
+ */
+class NotificationDispatcher {
+  constructor() {
+    this.client = supabaseService.client;
+    this.types = Object.keys(NOTIFICATION_TYPES);
+    this.severities = SEVERITIES;
+    this.recipientGroups = RECIPIENT_GROUPS;
+  }
+
+  /**
+   * Sends a notification
+   * @param {Object} notification
+   * @param {string} notification.type - One of NOTIFICATION_TYPES
+   * @param {string} [notification.eventId] - Event ID (all types but simulation_results)
+   * @param {Object} [notification.event] - The event, saves looking it up
+   * @param {string} [notification.severity] - info, warning or critical (type default)
+   * @param {Array<string>} [notification.recipients] - Recipient groups (type default)
+   *
+   * Type fields:
+   *   congestion           - gate, level (label), peopleCount, capacity, congestionPercentage, alternativeGate
+   *   congestion_all_clear - gate, previousLevel, peopleCount
+   *   fall                 - gate, detection
+   *   emergency, announcement - title, body, data, audiences, gate, zoneId, requireInteraction
+   *   event_live           - (event name and venue)
+   *   event_starting       - minutesUntilStart
+   *   report_ready         - reportType, filename, url, expiresAt
+   *   simulation_results   - simulationId, recommendations
+   * @returns {Promise<{notificationId: string, type: string, severity: string, delivered: number,
+   *   failed: number, skipped: number, receipts: Array<Object>}>}
+   */
+  async dispatch(notification) {
+    const definition = NOTIFICATION_TYPES[notification.type];
+
+    if (!definition) {
+      throw new Error(`Unknown notification type: ${notification.type}`);
+    }
+
+    const severity = notification.severity || definition.severity;
+    const groups = notification.recipients || definition.recipients;
+    const notificationId = crypto.randomUUID();
+
+    const event = notification.event ||
+      (notification.eventId && groups.some(group => group !== 'subscribers' && group !== 'operators')
+        ? await eventService.getEventById(notification.eventId)
+        : null);
+
+    const context = { ...notification, event, severity, notificationId };
+    const content = this.render(context);
+
+    logger.info('Dispatching notification', {
+      notificationId,
+      type: notification.type,
+      eventId: notification.eventId,
+      severity,
+      groups
+    });
+
+    const receipts = [];
+    const seen = new Set();
+
+    for (const group of groups) {
+      if (group === 'subscribers') {
+        receipts.push(await this.deliverToSubscribers(context));
+        continue;
+      }
+
+      let contacts = [];
+      try {
+        contacts = await this.resolveRecipients(group, context);
+      } catch (error) {
+        logger.error('Error resolving notification recipients', { notificationId, group, error: error.message });
+      }
+
+      let preferencesByUser = new Map();
+      try {
+        preferencesByUser = await notificationPreferenceService.getUsersPreferences(contacts.map(contact => contact.userId));
+      } catch (error) {
+        logger.warn('Sending without notification preferences', { notificationId, group, error: error.message });
+      }
+
+      for (const contact of contacts) {
+        const key = contact.userId || contact.email || contact.phone;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const preferences = preferencesByUser.get(contact.userId) || null;
+        receipts.push(await this.deliverWithFallback(context, content, group, contact, definition, preferences));
+      }
+    }
+
+    await this.saveReceipts(context, receipts);
+
+    const delivered = receipts.filter(receipt => receipt.status === 'delivered').length;
+    const failed = receipts.filter(receipt => receipt.status === 'failed').length;
+    const skipped = receipts.filter(receipt => receipt.status === 'skipped').length;
+
+    logger.info('Notification dispatched', {
+      notificationId,
+      type: notification.type,
+      eventId: notification.eventId,
+      delivered,
+      failed,
+      skipped,
+      recipients: receipts.length
+    });
+
+    return { notificationId, type: notification.type, severity, delivered, failed, skipped, receipts };
+  }
+
+  /**
+   * Contacts of a recipient group
+   * @param {string} group - organizers, on_call or operators
+   * @param {Object} context - Notification with its event
+   * @returns {Promise<Array<{userId: string|null, email: string|null, phone: string|null}>>}
+   * @private
+   */
+  async resolveRecipients(group, context) {
+    if (group === 'organizers') {
+      return context.event ? eventMemberService.getOrganizers(context.event) : [];
+    }
+
+    if (group === 'on_call') {
+      return context.eventId ? eventMemberService.getOnCallMembers(context.eventId) : [];
+    }
+
+    if (group === 'operators') {
+      return [
+        ...notificationService.defaultRecipients.map(phone => ({ userId: null, email: null, phone: phone.trim() })),
+        ...notificationService.emailRecipients.map(email => ({ userId: null, email: email.trim(), phone: null }))
+      ];
+    }
+
+    throw new Error(`Unknown recipient group: ${group}`);
+  }
+
+  /**
+   * Channels to try for a contact, in order
+   * @param {Object} context - Notification
+   * @param {string} group - Recipient group
+   * @param {Object} contact - { userId, email, phone }
+   * @param {Object} definition - NOTIFICATION_TYPES entry
+   * @param {Object|null} preferences - The contact's normalized preferences, null for none
+   * @returns {Array<string>}
+   * @private
+   */
+  getChannels(context, group, contact, definition, preferences) {
+    const hasAddress = {
+      push: Boolean(contact.userId && context.eventId),
+      email: Boolean(contact.email),
+      whatsapp: Boolean(contact.phone),
+      sms: Boolean(contact.phone)
+    };
+
+    const channels = (definition.channels || GROUP_CHANNELS[group])
+      .filter(channel => SEVERITY_CHANNELS[context.severity].includes(channel) && hasAddress[channel]);
+
+    return preferences ? notificationPreferences.orderChannels(preferences, channels, context.type) : channels;
+  }
+
+  /**
+   * Tries a contact's channels in order until one delivers
+   * @returns {Promise<Object>} - Receipt
+   * @private
+   */
+  async deliverWithFallback(context, content, group, contact, definition, preferences) {
+    const recipient = contact.userId || contact.email || contact.phone;
+    let channels = this.getChannels(context, group, contact, definition, preferences);
+
+    if (preferences) {
+      const reasons = [];
+      const timeZone = getEventTimeZone(context.event);
+
+      channels = channels.filter(channel => {
+        const reason = notificationPreferences.getBlockReason(preferences, context, { timeZone, channel });
+        if (reason) reasons.push(reason);
+        return !reason;
+      });
+
+      const reason = channels.length === 0
+        ? reasons[0]
+        : (await notificationPreferenceService.takeFrequencyCap(preferences, context, `user:${contact.userId}`) ? null : 'frequency_cap');
+
+      if (reason) {
+        return { recipientGroup: group, recipient, channel: null, status: 'skipped', reason, attempts: [] };
+      }
+    }
+
+    const attempts = [];
+
+    for (const channel of channels) {
+      let success = false;
+      let errorMessage = null;
+
+      try {
+        success = await this.sendOnChannel(channel, context, content, contact);
+      } catch (error) {
+        errorMessage = error.message;
+      }
+
+      attempts.push({ channel, success, error: errorMessage, at: new Date().toISOString() });
+
+      if (success) break;
+
+      logger.warn('Notification channel failed, falling back', {
+        notificationId: context.notificationId,
+        channel,
+        error: errorMessage
+      });
+    }
+
+    const lastAttempt = attempts[attempts.length - 1];
+
+    return {
+      recipientGroup: group,
+      recipient,
+      channel: lastAttempt ? lastAttempt.channel : null,
+      status: !lastAttempt ? 'no_channel' : (lastAttempt.success ? 'delivered' : 'failed'),
+      attempts
+    };
+  }
+
+  /**
+   * Sends to one contact on one channel
+   * @returns {Promise<boolean>} - Whether it was delivered
+   * @private
+   */
+  async sendOnChannel(channel, context, content, contact) {
+    const logContext = {
+      type: context.type,
+      eventId: context.eventId,
+      orgId: context.event?.orgId || context.orgId || null,
+      data: { notificationId: context.notificationId, severity: context.severity }
+    };
+
+    if (channel === 'push') {
+      const result = await pushNotificationService.sendToEvent(context.eventId, {
+        title: content.title,
+        body: content.body,
+        tag: `${context.type}-${context.notificationId}`,
+        requireInteraction: context.severity === 'critical',
+        data: { type: context.type, notificationId: context.notificationId, eventId: context.eventId }
+      }, { userIds: [contact.userId], retry: false });
+      return result.sent > 0;
+    }
+
+    if (channel === 'email') {
+      const result = await emailService.sendEmail([contact.email], content.email, logContext);
+      return result.sent > 0;
+    }
+
+    if (channel === 'sms') {
+      const result = await smsService.sendSms([contact.phone], content.text, logContext);
+      return result.sent > 0;
+    }
+
+    if (channel === 'whatsapp') {
+      // The n8n workflow has its own format for simulation results
+      if (context.type === 'simulation_results') {
+        return notificationService.sendWhatsAppAlert(context.simulationId, context.recommendations, [contact.phone]);
+      }
+      return notificationService.sendWhatsAppMessage(content.text, [contact.phone], {
+        type: context.type,
+        eventId: context.eventId,
+        priority: context.severity === 'critical' ? 'high' : 'medium'
+      });
+    }
+
+    throw new Error(`Unknown channel: ${channel}`);
+  }
+
+  /**
+   * Pushes to the event's subscribers with the type's own payload and targeting
+   * @returns {Promise<Object>} - Receipt for the group
+   * @private
+   */
+  async deliverToSubscribers(context) {
+    const receipt = { recipientGroup: 'subscribers', recipient: 'subscribers', channel: 'push' };
+
+    try {
+      const result = await this.pushToSubscribers(context);
+
+      return {
+        ...receipt,
+        status: result.sent > 0 ? 'delivered' : (result.failed > 0 ? 'failed' : 'no_recipients'),
+        attempts: [{
+          channel: 'push',
+          success: result.sent > 0,
+          sent: result.sent,
+          failed: result.failed,
+          queued: result.queued || 0, // failures queued for retry
+          at: new Date().toISOString()
+        }]
+      };
+    } catch (error) {
+      logger.error('Error pushing notification to subscribers', {
+        notificationId: context.notificationId,
+        eventId: context.eventId,
+        error: error.message
+      });
+
+      return {
+        ...receipt,
+        status: 'failed',
+        attempts: [{ channel: 'push', success: false, error: error.message, at: new Date().toISOString() }]
+      };
+    }
+  }
+
+  /**
+   * @returns {Promise<{sent: number, failed: number, queued: number}>}
+   * @private
+   */
+  async pushToSubscribers(context) {
+    const { eventId } = context;
+
+    switch (context.type) {
+    case 'congestion':
+      return pushNotificationService.sendCongestionAlert(
+        eventId, context.gate, context.level, context.peopleCount, context.alternativeGate || null
+      );
+    case 'congestion_all_clear':
+      return pushNotificationService.sendCongestionAllClear(eventId, context.gate, context.previousLevel, context.peopleCount);
+    case 'fall':
+      return pushNotificationService.sendFallAlert(eventId, context.detection, context.gate || null);
+    case 'emergency':
+    case 'announcement':
+      return pushNotificationService.sendToEvent(eventId, {
+        title: context.title,
+        body: context.body,
+        requireInteraction: context.requireInteraction || false,
+        data: context.data || { type: context.type === 'emergency' ? 'emergency' : 'custom' }
+      }, {
+        audiences: context.audiences,
+        gate: context.gate,
+        zoneId: context.zoneId,
+        notification: { type: context.type, severity: context.severity },
+        timeZone: context.event ? getEventTimeZone(context.event) : undefined
+      });
+    case 'event_live':
+      return pushNotificationService.sendToEvent(eventId, {
+        title: `🎪 ${context.event?.name || context.eventName} is Live!`,
+        body: `The event at ${context.event?.venue || context.venue} is currently happening. Join us now!`,
+        tag: 'event-live',
+        requireInteraction: false,
+        data: {
+          type: 'event_live',
+          eventId,
+          eventName: context.event?.name || context.eventName,
+          venue: context.event?.venue || context.venue,
+          timestamp: Date.now()
+        }
+      }, {
+        notification: { type: 'event_live', severity: context.severity },
+        timeZone: context.event ? getEventTimeZone(context.event) : undefined
+      });
+    case 'event_starting':
+      return pushNotificationService.sendEventStartingSoon(
+        eventId, context.event?.name || context.eventName, context.minutesUntilStart
+      );
+    default:
+      return { sent: 0, failed: 0 };
+    }
+  }
+
+  /**
+   * Title and body for push, SMS and WhatsApp, and the email, of a notification
+   * @param {Object} context - Notification with its event
+   * @returns {{title: string, body: string, text: string, email: Object}}
+   */
+  render(context) {
+    const eventName = context.event?.name || context.eventName || context.eventId;
+    let title;
+    let body;
+    let email = null;
+
+    switch (context.type) {
+    case 'congestion': {
+      const alternative = context.alternativeGate
+        ? ` Use ${context.alternativeGate.gate} instead (${context.alternativeGate.utilizationPercentage}% full).`
+        : '';
+      const utilization = context.congestionPercentage !== undefined
+        ? ` (${Math.round(context.congestionPercentage)}% of ${context.capacity})`
+        : '';
+      title = `${context.level} congestion at ${context.gate}`;
+      body = `${context.peopleCount} people${utilization}.${alternative}`;
+      email = emailTemplates.congestionAlert({ ...context, eventName });
+      break;
+    }
+    case 'congestion_all_clear':
+      title = `All clear at ${context.gate}`;
+      body = `Congestion has eased (was ${context.previousLevel}) - ${context.peopleCount} people.`;
+      break;
+    case 'fall':
+      title = context.gate ? `Fall detected at ${context.gate}` : 'Fall detected';
+      body = `Fall detected in live video stream with ${(context.detection?.confidence || 0).toFixed(1)}% confidence.`;
+      break;
+    case 'emergency':
+      title = context.title || 'EMERGENCY ALERT';
+      body = context.gate ? `${context.gate}: ${context.body}` : context.body;
+      break;
+    case 'announcement':
+      title = context.title;
+      body = context.body;
+      break;
+    case 'event_live':
+      title = `${eventName} is Live!`;
+      body = `The event at ${context.event?.venue || context.venue} is currently happening.`;
+      break;
+    case 'event_starting':
+      title = `${eventName} is starting soon`;
+      body = `Starting in ${context.minutesUntilStart} minutes! Gates are now open.`;
+      break;
+    case 'report_ready':
+      title = `${REPORT_LABELS[context.reportType] || 'Report'} ready`;
+      body = `Download: ${context.url} (link expires at ${formatLocalTime(context.expiresAt, getEventTimeZone(context.event))})`;
+      email = emailTemplates.reportReady({ ...context, eventName, timeZone: getEventTimeZone(context.event) });
+      break;
+    case 'simulation_results':
+      title = `Simulation ${context.simulationId} completed`;
+      body = notificationService.formatSmsMessage(context.simulationId, context.recommendations);
+      email = emailTemplates.simulationResults(context.simulationId, context.recommendations);
+      break;
+    default:
+      throw new Error(`Unknown notification type: ${context.type}`);
+    }
+
+    return {
+      title,
+      body,
+      text: `Event AI: ${title}\n${body}`,
+      email: email || emailTemplates.notice({ title, body, eventName })
+    };
+  }
+
+  /**
+   * Stores delivery receipts; a failure is only logged
+   * @private
+   */
+  async saveReceipts(context, receipts) {
+    if (receipts.length === 0) return;
+
+    try {
+      const { error } = await this.client
+        .from('notification_receipts')
+        .insert(receipts.map(receipt => ({
+          notification_id: context.notificationId,
+          event_id: context.eventId || null,
+          org_id: context.event?.orgId || context.orgId || null,
+          type: context.type,
+          severity: context.severity,
+          recipient_group: receipt.recipientGroup,
+          recipient: receipt.recipient,
+          channel: receipt.channel,
+          status: receipt.status,
+          reason: receipt.reason || null,
+          attempts: receipt.attempts
+        })));
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('Error saving notification receipts', {
+        notificationId: context.notificationId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Whether a notification of a type was already sent for an event
+   * @param {string} eventId - Event ID
+   * @param {string} type - Notification type
+   * @returns {Promise<boolean>}
+   */
+  async wasSent(eventId, type) {
+    try {
+      const { data: receipts, error } = await this.client
+        .from('notification_receipts')
+        .select('id')
+        .eq('event_id', eventId)
+        .eq('type', type)
+        .eq('status', 'delivered')
+        .limit(1);
+
+      if (error) throw error;
+
+      return receipts.length > 0;
+    } catch (error) {
+      logger.error('Error checking sent notifications', { eventId, type, error: error.message });
+      throw new Error(`Failed to check sent notifications: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves the delivery receipts of a notification
+   * @param {string} eventId - Event ID
+   * @param {string} notificationId - From dispatch()
+   * @returns {Promise<Array<Object>>}
+   */
+  async getReceipts(eventId, notificationId) {
+    try {
+      const { data: receipts, error } = await this.client
+        .from('notification_receipts')
+        .select('notification_id, event_id, type, severity, recipient_group, recipient, channel, status, reason, attempts, created_at')
+        .eq('event_id', eventId)
+        .eq('notification_id', notificationId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return receipts.map(receipt => ({
+        notificationId: receipt.notification_id,
+        eventId: receipt.event_id,
+        type: receipt.type,
+        severity: receipt.severity,
+        recipientGroup: receipt.recipient_group,
+        recipient: receipt.recipient,
+        channel: receipt.channel,
+        status: receipt.status,
+        reason: receipt.reason,
+        attempts: receipt.attempts,
+        createdAt: receipt.created_at
+      }));
+    } catch (error) {
+      logger.error('Error retrieving notification receipts', { eventId, notificationId, error: error.message });
+      throw new Error(`Failed to retrieve notification receipts: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new NotificationDispatcher();
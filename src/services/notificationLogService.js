@@ -0,0 +1,239 @@
+const supabaseService = require('./supabaseService');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'notification-log-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const LOG_COLUMNS = 'id, subscription_id, channel, recipient, title, body, tag, data, status, status_code, error_message, sent_at, clicked, clicked_at';
+
+// Statuses that count as delivered
+const DELIVERED_STATUSES = ['sent', 'delivered'];
+
+const percentage = (part, total) => (total > 0 ? Number(((part / total) * 100).toFixed(1)) : null);
+
+/**
+ * Reads back notification_logs (push, email and SMS deliveries) for history and
+ * analytics, and records when a pushed notification is opened
+ */
+class NotificationLogService {
+  constructor() {
+    this.client = supabaseService.client;
+    this.statuses = ['sent', 'delivered', 'failed', 'rate_limited'];
+    this.channels = ['push', 'email', 'sms'];
+  }
+
+  /**
+   * Applies history filters to a notification_logs query
+   * @private
+   */
+  applyFilters(query, eventId, filters) {
+    let filtered = query.eq('event_id', eventId);
+
+    if (filters.type) filtered = filtered.eq('data->>type', filters.type);
+    if (filters.tag) filtered = filtered.eq('tag', filters.tag);
+    if (filters.status) filtered = filtered.eq('status', filters.status);
+    if (filters.channel) filtered = filtered.eq('channel', filters.channel);
+    if (filters.from) filtered = filtered.gte('sent_at', filters.from);
+    if (filters.to) filtered = filtered.lte('sent_at', filters.to);
+
+    return filtered;
+  }
+
+  /**
+   * Notification history of an event, newest first, with aggregates over every
+   * matching delivery (not just the page)
+   * @param {string} eventId - Event ID
+   * @param {Object} [filters]
+   * @param {string} [filters.type] - data.type, e.g. congestion_alert, emergency, fall_detection
+   * @param {string} [filters.tag] - Push tag, e.g. congestion-Gate A
+   * @param {string} [filters.status] - sent, delivered, failed or rate_limited
+   * @param {string} [filters.channel] - push, email or sms
+   * @param {string} [filters.from] - ISO timestamp, inclusive
+   * @param {string} [filters.to] - ISO timestamp, inclusive
+   * @param {Object} [page] - { limit, offset }
+   * @returns {Promise<{notifications: Array<Object>, total: number, summary: Object}>}
+   */
+  async getHistory(eventId, filters = {}, { limit = 50, offset = 0 } = {}) {
+    try {
+      const { data: rows, error } = await this.applyFilters(
+        this.client.from('notification_logs').select(LOG_COLUMNS),
+        eventId,
+        filters
+      )
+        .order('sent_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+
+      const [total, deliveryCounts] = await Promise.all([
+        this.countMatching(eventId, filters),
+        this.getDeliveryCounts(eventId, filters)
+      ]);
+
+      return {
+        notifications: rows.map(row => this.formatLog(row)),
+        total,
+        summary: this.summarize(deliveryCounts)
+      };
+    } catch (error) {
+      logger.error('Error retrieving notification history', { eventId, error: error.message });
+      throw new Error(`Failed to retrieve notification history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Number of deliveries matching the filters
+   * @private
+   */
+  async countMatching(eventId, filters) {
+    const { count, error } = await this.applyFilters(
+      this.client.from('notification_logs').select('id', { count: 'exact', head: true }),
+      eventId,
+      filters
+    );
+
+    if (error) throw error;
+    return count || 0;
+  }
+
+  /**
+   * Deliveries matching the filters, counted per channel, status, status code, gate
+   * and opened flag by the get_notification_delivery_summary function
+   * @private
+   */
+  async getDeliveryCounts(eventId, filters) {
+    const { data, error } = await this.client.rpc('get_notification_delivery_summary', {
+      p_event_id: eventId,
+      p_type: filters.type || null,
+      p_tag: filters.tag || null,
+      p_status: filters.status || null,
+      p_channel: filters.channel || null,
+      p_from: filters.from || null,
+      p_to: filters.to || null
+    });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Aggregates deliveries: delivery rate, failures by push service status code,
+   * open rate of pushes and counts per gate the notification was about
+   * @param {Array<Object>} counts - { channel, status, status_code, area, clicked, deliveries }
+   * @returns {Object}
+   */
+  summarize(counts) {
+    const sum = (groups) => groups.reduce((total, group) => total + Number(group.deliveries), 0);
+
+    const delivered = counts.filter(group => DELIVERED_STATUSES.includes(group.status));
+    const failed = counts.filter(group => group.status === 'failed');
+    const deliveredPushes = delivered.filter(group => group.channel === 'push');
+    const opened = sum(deliveredPushes.filter(group => group.clicked));
+    const total = sum(counts);
+
+    const failuresByStatusCode = failed.reduce((byCode, group) => {
+      const code = group.status_code ? String(group.status_code) : 'unknown';
+      byCode[code] = (byCode[code] || 0) + Number(group.deliveries);
+      return byCode;
+    }, {});
+
+    const byGate = counts.filter(group => group.area).reduce((gates, group) => {
+      const gate = gates[group.area] || (gates[group.area] = { total: 0, delivered: 0, failed: 0, opened: 0 });
+      const deliveries = Number(group.deliveries);
+      gate.total += deliveries;
+      if (DELIVERED_STATUSES.includes(group.status)) gate.delivered += deliveries;
+      if (group.status === 'failed') gate.failed += deliveries;
+      if (group.clicked) gate.opened += deliveries;
+      return gates;
+    }, {});
+
+    return {
+      total,
+      delivered: sum(delivered),
+      failed: sum(failed),
+      deliveryRate: percentage(sum(delivered), total),
+      failuresByStatusCode,
+      opened,
+      openRate: percentage(opened, sum(deliveredPushes)),
+      byGate
+    };
+  }
+
+  /**
+   * Records that a pushed notification was opened. Repeated clicks keep the first time.
+   * @param {string} logId - notification_logs ID, sent to the service worker as data.logId
+   * @returns {Promise<Object|null>} - { id, clickedAt }, null if there is no such notification
+   */
+  async recordClick(logId) {
+    try {
+      const { data: updated, error } = await this.client
+        .from('notification_logs')
+        .update({ clicked: true, clicked_at: new Date().toISOString() })
+        .eq('id', logId)
+        .eq('clicked', false)
+        .select('id, clicked_at');
+
+      if (error) throw error;
+
+      if (updated.length > 0) {
+        return { id: updated[0].id, clickedAt: updated[0].clicked_at };
+      }
+
+      // Already opened, or unknown
+      const { data: log, error: getError } = await this.client
+        .from('notification_logs')
+        .select('id, clicked_at')
+        .eq('id', logId)
+        .single();
+
+      if (getError && getError.code !== 'PGRST116') { // PGRST116 = not found
+        throw getError;
+      }
+
+      return log ? { id: log.id, clickedAt: log.clicked_at } : null;
+    } catch (error) {
+      logger.error('Error recording notification click', { logId, error: error.message });
+      throw new Error(`Failed to record notification click: ${error.message}`);
+    }
+  }
+
+  /**
+   * Converts a notification_logs row to the API shape
+   * @private
+   */
+  formatLog(row) {
+    return {
+      id: row.id,
+      subscriptionId: row.subscription_id,
+      channel: row.channel,
+      recipient: row.recipient,
+      type: row.data?.type || null,
+      gate: row.data?.area || null,
+      title: row.title,
+      body: row.body,
+      tag: row.tag,
+      data: row.data,
+      status: row.status,
+      statusCode: row.status_code,
+      error: row.error_message,
+      sentAt: row.sent_at,
+      clicked: row.clicked,
+      clickedAt: row.clicked_at
+    };
+  }
+}
+
+module.exports = new NotificationLogService();
@@ -0,0 +1,228 @@
+const supabaseService = require('./supabaseService');
+const winston = require('winston');
+const notificationPreferences = require('../utils/notificationPreferences');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'notification-preference-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const FREQUENCY_WINDOW_SECONDS = 60 * 60;
+
+/**
+ * Stores the notification preferences of users and push subscriptions and applies them
+ * to outgoing notifications, including the per-recipient frequency cap
+ */
+class NotificationPreferenceService {
+  constructor() {
+    this.client = supabaseService.client;
+  }
+
+  /**
+   * Retrieves a user's stored preferences
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Stored preferences, null when none are set
+   */
+  async getUserPreferences(userId) {
+    try {
+      const { data: user, error } = await this.client
+        .from('users')
+        .select('notification_preferences')
+        .eq('user_id', userId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = not found
+        throw error;
+      }
+
+      return user?.notification_preferences || null;
+    } catch (error) {
+      logger.error('Error retrieving user notification preferences', { userId, error: error.message });
+      throw new Error(`Failed to retrieve notification preferences: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replaces a user's preferences
+   * @param {string} userId - User ID
+   * @param {Object|null} preferences - Validated preferences; null restores the defaults
+   * @returns {Promise<Object|null>} - Stored preferences
+   */
+  async updateUserPreferences(userId, preferences) {
+    try {
+      logger.info('Updating user notification preferences', { userId });
+
+      const { data: user, error } = await this.client
+        .from('users')
+        .update({ notification_preferences: preferences })
+        .eq('user_id', userId)
+        .select('notification_preferences')
+        .single();
+
+      if (error) throw error;
+
+      return user.notification_preferences;
+    } catch (error) {
+      logger.error('Error updating user notification preferences', { userId, error: error.message });
+      throw new Error(`Failed to update notification preferences: ${error.message}`);
+    }
+  }
+
+  /**
+   * Effective preferences of several users
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Promise<Map<string, Object>>} - User ID -> normalized preferences (users without a row are left out)
+   */
+  async getUsersPreferences(userIds) {
+    const ids = [...new Set(userIds.filter(Boolean))];
+
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    try {
+      const { data: users, error } = await this.client
+        .from('users')
+        .select('user_id, notification_preferences')
+        .in('user_id', ids);
+
+      if (error) throw error;
+
+      return new Map(users.map(user => [
+        user.user_id,
+        notificationPreferences.normalizeNotificationPreferences(user.notification_preferences)
+      ]));
+    } catch (error) {
+      logger.error('Error retrieving notification preferences of users', { count: ids.length, error: error.message });
+      throw new Error(`Failed to retrieve notification preferences: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replaces the preferences of a push subscription
+   * @param {string} eventId - Event ID
+   * @param {string} endpoint - Push endpoint identifying the subscription
+   * @param {Object|null} preferences - Validated preferences; null falls back to the owner's or the defaults
+   * @returns {Promise<Object|null>} - { id, preferences }, null if the subscription does not exist
+   */
+  async updateSubscriptionPreferences(eventId, endpoint, preferences) {
+    try {
+      logger.info('Updating push subscription preferences', { eventId });
+
+      const { data: subscriptions, error } = await this.client
+        .from('push_subscriptions')
+        .update({ preferences })
+        .eq('event_id', eventId)
+        .eq('endpoint', endpoint)
+        .select('id, preferences');
+
+      if (error) throw error;
+
+      return subscriptions[0] || null;
+    } catch (error) {
+      logger.error('Error updating push subscription preferences', { eventId, error: error.message });
+      throw new Error(`Failed to update subscription preferences: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drops the push subscriptions whose preferences hold a notification back. A
+   * subscription's own preferences apply, else those of the signed-in user it belongs to.
+   * @param {Array<Object>} subscriptions - push_subscriptions rows with id, user_id and preferences
+   * @param {Object} notification - { type, severity }
+   * @param {string} timeZone - Event time zone for quiet hours
+   * @returns {Promise<Array<Object>>}
+   */
+  async filterSubscriptions(subscriptions, notification, timeZone) {
+    const ownerIds = subscriptions.filter(sub => !sub.preferences && sub.user_id).map(sub => sub.user_id);
+
+    let userPreferences = new Map();
+    try {
+      userPreferences = await this.getUsersPreferences(ownerIds);
+    } catch (error) {
+      // Subscriptions without their own preferences then get the defaults
+      logger.warn('Applying default preferences to user subscriptions', { error: error.message });
+    }
+
+    const reasons = await Promise.all(subscriptions.map(sub => {
+      const preferences = sub.preferences
+        ? notificationPreferences.normalizeNotificationPreferences(sub.preferences)
+        : userPreferences.get(sub.user_id) || notificationPreferences.DEFAULT_NOTIFICATION_PREFERENCES;
+
+      // A user's subscriptions share the user's cap
+      const recipientKey = sub.user_id ? `user:${sub.user_id}` : `subscription:${sub.id}`;
+      return this.getBlockReason(preferences, notification, recipientKey, { timeZone, channel: 'push' });
+    }));
+
+    const blocked = {};
+    reasons.filter(Boolean).forEach(reason => {
+      blocked[reason] = (blocked[reason] || 0) + 1;
+    });
+    const allowed = subscriptions.filter((sub, index) => !reasons[index]);
+
+    if (allowed.length < subscriptions.length) {
+      logger.info('Push subscriptions skipped by notification preferences', { type: notification.type, blocked });
+    }
+
+    return allowed;
+  }
+
+  /**
+   * Why a recipient's preferences hold a notification back, if they do. An allowed
+   * notification counts towards the recipient's frequency cap.
+   * @param {Object} preferences - Normalized preferences
+   * @param {Object} notification - { type, severity }
+   * @param {string} recipientKey - Identifies the recipient for the frequency cap
+   * @param {Object} [options] - { timeZone, channel, at } (see notificationPreferences.getBlockReason)
+   * @returns {Promise<string|null>} - muted, below_min_severity, quiet_hours or frequency_cap; null when allowed
+   */
+  async getBlockReason(preferences, notification, recipientKey, options = {}) {
+    const reason = notificationPreferences.getBlockReason(preferences, notification, options);
+    if (reason) return reason;
+
+    return await this.takeFrequencyCap(preferences, notification, recipientKey) ? null : 'frequency_cap';
+  }
+
+  /**
+   * Whether a recipient may get another notification within its hourly cap; records it
+   * if so. Critical notifications and emergencies are never capped. The count is kept in
+   * the database, so the cap holds across server instances and restarts.
+   * @param {Object} preferences - Normalized preferences
+   * @param {Object} notification - { type, severity }
+   * @param {string} recipientKey - Identifies the recipient
+   * @returns {Promise<boolean>}
+   */
+  async takeFrequencyCap(preferences, notification, recipientKey) {
+    if (!preferences.maxPerHour || notification.severity === 'critical' || notification.type === 'emergency') {
+      return true;
+    }
+
+    try {
+      const { data, error } = await this.client.rpc('take_notification_frequency_cap', {
+        p_recipient_key: recipientKey,
+        p_max_count: preferences.maxPerHour,
+        p_window_seconds: FREQUENCY_WINDOW_SECONDS
+      });
+
+      if (error) throw error;
+      return data === true;
+    } catch (error) {
+      // An extra notification is better than a lost one
+      logger.warn('Could not check the frequency cap, allowing the notification', { recipientKey, error: error.message });
+      return true;
+    }
+  }
+}
+
+module.exports = new NotificationPreferenceService();
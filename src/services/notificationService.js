@@ -1,5 +1,8 @@
 const axios = require('axios');
 const winston = require('winston');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+const emailTemplates = require('../utils/emailTemplates');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -24,6 +27,8 @@ class NotificationService {
     this.whatsappApiKey = process.env.WHATSAPP_API_KEY;
     this.defaultRecipients = process.env.NOTIFICATION_RECIPIENTS ? 
       process.env.NOTIFICATION_RECIPIENTS.split(',') : [];
+    this.emailRecipients = process.env.EMAIL_RECIPIENTS ?
+      process.env.EMAIL_RECIPIENTS.split(',') : [];
   }
 
   /**
@@ -201,6 +206,58 @@ class NotificationService {
     }
   }
 
+  /**
+   * Sends a plain WhatsApp message via the n8n webhook (or the WhatsApp API)
+   * @param {string} message - Message text
+   * @param {Array} recipients - Phone numbers
+   * @param {Object} [context] - { type, eventId } sent along to the n8n workflow
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendWhatsAppMessage(message, recipients, context = {}) {
+    try {
+      if (!recipients || recipients.length === 0) {
+        logger.warn('No recipients for WhatsApp message', { type: context.type });
+        return false;
+      }
+
+      if (this.n8nWebhookUrl) {
+        const response = await axios.post(this.n8nWebhookUrl, {
+          eventId: context.eventId || null,
+          message,
+          recipients,
+          timestamp: new Date().toISOString(),
+          type: context.type || 'notification',
+          priority: context.priority || 'medium'
+        }, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'EventAI-Server/1.0',
+            'X-Event-AI-Source': 'notification-service'
+          },
+          timeout: 30000 // 30 seconds timeout
+        });
+
+        return response.status >= 200 && response.status < 300;
+      }
+
+      if (this.whatsappApiUrl && this.whatsappApiKey) {
+        return await this.sendViaWhatsAppApi(context.eventId, message, recipients);
+      }
+
+      // Development fallback - log message
+      logger.info('WhatsApp message (development mode)', { type: context.type, message, recipients });
+
+      return true;
+    } catch (error) {
+      logger.error('Error sending WhatsApp message', {
+        type: context.type,
+        error: error.message,
+        responseStatus: error.response?.status
+      });
+      return false;
+    }
+  }
+
   /**
    * Formats recommendations into a WhatsApp message
    * @param {string} simulationId - Simulation ID
@@ -240,30 +297,128 @@ class NotificationService {
     return message;
   }
 
+  /**
+   * Warns operators that a gate's 5-minute forecast breaches the alert policy, via the
+   * n8n webhook (or the WhatsApp API)
+   * @param {Object} warning - { eventId, eventName, gate, level, predictedCount, capacity,
+   *   predictedPercentage, riskScore, reasons, possibleIncidents, predictedAt }
+   * @param {Array} recipients - Phone numbers to send to
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendEarlyWarningAlert(warning, recipients = null) {
+    try {
+      logger.info('Sending early warning alert', { eventId: warning.eventId, gate: warning.gate, level: warning.level });
+
+      const targetRecipients = recipients || this.defaultRecipients;
+
+      if (!targetRecipients || targetRecipients.length === 0) {
+        logger.warn('No recipients configured for early warning notifications');
+        return false;
+      }
+
+      const message = this.formatEarlyWarningMessage(warning);
+
+      if (this.n8nWebhookUrl) {
+        const response = await axios.post(this.n8nWebhookUrl, {
+          eventId: warning.eventId,
+          message,
+          recipients: targetRecipients,
+          timestamp: new Date().toISOString(),
+          type: 'early_warning',
+          priority: 'high',
+          warning
+        }, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'EventAI-Server/1.0',
+            'X-Event-AI-Source': 'notification-service'
+          },
+          timeout: 30000 // 30 seconds timeout
+        });
+
+        return response.status >= 200 && response.status < 300;
+      }
+
+      if (this.whatsappApiUrl && this.whatsappApiKey) {
+        return await this.sendViaWhatsAppApi(warning.eventId, message, targetRecipients);
+      }
+
+      // Development fallback - log message
+      logger.info('Early warning notification (development mode)', {
+        eventId: warning.eventId,
+        message,
+        recipients: targetRecipients
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Error sending early warning alert', {
+        eventId: warning.eventId,
+        gate: warning.gate,
+        error: error.message,
+        responseStatus: error.response?.status
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Formats an early warning into a WhatsApp message
+   * @param {Object} warning - See sendEarlyWarningAlert
+   * @returns {string} - Formatted message
+   */
+  formatEarlyWarningMessage(warning) {
+    let message = `⚠️ *Event AI Early Warning* ⚠️\n\n`;
+    message += `Event: ${warning.eventName || warning.eventId}\n`;
+    message += `Gate: ${warning.gate}\n`;
+    message += `Expected in the next 5 minutes: *${warning.level}* congestion\n`;
+    message += `Predicted: ${warning.predictedCount} people (${Math.round(warning.predictedPercentage)}% of ${warning.capacity})\n`;
+
+    if (warning.riskScore !== null && warning.riskScore !== undefined) {
+      message += `Risk score: ${warning.riskScore}\n`;
+    }
+
+    if (warning.possibleIncidents && warning.possibleIncidents.length > 0) {
+      message += `\n🔎 *Possible incidents*\n`;
+      warning.possibleIncidents.forEach((incident, index) => {
+        const description = typeof incident === 'string'
+          ? incident
+          : incident.type || incident.description || incident.name || JSON.stringify(incident);
+        message += `${index + 1}. ${description}\n`;
+      });
+    }
+
+    message += `\nRedeploy staff to ${warning.gate} before it jams.`;
+    message += `\n\n_This is an automated alert from Event AI System_`;
+
+    return message;
+  }
+
   /**
    * Sends email notification (backup method)
    * @param {string} simulationId - Simulation ID
    * @param {Array} recommendations - Array of recommendations
-   * @param {Array} recipients - Email addresses
+   * @param {Array} recipients - Email addresses (EMAIL_RECIPIENTS when not given)
    * @returns {Promise<boolean>} - Success status
    */
   async sendEmailAlert(simulationId, recommendations, recipients = null) {
     try {
       logger.info('Sending email alert', { simulationId, recommendationsCount: recommendations.length });
 
-      // This is a placeholder for email functionality
-      // You can integrate with AWS SES, SendGrid, or other email services
-      
-      const emailContent = this.formatEmailContent(simulationId, recommendations);
-      
-      logger.info('Email alert (development mode)', {
-        simulationId,
-        content: emailContent,
-        recipients: recipients || ['admin@eventai.com']
-      });
+      const targetRecipients = recipients || this.emailRecipients;
 
-      // TODO: Implement actual email sending logic
-      return true;
+      if (!targetRecipients || targetRecipients.length === 0) {
+        logger.warn('No recipients configured for email notifications');
+        return false;
+      }
+
+      const result = await emailService.sendEmail(
+        targetRecipients,
+        this.formatEmailContent(simulationId, recommendations),
+        { type: 'simulation_results', data: { simulationId } }
+      );
+
+      return result.sent > 0;
     } catch (error) {
       logger.error('Error sending email alert', { simulationId, error: error.message });
       return false;
@@ -277,42 +432,29 @@ class NotificationService {
    * @returns {Object} - Email content object
    */
   formatEmailContent(simulationId, recommendations) {
-    const subject = `Event AI Alert - Simulation ${simulationId}`;
-    
-    let htmlContent = `
-      <html>
-        <body>
-          <h2>Event AI Simulation Alert</h2>
-          <p><strong>Simulation ID:</strong> ${simulationId}</p>
-          <p><strong>Time:</strong> ${new Date().toLocaleString()}</p>
-          
-          <h3>Recommendations:</h3>
-    `;
-
-    recommendations.forEach((rec, index) => {
-      const priorityColor = rec.priority === 'HIGH' ? '#ff4444' : '#ffaa44';
-      htmlContent += `
-        <div style="border-left: 4px solid ${priorityColor}; padding-left: 15px; margin: 10px 0;">
-          <h4>${index + 1}. ${rec.title}</h4>
-          <p><strong>Priority:</strong> <span style="color: ${priorityColor};">${rec.priority}</span></p>
-          <p><strong>Description:</strong> ${rec.description}</p>
-          <p><strong>Implementation Time:</strong> ${rec.implementationTime}</p>
-          <p><strong>Estimated Impact:</strong> ${rec.estimatedImpact}</p>
-        </div>
-      `;
-    });
-
-    htmlContent += `
-          <p><em>This is an automated alert from the Event AI System.</em></p>
-        </body>
-      </html>
-    `;
-
-    return {
-      subject,
-      html: htmlContent,
-      text: this.formatRecommendationMessage(simulationId, recommendations)
-    };
+    return emailTemplates.simulationResults(simulationId, recommendations);
+  }
+
+  /**
+   * Emails the daily digest of an event
+   * @param {Object} digest - See emailTemplates.dailyDigest, plus orgId
+   * @param {Array} recipients - Email addresses
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendDailyDigestEmail(digest, recipients) {
+    try {
+      const result = await emailService.sendEmail(recipients, emailTemplates.dailyDigest(digest), {
+        type: 'daily_digest',
+        eventId: digest.eventId,
+        orgId: digest.orgId,
+        data: { periodStart: digest.periodStart, periodEnd: digest.periodEnd }
+      });
+
+      return result.sent > 0;
+    } catch (error) {
+      logger.error('Error sending daily digest email', { eventId: digest.eventId, error: error.message });
+      return false;
+    }
   }
 
   /**
@@ -326,19 +468,20 @@ class NotificationService {
     try {
       logger.info('Sending SMS alert', { simulationId, recommendationsCount: recommendations.length });
 
-      // This is a placeholder for SMS functionality
-      // You can integrate with AWS SNS, Twilio, or other SMS services
-      
-      const smsMessage = this.formatSmsMessage(simulationId, recommendations);
-      
-      logger.info('SMS alert (development mode)', {
-        simulationId,
-        message: smsMessage,
-        recipients: recipients || this.defaultRecipients
-      });
+      const targetRecipients = recipients || this.defaultRecipients;
 
-      // TODO: Implement actual SMS sending logic
-      return true;
+      if (!targetRecipients || targetRecipients.length === 0) {
+        logger.warn('No recipients configured for SMS notifications');
+        return false;
+      }
+
+      const result = await smsService.sendSms(
+        targetRecipients,
+        this.formatSmsMessage(simulationId, recommendations),
+        { type: 'simulation_results', data: { simulationId } }
+      );
+
+      return result.sent > 0;
     } catch (error) {
       logger.error('Error sending SMS alert', { simulationId, error: error.message });
       return false;
@@ -375,11 +518,15 @@ class NotificationService {
     const testResults = {
       webhook: false,
       whatsappApi: false,
+      email: false,
       configuration: {
         webhookUrl: !!this.n8nWebhookUrl,
         whatsappApiUrl: !!this.whatsappApiUrl,
         whatsappApiKey: !!this.whatsappApiKey,
-        defaultRecipients: this.defaultRecipients.length
+        defaultRecipients: this.defaultRecipients.length,
+        emailTransport: emailService.transportName,
+        emailRecipients: this.emailRecipients.length,
+        smsProvider: smsService.provider.name
       }
     };
 
@@ -413,6 +560,8 @@ class NotificationService {
         }
       }
 
+      testResults.email = await emailService.verifyConnection();
+
       logger.info('Notification setup test completed', testResults);
       return testResults;
     } catch (error) {
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'oauth-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * OpenID Connect providers whose ID tokens are verified here. Each token must be
+ * signed by a key from the provider's JWKS, issued by the provider, addressed to
+ * one of our client IDs and carry a verified email. Providers without OIDC ID
+ * tokens (GitHub) or without email_verified (Facebook) cannot be verified.
+ */
+const PROVIDERS = {
+  google: {
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    jwksUrl: 'https://www.googleapis.com/oauth2/v3/certs',
+    clientIdsEnv: 'GOOGLE_OAUTH_CLIENT_IDS'
+  },
+  linkedin: {
+    issuers: ['https://www.linkedin.com/oauth'],
+    jwksUrl: 'https://www.linkedin.com/oauth/openid/jwks',
+    clientIdsEnv: 'LINKEDIN_OAUTH_CLIENT_IDS'
+  }
+};
+
+// Signing keys are fetched again after this long, or sooner for an unknown key ID
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+// ...but at most this often, so forged key IDs cannot make us hammer the provider
+const JWKS_MIN_REFETCH_MS = 60 * 1000;
+
+/**
+ * Error with a code the controller maps to a response
+ */
+const oauthError = (message, code) => Object.assign(new Error(message), { code });
+
+/**
+ * Verifies OAuth sign-ins server-side from the provider's OpenID Connect ID token
+ */
+class OAuthService {
+  constructor() {
+    // provider -> { keys: Map(kid -> KeyObject), fetchedAt }
+    this.jwksCache = new Map();
+
+    logger.info('OAuthService initialized', {
+      providers: Object.keys(PROVIDERS).filter(provider => this.getClientIds(provider).length > 0)
+    });
+  }
+
+  /**
+   * Providers sign-in is accepted from
+   * @returns {Array<string>}
+   */
+  getSupportedProviders() {
+    return Object.keys(PROVIDERS);
+  }
+
+  /**
+   * Our OAuth client IDs at a provider, the accepted `aud` values
+   * @param {string} provider - Provider name
+   * @returns {Array<string>}
+   */
+  getClientIds(provider) {
+    return (process.env[PROVIDERS[provider].clientIdsEnv] || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Verifies an ID token and returns the identity it proves
+   * @param {string} provider - google or linkedin
+   * @param {string} idToken - ID token the client received from the provider
+   * @returns {Promise<Object>} - { provider, providerId, email, name, given_name, family_name }
+   * @throws {Error} - with code UNSUPPORTED_OAUTH_PROVIDER, OAUTH_PROVIDER_NOT_CONFIGURED,
+   *                   INVALID_ID_TOKEN or EMAIL_NOT_VERIFIED
+   */
+  async verifyIdToken(provider, idToken) {
+    const config = PROVIDERS[provider];
+    if (!config) {
+      throw oauthError(`Sign-in with ${provider} is not supported`, 'UNSUPPORTED_OAUTH_PROVIDER');
+    }
+
+    const audience = this.getClientIds(provider);
+    if (audience.length === 0) {
+      throw oauthError(`${config.clientIdsEnv} is not configured`, 'OAUTH_PROVIDER_NOT_CONFIGURED');
+    }
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header?.kid) {
+      throw oauthError('ID token is malformed', 'INVALID_ID_TOKEN');
+    }
+
+    const key = await this.getSigningKey(provider, decoded.header.kid);
+    if (!key) {
+      throw oauthError('ID token is signed with an unknown key', 'INVALID_ID_TOKEN');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        issuer: config.issuers,
+        audience
+      });
+    } catch (error) {
+      logger.warn('Rejected OAuth ID token', { provider, error: error.message });
+      throw oauthError(`ID token is invalid: ${error.message}`, 'INVALID_ID_TOKEN');
+    }
+
+    if (!claims.sub || !claims.email) {
+      throw oauthError('ID token has no subject or email', 'INVALID_ID_TOKEN');
+    }
+
+    // Google sends a boolean, some providers the string "true"
+    if (claims.email_verified !== true && claims.email_verified !== 'true') {
+      throw oauthError('The provider has not verified this email address', 'EMAIL_NOT_VERIFIED');
+    }
+
+    return {
+      provider,
+      providerId: String(claims.sub),
+      email: claims.email.toLowerCase(),
+      name: claims.name,
+      given_name: claims.given_name,
+      family_name: claims.family_name
+    };
+  }
+
+  /**
+   * Public key a provider signs with, from its cached JWKS
+   * @param {string} provider - Provider name
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<crypto.KeyObject|null>}
+   */
+  async getSigningKey(provider, kid) {
+    const cached = this.jwksCache.get(provider);
+    const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+
+    if (cached && age < JWKS_CACHE_MS && (cached.keys.has(kid) || age < JWKS_MIN_REFETCH_MS)) {
+      return cached.keys.get(kid) || null;
+    }
+
+    try {
+      const { data } = await axios.get(PROVIDERS[provider].jwksUrl, { timeout: 10000 });
+      const keys = new Map();
+
+      (data.keys || []).forEach(jwk => {
+        if (jwk.kid && jwk.kty === 'RSA') {
+          keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+        }
+      });
+
+      this.jwksCache.set(provider, { keys, fetchedAt: Date.now() });
+      return keys.get(kid) || null;
+    } catch (error) {
+      logger.error('Error fetching OAuth signing keys', { provider, error: error.message });
+
+      // Keep using the keys we have while the provider is unreachable
+      if (cached) return cached.keys.get(kid) || null;
+      throw new Error(`Failed to fetch ${provider} signing keys: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new OAuthService();
@@ -0,0 +1,268 @@
+const supabaseService = require('./supabaseService');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'organization-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const ORG_ROLES = ['ADMIN', 'MEMBER'];
+
+class OrganizationService {
+  constructor() {
+    this.client = supabaseService.client;
+    this.orgRoles = ORG_ROLES;
+  }
+
+  /**
+   * Creates an organization and makes the creator its admin
+   * @param {Object} orgData - { name, slug }
+   * @param {string} creatorUserId - User ID of the creator
+   * @returns {Promise<Object>} - Created organization
+   */
+  async createOrganization(orgData, creatorUserId) {
+    try {
+      const orgId = `org_${uuidv4()}`;
+
+      logger.info('Creating organization', { orgId, slug: orgData.slug });
+
+      const { data: org, error } = await this.client
+        .from('organizations')
+        .insert({
+          org_id: orgId,
+          name: orgData.name,
+          slug: orgData.slug.toLowerCase(),
+          created_by: creatorUserId
+        })
+        .select('id, org_id, name, slug, created_by, created_at, updated_at')
+        .single();
+
+      if (error) throw error;
+
+      await this.upsertMember(orgId, creatorUserId, 'ADMIN');
+
+      logger.info('Organization created successfully', { orgId });
+      return this.convertOrganizationToCamelCase(org);
+    } catch (error) {
+      logger.error('Error creating organization', { slug: orgData.slug, error: error.message });
+
+      if (error.code === '23505') {
+        throw new Error('Organization slug already exists');
+      }
+
+      throw new Error(`Failed to create organization: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves an organization by ID
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Object|null>}
+   */
+  async getOrganizationById(orgId) {
+    try {
+      const { data: org, error } = await this.client
+        .from('organizations')
+        .select('id, org_id, name, slug, created_by, created_at, updated_at')
+        .eq('org_id', orgId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = not found
+        throw error;
+      }
+
+      return org ? this.convertOrganizationToCamelCase(org) : null;
+    } catch (error) {
+      logger.error('Error retrieving organization', { orgId, error: error.message });
+      throw new Error(`Failed to retrieve organization: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists all organizations (platform admins only)
+   * @returns {Promise<Object[]>}
+   */
+  async getOrganizations() {
+    try {
+      const { data: orgs, error } = await this.client
+        .from('organizations')
+        .select('id, org_id, name, slug, created_by, created_at, updated_at')
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+
+      return orgs.map(org => this.convertOrganizationToCamelCase(org));
+    } catch (error) {
+      logger.error('Error retrieving organizations', { error: error.message });
+      throw new Error(`Failed to retrieve organizations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists the organizations a user belongs to, with their role in each
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<{orgId: string, name: string, slug: string, role: string}>>}
+   */
+  async getOrganizationsForUser(userId) {
+    try {
+      const { data: memberships, error } = await this.client
+        .from('organization_members')
+        .select('role, organizations(org_id, name, slug)')
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      return memberships
+        .filter(membership => membership.organizations)
+        .map(membership => ({
+          orgId: membership.organizations.org_id,
+          name: membership.organizations.name,
+          slug: membership.organizations.slug,
+          role: membership.role
+        }));
+    } catch (error) {
+      logger.error('Error retrieving user organizations', { userId, error: error.message });
+      throw new Error(`Failed to retrieve user organizations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists the members of an organization
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Object[]>}
+   */
+  async getMembers(orgId) {
+    try {
+      const { data: members, error } = await this.client
+        .from('organization_members')
+        .select('org_id, user_id, role, created_at, users(email, username)')
+        .eq('org_id', orgId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return members.map(member => ({
+        orgId: member.org_id,
+        userId: member.user_id,
+        email: member.users?.email,
+        username: member.users?.username,
+        role: member.role,
+        createdAt: member.created_at
+      }));
+    } catch (error) {
+      logger.error('Error retrieving organization members', { orgId, error: error.message });
+      throw new Error(`Failed to retrieve organization members: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists the user IDs belonging to any of the given organizations
+   * @param {string[]} orgIds - Organization IDs
+   * @returns {Promise<string[]>}
+   */
+  async getMemberUserIds(orgIds) {
+    try {
+      if (orgIds.length === 0) return [];
+
+      const { data: members, error } = await this.client
+        .from('organization_members')
+        .select('user_id')
+        .in('org_id', orgIds);
+
+      if (error) throw error;
+
+      return [...new Set(members.map(member => member.user_id))];
+    } catch (error) {
+      logger.error('Error retrieving organization member IDs', { orgIds, error: error.message });
+      throw new Error(`Failed to retrieve organization members: ${error.message}`);
+    }
+  }
+
+  /**
+   * Adds a user to an organization, or changes their role
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @param {string} role - ADMIN or MEMBER
+   * @returns {Promise<Object>}
+   */
+  async upsertMember(orgId, userId, role = 'MEMBER') {
+    try {
+      logger.info('Upserting organization member', { orgId, userId, role });
+
+      const { data: member, error } = await this.client
+        .from('organization_members')
+        .upsert({ org_id: orgId, user_id: userId, role }, { onConflict: 'org_id,user_id' })
+        .select('org_id, user_id, role, created_at')
+        .single();
+
+      if (error) throw error;
+
+      return {
+        orgId: member.org_id,
+        userId: member.user_id,
+        role: member.role,
+        createdAt: member.created_at
+      };
+    } catch (error) {
+      logger.error('Error upserting organization member', { orgId, userId, error: error.message });
+      throw new Error(`Failed to add organization member: ${error.message}`);
+    }
+  }
+
+  /**
+   * Removes a user from an organization
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - True if a membership was removed
+   */
+  async removeMember(orgId, userId) {
+    try {
+      logger.info('Removing organization member', { orgId, userId });
+
+      const { data, error } = await this.client
+        .from('organization_members')
+        .delete()
+        .eq('org_id', orgId)
+        .eq('user_id', userId)
+        .select('id');
+
+      if (error) throw error;
+
+      return data.length > 0;
+    } catch (error) {
+      logger.error('Error removing organization member', { orgId, userId, error: error.message });
+      throw new Error(`Failed to remove organization member: ${error.message}`);
+    }
+  }
+
+  /**
+   * Converts database organization object to camelCase
+   * @param {Object} org - Organization from database
+   * @returns {Object}
+   */
+  convertOrganizationToCamelCase(org) {
+    return {
+      id: org.id,
+      orgId: org.org_id,
+      name: org.name,
+      slug: org.slug,
+      createdBy: org.created_by,
+      createdAt: org.created_at,
+      updatedAt: org.updated_at
+    };
+  }
+}
+
+module.exports = new OrganizationService();
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const winston = require('winston');
+const gateService = require('./gateService');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -54,7 +55,8 @@ class PredictionService {
       }
 
       // Transform forecast_result to gates_info format expected by the model
-      const gatesInfo = this.transformForecastToGatesInfo(event.forecastResult, event);
+      const configuredGates = await gateService.getConfiguredGates(event.eventId);
+      const gatesInfo = this.transformForecastToGatesInfo(event.forecastResult, event, configuredGates);
 
       const requestBody = {
         gates_info: gatesInfo,
@@ -115,16 +117,40 @@ class PredictionService {
    * Transforms forecast_result to the gates_info format expected by the prediction model
    * @param {Object} forecastResult - Forecast result from the event
    * @param {Object} event - Event object for additional context
+   * @param {Array} [configuredGates] - Gates configured for the event (gateService.getGates)
    * @returns {Array} - Array of gates_info objects
    */
-  transformForecastToGatesInfo(forecastResult, event) {
+  transformForecastToGatesInfo(forecastResult, event, configuredGates = []) {
     try {
       // This transformation depends on your forecast_result structure
       // Based on typical forecast results, we'll extract gate information
       const gatesInfo = [];
 
+      // Priority 0: Gates configured for the event. The gate name is the forecast key,
+      // so predictions come back keyed the same way as forecast_result and predict_result.
+      if (configuredGates.length > 0) {
+        logger.info('Using configured gates for prediction', {
+          eventId: event.eventId,
+          gates: configuredGates.map(gate => gate.name)
+        });
+
+        configuredGates.forEach((gate, index) => {
+          const gateData = forecastResult.forecast?.[gate.name];
+          const gatePrediction = forecastResult.summary?.predictions?.find(p => p.gate === gate.name);
+          const latestTimeFrame = gateData?.timeFrames?.[gateData.timeFrames.length - 1];
+
+          gatesInfo.push({
+            gate_id: gate.name,
+            zone: gate.zoneName || `Gate ${gate.name}`,
+            image_path: this.getImageForGate(index),
+            total_capacity: gate.capacity,
+            event_type: this.mapEventType(event.eventType || 'OTHER'),
+            historical_count: latestTimeFrame?.predicted || gatePrediction?.avgPrediction || 0
+          });
+        });
+      }
       // Priority 1: Check forecast_result.summary.gates + forecast_result.forecast
-      if (forecastResult.summary?.gates && Array.isArray(forecastResult.summary.gates) && forecastResult.forecast) {
+      else if (forecastResult.summary?.gates && Array.isArray(forecastResult.summary.gates) && forecastResult.forecast) {
         logger.info('Extracting gates from forecast_result.summary.gates and forecast', { 
           eventId: event.eventId,
           gateIds: forecastResult.summary.gates
@@ -1,5 +1,11 @@
+const crypto = require('crypto');
 const webpush = require('../config/webPush');
 const supabaseService = require('./supabaseService');
+const gateService = require('./gateService');
+const notificationPreferenceService = require('./notificationPreferenceService');
+const pushRetryService = require('./pushRetryService');
+const { distanceInMeters } = require('../utils/geoHelper');
+const { getEventTimeZone } = require('../utils/timezoneHelper');
 const winston = require('winston');
 
 // Configure logger
@@ -19,8 +25,27 @@ const logger = winston.createLogger({
 });
 
 class PushNotificationService {
+  constructor() {
+    // attendee subscriptions are anonymous; the others belong to signed-in event members
+    this.audiences = ['attendee', 'staff', 'security', 'medical'];
+    this.staffAudiences = ['staff', 'security', 'medical'];
+
+    // Attendees count as near a gate within this distance of it
+    this.nearbyRadiusMeters = parseInt(process.env.NEARBY_ALERT_RADIUS_METERS, 10) || 300;
+    // Shared coordinates older than this are ignored
+    this.locationMaxAgeMs = 2 * 60 * 60 * 1000;
+
+    // Subscriptions are deactivated after this many consecutive failed deliveries
+    this.failureThreshold = parseInt(process.env.PUSH_FAILURE_THRESHOLD, 10) || 5;
+  }
+
   /**
-   * Send notification to all subscribers of an event
+   * Send notification to the subscribers of an event in the target audiences.
+   * Subscribers assigned to a gate or zone only receive alerts for that gate or zone,
+   * plus alerts that target no gate or zone. With `nearby`, attendees only receive the
+   * alert when their location places them near the gate. With `notification`, subscribers
+   * whose preferences hold it back (muted type, severity, quiet hours, frequency cap) are skipped.
+   * Deliveries that fail with a temporary error are queued for retry (see processRetryQueue).
    * @param {string} eventId - Event ID
    * @param {Object} payload - Notification payload
    * @param {string} payload.title - Notification title
@@ -30,21 +55,41 @@ class PushNotificationService {
    * @param {Object} [payload.data] - Additional data
    * @param {string} [payload.tag] - Notification tag (for grouping)
    * @param {boolean} [payload.requireInteraction] - Require user interaction
-   * @returns {Promise<{sent: number, failed: number}>}
+   * @param {Object} [target]
+   * @param {Array<string>} [target.audiences=['attendee']] - Audiences to notify
+   * @param {string} [target.gate] - Gate the alert is about
+   * @param {string} [target.zoneId] - Zone the alert is about (defaults to the gate's zone)
+   * @param {boolean} [target.nearby] - Only attendees near target.gate (see isNearGate)
+   * @param {Array<string>} [target.userIds] - Only these signed-in users' subscriptions (any audience by default)
+   * @param {Object} [target.notification] - What is sent, for subscriber preferences: { type, severity }
+   * @param {string} [target.timeZone] - Event time zone for quiet hours (looked up when not given)
+   * @param {boolean} [target.retry=true] - Whether failed deliveries are queued for retry (false when the caller falls back to other channels)
+   * @returns {Promise<{sent: number, failed: number, queued: number}>} - queued: failures queued for retry
    */
-  async sendToEvent(eventId, payload) {
+  async sendToEvent(eventId, payload, target = {}) {
     try {
+      const audiences = target.audiences || (target.userIds ? this.audiences : ['attendee']);
+
       logger.info('📤 [PushNotification] Sending notifications to event subscribers', {
         eventId,
-        title: payload.title
+        title: payload.title,
+        audiences,
+        gate: target.gate
       });
 
-      // Get all active subscriptions for this event
-      const { data: subscriptions, error } = await supabaseService.client
+      // Get the active subscriptions of the target audiences
+      let query = supabaseService.client
         .from('push_subscriptions')
-        .select('id, endpoint, p256dh, auth')
+        .select('id, org_id, user_id, endpoint, p256dh, auth, audience, gate_name, zone_id, ticket_gate, latitude, longitude, location_updated_at, preferences, failed_attempts, notification_count')
         .eq('event_id', eventId)
-        .eq('is_active', true);
+        .eq('is_active', true)
+        .in('audience', audiences);
+
+      if (target.userIds) {
+        query = query.in('user_id', target.userIds);
+      }
+
+      const { data: audienceSubscriptions, error } = await query;
 
       if (error) {
         logger.error('❌ [PushNotification] Error fetching subscriptions', {
@@ -54,11 +99,20 @@ class PushNotificationService {
         throw error;
       }
 
-      if (!subscriptions || subscriptions.length === 0) {
+      const assignedSubscriptions = await this.filterByAssignment(eventId, audienceSubscriptions || [], target);
+      const subscriptions = target.notification
+        ? await notificationPreferenceService.filterSubscriptions(
+          assignedSubscriptions,
+          target.notification,
+          target.timeZone || await this.getEventTimeZone(eventId)
+        )
+        : assignedSubscriptions;
+
+      if (subscriptions.length === 0) {
         logger.info('ℹ️ [PushNotification] No active subscriptions found', {
           eventId
         });
-        return { sent: 0, failed: 0 };
+        return { sent: 0, failed: 0, queued: 0 };
       }
 
       logger.info(`📋 [PushNotification] Found ${subscriptions.length} active subscriptions`, {
@@ -68,54 +122,24 @@ class PushNotificationService {
 
       let sent = 0;
       let failed = 0;
+      let queued = 0;
 
       // Send to all subscriptions in parallel
       const promises = subscriptions.map(async (sub) => {
-        try {
-          const pushSubscription = {
-            endpoint: sub.endpoint,
-            keys: {
-              p256dh: sub.p256dh,
-              auth: sub.auth
-            }
-          };
-
-          const notificationPayload = {
-            title: payload.title,
-            body: payload.body,
-            icon: payload.icon || '/pwa-192x192.png',
-            badge: payload.badge || '/pwa-64x64.png',
-            data: payload.data || {},
-            tag: payload.tag || 'default',
-            requireInteraction: payload.requireInteraction || false,
-            timestamp: Date.now()
-          };
-
-          // Send push notification
-          await webpush.sendNotification(
-            pushSubscription,
-            JSON.stringify(notificationPayload)
-          );
-
-          // Update success metrics
-          await supabaseService.client
-            .from('push_subscriptions')
-            .update({
-              last_notification_sent: new Date().toISOString(),
-              notification_count: supabaseService.client.sql`notification_count + 1`,
-              failed_attempts: 0
-            })
-            .eq('id', sub.id);
-
-          // Log successful notification
-          await this.logNotification(sub.id, eventId, payload, 'sent');
-
-          sent++;
-          logger.info(`✅ [PushNotification] Sent to subscription ${sub.id}`, {
-            eventId,
-            endpoint: sub.endpoint.substring(0, 50) + '...'
-          });
+        const notificationPayload = {
+          title: payload.title,
+          body: payload.body,
+          icon: payload.icon || '/pwa-192x192.png',
+          badge: payload.badge || '/pwa-64x64.png',
+          // logId identifies this delivery's log row, for open tracking (POST /logs/:logId/click)
+          data: { ...(payload.data || {}), logId: crypto.randomUUID() },
+          tag: payload.tag || 'default',
+          requireInteraction: payload.requireInteraction || false,
+          timestamp: Date.now()
+        };
 
+        try {
+          await this.deliver(sub, notificationPayload);
         } catch (error) {
           failed++;
           logger.error(`❌ [PushNotification] Failed to send to subscription ${sub.id}`, {
@@ -124,35 +148,24 @@ class PushNotificationService {
             statusCode: error.statusCode
           });
 
-          // Handle subscription errors
-          if (error.statusCode === 410 || error.statusCode === 404) {
-            // Subscription expired/invalid - deactivate it
-            logger.warn(`⚠️ [PushNotification] Subscription expired, deactivating`, {
-              subscriptionId: sub.id,
-              statusCode: error.statusCode
-            });
-
-            await supabaseService.client
-              .from('push_subscriptions')
-              .update({
-                is_active: false,
-                last_error: 'Subscription expired or not found'
-              })
-              .eq('id', sub.id);
-          } else {
-            // Track failure
-            await supabaseService.client
-              .from('push_subscriptions')
-              .update({
-                failed_attempts: supabaseService.client.sql`failed_attempts + 1`,
-                last_error: error.message
-              })
-              .eq('id', sub.id);
-          }
+          const { gone, deactivated } = await this.recordFailure(sub, eventId, notificationPayload, error);
 
-          // Log failed notification
-          await this.logNotification(sub.id, eventId, payload, 'failed', error.message);
+          // Temporary failures are retried; critical ones even if the subscription was just deactivated
+          const retryable = target.retry !== false && !gone &&
+            (!deactivated || pushRetryService.isCritical(target.notification));
+          if (retryable && await pushRetryService.enqueue(sub, eventId, notificationPayload, error, target.notification)) {
+            queued++;
+          }
+          return;
         }
+
+        await this.recordDelivery(sub, eventId, notificationPayload);
+
+        sent++;
+        logger.info(`✅ [PushNotification] Sent to subscription ${sub.id}`, {
+          eventId,
+          endpoint: sub.endpoint.substring(0, 50) + '...'
+        });
       });
 
       await Promise.all(promises);
@@ -161,11 +174,12 @@ class PushNotificationService {
         eventId,
         sent,
         failed,
+        queued,
         total: subscriptions.length,
         successRate: `${((sent / subscriptions.length) * 100).toFixed(1)}%`
       });
 
-      return { sent, failed };
+      return { sent, failed, queued };
 
     } catch (error) {
       logger.error('❌ [PushNotification] Error sending notifications', {
@@ -177,19 +191,254 @@ class PushNotificationService {
     }
   }
 
+  /**
+   * Sends a push payload to one subscription
+   * @param {Object} sub - push_subscriptions row
+   * @param {Object} notificationPayload - Payload as shown by the service worker
+   * @private
+   */
+  async deliver(sub, notificationPayload) {
+    const pushSubscription = {
+      endpoint: sub.endpoint,
+      keys: {
+        p256dh: sub.p256dh,
+        auth: sub.auth
+      }
+    };
+
+    await webpush.sendNotification(pushSubscription, JSON.stringify(notificationPayload));
+  }
+
+  /**
+   * Updates the success metrics of a subscription and logs the notification.
+   * Errors are logged only: the notification was delivered and must not be retried.
+   * @param {Object} sub - push_subscriptions row
+   * @param {string} eventId - Event ID
+   * @param {Object} notificationPayload - Payload sent
+   * @private
+   */
+  async recordDelivery(sub, eventId, notificationPayload) {
+    try {
+      const { error } = await supabaseService.client
+        .from('push_subscriptions')
+        .update({
+          last_notification_sent: new Date().toISOString(),
+          notification_count: (sub.notification_count || 0) + 1,
+          failed_attempts: 0
+        })
+        .eq('id', sub.id);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('❌ [PushNotification] Error updating subscription metrics', {
+        subscriptionId: sub.id,
+        error: error.message
+      });
+    }
+
+    await this.logNotification(sub, eventId, notificationPayload, 'sent');
+  }
+
+  /**
+   * Tracks a failed delivery on the subscription and logs the notification. Expired
+   * subscriptions (404/410) are deactivated at once, others after failureThreshold
+   * consecutive failures.
+   * @param {Object} sub - push_subscriptions row
+   * @param {string} eventId - Event ID
+   * @param {Object} notificationPayload - Payload that failed
+   * @param {Error} error - Delivery error
+   * @returns {Promise<{gone: boolean, deactivated: boolean}>}
+   * @private
+   */
+  async recordFailure(sub, eventId, notificationPayload, error) {
+    const gone = error.statusCode === 410 || error.statusCode === 404;
+    const failedAttempts = (sub.failed_attempts || 0) + 1;
+    const deactivated = gone || (sub.is_active !== false && failedAttempts >= this.failureThreshold);
+
+    if (gone) {
+      logger.warn(`⚠️ [PushNotification] Subscription expired, deactivating`, {
+        subscriptionId: sub.id,
+        statusCode: error.statusCode
+      });
+    } else if (deactivated) {
+      logger.warn(`⚠️ [PushNotification] Subscription failed ${failedAttempts} times in a row, deactivating`, {
+        subscriptionId: sub.id,
+        statusCode: error.statusCode
+      });
+    }
+
+    const update = gone
+      ? { is_active: false, last_error: 'Subscription expired or not found' }
+      : { failed_attempts: failedAttempts, last_error: error.message, ...(deactivated && { is_active: false }) };
+
+    try {
+      const { error: updateError } = await supabaseService.client
+        .from('push_subscriptions')
+        .update(update)
+        .eq('id', sub.id);
+
+      if (updateError) throw updateError;
+
+      // Retries of the same subscription in this run see the new count
+      Object.assign(sub, update);
+    } catch (updateError) {
+      logger.error('❌ [PushNotification] Error tracking subscription failure', {
+        subscriptionId: sub.id,
+        error: updateError.message
+      });
+    }
+
+    await this.logNotification(sub, eventId, notificationPayload, 'failed', error);
+
+    return { gone, deactivated };
+  }
+
+  /**
+   * Retries the queued deliveries that are due. Retries of deactivated subscriptions are
+   * dead-lettered, except critical ones, which are attempted until they run out of attempts.
+   * @returns {Promise<{delivered: number, rescheduled: number, dead: number}>}
+   */
+  async processRetryQueue() {
+    await pushRetryService.saveUnsavedRetries();
+
+    const retries = await pushRetryService.claimDue();
+    const results = { delivered: 0, rescheduled: 0, dead: 0 };
+
+    if (retries.length === 0) {
+      return results;
+    }
+
+    logger.info(`🔁 [PushNotification] Retrying ${retries.length} queued deliveries`);
+
+    for (const retry of retries) {
+      const sub = retry.subscription;
+      const critical = pushRetryService.isCritical({ type: retry.notification_type, severity: retry.severity });
+
+      if (!sub || (!sub.is_active && !critical)) {
+        const reason = new Error(sub ? 'Subscription is no longer active' : 'Subscription was removed');
+        await pushRetryService.fail(retry, reason, true);
+        results.dead++;
+        continue;
+      }
+
+      try {
+        await this.deliver(sub, retry.payload);
+      } catch (error) {
+        const { gone } = await this.recordFailure(sub, retry.event_id, retry.payload, error);
+        const dead = await pushRetryService.fail(retry, error, gone);
+        results[dead ? 'dead' : 'rescheduled']++;
+        continue;
+      }
+
+      await pushRetryService.complete(retry);
+      await this.recordDelivery(sub, retry.event_id, retry.payload);
+      results.delivered++;
+    }
+
+    logger.info('📊 [PushNotification] Retry results', results);
+
+    return results;
+  }
+
+  /**
+   * Deliveries of an event that ran out of retries
+   * @param {string} eventId - Event ID
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Array<Object>>}
+   */
+  async getDeadLetters(eventId, options = {}) {
+    return pushRetryService.getDeadLetters(eventId, options);
+  }
+
+  /**
+   * Drops subscriptions assigned to a different gate or zone than the alert's
+   * @param {string} eventId - Event ID
+   * @param {Array<Object>} subscriptions - push_subscriptions rows
+   * @param {Object} target - See sendToEvent
+   * @returns {Promise<Array<Object>>}
+   * @private
+   */
+  async filterByAssignment(eventId, subscriptions, target) {
+    if (!target.gate && !target.zoneId) {
+      return subscriptions;
+    }
+
+    // The gate's zone and position are only looked up when a subscription needs them
+    let alertGate = null;
+    if (target.gate && subscriptions.some(sub => sub.zone_id || (target.nearby && sub.latitude !== null))) {
+      const configuredGates = await gateService.getConfiguredGates(eventId);
+      alertGate = configuredGates.find(gate => gate.name === target.gate) || null;
+    }
+    const zoneId = target.zoneId || alertGate?.zoneId || null;
+
+    return subscriptions.filter(sub => {
+      if (target.nearby && sub.audience === 'attendee') return this.isNearGate(sub, target.gate, zoneId, alertGate);
+      if (sub.gate_name) return sub.gate_name === target.gate;
+      if (sub.zone_id) return sub.zone_id === zoneId;
+      return true;
+    });
+  }
+
+  /**
+   * Whether an attendee is near a gate: at it, holding a ticket for it, in its zone, or
+   * last seen within nearbyRadiusMeters of it. Attendees who shared no location are not.
+   * @param {Object} sub - push_subscriptions row
+   * @param {string} gateName - Gate name
+   * @param {string|null} zoneId - The gate's zone
+   * @param {Object|null} gate - Configured gate (for its coordinates)
+   * @returns {boolean}
+   * @private
+   */
+  isNearGate(sub, gateName, zoneId, gate) {
+    if (sub.gate_name === gateName || sub.ticket_gate === gateName) return true;
+    if (zoneId && sub.zone_id === zoneId) return true;
+
+    const locationAge = Date.now() - new Date(sub.location_updated_at).getTime();
+    if (!gate || !(locationAge <= this.locationMaxAgeMs)) return false;
+
+    const distance = distanceInMeters(sub, gate);
+    return distance !== null && distance <= this.nearbyRadiusMeters;
+  }
+
+  /**
+   * Time zone of an event, for subscribers' quiet hours; the default time zone if it
+   * cannot be read
+   * @param {string} eventId - Event ID
+   * @returns {Promise<string>} - IANA time zone name
+   * @private
+   */
+  async getEventTimeZone(eventId) {
+    const { data: event, error } = await supabaseService.client
+      .from('events')
+      .select('time_zone')
+      .eq('event_id', eventId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = not found
+      logger.warn('⚠️ [PushNotification] Could not read event time zone, using default', {
+        eventId,
+        error: error.message
+      });
+    }
+
+    return getEventTimeZone(event ? { timeZone: event.time_zone } : null);
+  }
+
   /**
    * Send congestion alert notification
    * @param {string} eventId - Event ID
    * @param {string} area - Gate or area name
-   * @param {string} level - Congestion level: 'Low', 'Moderate', 'High', 'Overcrowded'
+   * @param {string} level - Congestion level: 'Low', 'Moderate', 'High', 'Critical', 'Overcrowded'
    * @param {number} peopleCount - Number of people
+   * @param {Object} [alternativeGate] - Less busy gate to use instead: { gate, utilizationPercentage }
    * @returns {Promise<{sent: number, failed: number}>}
    */
-  async sendCongestionAlert(eventId, area, level, peopleCount) {
+  async sendCongestionAlert(eventId, area, level, peopleCount, alternativeGate = null) {
     const emojis = {
       Low: '🟢',
       Moderate: '🟡',
       High: '🟠',
+      Critical: '🟥',
       Overcrowded: '🔴'
     };
 
@@ -197,12 +446,18 @@ class PushNotificationService {
       Low: 'Congestion is low',
       Moderate: 'Moderate congestion detected',
       High: 'High congestion alert!',
+      Critical: 'Critical congestion - nearing capacity!',
       Overcrowded: '⚠️ OVERCROWDED - Take action!'
     };
 
+    const reroute = alternativeGate
+      ? `. Use ${alternativeGate.gate} instead (${alternativeGate.utilizationPercentage}% full)`
+      : '';
+
+    // Attendees elsewhere in the venue are not affected by this gate
     return await this.sendToEvent(eventId, {
       title: `${emojis[level]} ${area}`,
-      body: `${messages[level]} - ${peopleCount} people`,
+      body: `${messages[level]} - ${peopleCount} people${reroute}`,
       tag: `congestion-${area}`,
       requireInteraction: level === 'Overcrowded',
       data: {
@@ -210,9 +465,47 @@ class PushNotificationService {
         area,
         level,
         peopleCount,
+        alternativeGate: alternativeGate?.gate || null,
         eventId,
         timestamp: Date.now()
       }
+    }, {
+      audiences: ['attendee', 'staff', 'security'],
+      gate: area,
+      nearby: true,
+      notification: { type: 'congestion', severity: ['Critical', 'Overcrowded'].includes(level) ? 'critical' : 'warning' }
+    });
+  }
+
+  /**
+   * Send "all clear" notification once a gate has recovered from a congestion alert.
+   * Uses the alert's tag so it replaces the alert on the device.
+   * @param {string} eventId - Event ID
+   * @param {string} area - Area/gate name
+   * @param {string} previousLevel - Level the gate recovered from
+   * @param {number} peopleCount - Current people count
+   * @returns {Promise<{sent: number, failed: number}>}
+   */
+  async sendCongestionAllClear(eventId, area, previousLevel, peopleCount) {
+    return await this.sendToEvent(eventId, {
+      title: `🟢 ${area}`,
+      body: `All clear - congestion has eased - ${peopleCount} people`,
+      tag: `congestion-${area}`,
+      requireInteraction: false,
+      data: {
+        type: 'congestion_all_clear',
+        area,
+        level: 'Low',
+        previousLevel,
+        peopleCount,
+        eventId,
+        timestamp: Date.now()
+      }
+    }, {
+      audiences: ['attendee', 'staff', 'security'],
+      gate: area,
+      nearby: true,
+      notification: { type: 'congestion_all_clear', severity: 'info' }
     });
   }
 
@@ -236,7 +529,7 @@ class PushNotificationService {
         minutesUntilStart,
         timestamp: Date.now()
       }
-    });
+    }, { notification: { type: 'event_starting', severity: 'info' } });
   }
 
   /**
@@ -244,9 +537,10 @@ class PushNotificationService {
    * @param {string} eventId - Event ID
    * @param {string} message - Emergency message
    * @param {string} [area] - Affected area (optional)
+   * @param {Array<string>} [audiences] - Audiences to alert (defaults to everyone)
    * @returns {Promise<{sent: number, failed: number}>}
    */
-  async sendEmergencyAlert(eventId, message, area = null) {
+  async sendEmergencyAlert(eventId, message, area = null, audiences = this.audiences) {
     return await this.sendToEvent(eventId, {
       title: '🚨 EMERGENCY ALERT',
       body: area ? `${area}: ${message}` : message,
@@ -259,36 +553,69 @@ class PushNotificationService {
         area,
         timestamp: Date.now()
       }
-    });
+    }, { audiences, notification: { type: 'emergency', severity: 'critical' } });
   }
 
   /**
-   * Log notification to database
-   * @param {string} subscriptionId - Subscription ID
+   * Send fall detection alert to staff, security and medical subscribers
    * @param {string} eventId - Event ID
-   * @param {Object} payload - Notification payload
+   * @param {Object} detection - { sessionId, confidence, detectionsCount, aspectRatio, timestamp, apiTimestamp }
+   * @param {string} [gate] - Gate the camera watches; marshals of other gates are not alerted
+   * @returns {Promise<{sent: number, failed: number}>}
+   */
+  async sendFallAlert(eventId, detection, gate = null) {
+    return await this.sendToEvent(eventId, {
+      title: gate ? `🚨 Fall Alert - ${gate}` : '🚨 Fall Alert',
+      body: `Fall detected in live video stream with ${(detection.confidence || 0).toFixed(1)}% confidence. ${detection.detectionsCount || 0} person(s) detected.`,
+      tag: 'fall-detection',
+      requireInteraction: true,
+      data: {
+        type: 'fall_detection',
+        eventId,
+        area: gate,
+        ...detection
+      }
+    }, { audiences: this.staffAudiences, gate, notification: { type: 'fall', severity: 'critical' } });
+  }
+
+  /**
+   * Log notification to database. A delivery has one row, keyed by the payload's
+   * data.logId: a retry updates the row of the failed attempt.
+   * @param {Object} sub - push_subscriptions row (id, org_id)
+   * @param {string} eventId - Event ID
+   * @param {Object} payload - Notification payload as sent
    * @param {string} status - 'sent' or 'failed'
-   * @param {string} [errorMessage] - Error message if failed
+   * @param {Error} [error] - Delivery error if failed (message and push service statusCode)
    * @private
    */
-  async logNotification(subscriptionId, eventId, payload, status, errorMessage = null) {
+  async logNotification(sub, eventId, payload, status, error = null) {
+    const { logId, ...data } = payload.data || {};
+    const log = {
+      subscription_id: sub.id,
+      event_id: eventId,
+      org_id: sub.org_id || null,
+      title: payload.title,
+      body: payload.body,
+      tag: payload.tag || null,
+      data,
+      status,
+      status_code: error?.statusCode || null,
+      error_message: error?.message || null,
+      sent_at: new Date().toISOString()
+    };
+
     try {
-      await supabaseService.client
-        .from('notification_logs')
-        .insert({
-          subscription_id: subscriptionId,
-          event_id: eventId,
-          title: payload.title,
-          body: payload.body,
-          data: payload.data || {},
-          status,
-          error_message: errorMessage
-        });
-    } catch (error) {
+      // Payloads queued before deliveries had a log ID get a row per attempt
+      const { error: logError } = logId
+        ? await supabaseService.client.from('notification_logs').upsert({ id: logId, ...log }, { onConflict: 'id' })
+        : await supabaseService.client.from('notification_logs').insert(log);
+
+      if (logError) throw logError;
+    } catch (logError) {
       logger.error('❌ [PushNotification] Error logging notification', {
-        subscriptionId,
+        subscriptionId: sub.id,
         eventId,
-        error: error.message
+        error: logError.message
       });
       // Don't throw - logging errors shouldn't break notification sending
     }
@@ -319,6 +646,36 @@ class PushNotificationService {
     }
   }
 
+  /**
+   * Get active subscriptions count per audience for an event
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} - Audience -> count
+   */
+  async getSubscriptionCountsByAudience(eventId) {
+    try {
+      const counts = await Promise.all(this.audiences.map(async (audience) => {
+        const { count, error } = await supabaseService.client
+          .from('push_subscriptions')
+          .select('*', { count: 'exact', head: true })
+          .eq('event_id', eventId)
+          .eq('is_active', true)
+          .eq('audience', audience);
+
+        if (error) throw error;
+
+        return [audience, count || 0];
+      }));
+
+      return Object.fromEntries(counts);
+    } catch (error) {
+      logger.error('❌ [PushNotification] Error getting subscription counts by audience', {
+        eventId,
+        error: error.message
+      });
+      return Object.fromEntries(this.audiences.map(audience => [audience, 0]));
+    }
+  }
+
   /**
    * Cleanup inactive subscriptions (run periodically)
    * Removes subscriptions that have been inactive for 90+ days with 10+ failures
@@ -0,0 +1,294 @@
+const supabaseService = require('./supabaseService');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'push-retry-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+// A claimed retry becomes due again after this long if the process dies mid-send
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * Durable retry queue for push deliveries that failed with a temporary error
+ * (anything but 404/410). Retries back off exponentially; a delivery that runs out
+ * of attempts stays in the queue as a dead letter for operators to inspect.
+ */
+class PushRetryService {
+  constructor() {
+    this.client = supabaseService.client;
+
+    this.maxAttempts = parseInt(process.env.PUSH_RETRY_MAX_ATTEMPTS, 10) || 5;
+    // Emergencies and other critical notifications are retried for longer
+    this.criticalMaxAttempts = parseInt(process.env.PUSH_RETRY_CRITICAL_MAX_ATTEMPTS, 10) || 10;
+    this.baseDelayMs = (parseInt(process.env.PUSH_RETRY_BASE_DELAY_SECONDS, 10) || 30) * 1000;
+    this.maxDelayMs = (parseInt(process.env.PUSH_RETRY_MAX_DELAY_SECONDS, 10) || 3600) * 1000;
+
+    // Critical retries that could not be stored; saved on the next run so they are not lost
+    this.unsavedRetries = [];
+  }
+
+  /**
+   * Delay before a retry, doubling with every attempt up to maxDelayMs
+   * @param {number} attempts - Retries made so far
+   * @returns {number} - Milliseconds
+   */
+  getBackoffDelay(attempts) {
+    return Math.min(this.baseDelayMs * Math.pow(2, attempts), this.maxDelayMs);
+  }
+
+  /**
+   * Whether a notification counts as critical for retries
+   * @param {Object|null} notification - { type, severity }
+   * @returns {boolean}
+   */
+  isCritical(notification) {
+    return notification?.severity === 'critical' || notification?.type === 'emergency';
+  }
+
+  /**
+   * Queues a failed push delivery for retry
+   * @param {Object} subscription - push_subscriptions row
+   * @param {string} eventId - Event ID
+   * @param {Object} payload - Push payload as sent
+   * @param {Error} error - Delivery error
+   * @param {Object} [notification] - { type, severity }
+   * @returns {Promise<boolean>} - Whether the retry was stored
+   */
+  async enqueue(subscription, eventId, payload, error, notification = null) {
+    const retry = {
+      subscription_id: subscription.id,
+      event_id: eventId,
+      org_id: subscription.org_id || null,
+      notification_type: notification?.type || null,
+      severity: notification?.severity || null,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      max_attempts: this.isCritical(notification) ? this.criticalMaxAttempts : this.maxAttempts,
+      next_attempt_at: new Date(Date.now() + this.getBackoffDelay(0)).toISOString(),
+      last_error: error.message,
+      last_status_code: error.statusCode || null
+    };
+
+    try {
+      const { error: insertError } = await this.client
+        .from('push_retry_queue')
+        .insert(retry);
+
+      if (insertError) throw insertError;
+
+      logger.info('🔁 [PushRetry] Delivery queued for retry', {
+        subscriptionId: subscription.id,
+        eventId,
+        type: retry.notification_type,
+        nextAttemptAt: retry.next_attempt_at
+      });
+
+      return true;
+    } catch (storeError) {
+      if (this.isCritical(notification)) {
+        this.unsavedRetries.push(retry);
+      }
+
+      logger.error('❌ [PushRetry] Could not queue delivery for retry', {
+        subscriptionId: subscription.id,
+        eventId,
+        type: retry.notification_type,
+        heldInMemory: this.isCritical(notification),
+        error: storeError.message
+      });
+
+      return false;
+    }
+  }
+
+  /**
+   * Stores critical retries held in memory after a failed enqueue
+   * @returns {Promise<number>} - Retries stored
+   */
+  async saveUnsavedRetries() {
+    if (this.unsavedRetries.length === 0) {
+      return 0;
+    }
+
+    const retries = this.unsavedRetries;
+    this.unsavedRetries = [];
+
+    const { error } = await this.client
+      .from('push_retry_queue')
+      .insert(retries);
+
+    if (error) {
+      this.unsavedRetries = retries.concat(this.unsavedRetries);
+      logger.error('❌ [PushRetry] Critical retries still not stored', {
+        count: retries.length,
+        error: error.message
+      });
+      return 0;
+    }
+
+    logger.info('🔁 [PushRetry] Stored critical retries held in memory', { count: retries.length });
+    return retries.length;
+  }
+
+  /**
+   * Claims the retries that are due, with their subscriptions. A claim counts as an
+   * attempt and moves next_attempt_at past the claim lease, so another instance does
+   * not pick the same retry and a crash mid-send only delays it.
+   * @param {number} [limit=100] - Maximum retries to claim
+   * @returns {Promise<Array<Object>>} - push_retry_queue rows with `subscription` and `attempts` after the claim
+   */
+  async claimDue(limit = 100) {
+    const now = new Date();
+
+    const { data: due, error } = await this.client
+      .from('push_retry_queue')
+      .select('*, subscription:push_subscriptions(id, org_id, endpoint, p256dh, auth, is_active, failed_attempts, notification_count)')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', now.toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const claimed = [];
+    for (const retry of due || []) {
+      const { data: rows, error: claimError } = await this.client
+        .from('push_retry_queue')
+        .update({
+          attempts: retry.attempts + 1,
+          next_attempt_at: new Date(now.getTime() + CLAIM_LEASE_MS).toISOString(),
+          updated_at: now.toISOString()
+        })
+        .eq('id', retry.id)
+        .eq('attempts', retry.attempts)
+        .eq('status', 'pending')
+        .select('id');
+
+      if (claimError) {
+        logger.error('❌ [PushRetry] Error claiming retry', { retryId: retry.id, error: claimError.message });
+        continue;
+      }
+
+      if (rows.length > 0) {
+        claimed.push({ ...retry, attempts: retry.attempts + 1 });
+      }
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Removes a retry that was delivered
+   * @param {Object} retry - Claimed retry
+   */
+  async complete(retry) {
+    const { error } = await this.client
+      .from('push_retry_queue')
+      .delete()
+      .eq('id', retry.id);
+
+    if (error) {
+      logger.error('❌ [PushRetry] Error removing delivered retry', { retryId: retry.id, error: error.message });
+    }
+  }
+
+  /**
+   * Records a failed retry: schedules the next attempt, or dead-letters the retry when it
+   * is out of attempts or cannot succeed (`permanent`, e.g. the subscription is gone)
+   * @param {Object} retry - Claimed retry
+   * @param {Error} error - Delivery error
+   * @param {boolean} [permanent=false] - Whether retrying cannot help
+   * @returns {Promise<boolean>} - Whether the retry was dead-lettered
+   */
+  async fail(retry, error, permanent = false) {
+    const dead = permanent || retry.attempts >= retry.max_attempts;
+    const now = new Date();
+
+    const { error: updateError } = await this.client
+      .from('push_retry_queue')
+      .update({
+        status: dead ? 'dead' : 'pending',
+        next_attempt_at: dead ? null : new Date(now.getTime() + this.getBackoffDelay(retry.attempts)).toISOString(),
+        last_error: error.message,
+        last_status_code: error.statusCode || null,
+        updated_at: now.toISOString()
+      })
+      .eq('id', retry.id);
+
+    if (updateError) {
+      logger.error('❌ [PushRetry] Error recording failed retry', { retryId: retry.id, error: updateError.message });
+    }
+
+    if (dead) {
+      const log = this.isCritical({ type: retry.notification_type, severity: retry.severity })
+        ? logger.error.bind(logger)
+        : logger.warn.bind(logger);
+
+      log('☠️ [PushRetry] Delivery dead-lettered', {
+        retryId: retry.id,
+        subscriptionId: retry.subscription_id,
+        eventId: retry.event_id,
+        type: retry.notification_type,
+        severity: retry.severity,
+        attempts: retry.attempts,
+        error: error.message
+      });
+    }
+
+    return dead;
+  }
+
+  /**
+   * Deliveries of an event that ran out of retries
+   * @param {string} eventId - Event ID
+   * @param {Object} [options]
+   * @param {number} [options.limit=50] - Maximum dead letters, most recent first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getDeadLetters(eventId, { limit = 50 } = {}) {
+    try {
+      const { data: retries, error } = await this.client
+        .from('push_retry_queue')
+        .select('id, subscription_id, notification_type, severity, payload, attempts, max_attempts, last_error, last_status_code, created_at, updated_at')
+        .eq('event_id', eventId)
+        .eq('status', 'dead')
+        .order('updated_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+
+      return (retries || []).map(retry => ({
+        id: retry.id,
+        subscriptionId: retry.subscription_id,
+        type: retry.notification_type,
+        severity: retry.severity,
+        title: retry.payload?.title || null,
+        body: retry.payload?.body || null,
+        attempts: retry.attempts,
+        maxAttempts: retry.max_attempts,
+        lastError: retry.last_error,
+        lastStatusCode: retry.last_status_code,
+        createdAt: retry.created_at,
+        deadAt: retry.updated_at
+      }));
+    } catch (error) {
+      logger.error('Error retrieving dead letters', { eventId, error: error.message });
+      throw new Error(`Failed to retrieve dead letters: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new PushRetryService();
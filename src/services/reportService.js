@@ -1,6 +1,8 @@
 const PDFDocument = require('pdfkit');
 const { Readable } = require('stream');
 const winston = require('winston');
+const { formatLocalTime, getEventTimeZone } = require('../utils/timezoneHelper');
+const alertPolicy = require('../utils/alertPolicy');
 
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
@@ -17,6 +19,18 @@ const logger = winston.createLogger({
   ]
 });
 
+// Colours of the alert policy levels in charts and badges
+const LEVEL_COLORS = {
+  low: '#10b981',
+  moderate: '#3b82f6',
+  high: '#f59e0b',
+  critical: '#ef4444',
+  overcrowded: '#b91c1c'
+};
+
+// Risk levels that count as high risk in summaries
+const HIGH_RISK_LEVELS = ['High', 'Critical', 'Overcrowded'];
+
 class ReportService {
   /**
    * Pre-processes event data for report generation
@@ -51,6 +65,7 @@ class ReportService {
       const gateData = forecast[gateName];
       const timeFrames = gateData.timeFrames || [];
       const capacity = gateData.capacity || 0;
+      const { thresholds } = alertPolicy.resolveGatePolicy(event.alertPolicy, gateName);
 
       // Find peak hour
       let peakTimeFrame = timeFrames[0] || {};
@@ -71,20 +86,20 @@ class ReportService {
         ? timeFrames.reduce((sum, tf) => sum + Math.abs(tf.predicted || tf.yhat || 0), 0) / timeFrames.length
         : 0;
 
-      // Find critical periods (>80% capacity)
+      // Find critical periods (at or above the policy's high threshold)
       const criticalPeriods = timeFrames
-        .filter(tf => Math.abs(tf.predicted || tf.yhat || 0) >= capacity * 0.8)
+        .filter(tf => Math.abs(tf.predicted || tf.yhat || 0) >= capacity * thresholds.high / 100)
         .map(tf => ({
           time: tf.timestamp || tf.time,
           count: Math.round(Math.abs(tf.predicted || tf.yhat || 0)),
           percentage: ((Math.abs(tf.predicted || tf.yhat || 0) / capacity) * 100).toFixed(1)
         }));
 
-      // Find high occupancy periods (>50% capacity)
+      // Find high occupancy periods (from the moderate up to the high threshold)
       const highOccupancyPeriods = timeFrames
         .filter(tf => {
           const count = Math.abs(tf.predicted || tf.yhat || 0);
-          return count >= capacity * 0.5 && count < capacity * 0.8;
+          return count >= capacity * thresholds.moderate / 100 && count < capacity * thresholds.high / 100;
         })
         .map(tf => ({
           time: tf.timestamp || tf.time,
@@ -120,7 +135,8 @@ class ReportService {
           timeSeriesData.push({
             time: time,
             count: count,
-            percentage: pct
+            percentage: pct,
+            level: alertPolicy.getUtilizationLevel(parseFloat(pct), thresholds)
           });
         }
       }
@@ -132,21 +148,11 @@ class ReportService {
         sampleData: timeSeriesData.slice(0, 3)
       });
 
-      // Risk assessment
+      // Risk assessment uses the same levels as the congestion alerts
       const peakUtilization = capacity > 0 ? (peakCount / capacity) * 100 : 0;
-      let riskLevel = 'Low';
-      let riskColor = '#10b981';
-      
-      if (peakUtilization >= 90) {
-        riskLevel = 'Critical';
-        riskColor = '#ef4444';
-      } else if (peakUtilization >= 70) {
-        riskLevel = 'High';
-        riskColor = '#f59e0b';
-      } else if (peakUtilization >= 50) {
-        riskLevel = 'Moderate';
-        riskColor = '#3b82f6';
-      }
+      const riskLevelKey = alertPolicy.getUtilizationLevel(peakUtilization, thresholds);
+      const riskLevel = alertPolicy.getLevelLabel(riskLevelKey);
+      const riskColor = LEVEL_COLORS[riskLevelKey];
 
       // Recommendations based on risk
       const recommendations = this.generateGateRecommendations(
@@ -178,7 +184,7 @@ class ReportService {
       // Update overall insights
       processed.overallInsights.totalExpectedAttendees += Math.round(peakCount);
       
-      if (riskLevel === 'Critical' || riskLevel === 'High') {
+      if (HIGH_RISK_LEVELS.includes(riskLevel)) {
         processed.overallInsights.highRiskGates.push({
           gate: gateName,
           riskLevel: riskLevel,
@@ -211,7 +217,7 @@ class ReportService {
     const recommendations = [];
     const ratio = capacity > 0 ? peakCount / capacity : 0;
 
-    if (riskLevel === 'Critical') {
+    if (riskLevel === 'Critical' || riskLevel === 'Overcrowded') {
       recommendations.push(`Deploy additional security personnel at Gate ${gateName} during peak hours`);
       recommendations.push(`Install crowd control barriers to manage congestion`);
       recommendations.push(`Consider implementing entry restrictions or time-slot booking`);
@@ -251,7 +257,7 @@ class ReportService {
     let staffNeeded = gates.length * 2;
 
     // Add extra for high-risk gates
-    const highRiskCount = gates.filter(g => g.riskLevel === 'Critical' || g.riskLevel === 'High').length;
+    const highRiskCount = gates.filter(g => HIGH_RISK_LEVELS.includes(g.riskLevel)).length;
     securityNeeded += highRiskCount * 3;
     staffNeeded += highRiskCount * 2;
 
@@ -348,7 +354,8 @@ class ReportService {
        .text(`Generated on Date: ${new Date().toLocaleDateString('en-US', { 
          year: 'numeric', 
          month: 'long', 
-         day: 'numeric' 
+         day: 'numeric',
+         timeZone: getEventTimeZone(event)
        })}`, { align: 'center' });
     
     doc.fillColor('black');
@@ -453,21 +460,27 @@ class ReportService {
     const startDate = new Date(event.dateOfEventStart);
     const endDate = new Date(event.dateOfEventEnd);
     const duration = (endDate - startDate) / (1000 * 60 * 60); // hours
+    // Dates and times are those at the venue
+    const timeZone = getEventTimeZone(event);
     
     this.addInfoRow(doc, 'Venue:', event.venue || 'N/A');
     this.addInfoRow(doc, 'Event Date:', startDate.toLocaleDateString('en-US', { 
       weekday: 'long',
       year: 'numeric',
       month: 'long', 
-      day: 'numeric' 
+      day: 'numeric',
+      timeZone
     }));
     this.addInfoRow(doc, 'Start Time:', startDate.toLocaleTimeString('en-US', { 
       hour: '2-digit',
-      minute: '2-digit'
+      minute: '2-digit',
+      timeZone
     }));
     this.addInfoRow(doc, 'End Time:', endDate.toLocaleTimeString('en-US', { 
       hour: '2-digit',
-      minute: '2-digit'
+      minute: '2-digit',
+      timeZone,
+      timeZoneName: 'short'
     }));
     this.addInfoRow(doc, 'Duration:', `${duration.toFixed(1)} hours`);
     
@@ -755,12 +768,8 @@ class ReportService {
             const x = chartX + 2 + (i * (barWidth + barSpacing));
             const y = chartY + chartHeight - barHeight - 2;
             
-            // Color based on percentage
-            let barColor = '#10b981'; // Low (green)
-            const pct = parseFloat(point.percentage);
-            if (pct >= 90) barColor = '#ef4444'; // Critical (red)
-            else if (pct >= 70) barColor = '#f59e0b'; // High (orange)
-            else if (pct >= 50) barColor = '#3b82f6'; // Moderate (blue)
+            // Color based on the alert policy level
+            const barColor = LEVEL_COLORS[point.level] || LEVEL_COLORS.low;
             
             // Draw each bar
             doc.save();
@@ -1112,9 +1121,11 @@ class ReportService {
   /**
    * Generates a post-mortem report comparing forecast vs actual predictions
    * @param {Object} event - Event data with both forecast_result and predict_result
+   * @param {Object} [incidentTimeline] - From incidentService.getIncidentTimeline; the
+   *   timeline section is left out when not given
    * @returns {Promise<Buffer>} - PDF buffer
    */
-  async generatePostMortemReport(event) {
+  async generatePostMortemReport(event, incidentTimeline = null) {
     try {
       logger.info('Generating post-mortem report', { eventId: event.eventId });
 
@@ -1152,6 +1163,9 @@ class ReportService {
         this.addPostMortemSummary(doc, comparisonData);
         this.addAccuracyMetrics(doc, comparisonData);
         this.addGateComparison(doc, comparisonData);
+        if (incidentTimeline) {
+          this.addIncidentTimeline(doc, incidentTimeline, getEventTimeZone(event));
+        }
         this.addImpactAnalysis(doc, comparisonData);
         this.addPostMortemFooter(doc);
 
@@ -1205,13 +1219,14 @@ class ReportService {
         ? Math.max(0, 100 - (difference / forecastAvg * 100))
         : (actualAvg === 0 ? 100 : 0);
 
-      // Check if critical events were predicted and managed
+      // Check if critical events were predicted and managed (the policy's high threshold)
+      const highThreshold = capacity * alertPolicy.resolveGatePolicy(event.alertPolicy, gateName).thresholds.high / 100;
       const forecastedCritical = forecastGate.timeFrames.filter(tf => 
-        Math.abs(tf.predicted || tf.yhat || 0) >= capacity * 0.8
+        Math.abs(tf.predicted || tf.yhat || 0) >= highThreshold
       ).length;
 
       const actualCritical = predictGate.timeFrames.filter(tf => 
-        (tf.actual || 0) >= capacity * 0.8
+        (tf.actual || 0) >= highThreshold
       ).length;
 
       if (forecastedCritical > 0 && actualCritical === 0) {
@@ -1282,7 +1297,8 @@ class ReportService {
        .text(`Report Date: ${new Date().toLocaleDateString('en-US', { 
            year: 'numeric',
            month: 'long', 
-         day: 'numeric' 
+         day: 'numeric',
+         timeZone: getEventTimeZone(event)
        })}`, { align: 'center' });
     
     doc.fillColor('black');
@@ -1506,6 +1522,152 @@ class ReportService {
     doc.moveDown(1);
   }
 
+  /**
+   * Adds the incident timeline: response times per gate, then every incident,
+   * congestion alert and emergency broadcast in chronological order, in the event's time zone
+   */
+  addIncidentTimeline(doc, timeline, timeZone) {
+    // Check page space
+    const minSpaceNeeded = 200;
+    const pageHeight = 792;
+    const bottomMargin = 50;
+    const availableSpace = pageHeight - bottomMargin - doc.y;
+
+    if (availableSpace < minSpaceNeeded) {
+      doc.addPage();
+    }
+
+    doc.fontSize(14)
+       .font('Helvetica-Bold')
+       .fillColor('#059669')
+       .text('Incident Timeline', 50);
+
+    doc.fillColor('black');
+    doc.moveDown(1);
+
+    const { totals, gateStats, entries } = timeline;
+    const formatMinutes = (minutes) => (minutes === null || minutes === undefined ? '-' : `${minutes} min`);
+
+    if (entries.length === 0) {
+      doc.fontSize(10)
+         .font('Helvetica')
+         .text('No incidents, congestion alerts or emergency broadcasts were recorded during this event.', 50);
+      doc.moveDown(2);
+      return;
+    }
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .text(
+         `${totals.incidents} incident${totals.incidents !== 1 ? 's' : ''} (${totals.fallDetections} fall detection${totals.fallDetections !== 1 ? 's' : ''}, ` +
+         `${totals.unresolved} unresolved), ${totals.congestionAlerts} congestion alert${totals.congestionAlerts !== 1 ? 's' : ''} and ` +
+         `${totals.emergencyBroadcasts} emergency broadcast${totals.emergencyBroadcasts !== 1 ? 's' : ''}. ` +
+         `Average time to acknowledge: ${formatMinutes(totals.avgTimeToAcknowledgeMinutes)}; ` +
+         `average time to resolve: ${formatMinutes(totals.avgTimeToResolveMinutes)}.`,
+         50,
+         doc.y,
+         { align: 'justify', width: 495 }
+       );
+
+    doc.moveDown(1);
+
+    // Response times per gate
+    doc.fontSize(11)
+       .font('Helvetica-Bold')
+       .text('Response Times by Gate', 50);
+
+    doc.moveDown(0.5);
+
+    const columns = [
+      { label: 'Gate', x: 50, width: 110 },
+      { label: 'Incidents', x: 160, width: 55 },
+      { label: 'Alerts', x: 215, width: 45 },
+      { label: 'Avg to Ack', x: 260, width: 70 },
+      { label: 'Avg to Resolve', x: 330, width: 85 },
+      { label: 'Max to Resolve', x: 415, width: 85 }
+    ];
+
+    const addRow = (values, bold = false) => {
+      if (doc.y > 720) {
+        doc.addPage();
+      }
+      const rowY = doc.y;
+      doc.fontSize(9).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      columns.forEach((column, index) => {
+        doc.text(String(values[index]), column.x, rowY, { width: column.width });
+      });
+      doc.y = rowY + 14;
+    };
+
+    addRow(columns.map(column => column.label), true);
+    gateStats.forEach(stats => {
+      addRow([
+        stats.gate,
+        stats.incidents,
+        stats.alerts,
+        formatMinutes(stats.avgTimeToAcknowledgeMinutes),
+        formatMinutes(stats.avgTimeToResolveMinutes),
+        formatMinutes(stats.maxTimeToResolveMinutes)
+      ]);
+    });
+
+    doc.moveDown(1);
+
+    // Chronological entries
+    doc.fontSize(11)
+       .font('Helvetica-Bold')
+       .text('Chronology', 50);
+
+    doc.moveDown(0.5);
+
+    const kindLabels = {
+      INCIDENT: 'Incident',
+      CONGESTION_ALERT: 'Congestion alert',
+      CONGESTION_ALL_CLEAR: 'All clear',
+      EMERGENCY_BROADCAST: 'Emergency broadcast'
+    };
+    const severityColors = {
+      CRITICAL: '#dc2626',
+      HIGH: '#f59e0b',
+      MEDIUM: '#3b82f6',
+      LOW: '#64748b'
+    };
+
+    entries.forEach(entry => {
+      if (doc.y > 700) {
+        doc.addPage();
+      }
+
+      const label = entry.kind === 'INCIDENT'
+        ? `${entry.incidentType === 'FALL' ? 'Fall detection' : kindLabels.INCIDENT} (${entry.severity || 'unrated'})`
+        : kindLabels[entry.kind];
+
+      doc.fontSize(9)
+         .font('Helvetica-Bold')
+         .fillColor(entry.kind === 'INCIDENT' ? (severityColors[entry.severity] || 'black') : '#059669')
+         .text(`${formatLocalTime(entry.time, timeZone)}  ${label}`, 50, doc.y, { continued: true })
+         .fillColor('black')
+         .font('Helvetica')
+         .text(`  ${entry.gate ? `Gate ${entry.gate} - ` : ''}${entry.title || ''}`, { continued: false });
+
+      const detail = entry.kind === 'INCIDENT'
+        ? `Status: ${entry.status}  |  Acknowledged after: ${formatMinutes(entry.timeToAcknowledgeMinutes)}  |  ` +
+          `Resolved after: ${formatMinutes(entry.timeToResolveMinutes)}`
+        : `${entry.detail}  |  Delivered to ${entry.recipients} subscriber${entry.recipients !== 1 ? 's' : ''}` +
+          (entry.failed > 0 ? `, ${entry.failed} failed` : '');
+
+      doc.fontSize(8)
+         .font('Helvetica')
+         .fillColor('#64748b')
+         .text(detail, 60, doc.y, { width: 485 });
+
+      doc.fillColor('black');
+      doc.moveDown(0.5);
+    });
+
+    doc.moveDown(1.5);
+  }
+
   /**
    * Adds impact analysis
    */
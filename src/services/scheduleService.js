@@ -0,0 +1,247 @@
+const supabaseService = require('./supabaseService');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'schedule-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const SCHEDULE_COLUMNS = 'id, schedule_id, event_id, activity, start_time, end_time, expected_attendance, created_at, updated_at';
+
+class ScheduleService {
+  constructor() {
+    this.client = supabaseService.client;
+  }
+
+  /**
+   * Adds an item to an event's programme
+   * @param {string} eventId - Event ID
+   * @param {Object} itemData - { activity, startTime, endTime, expectedAttendance }
+   * @returns {Promise<Object>} - Created schedule item
+   */
+  async createScheduleItem(eventId, itemData) {
+    try {
+      const scheduleId = `sched_${uuidv4()}`;
+
+      logger.info('Creating schedule item', { eventId, scheduleId, activity: itemData.activity });
+
+      const { data: item, error } = await this.client
+        .from('event_schedule')
+        .insert({
+          schedule_id: scheduleId,
+          event_id: eventId,
+          ...this.convertScheduleItemToSnakeCase(itemData)
+        })
+        .select(SCHEDULE_COLUMNS)
+        .single();
+
+      if (error) throw error;
+
+      return this.convertScheduleItemToCamelCase(item);
+    } catch (error) {
+      logger.error('Error creating schedule item', { eventId, error: error.message });
+      throw new Error(`Failed to create schedule item: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists an event's programme in chronological order
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object[]>}
+   */
+  async getSchedule(eventId) {
+    try {
+      const { data: items, error } = await this.client
+        .from('event_schedule')
+        .select(SCHEDULE_COLUMNS)
+        .eq('event_id', eventId)
+        .order('start_time', { ascending: true });
+
+      if (error) throw error;
+
+      return items.map(item => this.convertScheduleItemToCamelCase(item));
+    } catch (error) {
+      logger.error('Error retrieving schedule', { eventId, error: error.message });
+      throw new Error(`Failed to retrieve schedule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves a schedule item of an event
+   * @param {string} eventId - Event ID
+   * @param {string} scheduleId - Schedule item ID
+   * @returns {Promise<Object|null>}
+   */
+  async getScheduleItemById(eventId, scheduleId) {
+    try {
+      const { data: item, error } = await this.client
+        .from('event_schedule')
+        .select(SCHEDULE_COLUMNS)
+        .eq('event_id', eventId)
+        .eq('schedule_id', scheduleId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = not found
+        throw error;
+      }
+
+      return item ? this.convertScheduleItemToCamelCase(item) : null;
+    } catch (error) {
+      logger.error('Error retrieving schedule item', { eventId, scheduleId, error: error.message });
+      throw new Error(`Failed to retrieve schedule item: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves several schedule items by ID
+   * @param {Array<string>} scheduleIds - Schedule item IDs
+   * @returns {Promise<Map<string, Object>>} - scheduleId -> item; missing items are left out
+   */
+  async getScheduleItemsByIds(scheduleIds) {
+    if (scheduleIds.length === 0) return new Map();
+
+    try {
+      const { data: items, error } = await this.client
+        .from('event_schedule')
+        .select(SCHEDULE_COLUMNS)
+        .in('schedule_id', scheduleIds);
+
+      if (error) throw error;
+
+      return new Map(items.map(item => [item.schedule_id, this.convertScheduleItemToCamelCase(item)]));
+    } catch (error) {
+      logger.error('Error retrieving schedule items', { count: scheduleIds.length, error: error.message });
+      throw new Error(`Failed to retrieve schedule items: ${error.message}`);
+    }
+  }
+
+  /**
+   * Updates a schedule item of an event
+   * @param {string} eventId - Event ID
+   * @param {string} scheduleId - Schedule item ID
+   * @param {Object} updates - Any of { activity, startTime, endTime, expectedAttendance }
+   * @returns {Promise<Object|null>} - Updated item, or null if not found
+   */
+  async updateScheduleItem(eventId, scheduleId, updates) {
+    try {
+      logger.info('Updating schedule item', { eventId, scheduleId, fields: Object.keys(updates) });
+
+      const { data: items, error } = await this.client
+        .from('event_schedule')
+        .update(this.convertScheduleItemToSnakeCase(updates))
+        .eq('event_id', eventId)
+        .eq('schedule_id', scheduleId)
+        .select(SCHEDULE_COLUMNS);
+
+      if (error) throw error;
+      if (items.length === 0) return null;
+
+      const item = this.convertScheduleItemToCamelCase(items[0]);
+
+      if (updates.startTime) {
+        await this.updateBroadcasts(eventId, (broadcastService) => broadcastService.rescheduleScheduleItemBroadcasts(eventId, item));
+      }
+
+      return item;
+    } catch (error) {
+      logger.error('Error updating schedule item', { eventId, scheduleId, error: error.message });
+      throw new Error(`Failed to update schedule item: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a schedule item of an event
+   * @param {string} eventId - Event ID
+   * @param {string} scheduleId - Schedule item ID
+   * @returns {Promise<boolean>} - True if an item was deleted
+   */
+  async deleteScheduleItem(eventId, scheduleId) {
+    try {
+      logger.info('Deleting schedule item', { eventId, scheduleId });
+
+      const { data, error } = await this.client
+        .from('event_schedule')
+        .delete()
+        .eq('event_id', eventId)
+        .eq('schedule_id', scheduleId)
+        .select('id');
+
+      if (error) throw error;
+      if (data.length === 0) return false;
+
+      await this.updateBroadcasts(eventId, (broadcastService) => broadcastService.cancelOrphanedBroadcasts(eventId));
+
+      return true;
+    } catch (error) {
+      logger.error('Error deleting schedule item', { eventId, scheduleId, error: error.message });
+      throw new Error(`Failed to delete schedule item: ${error.message}`);
+    }
+  }
+
+  /**
+   * Moves or cancels the pending broadcasts anchored to a changed schedule item. A
+   * failure is logged only: the schedule item itself was changed.
+   * @param {string} eventId - Event ID
+   * @param {Function} update - Receives broadcastService
+   * @private
+   */
+  async updateBroadcasts(eventId, update) {
+    // Required here, since broadcastService depends on this service
+    const broadcastService = require('./broadcastService');
+
+    try {
+      await update(broadcastService);
+    } catch (error) {
+      logger.error('❌ Could not update the broadcasts of the schedule item', { eventId, error: error.message });
+    }
+  }
+
+  /**
+   * Maps the provided camelCase schedule fields to database columns
+   * @param {Object} itemData - Schedule item fields
+   * @returns {Object}
+   */
+  convertScheduleItemToSnakeCase(itemData) {
+    const columns = {
+      activity: itemData.activity,
+      start_time: itemData.startTime,
+      end_time: itemData.endTime,
+      expected_attendance: itemData.expectedAttendance
+    };
+
+    return Object.fromEntries(Object.entries(columns).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * Converts database schedule item to camelCase
+   * @param {Object} item - Schedule item from database
+   * @returns {Object}
+   */
+  convertScheduleItemToCamelCase(item) {
+    return {
+      id: item.id,
+      scheduleId: item.schedule_id,
+      eventId: item.event_id,
+      activity: item.activity,
+      startTime: item.start_time,
+      endTime: item.end_time,
+      expectedAttendance: item.expected_attendance,
+      createdAt: item.created_at,
+      updatedAt: item.updated_at
+    };
+  }
+}
+
+module.exports = new ScheduleService();
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const winston = require('winston');
+const { getEventTimeZone } = require('../utils/timezoneHelper');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -17,6 +18,15 @@ const logger = winston.createLogger({
   ]
 });
 
+// SerpAPI search locations of the time zones events run in; other time zones search
+// without a location (the venue is in the query)
+const SEARCH_LOCATIONS = {
+  'Asia/Kuala_Lumpur': 'Kuala Lumpur, Malaysia',
+  'Asia/Singapore': 'Singapore',
+  'Asia/Jakarta': 'Jakarta, Indonesia',
+  'Australia/Sydney': 'Sydney, New South Wales, Australia'
+};
+
 class SerpService {
   constructor() {
     this.apiKey = process.env.SERP_API_KEY;
@@ -38,7 +48,7 @@ class SerpService {
   /**
    * Search for nearby events using Google Serp API
    * Following the frontend implementation pattern
-   * @param {Object} eventData - Event data (name, venue, date, location)
+   * @param {Object} eventData - Event data (name, venue, date, location, timeZone)
    * @returns {Promise<Object>} - Nearby events search results
    */
   async searchNearbyEvents(eventData) {
@@ -53,19 +63,23 @@ class SerpService {
         throw new Error('SERP_API_KEY is not configured in environment variables');
       }
 
-      // Format the date for better search results (matching frontend pattern)
+      // Format the date for better search results (matching frontend pattern),
+      // as the local date at the venue
+      const timeZone = getEventTimeZone(eventData);
       const eventDate = new Date(eventData.dateOfEventStart);
       const formattedDate = eventDate.toLocaleDateString('en-US', {
         month: 'long',
         day: 'numeric',
-        year: 'numeric'
+        year: 'numeric',
+        timeZone
       });
 
       // Also get simpler date format (e.g., "9 October 2025")
       const simpleDateFormat = eventDate.toLocaleDateString('en-GB', {
         day: 'numeric',
         month: 'long',
-        year: 'numeric'
+        year: 'numeric',
+        timeZone
       });
 
       logger.info('📅 [SerpAPI] Formatted date', { 
@@ -80,15 +94,14 @@ class SerpService {
 
       logger.info('🔍 [SerpAPI] Constructed query', { query });
 
-      // Use a generic location that SerpAPI supports (matching frontend)
-      // Always use "Kuala Lumpur, Malaysia" as it's more likely to be recognized
-      const supportedLocation = 'Kuala Lumpur, Malaysia';
+      // Use the city of the event's time zone, a location SerpAPI recognizes
+      const supportedLocation = SEARCH_LOCATIONS[timeZone];
 
       const searchParams = {
         api_key: this.apiKey,
         engine: 'google',
         q: query,
-        location: supportedLocation, // Generic location for SerpAPI
+        ...(supportedLocation && { location: supportedLocation }), // Generic location for SerpAPI
         gl: 'us', // ✅ USE US for AI Overview support (my=Malaysia not supported)
         hl: 'en', // English language
         num: 10   // Get top 10 results
@@ -288,7 +301,7 @@ class SerpService {
       }
 
       // Return error structure instead of throwing
-      const query = `events near "${eventData.venue}" on ${new Date(eventData.dateOfEventStart).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}`;
+      const query = `events near "${eventData.venue}" on ${new Date(eventData.dateOfEventStart).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: getEventTimeZone(eventData) })}`;
       
       return {
         search_query: query,
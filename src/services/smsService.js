@@ -0,0 +1,249 @@
+const axios = require('axios');
+const winston = require('winston');
+const supabaseService = require('./supabaseService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'sms-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * SMS providers implement `name` and `send(to, message)`, which resolves to
+ * { messageId } or throws when the message was not accepted.
+ */
+
+/**
+ * Sends through an HTTP SMS gateway: POST SMS_GATEWAY_URL with { to, from, message }
+ */
+class HttpGatewaySmsProvider {
+  constructor() {
+    this.name = 'http';
+    this.url = process.env.SMS_GATEWAY_URL;
+    this.apiKey = process.env.SMS_GATEWAY_API_KEY;
+    this.senderId = process.env.SMS_SENDER_ID || 'EventAI';
+  }
+
+  async send(to, message) {
+    if (!this.url) {
+      throw new Error('SMS_GATEWAY_URL is not configured');
+    }
+
+    const response = await axios.post(this.url, {
+      to,
+      from: this.senderId,
+      message
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`,
+        'User-Agent': 'EventAI-Server/1.0'
+      },
+      timeout: 15000 // 15 seconds timeout per message
+    });
+
+    return {
+      messageId: response.data?.messageId || response.data?.id || null
+    };
+  }
+}
+
+/**
+ * Keeps messages in memory instead of sending them (tests and local development)
+ */
+class InMemorySmsProvider {
+  constructor() {
+    this.name = 'memory';
+    this.messages = [];
+  }
+
+  async send(to, message) {
+    const messageId = `memory-${this.messages.length + 1}`;
+    this.messages.push({ messageId, to, message, sentAt: new Date().toISOString() });
+    return { messageId };
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+const PROVIDERS = {
+  http: HttpGatewaySmsProvider,
+  memory: InMemorySmsProvider
+};
+
+/**
+ * Sends SMS through the configured provider, limits how many messages each phone
+ * number gets, and records every delivery in notification_logs (channel 'sms')
+ */
+class SmsService {
+  constructor() {
+    const providerName = process.env.SMS_PROVIDER || (process.env.SMS_GATEWAY_URL ? 'http' : 'memory');
+    this.provider = this.createProvider(providerName);
+
+    // At most `rateLimitCount` messages per phone number per `rateLimitWindowMs`
+    this.rateLimitCount = parseInt(process.env.SMS_RATE_LIMIT_PER_RECIPIENT, 10) || 5;
+    this.rateLimitWindowMs = (parseInt(process.env.SMS_RATE_LIMIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+
+    // Phone number -> send timestamps within the window
+    this.recentSends = new Map();
+
+    logger.info('SmsService initialized', {
+      provider: this.provider.name,
+      rateLimitCount: this.rateLimitCount,
+      rateLimitWindowMinutes: this.rateLimitWindowMs / 60000
+    });
+  }
+
+  /**
+   * Creates a provider by name
+   * @param {string} name - 'http' or 'memory'
+   * @returns {Object} - Provider
+   */
+  createProvider(name) {
+    const Provider = PROVIDERS[name];
+
+    if (!Provider) {
+      logger.warn('Unknown SMS_PROVIDER, falling back to memory', { provider: name });
+      return new InMemorySmsProvider();
+    }
+
+    return new Provider();
+  }
+
+  /**
+   * Replaces the provider, e.g. with an in-memory one in tests
+   * @param {Object} provider - Object with `name` and `send(to, message)`
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    this.recentSends.clear();
+  }
+
+  /**
+   * Whether a phone number may receive another message now; records the send if so
+   * @param {string} to - Phone number
+   * @param {number} [now=Date.now()]
+   * @returns {boolean}
+   * @private
+   */
+  takeRateLimit(to, now = Date.now()) {
+    const recent = (this.recentSends.get(to) || []).filter(time => now - time < this.rateLimitWindowMs);
+
+    if (recent.length >= this.rateLimitCount) {
+      this.recentSends.set(to, recent);
+      return false;
+    }
+
+    recent.push(now);
+    this.recentSends.set(to, recent);
+    return true;
+  }
+
+  /**
+   * Sends a message to each recipient, skipping those over their rate limit
+   * @param {Array<string>} recipients - Phone numbers in international format
+   * @param {string} message - Message text
+   * @param {Object} [context] - Stored with the delivery log
+   * @param {string} [context.type] - Notification type, e.g. 'fall_detection'
+   * @param {string} [context.eventId] - Event ID
+   * @param {string} [context.orgId] - Organization of the event
+   * @param {Object} [context.data] - Extra data for the log
+   * @returns {Promise<{sent: number, failed: number, rateLimited: number, results: Array}>}
+   */
+  async sendSms(recipients, message, context = {}) {
+    const numbers = [...new Set((recipients || [])
+      .map(number => String(number).replace(/[\s-]/g, ''))
+      .filter(Boolean))];
+
+    if (numbers.length === 0) {
+      logger.warn('No recipients for SMS', { type: context.type, eventId: context.eventId });
+      return { sent: 0, failed: 0, rateLimited: 0, results: [] };
+    }
+
+    const results = await Promise.all(numbers.map(async (to) => {
+      if (!this.takeRateLimit(to)) {
+        logger.warn('SMS rate limit reached for recipient', { to, type: context.type });
+        await this.logDelivery(to, message, context, 'rate_limited');
+        return { to, success: false, rateLimited: true };
+      }
+
+      try {
+        const { messageId } = await this.provider.send(to, message);
+        await this.logDelivery(to, message, context, 'sent');
+        return { to, success: true, messageId };
+      } catch (error) {
+        logger.error('Error sending SMS', {
+          to,
+          type: context.type,
+          error: error.message,
+          responseStatus: error.response?.status
+        });
+        await this.logDelivery(to, message, context, 'failed', error.message);
+        return { to, success: false, error: error.message };
+      }
+    }));
+
+    const sent = results.filter(result => result.success).length;
+    const rateLimited = results.filter(result => result.rateLimited).length;
+
+    logger.info('SMS delivery completed', {
+      type: context.type,
+      eventId: context.eventId,
+      provider: this.provider.name,
+      sent,
+      failed: results.length - sent - rateLimited,
+      rateLimited
+    });
+
+    return { sent, failed: results.length - sent - rateLimited, rateLimited, results };
+  }
+
+  /**
+   * Logs an SMS delivery to notification_logs
+   * @param {string} recipient - Phone number
+   * @param {string} message - Message text
+   * @param {Object} context - See sendSms
+   * @param {string} status - 'sent', 'failed' or 'rate_limited'
+   * @param {string} [errorMessage] - Error message if failed
+   * @private
+   */
+  async logDelivery(recipient, message, context, status, errorMessage = null) {
+    try {
+      await supabaseService.client
+        .from('notification_logs')
+        .insert({
+          subscription_id: null,
+          event_id: context.eventId || null,
+          org_id: context.orgId || null,
+          channel: 'sms',
+          recipient,
+          title: context.type || 'sms',
+          body: message,
+          data: { type: context.type, provider: this.provider.name, ...(context.data || {}) },
+          status,
+          error_message: errorMessage
+        });
+    } catch (error) {
+      logger.error('Error logging SMS delivery', {
+        recipient,
+        eventId: context.eventId,
+        error: error.message
+      });
+      // Don't throw - logging errors shouldn't break SMS sending
+    }
+  }
+}
+
+module.exports = new SmsService();
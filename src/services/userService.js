@@ -50,14 +50,15 @@ class UserService {
         email: userData.email.toLowerCase(),
         username: userData.username || userData.email.toLowerCase(), // Use provided username (e.g., from Google) or email as fallback
         status: userData.status || 'ACTIVE',
-        phone: userData.phone || null
+        phone: userData.phone || null,
+        password_hash: userData.passwordHash || null
       };
 
       const { data: user, error } = await this.client
         .from('users')
         .insert(userRecord)
         .select(`
-          id, user_id, email, username, status, phone, created_at, updated_at
+          id, user_id, email, username, status, phone, role, created_at, updated_at
         `)
         .single();
 
@@ -105,14 +106,16 @@ class UserService {
         email: oauthData.email.toLowerCase(),
         username: this.generateUsernameFromOAuth(oauthData),
         status: oauthData.status || 'ACTIVE',
-        phone: oauthData.phone || null
+        phone: oauthData.phone || null,
+        oauth_provider: oauthData.provider,
+        oauth_provider_id: oauthData.providerId
       };
 
       const { data: user, error } = await this.client
         .from('users')
         .insert(userRecord)
         .select(`
-          id, user_id, email, username, status, phone, created_at, updated_at
+          id, user_id, email, username, status, phone, role, created_at, updated_at
         `)
         .single();
 
@@ -208,7 +211,7 @@ class UserService {
       const { data: user, error } = await this.client
         .from('users')
         .select(`
-          id, user_id, email, username, status, phone, created_at, updated_at
+          id, user_id, email, username, status, phone, role, created_at, updated_at
         `)
         .eq('user_id', userId)
         .single();
@@ -242,7 +245,7 @@ class UserService {
       const { data: user, error } = await this.client
         .from('users')
         .select(`
-          id, user_id, email, username, status, phone, created_at, updated_at
+          id, user_id, email, username, status, phone, role, created_at, updated_at
         `)
         .eq('email', email.toLowerCase())
         .single();
@@ -276,7 +279,7 @@ class UserService {
       const { data: user, error } = await this.client
         .from('users')
         .select(`
-          id, user_id, email, username, status, phone, created_at, updated_at
+          id, user_id, email, username, status, phone, role, created_at, updated_at
         `)
         .eq('username', username.toLowerCase())
         .single();
@@ -298,18 +301,86 @@ class UserService {
     }
   }
 
+  /**
+   * Retrieves a user together with its authentication fields.
+   * Only for use by the auth flow - never return this object to clients.
+   * @param {string} field - Lookup column ('email' or 'user_id')
+   * @param {string} value - Lookup value
+   * @returns {Promise<Object|null>} - User with passwordHash, tokenVersion and OAuth identity
+   */
+  async getUserAuthRecord(field, value) {
+    try {
+      const lookupValue = field === 'email' ? value.toLowerCase() : value;
+
+      const { data: user, error } = await this.client
+        .from('users')
+        .select(`
+          id, user_id, email, username, status, phone, role, created_at, updated_at,
+          password_hash, oauth_provider, oauth_provider_id, token_version
+        `)
+        .eq(field, lookupValue)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+
+      if (!user) return null;
+
+      return {
+        ...this.convertUserToCamelCase(user),
+        passwordHash: user.password_hash,
+        oauthProvider: user.oauth_provider,
+        oauthProviderId: user.oauth_provider_id,
+        tokenVersion: user.token_version || 0
+      };
+    } catch (error) {
+      logger.error('Error retrieving user auth record', { field, error: error.message });
+      throw new Error(`Failed to retrieve user: ${error.message}`);
+    }
+  }
+
+  /**
+   * Updates authentication fields of a user (login time, OAuth binding, token version, password)
+   * @param {string} userId - User ID
+   * @param {Object} authData - Fields to update
+   * @returns {Promise<void>}
+   */
+  async updateUserAuth(userId, authData) {
+    try {
+      const updateFields = {};
+
+      if (authData.passwordHash !== undefined) updateFields.password_hash = authData.passwordHash;
+      if (authData.oauthProvider !== undefined) updateFields.oauth_provider = authData.oauthProvider;
+      if (authData.oauthProviderId !== undefined) updateFields.oauth_provider_id = authData.oauthProviderId;
+      if (authData.tokenVersion !== undefined) updateFields.token_version = authData.tokenVersion;
+      if (authData.lastLoginAt !== undefined) updateFields.last_login_at = authData.lastLoginAt;
+
+      const { error } = await this.client
+        .from('users')
+        .update(updateFields)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('Error updating user auth fields', { userId, error: error.message });
+      throw new Error(`Failed to update user: ${error.message}`);
+    }
+  }
+
   /**
    * Retrieves users with pagination and filtering
    * @param {number} limit - Number of users to retrieve
    * @param {number} offset - Number of users to skip
-   * @param {Object} filters - Filter criteria
+   * @param {Object} filters - Filter criteria (userIds restricts to the given users)
    * @returns {Promise<{users: Object[], total: number}>} - Users and total count
    */
   async getUsers(limit = 10, offset = 0, filters = {}) {
     try {
       logger.info('Retrieving users with pagination', { limit, offset, filters });
 
-      let query = this.client.from('users');
+      let query = this.client.from('users')
+        .select('*', { count: 'exact', head: true });
 
       // Apply filters
       if (filters.status) {
@@ -319,17 +390,20 @@ class UserService {
         // Search across email and username
         query = query.or(`email.ilike.%${filters.search}%,username.ilike.%${filters.search}%`);
       }
+      if (filters.userIds) {
+        // Organization scoping - pre-resolved member IDs
+        query = query.in('user_id', filters.userIds);
+      }
 
       // Get total count with filters
-      const { count, error: countError } = await query
-        .select('*', { count: 'exact', head: true });
+      const { count, error: countError } = await query;
 
       if (countError) throw countError;
 
       // Get users data
       let dataQuery = this.client.from('users')
         .select(`
-          id, user_id, email, username, status, phone, created_at, updated_at
+          id, user_id, email, username, status, phone, role, created_at, updated_at
         `)
         .order('created_at', { ascending: false })
         .range(offset, offset + limit - 1);
@@ -341,6 +415,9 @@ class UserService {
       if (filters.search) {
         dataQuery = dataQuery.or(`email.ilike.%${filters.search}%,username.ilike.%${filters.search}%`);
       }
+      if (filters.userIds) {
+        dataQuery = dataQuery.in('user_id', filters.userIds);
+      }
 
       const { data: users, error: usersError } = await dataQuery;
 
@@ -373,13 +450,14 @@ class UserService {
       if (updateData.username) updateFields.username = updateData.username.toLowerCase();
       if (updateData.status) updateFields.status = updateData.status.toUpperCase();
       if (updateData.phone !== undefined) updateFields.phone = updateData.phone;
+      if (updateData.role) updateFields.role = updateData.role.toUpperCase();
 
       const { data: user, error } = await this.client
         .from('users')
         .update(updateFields)
         .eq('user_id', userId)
         .select(`
-          id, user_id, email, username, status, phone, created_at, updated_at
+          id, user_id, email, username, status, phone, role, created_at, updated_at
         `)
         .single();
 
@@ -429,27 +507,44 @@ class UserService {
 
   /**
    * Retrieves user statistics
+   * @param {Array<string>|null} orgIds - Organizations to include (null for all)
    * @returns {Promise<Object>} - Statistics object
    */
-  async getUserStatistics() {
+  async getUserStatistics(orgIds = null) {
     try {
-      logger.info('Retrieving user statistics');
+      logger.info('Retrieving user statistics', { orgIds });
+
+      // Unscoped requests read the global view, scoped ones sum the per-organization rows.
+      // Users in several of the given organizations are counted once per organization.
+      let rows;
+      if (orgIds) {
+        const { data, error } = await this.client
+          .from('user_statistics_by_org')
+          .select('*')
+          .in('org_id', orgIds);
+
+        if (error) throw error;
+        rows = data;
+      } else {
+        const { data, error } = await this.client
+          .from('user_statistics')
+          .select('*')
+          .single();
 
-      const { data: stats, error } = await this.client
-        .from('user_statistics')
-        .select('*')
-        .single();
+        if (error) throw error;
+        rows = [data];
+      }
 
-      if (error) throw error;
+      const sum = (field) => rows.reduce((total, row) => total + Number(row[field] || 0), 0);
 
       // Convert snake_case to camelCase
       const statistics = {
-        totalUsers: stats.total_users,
-        activeUsers: stats.active_users,
-        inactiveUsers: stats.inactive_users,
-        suspendedUsers: stats.suspended_users,
-        pendingUsers: stats.pending_users,
-        usersWithPhone: stats.users_with_phone
+        totalUsers: sum('total_users'),
+        activeUsers: sum('active_users'),
+        inactiveUsers: sum('inactive_users'),
+        suspendedUsers: sum('suspended_users'),
+        pendingUsers: sum('pending_users'),
+        usersWithPhone: sum('users_with_phone')
       };
 
       logger.info('User statistics retrieved successfully', statistics);
@@ -473,6 +568,7 @@ class UserService {
       username: user.username,
       status: user.status,
       phone: user.phone,
+      role: user.role,
       createdAt: user.created_at,
       updatedAt: user.updated_at
     };
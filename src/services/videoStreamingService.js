@@ -398,19 +398,42 @@ class VideoStreamingService {
         }
       });
 
-      // Optional: Send push notification to event subscribers
+      // Log the fall as an incident so staff can acknowledge and resolve it.
+      // The camera's gate can be given in the stream config (config.gate).
+      if (streamInfo.eventId) {
+        const incidentService = require('./incidentService');
+        const incident = await incidentService.recordDetectedIncident(streamInfo.eventId, {
+          title: 'Fall detected on video stream',
+          type: 'FALL',
+          severity: 'CRITICAL',
+          description: `Fall detected with ${(detection.confidence || 0).toFixed(1)}% confidence. ${detection.detections?.length || 0} person(s) detected.`,
+          gate: streamInfo.config.gate,
+          metadata: {
+            sessionId,
+            frameIndex,
+            frameTimestamp: timestamp,
+            confidence: detection.confidence,
+            detectionsCount: detection.detections?.length || 0,
+            aspectRatio: detection.aspectRatio
+          }
+        }, { source: 'FALL_DETECTION' });
+
+        if (incident) {
+          logger.info('📝 Fall incident logged', { sessionId, incidentId: incident.incidentId });
+        }
+      }
+
+      // Alert staff, security and medical subscribers (marshals of the camera's gate only)
+      // and the event's on-call staff
       if (streamInfo.eventId) {
         try {
-          const pushNotificationService = require('./pushNotificationService');
-          await pushNotificationService.sendToEvent(streamInfo.eventId, {
-            title: '🚨 Fall Alert',
-            body: `Fall detected in live video stream with ${(detection.confidence || 0).toFixed(1)}% confidence. ${detection.detections?.length || 0} person(s) detected.`,
-            tag: 'fall-detection',
-            requireInteraction: true,
-            data: {
-              type: 'fall_detection',
+          const notificationDispatcher = require('./notificationDispatcher');
+          const result = await notificationDispatcher.dispatch({
+            type: 'fall',
+            eventId: streamInfo.eventId,
+            gate: streamInfo.config.gate || null,
+            detection: {
               sessionId,
-              eventId: streamInfo.eventId,
               confidence: detection.confidence,
               detectionsCount: detection.detections?.length || 0,
               aspectRatio: detection.aspectRatio,
@@ -419,13 +442,16 @@ class VideoStreamingService {
             }
           });
 
-          logger.info('📲 Fall detection push notification sent', {
+          logger.info('📲 Fall detection notification sent', {
             sessionId,
-            eventId: streamInfo.eventId
+            eventId: streamInfo.eventId,
+            notificationId: result.notificationId,
+            delivered: result.delivered,
+            failed: result.failed
           });
-        } catch (pushError) {
-          logger.error('❌ Error sending fall detection push notification', {
-            error: pushError.message
+        } catch (notificationError) {
+          logger.error('❌ Error sending fall detection notification', {
+            error: notificationError.message
           });
         }
       }
@@ -0,0 +1,208 @@
+const supabaseService = require('./supabaseService');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'zone-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+const ZONE_COLUMNS = 'id, zone_id, event_id, name, real_capacity, expected_capacity, latitude, longitude, created_at, updated_at';
+
+class ZoneService {
+  constructor() {
+    this.client = supabaseService.client;
+  }
+
+  /**
+   * Creates a zone for an event
+   * @param {string} eventId - Event ID
+   * @param {Object} zoneData - { name, realCapacity, expectedCapacity, latitude, longitude }
+   * @returns {Promise<Object>} - Created zone
+   */
+  async createZone(eventId, zoneData) {
+    try {
+      const zoneId = `zone_${uuidv4()}`;
+
+      logger.info('Creating zone', { eventId, zoneId, name: zoneData.name });
+
+      const { data: zone, error } = await this.client
+        .from('zones')
+        .insert({
+          zone_id: zoneId,
+          event_id: eventId,
+          ...this.convertZoneToSnakeCase(zoneData)
+        })
+        .select(ZONE_COLUMNS)
+        .single();
+
+      if (error) throw error;
+
+      return this.convertZoneToCamelCase(zone);
+    } catch (error) {
+      logger.error('Error creating zone', { eventId, error: error.message });
+
+      if (error.code === '23505') {
+        throw new Error('Zone name already exists for this event');
+      }
+
+      throw new Error(`Failed to create zone: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists the zones of an event
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object[]>}
+   */
+  async getZones(eventId) {
+    try {
+      const { data: zones, error } = await this.client
+        .from('zones')
+        .select(ZONE_COLUMNS)
+        .eq('event_id', eventId)
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+
+      return zones.map(zone => this.convertZoneToCamelCase(zone));
+    } catch (error) {
+      logger.error('Error retrieving zones', { eventId, error: error.message });
+      throw new Error(`Failed to retrieve zones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves a zone of an event
+   * @param {string} eventId - Event ID
+   * @param {string} zoneId - Zone ID
+   * @returns {Promise<Object|null>}
+   */
+  async getZoneById(eventId, zoneId) {
+    try {
+      const { data: zone, error } = await this.client
+        .from('zones')
+        .select(ZONE_COLUMNS)
+        .eq('event_id', eventId)
+        .eq('zone_id', zoneId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = not found
+        throw error;
+      }
+
+      return zone ? this.convertZoneToCamelCase(zone) : null;
+    } catch (error) {
+      logger.error('Error retrieving zone', { eventId, zoneId, error: error.message });
+      throw new Error(`Failed to retrieve zone: ${error.message}`);
+    }
+  }
+
+  /**
+   * Updates a zone of an event
+   * @param {string} eventId - Event ID
+   * @param {string} zoneId - Zone ID
+   * @param {Object} updates - Any of { name, realCapacity, expectedCapacity, latitude, longitude }
+   * @returns {Promise<Object|null>} - Updated zone, or null if not found
+   */
+  async updateZone(eventId, zoneId, updates) {
+    try {
+      logger.info('Updating zone', { eventId, zoneId, fields: Object.keys(updates) });
+
+      const { data: zones, error } = await this.client
+        .from('zones')
+        .update(this.convertZoneToSnakeCase(updates))
+        .eq('event_id', eventId)
+        .eq('zone_id', zoneId)
+        .select(ZONE_COLUMNS);
+
+      if (error) throw error;
+
+      return zones.length > 0 ? this.convertZoneToCamelCase(zones[0]) : null;
+    } catch (error) {
+      logger.error('Error updating zone', { eventId, zoneId, error: error.message });
+
+      if (error.code === '23505') {
+        throw new Error('Zone name already exists for this event');
+      }
+
+      throw new Error(`Failed to update zone: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a zone of an event. Its gates are kept and become unzoned.
+   * @param {string} eventId - Event ID
+   * @param {string} zoneId - Zone ID
+   * @returns {Promise<boolean>} - True if a zone was deleted
+   */
+  async deleteZone(eventId, zoneId) {
+    try {
+      logger.info('Deleting zone', { eventId, zoneId });
+
+      const { data, error } = await this.client
+        .from('zones')
+        .delete()
+        .eq('event_id', eventId)
+        .eq('zone_id', zoneId)
+        .select('id');
+
+      if (error) throw error;
+
+      return data.length > 0;
+    } catch (error) {
+      logger.error('Error deleting zone', { eventId, zoneId, error: error.message });
+      throw new Error(`Failed to delete zone: ${error.message}`);
+    }
+  }
+
+  /**
+   * Maps the provided camelCase zone fields to database columns
+   * @param {Object} zoneData - Zone fields
+   * @returns {Object}
+   */
+  convertZoneToSnakeCase(zoneData) {
+    const columns = {
+      name: zoneData.name,
+      real_capacity: zoneData.realCapacity,
+      expected_capacity: zoneData.expectedCapacity,
+      latitude: zoneData.latitude,
+      longitude: zoneData.longitude
+    };
+
+    return Object.fromEntries(Object.entries(columns).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * Converts database zone object to camelCase
+   * @param {Object} zone - Zone from database
+   * @returns {Object}
+   */
+  convertZoneToCamelCase(zone) {
+    return {
+      id: zone.id,
+      zoneId: zone.zone_id,
+      eventId: zone.event_id,
+      name: zone.name,
+      realCapacity: zone.real_capacity,
+      expectedCapacity: zone.expected_capacity,
+      latitude: zone.latitude !== null ? Number(zone.latitude) : null,
+      longitude: zone.longitude !== null ? Number(zone.longitude) : null,
+      createdAt: zone.created_at,
+      updatedAt: zone.updated_at
+    };
+  }
+}
+
+module.exports = new ZoneService();
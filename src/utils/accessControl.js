@@ -0,0 +1,191 @@
+const winston = require('winston');
+
+const eventService = require('../services/eventService');
+const eventMemberService = require('../services/eventMemberService');
+const { AppError } = require('./errorHandler');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'access-control' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * Whether the caller has the global ADMIN role
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {boolean}
+ */
+const isAdmin = (user) => Boolean(user && user.role === 'ADMIN');
+
+/**
+ * Whether the caller belongs to an organization (admins belong to all)
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} orgId - Organization ID
+ * @param {string} [minOrgRole='MEMBER'] - MEMBER or ADMIN
+ * @returns {boolean}
+ */
+const isOrgMember = (user, orgId, minOrgRole = 'MEMBER') => {
+  if (isAdmin(user)) return true;
+  return Boolean(user && (user.organizations || []).some(org =>
+    org.orgId === orgId && (minOrgRole === 'MEMBER' || org.role === 'ADMIN')
+  ));
+};
+
+/**
+ * Resolves the organizations a request is scoped to. An `X-Organization-Id` header
+ * narrows the scope to that organization; otherwise every organization the caller
+ * belongs to (with at least `minOrgRole`) is in scope.
+ * @param {Object} req - Express request
+ * @param {string} [minOrgRole='MEMBER'] - MEMBER or ADMIN
+ * @returns {Array<string>|null} - Organization IDs, or null for platform admins without a header (unscoped)
+ */
+const getOrgScope = (req, minOrgRole = 'MEMBER') => {
+  const requestedOrgId = req.headers['x-organization-id'];
+
+  if (requestedOrgId) {
+    if (!isOrgMember(req.user, requestedOrgId, minOrgRole)) {
+      throw new AppError('You do not have access to this organization', 403, { code: 'ORGANIZATION_FORBIDDEN' });
+    }
+    return [requestedOrgId];
+  }
+
+  if (isAdmin(req.user)) return null;
+
+  return (req.user.organizations || [])
+    .filter(org => minOrgRole === 'MEMBER' || org.role === 'ADMIN')
+    .map(org => org.orgId);
+};
+
+/**
+ * Resolves the single organization new resources are created in
+ * @param {Object} req - Express request
+ * @returns {string} - Organization ID
+ */
+const getActiveOrgId = (req) => {
+  const scope = getOrgScope(req);
+
+  if (scope && scope.length === 1) {
+    return scope[0];
+  }
+
+  throw new AppError(
+    'Select an organization with the X-Organization-Id header',
+    400,
+    { code: 'ORGANIZATION_REQUIRED' }
+  );
+};
+
+/**
+ * Requires a minimum role in the organization addressed by `req.params.orgId`
+ * @param {string} minOrgRole - MEMBER or ADMIN
+ * @returns {Function} - Express middleware
+ */
+const requireOrgRole = (minOrgRole) => (req, res, next) => {
+  if (isOrgMember(req.user, req.params.orgId, minOrgRole)) {
+    return next();
+  }
+
+  logger.warn('Rejected organization access', {
+    orgId: req.params.orgId,
+    userId: req.user?.userId,
+    required: minOrgRole
+  });
+  return next(new AppError('You do not have access to this organization', 403, { code: 'ORGANIZATION_FORBIDDEN' }));
+};
+
+/**
+ * Requires one of the given global roles. Admins always pass.
+ * @param {...string} roles - Allowed global roles (e.g. 'ORGANIZER')
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (isAdmin(req.user) || (req.user && roles.includes(req.user.role))) {
+    return next();
+  }
+
+  logger.warn('Rejected request with insufficient role', {
+    url: req.originalUrl,
+    userId: req.user?.userId,
+    role: req.user?.role,
+    required: roles
+  });
+  return next(new AppError('You do not have permission to perform this action', 403, { code: 'FORBIDDEN' }));
+};
+
+/**
+ * Requires a minimum role on the event addressed by the request. Loads the event
+ * and attaches it to `req.event`, with the caller's effective role in `req.eventRole`.
+ * @param {string} minRole - VIEWER, OPERATOR, OWNER or ADMIN
+ * @param {Object} [options]
+ * @param {string} [options.source='params'] - Request property holding the event ID ('params', 'body' or 'query')
+ * @param {string} [options.key='eventId'] - Name of the event ID field
+ * @returns {Function} - Express middleware
+ */
+const authorizeEvent = (minRole, options = {}) => {
+  const source = options.source || 'params';
+  const key = options.key || 'eventId';
+
+  return async (req, res, next) => {
+    const eventId = req[source] && req[source][key];
+
+    if (!eventId || typeof eventId !== 'string') {
+      return next(new AppError(`${key} is required`, 400, { code: 'MISSING_EVENT_ID' }));
+    }
+
+    try {
+      const event = await eventService.getEventById(eventId);
+
+      if (!event) {
+        return next(new AppError('Event not found', 404, { code: 'EVENT_NOT_FOUND' }));
+      }
+
+      // Access never crosses organization boundaries, even for the event creator.
+      // API keys have no event membership; authenticate() already checked their scope for this route.
+      let role = null;
+      if (isOrgMember(req.user, event.orgId)) {
+        role = req.user.isApiKey ? minRole : await eventMemberService.getEventRole(event, req.user);
+      }
+
+      if (!eventMemberService.hasEventRole(role, minRole)) {
+        logger.warn('Rejected event access', {
+          eventId,
+          userId: req.user?.userId,
+          role,
+          required: minRole
+        });
+        return next(new AppError(
+          role ? `This action requires the ${minRole.toLowerCase()} role on the event` : 'You do not have access to this event',
+          403,
+          { code: 'FORBIDDEN' }
+        ));
+      }
+
+      req.event = event;
+      req.eventRole = role;
+      return next();
+    } catch (error) {
+      logger.error('Error authorizing event access', { eventId, error: error.message });
+      return next(new AppError('Failed to authorize event access', 500, error.message));
+    }
+  };
+};
+
+module.exports = {
+  isAdmin,
+  isOrgMember,
+  getOrgScope,
+  getActiveOrgId,
+  requireRole,
+  requireOrgRole,
+  authorizeEvent
+};
@@ -0,0 +1,449 @@
+/**
+ * Alert Policy Utilities
+ *
+ * One per-event policy (events.alert_policy) decides the congestion bands used by the
+ * alert cron, the PDF reports and the AI recommendation prompt, so they always agree.
+ * Gates can override the event's thresholds, breach count and recipients.
+ *
+ * Policy shape (every field optional, missing fields fall back to DEFAULT_ALERT_POLICY):
+ * {
+ *   thresholds: { moderate: 50, high: 80, critical: 90, overcrowded: 100 },  // % of gate capacity
+ *   minConsecutiveBreaches: 1,      // prediction updates in a row at or above a level before it alerts
+ *   hysteresis: 5,                  // percentage points below a threshold before the gate counts as under it
+ *   cooldownMinutes: 15,            // calm time before "all clear", and before a repeated level re-notifies
+ *   recipients: { high: ['subscribers'], critical: ['subscribers', 'organizers'], ... }, // who is notified per level
+ *   earlyWarning: { enabled: true, level: 'high', riskScore: null },       // operators warned of forecast breaches
+ *   quietPeriods: [{ startTime, endTime, minLevel: 'overcrowded', label }], // only minLevel and above notify
+ *   gates: { A: { thresholds: { high: 70 }, minConsecutiveBreaches: 2, hysteresis: 10, recipients: { ... },
+ *                 earlyWarning: { riskScore: 0.9 } } }
+ * }
+ */
+
+// Utilization levels from lowest to highest; 'low' is everything below `moderate`
+const LEVELS = ['low', 'moderate', 'high', 'critical', 'overcrowded'];
+const THRESHOLD_LEVELS = LEVELS.slice(1);
+
+const LEVEL_LABELS = {
+  low: 'Low',
+  moderate: 'Moderate',
+  high: 'High',
+  critical: 'Critical',
+  overcrowded: 'Overcrowded'
+};
+
+// subscribers - push subscribers of the event
+// organizers  - the event owner and operators, through the notification dispatcher
+const RECIPIENTS = ['subscribers', 'organizers'];
+
+const MAX_CONSECUTIVE_BREACHES = 12;
+const MAX_HYSTERESIS = 50;
+const MAX_COOLDOWN_MINUTES = 24 * 60;
+const MAX_QUIET_PERIODS = 50;
+
+const DEFAULT_ALERT_POLICY = {
+  thresholds: { moderate: 50, high: 80, critical: 90, overcrowded: 100 },
+  minConsecutiveBreaches: 1,
+  hysteresis: 5,
+  cooldownMinutes: 15,
+  recipients: {
+    moderate: [],
+    high: ['subscribers'],
+    critical: ['subscribers', 'organizers'],
+    overcrowded: ['subscribers', 'organizers']
+  },
+  // The model's forecast_next_5_min reaching `level`, or a risk_score at or above
+  // `riskScore` (not checked when null), warns operators before the gate gets there
+  earlyWarning: {
+    enabled: true,
+    level: 'high',
+    riskScore: null
+  },
+  quietPeriods: [],
+  gates: {}
+};
+
+// Fields a gate can override; quiet periods are event-wide
+const GATE_OVERRIDE_FIELDS = ['thresholds', 'minConsecutiveBreaches', 'hysteresis', 'cooldownMinutes', 'recipients', 'earlyWarning'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates the fields shared by the event policy and gate overrides
+ */
+function validateLevelSettings(settings, path, errors) {
+  if (settings.thresholds !== undefined) {
+    if (!isPlainObject(settings.thresholds)) {
+      errors.push(`${path}thresholds must be an object`);
+    } else {
+      Object.entries(settings.thresholds).forEach(([level, value]) => {
+        if (!THRESHOLD_LEVELS.includes(level)) {
+          errors.push(`${path}thresholds.${level} is not a level (${THRESHOLD_LEVELS.join(', ')})`);
+        } else if (typeof value !== 'number' || !(value > 0 && value <= 1000)) {
+          errors.push(`${path}thresholds.${level} must be a percentage between 0 and 1000`);
+        }
+      });
+    }
+  }
+
+  if (settings.minConsecutiveBreaches !== undefined &&
+    !(Number.isInteger(settings.minConsecutiveBreaches) &&
+      settings.minConsecutiveBreaches >= 1 &&
+      settings.minConsecutiveBreaches <= MAX_CONSECUTIVE_BREACHES)) {
+    errors.push(`${path}minConsecutiveBreaches must be an integer between 1 and ${MAX_CONSECUTIVE_BREACHES}`);
+  }
+
+  if (settings.hysteresis !== undefined &&
+    !(typeof settings.hysteresis === 'number' && settings.hysteresis >= 0 && settings.hysteresis <= MAX_HYSTERESIS)) {
+    errors.push(`${path}hysteresis must be a number of percentage points between 0 and ${MAX_HYSTERESIS}`);
+  }
+
+  if (settings.cooldownMinutes !== undefined &&
+    !(Number.isInteger(settings.cooldownMinutes) &&
+      settings.cooldownMinutes >= 0 &&
+      settings.cooldownMinutes <= MAX_COOLDOWN_MINUTES)) {
+    errors.push(`${path}cooldownMinutes must be an integer between 0 and ${MAX_COOLDOWN_MINUTES}`);
+  }
+
+  if (settings.recipients !== undefined) {
+    if (!isPlainObject(settings.recipients)) {
+      errors.push(`${path}recipients must be an object`);
+    } else {
+      Object.entries(settings.recipients).forEach(([level, recipients]) => {
+        if (!THRESHOLD_LEVELS.includes(level)) {
+          errors.push(`${path}recipients.${level} is not a level (${THRESHOLD_LEVELS.join(', ')})`);
+        } else if (!Array.isArray(recipients) || recipients.some(recipient => !RECIPIENTS.includes(recipient))) {
+          errors.push(`${path}recipients.${level} must be an array of: ${RECIPIENTS.join(', ')}`);
+        }
+      });
+    }
+  }
+
+  if (settings.earlyWarning !== undefined) {
+    const earlyWarning = settings.earlyWarning;
+    if (!isPlainObject(earlyWarning)) {
+      errors.push(`${path}earlyWarning must be an object`);
+    } else {
+      Object.keys(earlyWarning)
+        .filter(key => !['enabled', 'level', 'riskScore'].includes(key))
+        .forEach(key => errors.push(`Unknown early warning field: ${path}earlyWarning.${key}`));
+      if (earlyWarning.enabled !== undefined && typeof earlyWarning.enabled !== 'boolean') {
+        errors.push(`${path}earlyWarning.enabled must be a boolean`);
+      }
+      if (earlyWarning.level !== undefined && !THRESHOLD_LEVELS.includes(earlyWarning.level)) {
+        errors.push(`${path}earlyWarning.level must be one of: ${THRESHOLD_LEVELS.join(', ')}`);
+      }
+      if (earlyWarning.riskScore !== undefined && earlyWarning.riskScore !== null &&
+        !(typeof earlyWarning.riskScore === 'number' && earlyWarning.riskScore >= 0)) {
+        errors.push(`${path}earlyWarning.riskScore must be a non-negative number or null`);
+      }
+    }
+  }
+}
+
+/**
+ * Checks that resolved thresholds rise from moderate to overcrowded
+ */
+function validateThresholdOrder(thresholds, path, errors) {
+  for (let i = 1; i < THRESHOLD_LEVELS.length; i++) {
+    const lower = THRESHOLD_LEVELS[i - 1];
+    const upper = THRESHOLD_LEVELS[i];
+    if (!(thresholds[upper] > thresholds[lower])) {
+      errors.push(`${path}thresholds.${upper} (${thresholds[upper]}) must be greater than ${lower} (${thresholds[lower]})`);
+    }
+  }
+}
+
+/**
+ * Validates an alert policy as stored on the event
+ *
+ * @param {Object} policy - Alert policy
+ * @returns {string[]} - Validation errors, empty when valid
+ */
+function validateAlertPolicy(policy) {
+  const errors = [];
+
+  if (!isPlainObject(policy)) {
+    return ['Alert policy must be an object'];
+  }
+
+  Object.keys(policy)
+    .filter(key => !Object.prototype.hasOwnProperty.call(DEFAULT_ALERT_POLICY, key))
+    .forEach(key => errors.push(`Unknown alert policy field: ${key}`));
+
+  validateLevelSettings(policy, '', errors);
+
+  if (policy.quietPeriods !== undefined) {
+    if (!Array.isArray(policy.quietPeriods) || policy.quietPeriods.length > MAX_QUIET_PERIODS) {
+      errors.push(`quietPeriods must be an array of at most ${MAX_QUIET_PERIODS} periods`);
+    } else {
+      policy.quietPeriods.forEach((period, index) => {
+        const path = `quietPeriods[${index}]`;
+        if (!isPlainObject(period)) {
+          errors.push(`${path} must be an object`);
+          return;
+        }
+        const start = new Date(period.startTime);
+        const end = new Date(period.endTime);
+        if (typeof period.startTime !== 'string' || isNaN(start.getTime())) {
+          errors.push(`${path}.startTime must be an ISO 8601 datetime`);
+        } else if (typeof period.endTime !== 'string' || isNaN(end.getTime())) {
+          errors.push(`${path}.endTime must be an ISO 8601 datetime`);
+        } else if (end <= start) {
+          errors.push(`${path}.endTime must be after startTime`);
+        }
+        if (period.minLevel !== undefined && !THRESHOLD_LEVELS.includes(period.minLevel)) {
+          errors.push(`${path}.minLevel must be one of: ${THRESHOLD_LEVELS.join(', ')}`);
+        }
+        if (period.label !== undefined && typeof period.label !== 'string') {
+          errors.push(`${path}.label must be a string`);
+        }
+      });
+    }
+  }
+
+  if (policy.gates !== undefined) {
+    if (!isPlainObject(policy.gates)) {
+      errors.push('gates must be an object keyed by gate name');
+    } else {
+      Object.entries(policy.gates).forEach(([gate, override]) => {
+        const path = `gates.${gate}.`;
+        if (!isPlainObject(override)) {
+          errors.push(`gates.${gate} must be an object`);
+          return;
+        }
+        Object.keys(override)
+          .filter(key => !GATE_OVERRIDE_FIELDS.includes(key))
+          .forEach(key => errors.push(`Unknown gate override field: ${path}${key}`));
+        validateLevelSettings(override, path, errors);
+      });
+    }
+  }
+
+  // Order is only meaningful once the individual values are valid
+  if (errors.length === 0) {
+    const resolved = normalizeAlertPolicy(policy);
+    validateThresholdOrder(resolved.thresholds, '', errors);
+    Object.keys(resolved.gates).forEach(gate => {
+      validateThresholdOrder(resolveGatePolicy(resolved, gate).thresholds, `gates.${gate}.`, errors);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Fills in the defaults for an event's stored policy
+ *
+ * @param {Object|null} policy - events.alert_policy
+ * @returns {Object} - Complete event-level policy (gate overrides kept as given)
+ */
+function normalizeAlertPolicy(policy) {
+  const stored = isPlainObject(policy) ? policy : {};
+
+  return {
+    thresholds: { ...DEFAULT_ALERT_POLICY.thresholds, ...(stored.thresholds || {}) },
+    minConsecutiveBreaches: stored.minConsecutiveBreaches || DEFAULT_ALERT_POLICY.minConsecutiveBreaches,
+    hysteresis: stored.hysteresis ?? DEFAULT_ALERT_POLICY.hysteresis,
+    cooldownMinutes: stored.cooldownMinutes ?? DEFAULT_ALERT_POLICY.cooldownMinutes,
+    recipients: { ...DEFAULT_ALERT_POLICY.recipients, ...(stored.recipients || {}) },
+    earlyWarning: { ...DEFAULT_ALERT_POLICY.earlyWarning, ...(stored.earlyWarning || {}) },
+    quietPeriods: stored.quietPeriods || [],
+    gates: stored.gates || {}
+  };
+}
+
+/**
+ * Resolves the policy that applies to one gate: defaults, then the event policy, then
+ * the gate's override
+ *
+ * @param {Object|null} policy - events.alert_policy (or a normalized policy)
+ * @param {string} [gate] - Gate name as used in forecast_result / predict_result
+ * @returns {{thresholds: Object, minConsecutiveBreaches: number, hysteresis: number, cooldownMinutes: number,
+ *   recipients: Object, earlyWarning: Object, quietPeriods: Object[]}}
+ */
+function resolveGatePolicy(policy, gate) {
+  const eventPolicy = normalizeAlertPolicy(policy);
+  const override = (gate !== undefined && eventPolicy.gates[gate]) || {};
+
+  return {
+    thresholds: { ...eventPolicy.thresholds, ...(override.thresholds || {}) },
+    minConsecutiveBreaches: override.minConsecutiveBreaches || eventPolicy.minConsecutiveBreaches,
+    hysteresis: override.hysteresis ?? eventPolicy.hysteresis,
+    cooldownMinutes: override.cooldownMinutes ?? eventPolicy.cooldownMinutes,
+    recipients: { ...eventPolicy.recipients, ...(override.recipients || {}) },
+    earlyWarning: { ...eventPolicy.earlyWarning, ...(override.earlyWarning || {}) },
+    quietPeriods: eventPolicy.quietPeriods
+  };
+}
+
+/**
+ * Maps a utilization percentage to a level
+ *
+ * @param {number} percentage - Crowd as % of capacity
+ * @param {Object} thresholds - Resolved thresholds
+ * @returns {string} - low, moderate, high, critical or overcrowded
+ *
+ * @example
+ * getUtilizationLevel(85, DEFAULT_ALERT_POLICY.thresholds) // "high"
+ */
+function getUtilizationLevel(percentage, thresholds) {
+  for (let i = LEVELS.length - 1; i > 0; i--) {
+    if (percentage >= thresholds[LEVELS[i]]) {
+      return LEVELS[i];
+    }
+  }
+  return 'low';
+}
+
+/**
+ * The highest level that the most recent `minConsecutiveBreaches` readings all reached.
+ * With fewer readings than that, nothing has been sustained yet.
+ *
+ * @param {number[]} percentages - Utilization readings, oldest first
+ * @param {Object} gatePolicy - From resolveGatePolicy
+ * @returns {string} - Level
+ */
+function getSustainedLevel(percentages, gatePolicy) {
+  const recent = percentages.slice(-gatePolicy.minConsecutiveBreaches);
+
+  if (recent.length < gatePolicy.minConsecutiveBreaches) {
+    return 'low';
+  }
+
+  return getUtilizationLevel(Math.min(...recent), gatePolicy.thresholds);
+}
+
+/**
+ * The level a gate is still held at on the way down: the highest reading of the same
+ * window, raised by the hysteresis margin. A gate alerting at a level only drops below
+ * it once this does, so readings hovering around a threshold do not flap.
+ *
+ * @param {number[]} percentages - Utilization readings, oldest first
+ * @param {Object} gatePolicy - From resolveGatePolicy
+ * @returns {string} - Level
+ */
+function getRecoveryLevel(percentages, gatePolicy) {
+  const recent = percentages.slice(-gatePolicy.minConsecutiveBreaches);
+
+  if (recent.length === 0) {
+    return 'low';
+  }
+
+  return getUtilizationLevel(Math.max(...recent) + gatePolicy.hysteresis, gatePolicy.thresholds);
+}
+
+/**
+ * Checks a prediction's 5-minute forecast against the early warning settings
+ *
+ * @param {Object} timeFrame - predict_result timeframe ({ predicted, riskScore, possibleIncidents })
+ * @param {number} capacity - Gate capacity
+ * @param {Object} gatePolicy - From resolveGatePolicy
+ * @returns {{level: string, predictedPercentage: number, reasons: string[]}|null} - null when no warning is due.
+ *   reasons holds 'predicted_count' and/or 'risk_score'.
+ */
+function getEarlyWarning(timeFrame, capacity, gatePolicy) {
+  const { enabled, level, riskScore } = gatePolicy.earlyWarning;
+
+  if (!enabled || !timeFrame || !capacity) {
+    return null;
+  }
+
+  const predictedPercentage = ((timeFrame.predicted || 0) / capacity) * 100;
+  const predictedLevel = getUtilizationLevel(predictedPercentage, gatePolicy.thresholds);
+  const reasons = [];
+
+  if (compareLevels(predictedLevel, level) >= 0) {
+    reasons.push('predicted_count');
+  }
+  if (riskScore !== null && typeof timeFrame.riskScore === 'number' && timeFrame.riskScore >= riskScore) {
+    reasons.push('risk_score');
+  }
+
+  if (reasons.length === 0) {
+    return null;
+  }
+
+  // A risk-only warning is reported at the configured level
+  return {
+    level: compareLevels(predictedLevel, level) >= 0 ? predictedLevel : level,
+    predictedPercentage,
+    reasons
+  };
+}
+
+/**
+ * The quiet period covering a moment, if any
+ *
+ * @param {Object} gatePolicy - From resolveGatePolicy
+ * @param {Date|string} [at=now]
+ * @returns {Object|null}
+ */
+function getActiveQuietPeriod(gatePolicy, at = new Date()) {
+  const time = new Date(at).getTime();
+
+  return gatePolicy.quietPeriods.find(period =>
+    new Date(period.startTime).getTime() <= time && time < new Date(period.endTime).getTime()
+  ) || null;
+}
+
+/**
+ * Who should be notified of a level, after quiet periods are applied
+ *
+ * @param {Object} gatePolicy - From resolveGatePolicy
+ * @param {string} level - Level
+ * @param {Date|string} [at=now]
+ * @returns {string[]} - Recipients, empty when the level does not notify
+ */
+function getAlertRecipients(gatePolicy, level, at = new Date()) {
+  const recipients = gatePolicy.recipients[level] || [];
+  const quietPeriod = getActiveQuietPeriod(gatePolicy, at);
+
+  if (recipients.length > 0 && quietPeriod &&
+    compareLevels(level, quietPeriod.minLevel || 'overcrowded') < 0) {
+    return [];
+  }
+
+  return recipients;
+}
+
+/**
+ * Orders two levels
+ *
+ * @returns {number} - Negative if a is lower than b, 0 if equal, positive if higher
+ */
+function compareLevels(a, b) {
+  return LEVELS.indexOf(a) - LEVELS.indexOf(b);
+}
+
+/**
+ * Display label of a level
+ *
+ * @example
+ * getLevelLabel('overcrowded') // "Overcrowded"
+ */
+function getLevelLabel(level) {
+  return LEVEL_LABELS[level] || level;
+}
+
+module.exports = {
+  // Constants
+  LEVELS,
+  THRESHOLD_LEVELS,
+  RECIPIENTS,
+  DEFAULT_ALERT_POLICY,
+
+  // Policy resolution
+  validateAlertPolicy,
+  normalizeAlertPolicy,
+  resolveGatePolicy,
+
+  // Level evaluation
+  getUtilizationLevel,
+  getSustainedLevel,
+  getRecoveryLevel,
+  getEarlyWarning,
+  getActiveQuietPeriod,
+  getAlertRecipients,
+  compareLevels,
+  getLevelLabel
+};
@@ -0,0 +1,192 @@
+const winston = require('winston');
+
+const authService = require('../services/authService');
+const userService = require('../services/userService');
+const organizationService = require('../services/organizationService');
+const apiKeyService = require('../services/apiKeyService');
+const { AppError } = require('./errorHandler');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'auth-middleware' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+/**
+ * Compiles "METHOD /path/:param" route specs into matchers
+ * @param {Array<string>} routes - Route specs relative to the router mount point
+ * @returns {Array<{method: string, pattern: RegExp}>}
+ */
+const compileRoutes = (routes) => routes.map((route) => {
+  const [method, path] = route.split(' ');
+  const pattern = path
+    .split('/')
+    .map(segment => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+
+  return {
+    method: method.toUpperCase(),
+    pattern: new RegExp(`^${pattern}/?$`)
+  };
+});
+
+/**
+ * Finds the first compiled route matching the request
+ * @param {Array<Object>} routes - Compiled routes
+ * @param {Object} req - Express request object
+ * @returns {Object|undefined}
+ */
+const matchRoute = (routes, req) => routes.find(route =>
+  route.method === req.method && route.pattern.test(req.path)
+);
+
+/**
+ * Extracts the bearer token from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null}
+ */
+const extractBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+    return token;
+  }
+
+  return null;
+};
+
+/**
+ * Verifies the bearer token and loads the caller
+ * @param {string} token - Access token
+ * @returns {Promise<Object>} - Authenticated user context
+ */
+const resolveUser = async (token) => {
+  const payload = authService.verifyAccessToken(token);
+  const user = await userService.getUserById(payload.sub);
+
+  if (!user) {
+    throw new AppError('Authenticated user no longer exists', 401, { code: 'USER_NOT_FOUND' });
+  }
+
+  if (user.status !== 'ACTIVE') {
+    throw new AppError(`User account is ${user.status.toLowerCase()}`, 403, { code: 'USER_NOT_ACTIVE' });
+  }
+
+  return {
+    userId: user.userId,
+    email: user.email,
+    username: user.username,
+    status: user.status,
+    role: user.role,
+    organizations: await organizationService.getOrganizationsForUser(user.userId)
+  };
+};
+
+/**
+ * Verifies an API key and builds a machine caller scoped to the key's organization
+ * @param {string} apiKey - Plain API key
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - Authenticated API key context
+ */
+const resolveApiKey = async (apiKey, req) => {
+  const key = await apiKeyService.authenticate(apiKey);
+
+  if (!key) {
+    throw new AppError('Invalid, expired or revoked API key', 401, { code: 'INVALID_API_KEY' });
+  }
+
+  apiKeyService.recordUsage(key.keyId, req.ip);
+
+  return {
+    isApiKey: true,
+    keyId: key.keyId,
+    username: `api-key:${key.name}`,
+    email: null,
+    role: null,
+    scopes: key.scopes,
+    organizations: [{ orgId: key.orgId, role: 'MEMBER' }]
+  };
+};
+
+/**
+ * Authentication middleware factory. Requires a valid `Authorization: Bearer <token>`
+ * header and attaches the caller to `req.user`. Routes listed in `publicRoutes`
+ * (e.g. 'POST /login') are let through anonymously, but still get `req.user`
+ * when a valid token is supplied.
+ *
+ * Machine clients may instead send an `X-API-Key` header, but only on routes listed
+ * in `apiKeyRoutes` (route spec -> required scope); `req.user.isApiKey` is then set.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.publicRoutes] - Route specs that skip authentication
+ * @param {Object<string, string>} [options.apiKeyRoutes] - Route specs that accept API keys, with the scope each requires
+ * @returns {Function} - Express middleware
+ */
+const authenticate = (options = {}) => {
+  const publicRoutes = compileRoutes(options.publicRoutes || []);
+  const apiKeyRoutes = Object.entries(options.apiKeyRoutes || {}).map(([route, scope]) => ({
+    ...compileRoutes([route])[0],
+    scope
+  }));
+
+  return async (req, res, next) => {
+    const isPublic = Boolean(matchRoute(publicRoutes, req));
+    const token = extractBearerToken(req);
+    const apiKey = req.headers['x-api-key'];
+
+    if (apiKey && !token && !isPublic) {
+      const apiKeyRoute = matchRoute(apiKeyRoutes, req);
+
+      if (!apiKeyRoute) {
+        return next(new AppError('This endpoint does not accept API keys', 403, { code: 'API_KEY_NOT_ALLOWED' }));
+      }
+
+      try {
+        req.user = await resolveApiKey(apiKey, req);
+      } catch (error) {
+        logger.warn('Rejected request with invalid API key', { method: req.method, url: req.originalUrl });
+        return next(error);
+      }
+
+      if (!req.user.scopes.includes(apiKeyRoute.scope)) {
+        return next(new AppError(`API key is missing the ${apiKeyRoute.scope} scope`, 403, { code: 'INSUFFICIENT_SCOPE' }));
+      }
+
+      return next();
+    }
+
+    if (!token) {
+      if (isPublic) return next();
+
+      logger.warn('Rejected unauthenticated request', { method: req.method, url: req.originalUrl });
+      return next(new AppError('Authentication required', 401, { code: 'AUTH_REQUIRED' }));
+    }
+
+    try {
+      req.user = await resolveUser(token);
+      return next();
+    } catch (error) {
+      logger.warn('Rejected request with invalid credentials', {
+        method: req.method,
+        url: req.originalUrl,
+        error: error.message
+      });
+      return next(error);
+    }
+  };
+};
+
+module.exports = {
+  authenticate,
+  extractBearerToken
+};
@@ -0,0 +1,166 @@
+/**
+ * Scheduled Broadcast Utilities
+ *
+ * Organizers schedule broadcasts relative to the event start or end, to the start
+ * of an event_schedule item, or at a fixed time:
+ * {
+ *   type: 'announcement',                 // or event_starting (the built-in "Starting in N minutes!")
+ *   anchor: 'schedule_item',              // event_start, event_end, schedule_item or absolute
+ *   scheduleId: 'sched_...',              // schedule_item only
+ *   offsetMinutes: -15,                   // negative: before the anchor
+ *   sendAt: '2025-10-09T12:00:00Z',       // absolute only
+ *   titleTemplate: '{{activity}} at {{time}}',
+ *   bodyTemplate: '{{activity}} starts in {{minutes}} minutes. Head to {{gate}}.'
+ * }
+ *
+ * Template variables:
+ *   eventName, venue - the event's
+ *   gate             - the gate the broadcast targets (empty without one)
+ *   activity         - the schedule item's activity (schedule_item only)
+ *   time             - local time (HH:mm, event time zone) of the anchor
+ *   minutes          - minutes between the broadcast and the anchor
+ */
+
+const { getLocalTimeOfDay } = require('./timezoneHelper');
+
+const BROADCAST_TYPES = ['announcement', 'event_starting'];
+
+const BROADCAST_ANCHORS = ['event_start', 'event_end', 'schedule_item', 'absolute'];
+
+const TEMPLATE_VARIABLES = ['eventName', 'venue', 'gate', 'activity', 'time', 'minutes'];
+
+// Offsets are limited to a week either side of the anchor
+const MAX_OFFSET_MINUTES = 7 * 24 * 60;
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+/**
+ * Variables a template uses
+ *
+ * @param {string} template
+ * @returns {string[]}
+ */
+function getTemplateVariables(template) {
+  return [...new Set([...String(template).matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Validates a title or body template
+ *
+ * @param {string} template
+ * @param {string} anchor - Broadcast anchor; `activity` needs a schedule item
+ * @returns {string[]} - Validation errors, empty when valid
+ */
+function validateTemplate(template, anchor) {
+  const errors = [];
+
+  getTemplateVariables(template).forEach(variable => {
+    if (!TEMPLATE_VARIABLES.includes(variable)) {
+      errors.push(`Unknown template variable {{${variable}}}; use: ${TEMPLATE_VARIABLES.join(', ')}`);
+    } else if (variable === 'activity' && anchor !== 'schedule_item') {
+      errors.push('{{activity}} is only available for broadcasts anchored to a schedule item');
+    }
+  });
+
+  const unclosed = String(template).replace(VARIABLE_PATTERN, '');
+  if (unclosed.includes('{{') || unclosed.includes('}}')) {
+    errors.push('Template variables must be written as {{name}}');
+  }
+
+  return errors;
+}
+
+/**
+ * Fills in a template's variables; missing values render as empty text
+ *
+ * @param {string} template
+ * @param {Object} variables - Variable -> value
+ * @returns {string}
+ *
+ * @example
+ * renderTemplate('Doors open in {{minutes}} minutes', { minutes: 15 }) // "Doors open in 15 minutes"
+ */
+function renderTemplate(template, variables) {
+  return String(template)
+    .replace(VARIABLE_PATTERN, (match, name) => (variables[name] ?? '').toString())
+    .replace(/ {2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * The moment a broadcast is anchored to
+ *
+ * @param {Object} broadcast - { anchor, sendAt }
+ * @param {Object} refs - { event, scheduleItem }
+ * @returns {Date|null} - null when the anchor no longer exists
+ */
+function getAnchorTime(broadcast, { event, scheduleItem }) {
+  switch (broadcast.anchor) {
+  case 'event_start':
+    return event?.dateOfEventStart ? new Date(event.dateOfEventStart) : null;
+  case 'event_end':
+    return event?.dateOfEventEnd ? new Date(event.dateOfEventEnd) : null;
+  case 'schedule_item':
+    return scheduleItem?.startTime ? new Date(scheduleItem.startTime) : null;
+  case 'absolute':
+    return broadcast.sendAt ? new Date(broadcast.sendAt) : null;
+  default:
+    return null;
+  }
+}
+
+/**
+ * When a broadcast goes out: its anchor plus the offset. Resolved again whenever the
+ * event or schedule item moves, so its broadcasts move with it.
+ *
+ * @param {Object} broadcast - { anchor, offsetMinutes, sendAt }
+ * @param {Object} refs - { event, scheduleItem }
+ * @returns {Date|null} - null when the anchor no longer exists
+ */
+function resolveSendAt(broadcast, refs) {
+  const anchorTime = getAnchorTime(broadcast, refs);
+
+  if (!anchorTime) return null;
+  if (broadcast.anchor === 'absolute') return anchorTime;
+
+  return new Date(anchorTime.getTime() + (broadcast.offsetMinutes || 0) * 60 * 1000);
+}
+
+/**
+ * Template variables of a broadcast
+ *
+ * @param {Object} broadcast - { anchor, offsetMinutes, gate }
+ * @param {Object} refs - { event, scheduleItem }
+ * @param {string} timeZone - Event time zone for `time`
+ * @returns {Object}
+ */
+function buildTemplateVariables(broadcast, { event, scheduleItem }, timeZone) {
+  const anchorTime = getAnchorTime(broadcast, { event, scheduleItem });
+
+  return {
+    eventName: event?.name || '',
+    venue: event?.venue || '',
+    gate: broadcast.gate || '',
+    activity: scheduleItem?.activity || '',
+    time: anchorTime ? getLocalTimeOfDay(anchorTime, timeZone) : '',
+    minutes: Math.abs(broadcast.offsetMinutes || 0)
+  };
+}
+
+module.exports = {
+  // Constants
+  BROADCAST_TYPES,
+  BROADCAST_ANCHORS,
+  TEMPLATE_VARIABLES,
+  MAX_OFFSET_MINUTES,
+
+  // Templates
+  getTemplateVariables,
+  validateTemplate,
+  renderTemplate,
+  buildTemplateVariables,
+
+  // Timing
+  getAnchorTime,
+  resolveSendAt
+};
@@ -0,0 +1,274 @@
+/**
+ * Email Templates
+ *
+ * Builds the HTML and plain-text bodies of the emails sent by notificationService.
+ * Every template returns { subject, html, text }; values are HTML-escaped.
+ */
+
+const { formatLocalTime } = require('./timezoneHelper');
+
+const PRIORITY_COLORS = {
+  HIGH: '#ff4444',
+  MEDIUM: '#ffaa44',
+  LOW: '#44aa44'
+};
+
+const LEVEL_COLORS = {
+  Moderate: '#ffaa44',
+  High: '#ff7a00',
+  Critical: '#ff4444',
+  Overcrowded: '#b00020'
+};
+
+const FOOTER_TEXT = 'This is an automated alert from the Event AI System.';
+
+/**
+ * Escapes a value for use in HTML
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wraps body HTML in the shared email layout
+ *
+ * @param {string} title - Heading
+ * @param {string} bodyHtml - Already escaped content
+ * @returns {string}
+ */
+function renderLayout(title, bodyHtml) {
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; max-width: 640px; margin: 0 auto;">
+    <h2>${escapeHtml(title)}</h2>
+    ${bodyHtml}
+    <p style="color: #888; font-size: 12px;"><em>${FOOTER_TEXT}</em></p>
+  </body>
+</html>`;
+}
+
+/**
+ * Formats an ISO timestamp in an event's time zone; unchanged without one
+ *
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} [timeZone] - IANA time zone name
+ * @returns {string}
+ */
+function formatTime(timestamp, timeZone) {
+  return timestamp && timeZone ? formatLocalTime(timestamp, timeZone) : timestamp;
+}
+
+const infoRow = (label, value) => `<p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`;
+
+/**
+ * Simulation completed with recommendations
+ *
+ * @param {string} simulationId - Simulation ID
+ * @param {Array} recommendations - [{ title, description, priority, implementationTime, estimatedImpact }]
+ * @param {Date} [generatedAt=new Date()]
+ * @returns {{subject: string, html: string, text: string}}
+ */
+function simulationResults(simulationId, recommendations, generatedAt = new Date()) {
+  const subject = `Event AI Alert - Simulation ${simulationId}`;
+
+  const items = recommendations.map((rec, index) => {
+    const color = PRIORITY_COLORS[rec.priority] || PRIORITY_COLORS.MEDIUM;
+    return `
+    <div style="border-left: 4px solid ${color}; padding-left: 15px; margin: 10px 0;">
+      <h4>${index + 1}. ${escapeHtml(rec.title)}</h4>
+      <p><strong>Priority:</strong> <span style="color: ${color};">${escapeHtml(rec.priority)}</span></p>
+      ${infoRow('Description', rec.description)}
+      ${infoRow('Implementation Time', rec.implementationTime)}
+      ${infoRow('Estimated Impact', rec.estimatedImpact)}
+    </div>`;
+  }).join('');
+
+  const html = renderLayout('Event AI Simulation Alert', `
+    ${infoRow('Simulation ID', simulationId)}
+    ${infoRow('Time', generatedAt.toISOString())}
+    <h3>Recommendations</h3>
+    ${items}`);
+
+  let text = `Event AI Simulation Alert\n\nSimulation ID: ${simulationId}\nTime: ${generatedAt.toISOString()}\n\n`;
+  recommendations.forEach((rec, index) => {
+    text += `${index + 1}. [${rec.priority}] ${rec.title}\n   ${rec.description}\n`;
+    text += `   Implementation: ${rec.implementationTime}\n   Impact: ${rec.estimatedImpact}\n\n`;
+  });
+  text += FOOTER_TEXT;
+
+  return { subject, html, text };
+}
+
+/**
+ * Gate congestion alert for organizers
+ *
+ * @param {Object} alert
+ * @param {string} alert.eventName - Event name (falls back to eventId)
+ * @param {string} alert.eventId - Event ID
+ * @param {string} alert.gate - Gate name
+ * @param {string} alert.level - Level label, e.g. 'Critical'
+ * @param {number} alert.peopleCount - People at the gate
+ * @param {number} [alert.capacity] - Gate capacity
+ * @param {number} [alert.congestionPercentage] - Utilization
+ * @param {Object|null} [alert.alternativeGate] - { gate, utilizationPercentage }
+ * @returns {{subject: string, html: string, text: string}}
+ */
+function congestionAlert(alert) {
+  const eventLabel = alert.eventName || alert.eventId;
+  const subject = `[${alert.level}] Congestion at ${alert.gate} - ${eventLabel}`;
+  const color = LEVEL_COLORS[alert.level] || LEVEL_COLORS.High;
+  const utilization = alert.congestionPercentage !== undefined && alert.congestionPercentage !== null
+    ? ` (${Math.round(alert.congestionPercentage)}% of ${alert.capacity})`
+    : '';
+  const alternative = alert.alternativeGate
+    ? `Direct people to ${alert.alternativeGate.gate} (${alert.alternativeGate.utilizationPercentage}% full).`
+    : 'No other gate has spare capacity.';
+
+  const html = renderLayout('Gate Congestion Alert', `
+    <div style="border-left: 4px solid ${color}; padding-left: 15px; margin: 10px 0;">
+      ${infoRow('Event', eventLabel)}
+      ${infoRow('Gate', alert.gate)}
+      <p><strong>Level:</strong> <span style="color: ${color};">${escapeHtml(alert.level)}</span></p>
+      ${infoRow('People', `${alert.peopleCount}${utilization}`)}
+    </div>
+    <p>${escapeHtml(alternative)}</p>`);
+
+  const text = `Gate Congestion Alert\n\nEvent: ${eventLabel}\nGate: ${alert.gate}\nLevel: ${alert.level}\n` +
+    `People: ${alert.peopleCount}${utilization}\n\n${alternative}\n\n${FOOTER_TEXT}`;
+
+  return { subject, html, text };
+}
+
+/**
+ * Daily summary of an event for organizers
+ *
+ * @param {Object} digest
+ * @param {string} digest.eventName - Event name
+ * @param {string} digest.eventId - Event ID
+ * @param {string} digest.periodStart - ISO timestamp
+ * @param {string} digest.periodEnd - ISO timestamp
+ * @param {string} [digest.timeZone] - Event time zone the period is shown in (UTC without)
+ * @param {Array} digest.gates - [{ gate, peakCount, capacity, peakPercentage, state }]
+ * @param {Object} digest.totals - incidentService timeline totals
+ * @returns {{subject: string, html: string, text: string}}
+ */
+function dailyDigest(digest) {
+  const eventLabel = digest.eventName || digest.eventId;
+  const period = `${formatTime(digest.periodStart, digest.timeZone)} to ${formatTime(digest.periodEnd, digest.timeZone)}`;
+  const subject = `Daily digest - ${eventLabel}`;
+  const totals = digest.totals || {};
+  const totalRows = [
+    ['Incidents', totals.incidents ?? 0],
+    ['Unresolved incidents', totals.unresolved ?? 0],
+    ['Fall detections', totals.fallDetections ?? 0],
+    ['Congestion alerts', totals.congestionAlerts ?? 0],
+    ['Emergency broadcasts', totals.emergencyBroadcasts ?? 0]
+  ];
+
+  const gateRows = digest.gates.map(gate => `
+      <tr>
+        <td>${escapeHtml(gate.gate)}</td>
+        <td>${escapeHtml(gate.peakCount)} / ${escapeHtml(gate.capacity)}</td>
+        <td>${escapeHtml(Math.round(gate.peakPercentage))}%</td>
+        <td>${escapeHtml(gate.state || 'NORMAL')}</td>
+      </tr>`).join('');
+
+  const html = renderLayout(`Daily Digest: ${eventLabel}`, `
+    ${infoRow('Period', period)}
+    <h3>Summary</h3>
+    ${totalRows.map(([label, value]) => infoRow(label, value)).join('')}
+    <h3>Gates</h3>
+    ${digest.gates.length > 0 ? `
+    <table cellpadding="6" style="border-collapse: collapse;">
+      <tr><th align="left">Gate</th><th align="left">Peak</th><th align="left">Peak %</th><th align="left">Alert state</th></tr>
+      ${gateRows}
+    </table>` : '<p>No gate readings in this period.</p>'}`);
+
+  let text = `Daily Digest: ${eventLabel}\n\nPeriod: ${period}\n\n`;
+  totalRows.forEach(([label, value]) => {
+    text += `${label}: ${value}\n`;
+  });
+  text += '\nGates:\n';
+  if (digest.gates.length === 0) {
+    text += 'No gate readings in this period.\n';
+  }
+  digest.gates.forEach(gate => {
+    text += `- ${gate.gate}: peak ${gate.peakCount}/${gate.capacity} (${Math.round(gate.peakPercentage)}%), ${gate.state || 'NORMAL'}\n`;
+  });
+  text += `\n${FOOTER_TEXT}`;
+
+  return { subject, html, text };
+}
+
+/**
+ * A generated PDF report is ready to download
+ *
+ * @param {Object} report
+ * @param {string} report.eventName - Event name
+ * @param {string} report.eventId - Event ID
+ * @param {string} report.reportType - 'forecast' or 'postmortem'
+ * @param {string} report.filename - PDF filename
+ * @param {string} report.url - Signed download URL
+ * @param {string} report.expiresAt - ISO timestamp the URL expires
+ * @param {string} [report.timeZone] - Event time zone the expiry is shown in (UTC without)
+ * @returns {{subject: string, html: string, text: string}}
+ */
+function reportReady(report) {
+  const eventLabel = report.eventName || report.eventId;
+  const reportLabel = report.reportType === 'postmortem' ? 'Post-mortem report' : 'Forecast report';
+  const subject = `${reportLabel} ready - ${eventLabel}`;
+  const expiresAt = formatTime(report.expiresAt, report.timeZone);
+
+  const html = renderLayout(`${reportLabel} ready`, `
+    ${infoRow('Event', eventLabel)}
+    ${infoRow('File', report.filename)}
+    <p><a href="${escapeHtml(report.url)}">Download the report</a></p>
+    <p>The link expires at ${escapeHtml(expiresAt)}.</p>`);
+
+  const text = `${reportLabel} ready\n\nEvent: ${eventLabel}\nFile: ${report.filename}\n\n` +
+    `Download: ${report.url}\nThe link expires at ${expiresAt}.\n\n${FOOTER_TEXT}`;
+
+  return { subject, html, text };
+}
+
+/**
+ * Any other notification: a title and a message about an event
+ *
+ * @param {Object} notice
+ * @param {string} notice.title - Heading and subject
+ * @param {string} notice.body - Message
+ * @param {string} [notice.eventName] - Event name
+ * @returns {{subject: string, html: string, text: string}}
+ */
+function notice({ title, body, eventName }) {
+  const subject = eventName ? `${title} - ${eventName}` : title;
+
+  const html = renderLayout(title, `
+    ${eventName ? infoRow('Event', eventName) : ''}
+    <p>${escapeHtml(body)}</p>`);
+
+  const text = `${title}\n\n${eventName ? `Event: ${eventName}\n` : ''}${body}\n\n${FOOTER_TEXT}`;
+
+  return { subject, html, text };
+}
+
+module.exports = {
+  // Helpers
+  escapeHtml,
+  renderLayout,
+
+  // Templates
+  simulationResults,
+  congestionAlert,
+  dailyDigest,
+  reportReady,
+  notice
+};
@@ -0,0 +1,121 @@
+/**
+ * Event Day Utilities
+ *
+ * Splits multi-day and overnight events into event days in the event's time zone.
+ * An event day runs from EVENT_DAY_ROLLOVER_HOUR local time to the same hour the
+ * next day, so a concert running past midnight stays on the day it started:
+ *
+ *   Event: 2025-10-09 18:00 to 2025-10-11 02:00 (Asia/Kuala_Lumpur), rollover 06:00
+ *   2025-10-09 19:30 -> day 1 (2025-10-09)
+ *   2025-10-10 01:15 -> day 1 (2025-10-09)
+ *   2025-10-10 20:00 -> day 2 (2025-10-10)
+ *   2025-10-11 01:45 -> day 2 (2025-10-10)
+ */
+
+const { getEventTimeZone, utcToLocal } = require('./timezoneHelper');
+
+/**
+ * Parses the rollover hour, keeping an explicit 0 (midnight)
+ * @param {string} value - Environment variable value
+ * @returns {number} - Hour from 0 to 23; 6 when unset or invalid
+ */
+function parseRolloverHour(value) {
+  const hour = parseInt(value, 10);
+  return Number.isNaN(hour) ? 6 : Math.min(Math.max(hour, 0), 23);
+}
+
+// Local hour an event day starts at; earlier times belong to the previous day
+const EVENT_DAY_ROLLOVER_HOUR = parseRolloverHour(process.env.EVENT_DAY_ROLLOVER_HOUR);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Date (YYYY-MM-DD) of the event day a moment falls on
+ *
+ * @param {Date|string} at - Moment
+ * @param {string} timeZone - IANA time zone of the event
+ * @returns {string}
+ *
+ * @example
+ * getEventDayDate('2025-10-09T17:15:00Z', 'Asia/Kuala_Lumpur') // "2025-10-09" (01:15 on the 10th)
+ */
+function getEventDayDate(at, timeZone) {
+  // Wall-clock time as if it were UTC, moved back by the rollover hour
+  const local = utcToLocal(new Date(at).toISOString(), timeZone);
+  const wallClock = new Date(`${local.replace(' ', 'T')}Z`);
+
+  return new Date(wallClock.getTime() - EVENT_DAY_ROLLOVER_HOUR * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Event day of a moment, 1 on the day the event starts. Moments before the
+ * start (the pre-start prediction margin) count as day 1.
+ *
+ * @param {Date|string} at - Moment
+ * @param {Object} event - { dateOfEventStart, timeZone }
+ * @returns {{day: number, date: string}}
+ */
+function getEventDay(at, event) {
+  const timeZone = getEventTimeZone(event);
+  const firstDate = getEventDayDate(event.dateOfEventStart, timeZone);
+  const date = getEventDayDate(at, timeZone);
+  const day = Math.round((Date.parse(date) - Date.parse(firstDate)) / DAY_MS) + 1;
+
+  return day < 1 ? { day: 1, date: firstDate } : { day, date };
+}
+
+/**
+ * Number of event days of an event
+ *
+ * @param {Object} event - { dateOfEventStart, dateOfEventEnd, timeZone }
+ * @returns {number}
+ */
+function countEventDays(event) {
+  if (!event?.dateOfEventStart || !event?.dateOfEventEnd) return 1;
+  return getEventDay(event.dateOfEventEnd, event).day;
+}
+
+/**
+ * Per-day summary of a gate's timeframes, for reports split by day
+ *
+ * @param {Array} timeFrames - [{ timestamp, eventDay, eventDate, predicted, actual }]
+ * @returns {Array} - [{ day, date, timeFrameCount, firstTimestamp, lastTimestamp, peakPredicted, peakActual }]
+ */
+function summarizeEventDays(timeFrames) {
+  const days = new Map();
+
+  (timeFrames || []).forEach(tf => {
+    if (!tf.eventDay) return;
+
+    const summary = days.get(tf.eventDay) || {
+      day: tf.eventDay,
+      date: tf.eventDate,
+      timeFrameCount: 0,
+      firstTimestamp: tf.timestamp,
+      lastTimestamp: tf.timestamp,
+      peakPredicted: 0,
+      peakActual: 0
+    };
+
+    summary.timeFrameCount += 1;
+    if (tf.timestamp < summary.firstTimestamp) summary.firstTimestamp = tf.timestamp;
+    if (tf.timestamp > summary.lastTimestamp) summary.lastTimestamp = tf.timestamp;
+    summary.peakPredicted = Math.max(summary.peakPredicted, tf.predicted || 0);
+    summary.peakActual = Math.max(summary.peakActual, tf.actual || 0);
+
+    days.set(tf.eventDay, summary);
+  });
+
+  return [...days.values()].sort((a, b) => a.day - b.day);
+}
+
+module.exports = {
+  // Constants
+  EVENT_DAY_ROLLOVER_HOUR,
+
+  // Event days
+  getEventDayDate,
+  getEventDay,
+  countEventDays,
+  summarizeEventDays
+};
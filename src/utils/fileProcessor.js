@@ -138,19 +138,12 @@ class FileProcessor {
       logger.info('Extracting and formatting CSV content', { originalName });
       
       const csvText = fileBuffer.toString('utf-8');
-      const lines = csvText.split('\n').filter(line => line.trim());
+      const { headers, rows: dataRows, delimiter } = this.parseCsv(csvText);
       
-      if (lines.length === 0) {
+      if (headers.length === 0) {
         return `[EMPTY CSV FILE: ${originalName}] - No content found`;
       }
 
-      // Parse CSV structure
-      const delimiter = this.detectCsvDelimiter(csvText);
-      const headers = lines[0].split(delimiter).map(h => h.trim().replace(/"/g, ''));
-      const dataRows = lines.slice(1).map(line => 
-        line.split(delimiter).map(cell => cell.trim().replace(/"/g, ''))
-      );
-
       // Create structured analysis
       let formattedContent = `[CSV FILE: ${originalName}]\n`;
       formattedContent += `Rows: ${dataRows.length + 1} (including header)\n`;
@@ -241,6 +234,27 @@ class FileProcessor {
     }
   }
 
+  /**
+   * Parses CSV text into a header row and data rows
+   * @param {string} csvText - CSV text content
+   * @returns {{headers: string[], rows: string[][], delimiter: string}}
+   */
+  parseCsv(csvText) {
+    const lines = csvText.split('\n').filter(line => line.trim());
+    const delimiter = this.detectCsvDelimiter(csvText);
+
+    if (lines.length === 0) {
+      return { headers: [], rows: [], delimiter };
+    }
+
+    const headers = lines[0].split(delimiter).map(h => h.trim().replace(/"/g, ''));
+    const rows = lines.slice(1).map(line => 
+      line.split(delimiter).map(cell => cell.trim().replace(/"/g, ''))
+    );
+
+    return { headers, rows, delimiter };
+  }
+
   /**
    * Detects the delimiter used in a CSV file
    * @param {string} csvText - CSV text content
@@ -0,0 +1,57 @@
+/**
+ * Geo Helper Utilities
+ *
+ * Distances between venue points (gates, zones, attendee locations) given as
+ * { latitude, longitude } in degrees
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Whether a point has usable coordinates
+ *
+ * @param {Object} point - { latitude, longitude }
+ * @returns {boolean}
+ */
+function hasCoordinates(point) {
+  return Boolean(point) &&
+    point.latitude !== null && point.latitude !== undefined && !isNaN(Number(point.latitude)) &&
+    point.longitude !== null && point.longitude !== undefined && !isNaN(Number(point.longitude));
+}
+
+/**
+ * Great-circle (haversine) distance between two points
+ *
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number|null} - Meters, or null when either point has no coordinates
+ *
+ * @example
+ * distanceInMeters({ latitude: 3.0540, longitude: 101.6910 }, { latitude: 3.0549, longitude: 101.6910 }) // ~100
+ */
+function distanceInMeters(from, to) {
+  if (!hasCoordinates(from) || !hasCoordinates(to)) {
+    return null;
+  }
+
+  const lat1 = toRadians(Number(from.latitude));
+  const lat2 = toRadians(Number(to.latitude));
+  const deltaLat = lat2 - lat1;
+  const deltaLng = toRadians(Number(to.longitude) - Number(from.longitude));
+
+  const a = Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(deltaLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+module.exports = {
+  // Constants
+  EARTH_RADIUS_METERS,
+
+  // Distance functions
+  hasCoordinates,
+  distanceInMeters
+};
@@ -0,0 +1,233 @@
+/**
+ * Notification Preference Utilities
+ *
+ * Users (users.notification_preferences) and push subscribers
+ * (push_subscriptions.preferences) choose which notifications reach them.
+ *
+ * Preference shape (every field optional, missing fields fall back to
+ * DEFAULT_NOTIFICATION_PREFERENCES):
+ * {
+ *   mutedTypes: ['event_live'],                   // notification types not to receive
+ *   minSeverity: 'warning',                       // info, warning or critical
+ *   channels: ['push', 'email'],                  // users only: allowed channels, in preferred order
+ *                                                 // (null: every channel, in the order the notification picks)
+ *   quietHours: { start: '22:00', end: '07:00' }, // event's local time; only critical notifications
+ *   maxPerHour: 5                                 // frequency cap; critical notifications are not capped
+ * }
+ *
+ * Emergencies ignore every preference but the channel order, and cannot be muted.
+ */
+
+const { getLocalTimeOfDay } = require('./timezoneHelper');
+
+// Notification types a recipient can mute
+const NOTIFICATION_TYPES = [
+  'congestion',
+  'congestion_all_clear',
+  'fall',
+  'emergency',
+  'announcement',
+  'event_live',
+  'event_starting',
+  'report_ready',
+  'simulation_results',
+  'daily_digest'
+];
+
+// Severities from lowest to highest
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const CHANNELS = ['push', 'email', 'whatsapp', 'sms'];
+
+const MAX_PER_HOUR = 100;
+
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  mutedTypes: [],
+  minSeverity: 'info',
+  channels: null,
+  quietHours: null,
+  maxPerHour: null
+};
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates preferences as stored on a user or push subscription
+ *
+ * @param {Object} preferences - Notification preferences
+ * @param {Object} [options]
+ * @param {boolean} [options.channels=true] - Whether `channels` may be set (not on push subscriptions)
+ * @returns {string[]} - Validation errors, empty when valid
+ */
+function validateNotificationPreferences(preferences, { channels = true } = {}) {
+  const errors = [];
+
+  if (!isPlainObject(preferences)) {
+    return ['Notification preferences must be an object'];
+  }
+
+  Object.keys(preferences)
+    .filter(key => !Object.prototype.hasOwnProperty.call(DEFAULT_NOTIFICATION_PREFERENCES, key) ||
+      (key === 'channels' && !channels))
+    .forEach(key => errors.push(`Unknown notification preference: ${key}`));
+
+  if (preferences.mutedTypes !== undefined) {
+    if (!Array.isArray(preferences.mutedTypes) ||
+      preferences.mutedTypes.some(type => !NOTIFICATION_TYPES.includes(type))) {
+      errors.push(`mutedTypes must be an array of: ${NOTIFICATION_TYPES.join(', ')}`);
+    } else if (preferences.mutedTypes.includes('emergency')) {
+      errors.push('Emergency notifications cannot be muted');
+    }
+  }
+
+  if (preferences.minSeverity !== undefined && !SEVERITIES.includes(preferences.minSeverity)) {
+    errors.push(`minSeverity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+
+  if (channels && preferences.channels !== undefined && preferences.channels !== null) {
+    if (!Array.isArray(preferences.channels) || preferences.channels.length === 0 ||
+      preferences.channels.some(channel => !CHANNELS.includes(channel)) ||
+      new Set(preferences.channels).size !== preferences.channels.length) {
+      errors.push(`channels must be a non-empty array of distinct: ${CHANNELS.join(', ')}, or null`);
+    }
+  }
+
+  if (preferences.quietHours !== undefined && preferences.quietHours !== null) {
+    const quietHours = preferences.quietHours;
+    if (!isPlainObject(quietHours)) {
+      errors.push('quietHours must be an object or null');
+    } else {
+      Object.keys(quietHours)
+        .filter(key => !['start', 'end'].includes(key))
+        .forEach(key => errors.push(`Unknown quiet hours field: quietHours.${key}`));
+      ['start', 'end'].forEach(field => {
+        if (typeof quietHours[field] !== 'string' || !TIME_OF_DAY.test(quietHours[field])) {
+          errors.push(`quietHours.${field} must be a time of day (HH:mm)`);
+        }
+      });
+      if (quietHours.start === quietHours.end) {
+        errors.push('quietHours.end must differ from start');
+      }
+    }
+  }
+
+  if (preferences.maxPerHour !== undefined && preferences.maxPerHour !== null &&
+    !(Number.isInteger(preferences.maxPerHour) && preferences.maxPerHour >= 1 && preferences.maxPerHour <= MAX_PER_HOUR)) {
+    errors.push(`maxPerHour must be an integer between 1 and ${MAX_PER_HOUR}, or null`);
+  }
+
+  return errors;
+}
+
+/**
+ * Fills in the defaults for stored preferences
+ *
+ * @param {Object|null} preferences - Stored preferences
+ * @returns {Object} - Complete preferences
+ */
+function normalizeNotificationPreferences(preferences) {
+  const stored = isPlainObject(preferences) ? preferences : {};
+
+  return {
+    mutedTypes: stored.mutedTypes || DEFAULT_NOTIFICATION_PREFERENCES.mutedTypes,
+    minSeverity: stored.minSeverity || DEFAULT_NOTIFICATION_PREFERENCES.minSeverity,
+    channels: stored.channels || DEFAULT_NOTIFICATION_PREFERENCES.channels,
+    quietHours: stored.quietHours || DEFAULT_NOTIFICATION_PREFERENCES.quietHours,
+    maxPerHour: stored.maxPerHour || DEFAULT_NOTIFICATION_PREFERENCES.maxPerHour
+  };
+}
+
+/**
+ * Orders two severities
+ *
+ * @returns {number} - Negative if a is lower than b, 0 if equal, positive if higher
+ */
+function compareSeverities(a, b) {
+  return SEVERITIES.indexOf(a) - SEVERITIES.indexOf(b);
+}
+
+/**
+ * Whether a moment falls in quiet hours; quiet hours may span midnight
+ *
+ * @param {Object|null} quietHours - { start, end } in "HH:mm"
+ * @param {Date|string} at - Moment
+ * @param {string} timeZone - IANA time zone of the event
+ * @returns {boolean}
+ *
+ * @example
+ * isInQuietHours({ start: '22:00', end: '07:00' }, '2025-10-09T15:30:00Z', 'Asia/Kuala_Lumpur') // true (23:30)
+ */
+function isInQuietHours(quietHours, at, timeZone) {
+  if (!quietHours) return false;
+
+  const time = getLocalTimeOfDay(at, timeZone);
+
+  return quietHours.start < quietHours.end
+    ? time >= quietHours.start && time < quietHours.end
+    : time >= quietHours.start || time < quietHours.end;
+}
+
+/**
+ * Why preferences hold back a notification, if they do. The frequency cap is checked by
+ * the caller, which knows how many notifications the recipient got in the last hour.
+ *
+ * @param {Object} preferences - From normalizeNotificationPreferences
+ * @param {Object} notification - { type, severity }
+ * @param {Object} [options]
+ * @param {Date|string} [options.at=now]
+ * @param {string} [options.timeZone] - Event time zone; quiet hours are skipped without one
+ * @param {string} [options.channel] - Channel about to be used; email is not held back by quiet hours
+ * @returns {string|null} - muted, below_min_severity or quiet_hours; null when allowed
+ */
+function getBlockReason(preferences, notification, { at = new Date(), timeZone, channel } = {}) {
+  if (notification.type === 'emergency') return null;
+
+  if (preferences.mutedTypes.includes(notification.type)) return 'muted';
+
+  if (compareSeverities(notification.severity, preferences.minSeverity) < 0) return 'below_min_severity';
+
+  // Email is read later, so it is not held back at night
+  if (notification.severity !== 'critical' && channel !== 'email' && timeZone &&
+    isInQuietHours(preferences.quietHours, at, timeZone)) {
+    return 'quiet_hours';
+  }
+
+  return null;
+}
+
+/**
+ * Channels of a group's order that the recipient accepts, in the recipient's order.
+ * Emergencies keep the group's channels if the recipient accepts none of them.
+ *
+ * @param {Object} preferences - From normalizeNotificationPreferences
+ * @param {string[]} channels - Channels the notification may use, in the group's order
+ * @param {string} type - Notification type
+ * @returns {string[]}
+ */
+function orderChannels(preferences, channels, type) {
+  if (!preferences.channels) return channels;
+
+  const preferred = preferences.channels.filter(channel => channels.includes(channel));
+
+  return preferred.length === 0 && type === 'emergency' ? channels : preferred;
+}
+
+module.exports = {
+  // Constants
+  NOTIFICATION_TYPES,
+  SEVERITIES,
+  CHANNELS,
+  DEFAULT_NOTIFICATION_PREFERENCES,
+
+  // Preference resolution
+  validateNotificationPreferences,
+  normalizeNotificationPreferences,
+
+  // Evaluation
+  compareSeverities,
+  isInQuietHours,
+  getBlockReason,
+  orderChannels
+};
@@ -1,6 +1,9 @@
 // utils/promptGenerator.js
-function generateRecommendationPrompt(forecastResult, eventInfo) {
-    const { gates, schedule_start_time, event_end_time, method_exits, freq } = eventInfo;
+const { resolveGatePolicy } = require("./alertPolicy");
+
+// eventAlertPolicy is events.alert_policy, so the risk bands match the congestion alerts
+function generateRecommendationPrompt(forecastResult, eventInfo, eventAlertPolicy = null) {
+    const { gates, schedule_start_time, event_end_time, method_exits, freq, schedule = [] } = eventInfo;
 
     // forecastResult should have structure: { forecast: {...}, summary: {...}, metadata: {...} }
     if (!forecastResult || !forecastResult.forecast) {
@@ -24,20 +27,21 @@ Do not provide any additional text or explanations. Only output valid JSON.`;
     const gateSummaries = Object.entries(forecastResult.forecast).map(([gate, data]) => {
         const timeFrames = data.timeFrames || [];
         const capacity = data.capacity || 0;
+        const { thresholds } = resolveGatePolicy(eventAlertPolicy, gate);
         
         // Calculate key metrics
         const peakCrowd = Math.max(...timeFrames.map(tf => tf.yhat || 0));
         const avgCrowd = timeFrames.reduce((sum, tf) => sum + (tf.yhat || 0), 0) / (timeFrames.length || 1);
         const utilizationRate = capacity > 0 ? ((peakCrowd / capacity) * 100).toFixed(1) : 0;
         
-        // Find times where crowd >= 80% of capacity (high risk)
+        // Find times where crowd reaches the high threshold (high risk)
         const highRiskTimes = timeFrames
-            .filter(tf => tf.yhat >= 0.8 * capacity)
+            .filter(tf => tf.yhat >= thresholds.high / 100 * capacity)
             .map(tf => ({ time: tf.time, crowd: Math.round(tf.yhat), percentage: ((tf.yhat / capacity) * 100).toFixed(0) }));
         
-        // Find times where crowd >= 90% of capacity (critical risk)
+        // Find times where crowd reaches the critical threshold (critical risk)
         const criticalRiskTimes = timeFrames
-            .filter(tf => tf.yhat >= 0.9 * capacity)
+            .filter(tf => tf.yhat >= thresholds.critical / 100 * capacity)
             .map(tf => ({ time: tf.time, crowd: Math.round(tf.yhat) }));
         
         // Find peak hour
@@ -55,6 +59,7 @@ Do not provide any additional text or explanations. Only output valid JSON.`;
             peakTime: peakTimeFrame.time,
             highRiskTimes,
             criticalRiskTimes,
+            thresholds,
             totalTimeFrames: timeFrames.length
         };
     });
@@ -65,11 +70,19 @@ Gate ${g.gate}:
   - Capacity: ${g.capacity} people
   - Peak crowd: ${g.peakCrowd} people at ${g.peakTime} (${g.utilizationRate}% capacity)
   - Average crowd: ${g.avgCrowd} people
-  - High risk periods (≥80% capacity): ${g.highRiskTimes.length > 0 ? g.highRiskTimes.map(t => `${t.time} (${t.crowd} people, ${t.percentage}%)`).join(", ") : "None"}
-  - Critical risk periods (≥90% capacity): ${g.criticalRiskTimes.length > 0 ? g.criticalRiskTimes.map(t => `${t.time} (${t.crowd} people)`).join(", ") : "None"}
+  - High risk periods (≥${g.thresholds.high}% capacity): ${g.highRiskTimes.length > 0 ? g.highRiskTimes.map(t => `${t.time} (${t.crowd} people, ${t.percentage}%)`).join(", ") : "None"}
+  - Critical risk periods (≥${g.thresholds.critical}% capacity): ${g.criticalRiskTimes.length > 0 ? g.criticalRiskTimes.map(t => `${t.time} (${t.crowd} people)`).join(", ") : "None"}
   - Total forecast timeframes: ${g.totalTimeFrames}
 `).join("\n");
 
+    // Event-wide bands for the analysis rules; gates with overrides are listed above with their own
+    const eventThresholds = resolveGatePolicy(eventAlertPolicy).thresholds;
+
+    // Programme items (doors open, support act, headliner, intermission, ...) drive crowd surges
+    const programmeText = schedule.length > 0
+        ? schedule.map(item => `- ${item.start_time} → ${item.end_time}: ${item.activity}${item.expected_attendance ? ` (expected attendance: ${item.expected_attendance})` : ""}`).join("\n")
+        : "- No programme provided";
+
     return `You are an AI congestion advisor for event organizers. Analyze the forecast data and provide incident prevention recommendations.
 
 Event Details:
@@ -78,6 +91,9 @@ Event Details:
 - Forecast Frequency: ${freq}
 - Exit Estimation Method: ${method_exits}
 
+Event Programme:
+${programmeText}
+
 Forecast Summary (per gate):
 ${summaryText}
 
@@ -87,6 +103,7 @@ ${summaryText}
 3. Provide DIFFERENT recommendations for each gate based on their specific risk profiles
 4. Gates with higher utilization rates need MORE DETAILED and STRICTER recommendations
 5. Consider the capacity differences: small gates (50) vs large gates (800+)
+6. Relate congestion times to the programme: arrivals surge before headline acts, movement peaks at intermissions, exits surge at the end of the last item
 
 Required JSON Structure:
 {
@@ -125,9 +142,9 @@ Required JSON Structure:
 }
 
 KEY ANALYSIS RULES:
-- High utilization (>90%): CRITICAL - require multiple staff, barriers, emergency protocols
-- Medium utilization (70-90%): WARNING - require monitoring, flexible staffing
-- Low utilization (<70%): NORMAL - standard procedures, minimal staffing
+- High utilization (≥${eventThresholds.critical}%): CRITICAL - require multiple staff, barriers, emergency protocols
+- Medium utilization (${eventThresholds.high}-${eventThresholds.critical}%): WARNING - require monitoring, flexible staffing
+- Low utilization (<${eventThresholds.high}%): NORMAL - standard procedures, minimal staffing
 - Large capacity gates (800+): More staff, wider bottlenecks possible
 - Small capacity gates (50): Congestion happens faster, quicker response needed
 
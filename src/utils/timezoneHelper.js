@@ -1,35 +1,109 @@
 /**
  * Timezone Helper Utilities
  * 
- * Provides functions to convert between UTC and Malaysia timezone (UTC+8)
+ * Provides functions to convert between UTC and the local time of an event's
+ * IANA time zone (e.g. Asia/Kuala_Lumpur, Asia/Singapore, Australia/Sydney),
+ * including daylight saving time, plus the Malaysia (UTC+8) shorthands
  * 
  * IMPORTANT: Always store timestamps in UTC in the database
- * Use these utilities to convert to Malaysia time for display only
+ * Use these utilities to convert to local time for display and for the AI models only
  */
 
-const MALAYSIA_OFFSET_MS = 8 * 60 * 60 * 1000; // 8 hours in milliseconds
+const MALAYSIA_TIMEZONE = 'Asia/Kuala_Lumpur';
+
+// IANA name of the time zone of events that do not set their own
+const DEFAULT_EVENT_TIMEZONE = process.env.DEFAULT_EVENT_TIMEZONE || MALAYSIA_TIMEZONE;
 
 /**
- * Convert Malaysia time string to UTC ISO string
- * 
- * @param {string} malaysiaTimeString - Format: "2025-10-09 13:30:00" or "2025-10-09 13:30:00.123"
- * @returns {string} - ISO UTC string: "2025-10-09T05:30:00.000Z"
- * 
+ * Whether a string is an IANA time zone name this runtime knows
+ *
+ * @param {string} timeZone - e.g. "Asia/Singapore"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock date and time of a moment in a time zone
+ * @private
+ */
+function getLocalParts(at, timeZone) {
+  const date = new Date(at);
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+
+  return {
+    year: part('year'),
+    month: part('month'),
+    day: part('day'),
+    hour: part('hour'),
+    minute: part('minute'),
+    second: part('second'),
+    millisecond: date.getUTCMilliseconds()
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at a moment (DST aware)
+ *
+ * @param {Date|string|number} at - Moment
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} - Offset in milliseconds, e.g. 28800000 for UTC+8
+ *
  * @example
- * malaysiaToUTC("2025-10-09 13:30:00") // "2025-10-09T05:30:00.000Z"
- * malaysiaToUTC("2025-10-09 13:30:00.500") // "2025-10-09T05:30:00.500Z"
+ * getTimeZoneOffsetMs("2025-01-15T00:00:00Z", "Australia/Sydney") // 39600000 (AEDT, UTC+11)
+ * getTimeZoneOffsetMs("2025-07-15T00:00:00Z", "Australia/Sydney") // 36000000 (AEST, UTC+10)
  */
-function malaysiaToUTC(malaysiaTimeString) {
-  if (!malaysiaTimeString) {
-    throw new Error('Malaysia time string is required');
+function getTimeZoneOffsetMs(at, timeZone) {
+  const local = getLocalParts(at, timeZone);
+  const localAsUTC = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second, local.millisecond);
+
+  return localAsUTC - new Date(at).getTime();
+}
+
+/**
+ * Convert a local time string of a time zone to a UTC ISO string
+ *
+ * Local times skipped when clocks go forward are moved forward by the change; local
+ * times repeated when clocks go back resolve to one of their two occurrences.
+ *
+ * @param {string} localTimeString - Format: "2025-10-09 13:30:00" or "2025-10-09 13:30:00.123"
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} - ISO UTC string
+ *
+ * @example
+ * localToUTC("2025-10-09 13:30:00", "Asia/Jakarta") // "2025-10-09T06:30:00.000Z"
+ * localToUTC("2025-12-31 20:00:00", "Australia/Sydney") // "2025-12-31T09:00:00.000Z"
+ */
+function localToUTC(localTimeString, timeZone) {
+  if (!localTimeString) {
+    throw new Error('Local time string is required');
   }
 
   // Handle both "YYYY-MM-DD HH:mm:ss" and "YYYY-MM-DD HH:mm:ss.SSS"
-  const trimmed = malaysiaTimeString.trim();
+  const trimmed = localTimeString.trim();
   const [datePart, timePart] = trimmed.split(' ');
   
   if (!datePart || !timePart) {
-    throw new Error(`Invalid Malaysia time format: ${malaysiaTimeString}. Expected: "YYYY-MM-DD HH:mm:ss"`);
+    throw new Error(`Invalid local time format: ${localTimeString}. Expected: "YYYY-MM-DD HH:mm:ss"`);
   }
 
   const [year, month, day] = datePart.split('-').map(Number);
@@ -45,32 +119,31 @@ function malaysiaToUTC(malaysiaTimeString) {
   const second = Number(secondParts[0]);
   const millisecond = secondParts[1] ? Number(secondParts[1].padEnd(3, '0').slice(0, 3)) : 0;
   
-  // Create UTC date by subtracting Malaysia offset
-  // Malaysia time is UTC+8, so to get UTC we subtract 8 hours
-  const utcDate = new Date(Date.UTC(
-    year,
-    month - 1,  // Month is 0-indexed in JavaScript
-    day,
-    hour,
-    minute,
-    second,
-    millisecond
-  ) - MALAYSIA_OFFSET_MS);
-  
-  return utcDate.toISOString();
+  // The wall-clock time as if it were UTC, shifted back by the zone's offset. Near a DST
+  // change the offset is one of those on either side of it: the one that gives back the
+  // same wall-clock time, or for a skipped time the one before the change (moving it forward).
+  const localAsUTC = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const guess = getTimeZoneOffsetMs(localAsUTC, timeZone);
+  const offsets = [guess, getTimeZoneOffsetMs(localAsUTC - guess, timeZone)];
+  const offset = offsets.find(o => getTimeZoneOffsetMs(localAsUTC - o, timeZone) === o) ?? Math.min(...offsets);
+
+  return new Date(localAsUTC - offset).toISOString();
 }
 
 /**
- * Convert UTC ISO string to Malaysia time string
- * 
+ * Convert UTC ISO string to a local time string of a time zone
+ *
  * @param {string} utcISOString - Format: "2025-10-09T05:30:00.000Z"
- * @returns {string} - Malaysia time: "2025-10-09 13:30:00"
- * 
+ * @param {string} timeZone - IANA time zone name
+ * @param {Object} [options]
+ * @param {boolean} [options.milliseconds=false] - Include milliseconds
+ * @returns {string} - Local time: "2025-10-09 13:30:00"
+ *
  * @example
- * utcToMalaysia("2025-10-09T05:30:00.000Z") // "2025-10-09 13:30:00"
- * utcToMalaysia("2025-10-09T05:30:00.500Z") // "2025-10-09 13:30:00"
+ * utcToLocal("2025-10-09T05:30:00.000Z", "Asia/Singapore") // "2025-10-09 13:30:00"
+ * utcToLocal("2025-10-09T05:30:00.500Z", "Australia/Sydney", { milliseconds: true }) // "2025-10-09 16:30:00.500"
  */
-function utcToMalaysia(utcISOString) {
+function utcToLocal(utcISOString, timeZone, { milliseconds = false } = {}) {
   if (!utcISOString) {
     throw new Error('UTC ISO string is required');
   }
@@ -81,16 +154,76 @@ function utcToMalaysia(utcISOString) {
     throw new Error(`Invalid UTC ISO string: ${utcISOString}`);
   }
 
-  const malaysiaDate = new Date(utcDate.getTime() + MALAYSIA_OFFSET_MS);
-  
-  const year = malaysiaDate.getUTCFullYear();
-  const month = String(malaysiaDate.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(malaysiaDate.getUTCDate()).padStart(2, '0');
-  const hours = String(malaysiaDate.getUTCHours()).padStart(2, '0');
-  const minutes = String(malaysiaDate.getUTCMinutes()).padStart(2, '0');
-  const seconds = String(malaysiaDate.getUTCSeconds()).padStart(2, '0');
-  
-  return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+  const local = getLocalParts(utcDate, timeZone);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const formatted = `${local.year}-${pad(local.month)}-${pad(local.day)} ${pad(local.hour)}:${pad(local.minute)}:${pad(local.second)}`;
+
+  return milliseconds ? `${formatted}.${pad(local.millisecond, 3)}` : formatted;
+}
+
+/**
+ * Format UTC timestamp for display in a time zone with its abbreviation
+ *
+ * @param {string|Date} utcISOString - UTC timestamp
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} - Formatted local time with the zone's label
+ *
+ * @example
+ * formatLocalTime("2025-10-09T05:30:00.000Z", "Australia/Sydney") // "2025-10-09 16:30:00 AEDT"
+ * formatLocalTime("2025-10-09T05:30:00.000Z", "Asia/Jakarta") // "2025-10-09 12:30:00 GMT+7"
+ */
+function formatLocalTime(utcISOString, timeZone) {
+  const label = new Intl.DateTimeFormat('en-AU', { timeZone, timeZoneName: 'short' })
+    .formatToParts(new Date(utcISOString))
+    .find(p => p.type === 'timeZoneName').value;
+
+  return `${utcToLocal(utcISOString, timeZone)} ${label}`;
+}
+
+/**
+ * Local calendar date of a moment in a time zone
+ *
+ * @param {Date|string} at - Moment
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} - "YYYY-MM-DD"
+ *
+ * @example
+ * getLocalDate("2025-10-09T20:00:00.000Z", "Asia/Singapore") // "2025-10-10"
+ */
+function getLocalDate(at, timeZone) {
+  return utcToLocal(new Date(at).toISOString(), timeZone).slice(0, 10);
+}
+
+/**
+ * Convert Malaysia time string to UTC ISO string
+ * 
+ * @param {string} malaysiaTimeString - Format: "2025-10-09 13:30:00" or "2025-10-09 13:30:00.123"
+ * @returns {string} - ISO UTC string: "2025-10-09T05:30:00.000Z"
+ * 
+ * @example
+ * malaysiaToUTC("2025-10-09 13:30:00") // "2025-10-09T05:30:00.000Z"
+ * malaysiaToUTC("2025-10-09 13:30:00.500") // "2025-10-09T05:30:00.500Z"
+ */
+function malaysiaToUTC(malaysiaTimeString) {
+  if (!malaysiaTimeString) {
+    throw new Error('Malaysia time string is required');
+  }
+
+  return localToUTC(malaysiaTimeString, MALAYSIA_TIMEZONE);
+}
+
+/**
+ * Convert UTC ISO string to Malaysia time string
+ * 
+ * @param {string} utcISOString - Format: "2025-10-09T05:30:00.000Z"
+ * @returns {string} - Malaysia time: "2025-10-09 13:30:00"
+ * 
+ * @example
+ * utcToMalaysia("2025-10-09T05:30:00.000Z") // "2025-10-09 13:30:00"
+ * utcToMalaysia("2025-10-09T05:30:00.500Z") // "2025-10-09 13:30:00"
+ */
+function utcToMalaysia(utcISOString) {
+  return utcToLocal(utcISOString, MALAYSIA_TIMEZONE);
 }
 
 /**
@@ -103,27 +236,7 @@ function utcToMalaysia(utcISOString) {
  * utcToMalaysiaWithMs("2025-10-09T05:30:00.500Z") // "2025-10-09 13:30:00.500"
  */
 function utcToMalaysiaWithMs(utcISOString) {
-  if (!utcISOString) {
-    throw new Error('UTC ISO string is required');
-  }
-
-  const utcDate = new Date(utcISOString);
-  
-  if (isNaN(utcDate.getTime())) {
-    throw new Error(`Invalid UTC ISO string: ${utcISOString}`);
-  }
-
-  const malaysiaDate = new Date(utcDate.getTime() + MALAYSIA_OFFSET_MS);
-  
-  const year = malaysiaDate.getUTCFullYear();
-  const month = String(malaysiaDate.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(malaysiaDate.getUTCDate()).padStart(2, '0');
-  const hours = String(malaysiaDate.getUTCHours()).padStart(2, '0');
-  const minutes = String(malaysiaDate.getUTCMinutes()).padStart(2, '0');
-  const seconds = String(malaysiaDate.getUTCSeconds()).padStart(2, '0');
-  const milliseconds = String(malaysiaDate.getUTCMilliseconds()).padStart(3, '0');
-  
-  return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}.${milliseconds}`;
+  return utcToLocal(utcISOString, MALAYSIA_TIMEZONE, { milliseconds: true });
 }
 
 /**
@@ -164,9 +277,10 @@ function getCurrentMalaysiaTimeFormatted() {
 }
 
 /**
- * Convert array of forecast/prediction results with Malaysia timestamps to UTC
+ * Convert array of forecast/prediction results with local timestamps to UTC
  * 
  * @param {Array} timeFrames - Array of timeframe objects with 'timestamp' field
+ * @param {string} [timeZone=Asia/Kuala_Lumpur] - IANA time zone of the timestamps
  * @returns {Array} - Array with timestamps converted to UTC
  * 
  * @example
@@ -180,22 +294,23 @@ function getCurrentMalaysiaTimeFormatted() {
  * //   { timestamp: "2025-10-09T05:35:00.000Z", predicted: 200 }
  * // ]
  */
-function convertTimeFramesToUTC(timeFrames) {
+function convertTimeFramesToUTC(timeFrames, timeZone = MALAYSIA_TIMEZONE) {
   if (!Array.isArray(timeFrames)) {
     throw new Error('timeFrames must be an array');
   }
 
   return timeFrames.map(frame => ({
     ...frame,
-    timestamp: malaysiaToUTC(frame.timestamp)
+    timestamp: localToUTC(frame.timestamp, timeZone)
   }));
 }
 
 /**
- * Convert array of forecast/prediction results with UTC timestamps to Malaysia time
+ * Convert array of forecast/prediction results with UTC timestamps to local time
  * 
  * @param {Array} timeFrames - Array of timeframe objects with 'timestamp' field in UTC
- * @returns {Array} - Array with timestamps converted to Malaysia time
+ * @param {string} [timeZone=Asia/Kuala_Lumpur] - IANA time zone to convert to
+ * @returns {Array} - Array with timestamps converted to local time
  * 
  * @example
  * const utcFrames = [
@@ -208,22 +323,65 @@ function convertTimeFramesToUTC(timeFrames) {
  * //   { timestamp: "2025-10-09 13:35:00", predicted: 200 }
  * // ]
  */
-function convertTimeFramesToMalaysia(timeFrames) {
+function convertTimeFramesToMalaysia(timeFrames, timeZone = MALAYSIA_TIMEZONE) {
   if (!Array.isArray(timeFrames)) {
     throw new Error('timeFrames must be an array');
   }
 
   return timeFrames.map(frame => ({
     ...frame,
-    timestamp: utcToMalaysia(frame.timestamp)
+    timestamp: utcToLocal(frame.timestamp, timeZone)
   }));
 }
 
+/**
+ * Time zone of an event's local times (schedules, quiet hours, reports, notifications)
+ *
+ * Events without their own time zone use DEFAULT_EVENT_TIMEZONE (Malaysia unless configured).
+ *
+ * @param {Object} [event] - Event
+ * @returns {string} - IANA time zone name
+ */
+function getEventTimeZone(event) {
+  return event?.timeZone || DEFAULT_EVENT_TIMEZONE;
+}
+
+/**
+ * Wall-clock time of day of a moment in a time zone
+ *
+ * @param {Date|string} at - Moment
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} - "HH:mm"
+ *
+ * @example
+ * getLocalTimeOfDay("2025-10-09T15:30:00.000Z", "Asia/Kuala_Lumpur") // "23:30"
+ */
+function getLocalTimeOfDay(at, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(at));
+
+  const part = (type) => parts.find(p => p.type === type).value;
+  return `${part('hour')}:${part('minute')}`;
+}
+
 module.exports = {
   // Constants
-  MALAYSIA_OFFSET_MS,
+  MALAYSIA_TIMEZONE,
+  DEFAULT_EVENT_TIMEZONE,
+
+  // Time zone conversion functions
+  isValidTimeZone,
+  getTimeZoneOffsetMs,
+  localToUTC,
+  utcToLocal,
+  formatLocalTime,
+  getLocalDate,
   
-  // Core conversion functions
+  // Malaysia conversion functions
   malaysiaToUTC,
   utcToMalaysia,
   utcToMalaysiaWithMs,
@@ -235,6 +393,10 @@ module.exports = {
   
   // Batch conversion functions
   convertTimeFramesToUTC,
-  convertTimeFramesToMalaysia
+  convertTimeFramesToMalaysia,
+
+  // Event time zone
+  getEventTimeZone,
+  getLocalTimeOfDay
 };
 
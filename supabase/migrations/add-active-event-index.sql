@@ -0,0 +1,16 @@
+-- ============================================================================
+-- Active Event Index Migration
+-- ============================================================================
+-- Description: Indexes the query the cron jobs use to load the events whose
+--              active window overlaps now (eventService.getActiveEvents):
+--              date_of_event_end >= window start AND date_of_event_start <= window end.
+--              Past events, the bulk of the table, are skipped by the end date.
+-- Requires:    new-schema.sql, add-organizations.sql (org_id)
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_events_active_window
+  ON events(date_of_event_end, date_of_event_start);
+
+-- Org-scoped cron instances (CRON_ORGANIZATION_IDS)
+CREATE INDEX IF NOT EXISTS idx_events_org_active_window
+  ON events(org_id, date_of_event_end, date_of_event_start);
@@ -0,0 +1,21 @@
+-- ============================================================================
+-- Alert Policy Migration
+-- ============================================================================
+-- Description: Stores a per-event alert policy (congestion thresholds, minimum
+--              consecutive breaches, recipients per level, quiet periods and
+--              per-gate overrides) used by alerts, reports and AI prompts
+-- Requires:    new-schema.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: events
+-- ============================================================================
+-- alert_policy - NULL means the defaults in src/utils/alertPolicy.js
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS alert_policy JSONB;
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON COLUMN events.alert_policy IS
+  'Congestion alert policy: thresholds (% of capacity), minConsecutiveBreaches, recipients, quietPeriods and per-gate overrides';
@@ -0,0 +1,65 @@
+-- ============================================================================
+-- API Keys Migration
+-- ============================================================================
+-- Description: Organization-scoped API keys for machine clients (n8n workflows,
+--              integrations). Only a SHA-256 hash of each key is stored.
+-- Requires:    add-organizations.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: api_keys
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.api_keys (
+  id BIGSERIAL PRIMARY KEY,
+  key_id VARCHAR(255) UNIQUE NOT NULL,
+  org_id VARCHAR(255) NOT NULL REFERENCES public.organizations(org_id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+
+  -- Secret material: the plain key is shown once at creation and never stored
+  key_prefix VARCHAR(16) NOT NULL,   -- First characters of the key, for identification in listings
+  key_hash VARCHAR(64) NOT NULL,     -- SHA-256 hex digest of the full key
+
+  -- Granted scopes: read:events, read:predictions, write:notifications
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+
+  created_by VARCHAR(255),           -- user_id of the creator
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_by VARCHAR(255),
+
+  -- Usage tracking
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  last_used_ip INET,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_api_key_scopes CHECK (
+    scopes <@ ARRAY['read:events', 'read:predictions', 'write:notifications']::TEXT[]
+  )
+);
+
+-- Authentication looks keys up by hash
+CREATE UNIQUE INDEX IF NOT EXISTS unique_api_keys_key_hash
+  ON public.api_keys(key_hash);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_org_id
+  ON public.api_keys(org_id);
+
+DROP TRIGGER IF EXISTS update_api_keys_updated_at ON public.api_keys;
+CREATE TRIGGER update_api_keys_updated_at
+  BEFORE UPDATE ON public.api_keys
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON TABLE public.api_keys IS
+  'Organization-scoped API keys for machine clients; authenticate with the X-API-Key header';
+
+COMMENT ON COLUMN public.api_keys.key_hash IS
+  'SHA-256 hex digest of the key; the plain key is only returned once at creation';
+
+COMMENT ON COLUMN public.api_keys.revoked_at IS
+  'Set when the key is revoked; revoked keys are rejected';
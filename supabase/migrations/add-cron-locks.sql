@@ -0,0 +1,92 @@
+-- ============================================================================
+-- Cron Locks Migration
+-- ============================================================================
+-- Description: Lease-based locks so that only one server instance (e.g. one of
+--              the PM2 cluster workers) runs each cron job per tick. The holder
+--              renews its lease while the job runs, up to a maximum run time; a
+--              lock whose lease expired, because its holder crashed or hung, is
+--              taken over by the next instance that asks for it.
+-- Requires:    none
+-- ============================================================================
+
+-- ============================================================================
+-- Table: cron_locks
+-- ============================================================================
+-- job_name     - prediction, ongoing_event_notifications, daily_digest, push_retries, scheduled_broadcasts
+-- owner_id     - instance holding the lock (hostname:pid[:pm2 instance])
+-- locked_until - lease expiry; the lock is free once it has passed
+CREATE TABLE IF NOT EXISTS public.cron_locks (
+  job_name VARCHAR(100) PRIMARY KEY,
+  owner_id VARCHAR(255) NOT NULL,
+  locked_until TIMESTAMPTZ NOT NULL,
+  acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================================
+-- Function: acquire_cron_lock
+-- Purpose: Takes the lock when it is free or its lease has expired. One
+--          statement, so two instances asking at the same moment cannot both
+--          get it. The holder itself cannot take it again: it renews instead.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.acquire_cron_lock(
+  p_job_name VARCHAR,
+  p_owner_id VARCHAR,
+  p_lease_seconds INTEGER
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_owner_id VARCHAR;
+BEGIN
+  INSERT INTO public.cron_locks (job_name, owner_id, locked_until, acquired_at, updated_at)
+  VALUES (p_job_name, p_owner_id, NOW() + make_interval(secs => p_lease_seconds), NOW(), NOW())
+  ON CONFLICT (job_name) DO UPDATE
+    SET owner_id = EXCLUDED.owner_id,
+        locked_until = EXCLUDED.locked_until,
+        acquired_at = EXCLUDED.acquired_at,
+        updated_at = NOW()
+    WHERE cron_locks.locked_until <= NOW()
+  RETURNING owner_id INTO v_owner_id;
+
+  RETURN v_owner_id IS NOT NULL;
+END;
+$$;
+
+-- ============================================================================
+-- Function: renew_cron_lock
+-- Purpose: Extends the lease of a lock p_owner_id still holds; FALSE once the
+--          lease has expired (another instance may have taken it over)
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.renew_cron_lock(
+  p_job_name VARCHAR,
+  p_owner_id VARCHAR,
+  p_lease_seconds INTEGER
+)
+RETURNS BOOLEAN
+LANGUAGE sql
+AS $$
+  WITH renewed AS (
+    UPDATE public.cron_locks
+    SET locked_until = NOW() + make_interval(secs => p_lease_seconds),
+        updated_at = NOW()
+    WHERE job_name = p_job_name
+      AND owner_id = p_owner_id
+      AND locked_until > NOW()
+    RETURNING 1
+  )
+  SELECT EXISTS (SELECT 1 FROM renewed);
+$$;
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON TABLE public.cron_locks IS
+  'One row per cron job; the instance in owner_id runs the job until locked_until';
+
+COMMENT ON FUNCTION public.acquire_cron_lock IS
+  'Acquires a cron job lease; returns FALSE while any instance holds an unexpired lease';
+
+COMMENT ON FUNCTION public.renew_cron_lock IS
+  'Extends the holder''s unexpired cron job lease; returns FALSE when it was lost';
@@ -0,0 +1,21 @@
+-- ============================================================================
+-- Early Warning Migration
+-- ============================================================================
+-- Description: Remembers the last forecast-based early warning sent to
+--              operators per gate, so a forecast that stays high is warned
+--              about once per cooldown rather than on every prediction update
+-- Requires:    add-gate-alert-states.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: gate_alert_states
+-- ============================================================================
+ALTER TABLE gate_alert_states
+ADD COLUMN IF NOT EXISTS last_warning_level VARCHAR(20),
+ADD COLUMN IF NOT EXISTS last_warning_at TIMESTAMPTZ;
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON COLUMN gate_alert_states.last_warning_at IS
+  'When operators were last warned that the 5-minute forecast breaches the alert policy for this gate';
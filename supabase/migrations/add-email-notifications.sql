@@ -0,0 +1,28 @@
+-- ============================================================================
+-- Email Notifications Migration
+-- ============================================================================
+-- Description: Logs email deliveries (congestion alerts for organizers, daily
+--              digests, report-ready notices, simulation results) in
+--              notification_logs next to push notifications
+-- Requires:    add-organizations.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: notification_logs
+-- ============================================================================
+ALTER TABLE public.notification_logs
+ADD COLUMN IF NOT EXISTS channel VARCHAR(20) NOT NULL DEFAULT 'push'
+  CHECK (channel IN ('push', 'email')),
+ADD COLUMN IF NOT EXISTS recipient TEXT;  -- email address; push rows use subscription_id
+
+CREATE INDEX IF NOT EXISTS idx_notification_logs_channel
+  ON public.notification_logs(channel);
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON COLUMN public.notification_logs.channel IS
+  'Delivery channel: push (browser push subscription) or email';
+
+COMMENT ON COLUMN public.notification_logs.recipient IS
+  'Email address the message was sent to; NULL for push notifications';
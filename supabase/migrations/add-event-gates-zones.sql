@@ -0,0 +1,53 @@
+-- ============================================================================
+-- Event Gates and Zones Migration
+-- ============================================================================
+-- Description: Ties the gates and zones tables from new-schema.sql to events so
+--              each event's gate names, capacities, zone membership and
+--              positions are persisted instead of being passed as free-form
+--              strings to every forecast request
+-- Requires:    new-schema.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: zones
+-- ============================================================================
+ALTER TABLE zones
+ADD COLUMN IF NOT EXISTS event_id VARCHAR(255) REFERENCES events(event_id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS name VARCHAR(255),
+ADD COLUMN IF NOT EXISTS latitude NUMERIC(9, 6),
+ADD COLUMN IF NOT EXISTS longitude NUMERIC(9, 6);
+
+-- Zone names are unique within an event
+CREATE UNIQUE INDEX IF NOT EXISTS unique_zones_event_name
+  ON zones(event_id, name);
+
+-- ============================================================================
+-- Table: gates
+-- ============================================================================
+-- name is the gate key used by the forecast and prediction models and as the
+-- key of forecast_result.forecast / predict_result (e.g. "A", "1")
+ALTER TABLE gates
+ADD COLUMN IF NOT EXISTS event_id VARCHAR(255) REFERENCES events(event_id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS zone_id VARCHAR(255) REFERENCES zones(zone_id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS latitude NUMERIC(9, 6),
+ADD COLUMN IF NOT EXISTS longitude NUMERIC(9, 6),
+ADD COLUMN IF NOT EXISTS sort_order INTEGER NOT NULL DEFAULT 0;
+
+-- Gate names are unique within an event
+CREATE UNIQUE INDEX IF NOT EXISTS unique_gates_event_name
+  ON gates(event_id, name);
+
+CREATE INDEX IF NOT EXISTS idx_gates_zone_id
+  ON gates(zone_id);
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON COLUMN gates.name IS
+  'Gate key sent to the forecast/prediction models and used in forecast_result and predict_result';
+
+COMMENT ON COLUMN gates.sort_order IS
+  'Order gates are sent to the forecast model in';
+
+COMMENT ON COLUMN zones.expected_capacity IS
+  'Planned attendance for the zone; real_capacity is the physical limit';
@@ -0,0 +1,36 @@
+-- ============================================================================
+-- Event Owner Migration
+-- ============================================================================
+-- Description: Stores the owner of an event as a user_id. Ownership used to be
+--              granted to whoever had the account with the email in
+--              events.user_email, which anyone could claim by registering (or
+--              renaming themselves) with that address.
+-- Requires:    new-schema.sql, add-rbac.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: events
+-- ============================================================================
+-- owner_user_id - the OWNER of the event; user_email is kept as a contact address
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS owner_user_id VARCHAR(255) REFERENCES users(user_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_events_owner_user_id ON events(owner_user_id);
+
+-- Existing events are given to the account with their email only when that account
+-- already existed when the event was created; an account registered later with the
+-- same address could belong to someone else. Events left without an owner can be
+-- handed over by an admin (PUT /api/v1/events/{eventId} with userEmail).
+UPDATE events e
+SET owner_user_id = u.user_id
+FROM users u
+WHERE e.owner_user_id IS NULL
+  AND e.user_email IS NOT NULL
+  AND LOWER(u.email) = LOWER(e.user_email)
+  AND u.created_at <= e.created_at;
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON COLUMN events.owner_user_id IS
+  'User with the OWNER role on the event; events.user_email no longer grants access';
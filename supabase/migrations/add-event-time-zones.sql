@@ -0,0 +1,21 @@
+-- ============================================================================
+-- Event Time Zones Migration
+-- ============================================================================
+-- Description: Stores the IANA time zone of each event's venue. Event times stay
+--              in UTC; the time zone decides the event's local "today", the
+--              times sent to the forecast model, quiet hours, and the times in
+--              reports and notifications. Existing events ran in Malaysia.
+-- Requires:    new-schema.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: events
+-- ============================================================================
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) NOT NULL DEFAULT 'Asia/Kuala_Lumpur';
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON COLUMN events.time_zone IS
+  'IANA time zone of the venue, e.g. Asia/Kuala_Lumpur, Asia/Singapore, Asia/Jakarta, Australia/Sydney';
@@ -0,0 +1,41 @@
+-- ============================================================================
+-- Gate Alert State Migration
+-- ============================================================================
+-- Description: Persists the congestion alert state of each gate so the
+--              prediction cron only notifies on state transitions (escalation
+--              and "all clear") and keeps its cooldowns across restarts
+-- Requires:    add-alert-policies.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: gate_alert_states
+-- ============================================================================
+-- state - NORMAL, ELEVATED, CRITICAL or RECOVERING
+-- level - alert level the gate is held at (low, moderate, high, critical, overcrowded);
+--         while RECOVERING, the level it is recovering from
+CREATE TABLE IF NOT EXISTS gate_alert_states (
+  id BIGSERIAL PRIMARY KEY,
+  event_id VARCHAR(255) NOT NULL REFERENCES events(event_id) ON DELETE CASCADE,
+  gate_name VARCHAR(255) NOT NULL,           -- gate key as used in predict_result
+  state VARCHAR(20) NOT NULL DEFAULT 'NORMAL',
+  level VARCHAR(20) NOT NULL DEFAULT 'low',
+  alerted_since TIMESTAMPTZ,                 -- start of the current alert episode
+  recovering_since TIMESTAMPTZ,
+  last_notified_level VARCHAR(20),
+  last_notified_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT unique_gate_alert_state UNIQUE (event_id, gate_name),
+  CONSTRAINT valid_gate_alert_state CHECK (state IN ('NORMAL', 'ELEVATED', 'CRITICAL', 'RECOVERING'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_gate_alert_states_event_id
+  ON gate_alert_states(event_id);
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON TABLE gate_alert_states IS
+  'Congestion alert state machine per gate (NORMAL -> ELEVATED -> CRITICAL -> RECOVERING -> NORMAL), updated by the prediction cron';
+
+COMMENT ON COLUMN gate_alert_states.last_notified_at IS
+  'When subscribers were last notified for this gate; a repeat of the same level within the cooldown is not notified';
@@ -0,0 +1,66 @@
+-- ============================================================================
+-- Incident Lifecycle Migration
+-- ============================================================================
+-- Description: Extends the incidents table from new-schema.sql with a lifecycle
+--              (open -> acknowledged -> resolved), assignment, and the source of
+--              automatically created incidents (fall detection, overcrowding)
+-- Requires:    add-event-gates-zones.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: incidents
+-- ============================================================================
+-- type   - FALL, OVERCROWDING, MEDICAL, SECURITY or OTHER
+-- status - OPEN, ACKNOWLEDGED or RESOLVED
+-- source - MANUAL, FALL_DETECTION or CONGESTION_MONITOR
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS title VARCHAR(255),
+ADD COLUMN IF NOT EXISTS type VARCHAR(30) NOT NULL DEFAULT 'OTHER',
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'OPEN',
+ADD COLUMN IF NOT EXISTS source VARCHAR(30) NOT NULL DEFAULT 'MANUAL',
+ADD COLUMN IF NOT EXISTS gate_name VARCHAR(255),       -- gate key as used in predict_result, kept even without a configured gate
+ADD COLUMN IF NOT EXISTS reported_by VARCHAR(255),     -- user_id, NULL for automatic incidents
+ADD COLUMN IF NOT EXISTS acknowledged_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS acknowledged_by VARCHAR(255),
+ADD COLUMN IF NOT EXISTS assigned_to VARCHAR(255),
+ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS resolved_by VARCHAR(255),
+ADD COLUMN IF NOT EXISTS resolution_notes TEXT,
+ADD COLUMN IF NOT EXISTS metadata JSONB;
+
+ALTER TABLE incidents
+DROP CONSTRAINT IF EXISTS valid_incident_type;
+
+ALTER TABLE incidents
+ADD CONSTRAINT valid_incident_type CHECK (type IN ('FALL', 'OVERCROWDING', 'MEDICAL', 'SECURITY', 'OTHER'));
+
+ALTER TABLE incidents
+DROP CONSTRAINT IF EXISTS valid_incident_status;
+
+ALTER TABLE incidents
+ADD CONSTRAINT valid_incident_status CHECK (status IN ('OPEN', 'ACKNOWLEDGED', 'RESOLVED'));
+
+ALTER TABLE incidents
+DROP CONSTRAINT IF EXISTS valid_incident_source;
+
+ALTER TABLE incidents
+ADD CONSTRAINT valid_incident_source CHECK (source IN ('MANUAL', 'FALL_DETECTION', 'CONGESTION_MONITOR'));
+
+-- Open incidents per event are listed and de-duplicated often
+CREATE INDEX IF NOT EXISTS idx_incidents_event_status
+  ON incidents(event_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_incidents_assigned_to
+  ON incidents(assigned_to);
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON COLUMN incidents.resolve_time IS
+  'When the incident was resolved; duration holds the minutes from incident_time to resolve_time';
+
+COMMENT ON COLUMN incidents.gate_name IS
+  'Gate key as used in forecast_result/predict_result (gate_id references the configured gate when there is one)';
+
+COMMENT ON COLUMN incidents.metadata IS
+  'Detection details for automatic incidents (confidence, stream session, congestion figures)';
@@ -0,0 +1,44 @@
+-- ============================================================================
+-- Notification Audiences Migration
+-- ============================================================================
+-- Description: Gives push subscriptions an audience (attendee, staff, security,
+--              medical) and an optional gate or zone assignment, so staff-facing
+--              alerts such as fall detections no longer reach attendees and a
+--              gate marshal only gets alerts for their gate
+-- Requires:    add-push-notifications.sql, add-event-gates-zones.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: push_subscriptions
+-- ============================================================================
+-- audience  - attendee (anonymous), or staff, security or medical (signed-in event members)
+-- gate_name - gate key as used in predict_result; gate alerts for other gates are not sent
+-- zone_id   - zone assignment; alerts for gates in other zones are not sent
+-- user_id held a UUID placeholder; users are identified by VARCHAR user_id
+ALTER TABLE public.push_subscriptions
+ALTER COLUMN user_id TYPE VARCHAR(255) USING user_id::text;
+
+ALTER TABLE public.push_subscriptions
+ADD COLUMN IF NOT EXISTS audience VARCHAR(20) NOT NULL DEFAULT 'attendee',
+ADD COLUMN IF NOT EXISTS gate_name VARCHAR(255),
+ADD COLUMN IF NOT EXISTS zone_id VARCHAR(255) REFERENCES zones(zone_id) ON DELETE SET NULL;
+
+ALTER TABLE public.push_subscriptions
+DROP CONSTRAINT IF EXISTS valid_subscription_audience;
+
+ALTER TABLE public.push_subscriptions
+ADD CONSTRAINT valid_subscription_audience CHECK (audience IN ('attendee', 'staff', 'security', 'medical'));
+
+-- Alerts select active subscriptions of an event by audience
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_event_audience
+  ON public.push_subscriptions(event_id, audience)
+  WHERE is_active = TRUE;
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON COLUMN public.push_subscriptions.audience IS
+  'Who the subscriber is: attendee, staff, security or medical; alerts target one or more audiences';
+
+COMMENT ON COLUMN public.push_subscriptions.gate_name IS
+  'Gate the subscriber is assigned to; only alerts for this gate (or for no gate) are delivered';
@@ -0,0 +1,75 @@
+-- ============================================================================
+-- Notification History Migration
+-- ============================================================================
+-- Description: Records the push tag and the push service status code of every
+--              delivery in notification_logs for the notification history and
+--              analytics, indexes the history queries and aggregates the
+--              delivery analytics
+-- Requires:    add-push-notifications.sql, add-sms-notifications.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: notification_logs
+-- ============================================================================
+-- tag         - push tag (e.g. congestion-Gate A, emergency); NULL for email and SMS
+-- status_code - HTTP status of a failed push (e.g. 410, 429, 503); NULL otherwise
+ALTER TABLE public.notification_logs
+ADD COLUMN IF NOT EXISTS tag TEXT,
+ADD COLUMN IF NOT EXISTS status_code INTEGER;
+
+-- History of an event, newest first
+CREATE INDEX IF NOT EXISTS idx_notification_logs_event_sent_at
+  ON public.notification_logs(event_id, sent_at DESC);
+
+-- History filtered by notification type
+CREATE INDEX IF NOT EXISTS idx_notification_logs_event_type
+  ON public.notification_logs(event_id, (data->>'type'));
+
+-- ============================================================================
+-- Function: get_notification_delivery_summary
+-- Purpose: Deliveries of an event matching the history filters (NULL = any),
+--          counted per channel, status, push status code, gate and opened flag,
+--          so the analytics are aggregated in the database
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.get_notification_delivery_summary(
+  p_event_id TEXT,
+  p_type TEXT DEFAULT NULL,
+  p_tag TEXT DEFAULT NULL,
+  p_status TEXT DEFAULT NULL,
+  p_channel TEXT DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (channel TEXT, status TEXT, status_code INTEGER, area TEXT, clicked BOOLEAN, deliveries BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    l.channel::TEXT,
+    l.status::TEXT,
+    l.status_code,
+    l.data->>'area' AS area,
+    COALESCE(l.clicked, FALSE) AS clicked,
+    COUNT(*) AS deliveries
+  FROM public.notification_logs l
+  WHERE l.event_id = p_event_id
+    AND (p_type IS NULL OR l.data->>'type' = p_type)
+    AND (p_tag IS NULL OR l.tag = p_tag)
+    AND (p_status IS NULL OR l.status = p_status)
+    AND (p_channel IS NULL OR l.channel = p_channel)
+    AND (p_from IS NULL OR l.sent_at >= p_from)
+    AND (p_to IS NULL OR l.sent_at <= p_to)
+  GROUP BY 1, 2, 3, 4, 5;
+$$;
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON COLUMN public.notification_logs.status_code IS
+  'HTTP status code returned by the push service for a failed delivery';
+
+COMMENT ON COLUMN public.notification_logs.clicked IS
+  'TRUE once the service worker reported the notification opened (POST /api/v1/notifications/logs/:logId/click)';
+
+COMMENT ON FUNCTION public.get_notification_delivery_summary IS
+  'Delivery counts per channel, status, status code, gate and opened flag for the notification history analytics';
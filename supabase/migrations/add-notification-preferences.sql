@@ -0,0 +1,102 @@
+-- ============================================================================
+-- Notification Preferences Migration
+-- ============================================================================
+-- Description: Lets users and push subscribers choose which notifications
+--              reach them (muted types, minimum severity, channels, quiet
+--              hours, hourly cap), counts deliveries per recipient for the cap
+--              across server instances, and records recipients skipped because
+--              of their preferences in notification_receipts
+-- Requires:    add-user-auth.sql, add-notification-audiences.sql,
+--              add-notification-receipts.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: users
+-- ============================================================================
+-- notification_preferences - { mutedTypes, minSeverity, channels, quietHours, maxPerHour };
+--                            NULL for the defaults (everything, on every channel)
+ALTER TABLE public.users
+ADD COLUMN IF NOT EXISTS notification_preferences JSONB;
+
+-- ============================================================================
+-- Table: push_subscriptions
+-- ============================================================================
+-- preferences - same shape without channels; NULL falls back to the preferences of
+--               the user the subscription belongs to, then the defaults
+ALTER TABLE public.push_subscriptions
+ADD COLUMN IF NOT EXISTS preferences JSONB;
+
+-- ============================================================================
+-- Table: notification_receipts
+-- ============================================================================
+ALTER TABLE notification_receipts
+ADD COLUMN IF NOT EXISTS reason VARCHAR(30);  -- why a recipient was skipped
+
+ALTER TABLE notification_receipts
+DROP CONSTRAINT IF EXISTS valid_notification_receipt_status;
+
+ALTER TABLE notification_receipts
+ADD CONSTRAINT valid_notification_receipt_status
+  CHECK (status IN ('delivered', 'failed', 'skipped', 'no_channel', 'no_recipients'));
+
+-- ============================================================================
+-- Table: notification_frequency_counters
+-- ============================================================================
+-- recipient_key  - user:<user_id>, or subscription:<id> for anonymous subscribers;
+--                  one row per recipient with an hourly cap
+-- window_start   - start of the recipient's current cap window
+-- delivery_count - notifications allowed within that window
+CREATE TABLE IF NOT EXISTS public.notification_frequency_counters (
+  recipient_key VARCHAR(255) PRIMARY KEY,
+  window_start TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  delivery_count INTEGER NOT NULL DEFAULT 0
+);
+
+-- ============================================================================
+-- Function: take_notification_frequency_cap
+-- Purpose: Counts a notification towards a recipient's cap if it is below
+--          p_max_count in the current window, starting a new window once the
+--          last one is p_window_seconds old. One statement, so instances
+--          notifying the same recipient at once cannot exceed the cap.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.take_notification_frequency_cap(
+  p_recipient_key VARCHAR,
+  p_max_count INTEGER,
+  p_window_seconds INTEGER
+)
+RETURNS BOOLEAN
+LANGUAGE sql
+AS $$
+  WITH taken AS (
+    INSERT INTO public.notification_frequency_counters AS c (recipient_key, window_start, delivery_count)
+    VALUES (p_recipient_key, NOW(), 1)
+    ON CONFLICT (recipient_key) DO UPDATE
+      SET window_start = CASE
+            WHEN c.window_start <= NOW() - make_interval(secs => p_window_seconds) THEN NOW()
+            ELSE c.window_start
+          END,
+          delivery_count = CASE
+            WHEN c.window_start <= NOW() - make_interval(secs => p_window_seconds) THEN 1
+            ELSE c.delivery_count + 1
+          END
+      WHERE c.window_start <= NOW() - make_interval(secs => p_window_seconds)
+         OR c.delivery_count < p_max_count
+    RETURNING 1
+  )
+  SELECT EXISTS (SELECT 1 FROM taken);
+$$;
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON COLUMN public.users.notification_preferences IS
+  'Which notifications the user gets and how; quiet hours are in the time zone of the event notified about';
+
+COMMENT ON COLUMN public.push_subscriptions.preferences IS
+  'Notification preferences of this subscription; overrides those of its user';
+
+COMMENT ON COLUMN notification_receipts.reason IS
+  'For skipped recipients: muted, below_min_severity, quiet_hours or frequency_cap';
+
+COMMENT ON TABLE public.notification_frequency_counters IS
+  'Notifications allowed per recipient in the current hour, shared by all server instances for the maxPerHour cap';
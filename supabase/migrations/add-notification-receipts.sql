@@ -0,0 +1,49 @@
+-- ============================================================================
+-- Notification Receipts Migration
+-- ============================================================================
+-- Description: Stores one delivery receipt per recipient of every notification
+--              sent through the notification dispatcher, with the channel it
+--              was delivered on and each channel attempted before it
+-- Requires:    add-organizations.sql, add-sms-notifications.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: notification_receipts
+-- ============================================================================
+-- recipient_group - subscribers, organizers, on_call or operators
+-- recipient       - user ID, email address or phone number; 'subscribers' for the
+--                   event's push subscribers as a whole
+-- status          - delivered, failed, no_channel (no channel to reach the
+--                   recipient) or no_recipients (no matching push subscriptions)
+-- attempts        - [{ channel, success, error, at }] in the order tried
+CREATE TABLE IF NOT EXISTS notification_receipts (
+  id BIGSERIAL PRIMARY KEY,
+  notification_id UUID NOT NULL,
+  event_id VARCHAR(255) REFERENCES events(event_id) ON DELETE CASCADE,
+  org_id VARCHAR(255) REFERENCES organizations(org_id) ON DELETE SET NULL,
+  type VARCHAR(50) NOT NULL,
+  severity VARCHAR(20) NOT NULL,
+  recipient_group VARCHAR(20) NOT NULL,
+  recipient TEXT NOT NULL,
+  channel VARCHAR(20),                       -- last channel attempted; NULL if none
+  status VARCHAR(20) NOT NULL,
+  attempts JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT valid_notification_receipt_severity CHECK (severity IN ('info', 'warning', 'critical')),
+  CONSTRAINT valid_notification_receipt_status CHECK (status IN ('delivered', 'failed', 'no_channel', 'no_recipients'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_receipts_notification_id
+  ON notification_receipts(notification_id);
+
+CREATE INDEX IF NOT EXISTS idx_notification_receipts_event_created
+  ON notification_receipts(event_id, created_at DESC);
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON TABLE notification_receipts IS
+  'Per-recipient delivery outcome of dispatched notifications (congestion, fall, emergency, event live, report ready, ...)';
+
+COMMENT ON COLUMN notification_receipts.attempts IS
+  'Channels tried in order; the dispatcher falls back to the next channel when one fails';
@@ -0,0 +1,146 @@
+-- ============================================================================
+-- Multi-Organization Tenancy Migration
+-- ============================================================================
+-- Description: Adds organizations (client companies). Users belong to one or
+--              more organizations; events and push subscriptions are scoped to
+--              exactly one. Forecasts and reports live on the event and inherit
+--              its organization.
+-- Requires:    add-rbac.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: organizations
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.organizations (
+  id BIGSERIAL PRIMARY KEY,
+  org_id VARCHAR(255) UNIQUE NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  slug VARCHAR(100) UNIQUE NOT NULL,
+  created_by VARCHAR(255),  -- user_id of the creator
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_org_slug CHECK (slug ~ '^[a-z0-9][a-z0-9-]*$')
+);
+
+DROP TRIGGER IF EXISTS update_organizations_updated_at ON public.organizations;
+CREATE TRIGGER update_organizations_updated_at
+  BEFORE UPDATE ON public.organizations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- Table: organization_members
+-- Purpose: Many-to-many link between users and organizations
+-- ============================================================================
+-- ADMIN  - manages the organization's members and sees all of its users
+-- MEMBER - works with the organization's events
+CREATE TABLE IF NOT EXISTS public.organization_members (
+  id BIGSERIAL PRIMARY KEY,
+  org_id VARCHAR(255) NOT NULL REFERENCES public.organizations(org_id) ON DELETE CASCADE,
+  user_id VARCHAR(255) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL DEFAULT 'MEMBER' CHECK (role IN ('ADMIN', 'MEMBER')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS unique_organization_member
+  ON public.organization_members(org_id, user_id);
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user_id
+  ON public.organization_members(user_id);
+
+DROP TRIGGER IF EXISTS update_organization_members_updated_at ON public.organization_members;
+CREATE TRIGGER update_organization_members_updated_at
+  BEFORE UPDATE ON public.organization_members
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- Scope events and push subscriptions
+-- ============================================================================
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS org_id VARCHAR(255) REFERENCES public.organizations(org_id) ON DELETE CASCADE;
+
+ALTER TABLE public.push_subscriptions
+ADD COLUMN IF NOT EXISTS org_id VARCHAR(255) REFERENCES public.organizations(org_id) ON DELETE CASCADE;
+
+ALTER TABLE public.notification_logs
+ADD COLUMN IF NOT EXISTS org_id VARCHAR(255);
+
+-- ============================================================================
+-- Backfill: move existing data into a default organization
+-- ============================================================================
+INSERT INTO public.organizations (org_id, name, slug)
+VALUES ('org_default', 'Default Organization', 'default')
+ON CONFLICT (org_id) DO NOTHING;
+
+INSERT INTO public.organization_members (org_id, user_id, role)
+SELECT 'org_default', user_id, CASE WHEN role = 'ADMIN' THEN 'ADMIN' ELSE 'MEMBER' END
+FROM users
+ON CONFLICT (org_id, user_id) DO NOTHING;
+
+UPDATE events SET org_id = 'org_default' WHERE org_id IS NULL;
+
+UPDATE public.push_subscriptions ps
+SET org_id = e.org_id
+FROM events e
+WHERE ps.event_id = e.event_id AND ps.org_id IS NULL;
+
+UPDATE public.notification_logs nl
+SET org_id = e.org_id
+FROM events e
+WHERE nl.event_id = e.event_id AND nl.org_id IS NULL;
+
+ALTER TABLE events ALTER COLUMN org_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_events_org_id
+  ON events(org_id);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_org_id
+  ON public.push_subscriptions(org_id);
+
+CREATE INDEX IF NOT EXISTS idx_notification_logs_org_id
+  ON public.notification_logs(org_id);
+
+-- ============================================================================
+-- Per-organization statistics views
+-- ============================================================================
+CREATE OR REPLACE VIEW event_statistics_by_org AS
+SELECT
+  org_id,
+  COUNT(*) as total_events,
+  COUNT(CASE WHEN date_of_event_start > NOW() THEN 1 END) as upcoming_events,
+  COUNT(CASE WHEN date_of_event_end <= NOW() THEN 1 END) as past_events,
+  COUNT(CASE WHEN date_of_event_start <= NOW() AND date_of_event_end > NOW() THEN 1 END) as ongoing_events,
+  COUNT(CASE WHEN forecast_result IS NOT NULL THEN 1 END) as events_with_forecast
+FROM events
+GROUP BY org_id;
+
+CREATE OR REPLACE VIEW user_statistics_by_org AS
+SELECT
+  om.org_id,
+  COUNT(*) as total_users,
+  COUNT(CASE WHEN u.status = 'ACTIVE' THEN 1 END) as active_users,
+  COUNT(CASE WHEN u.status = 'INACTIVE' THEN 1 END) as inactive_users,
+  COUNT(CASE WHEN u.status = 'SUSPENDED' THEN 1 END) as suspended_users,
+  COUNT(CASE WHEN u.status = 'PENDING' THEN 1 END) as pending_users,
+  COUNT(CASE WHEN u.phone IS NOT NULL THEN 1 END) as users_with_phone
+FROM public.organization_members om
+JOIN users u ON u.user_id = om.user_id
+GROUP BY om.org_id;
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON TABLE public.organizations IS
+  'Client companies; every event and push subscription belongs to exactly one';
+
+COMMENT ON TABLE public.organization_members IS
+  'Users belonging to an organization, with their role inside it';
+
+COMMENT ON COLUMN events.org_id IS
+  'Owning organization; forecasts and reports stored on the event inherit it';
+
+COMMENT ON VIEW event_statistics_by_org IS 'Event statistics grouped by organization';
+COMMENT ON VIEW user_statistics_by_org IS 'User statistics grouped by organization membership';
@@ -0,0 +1,52 @@
+-- ============================================================================
+-- Push Retry Queue Migration
+-- ============================================================================
+-- Description: Queues push deliveries that failed with a temporary error for
+--              retry with exponential backoff. Deliveries that run out of
+--              attempts stay in the table as dead letters.
+-- Requires:    add-organizations.sql, add-push-notifications.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: push_retry_queue
+-- ============================================================================
+-- subscription_id - NULL once the subscription is deleted (dead letters are kept)
+-- payload         - push payload as first sent, resent unchanged
+-- status          - pending (waiting for next_attempt_at) or dead
+-- attempts        - retries made; the first, failed delivery is not counted
+-- max_attempts    - retries allowed; higher for critical notifications
+CREATE TABLE IF NOT EXISTS push_retry_queue (
+  id BIGSERIAL PRIMARY KEY,
+  subscription_id UUID REFERENCES push_subscriptions(id) ON DELETE SET NULL,
+  event_id VARCHAR(255) NOT NULL REFERENCES events(event_id) ON DELETE CASCADE,
+  org_id VARCHAR(255) REFERENCES organizations(org_id) ON DELETE SET NULL,
+  notification_type VARCHAR(50),
+  severity VARCHAR(20),
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL,
+  next_attempt_at TIMESTAMPTZ,               -- NULL once dead
+  last_error TEXT,
+  last_status_code INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT valid_push_retry_status CHECK (status IN ('pending', 'dead'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_retry_queue_due
+  ON push_retry_queue(next_attempt_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_push_retry_queue_dead_letters
+  ON push_retry_queue(event_id, updated_at DESC)
+  WHERE status = 'dead';
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON TABLE push_retry_queue IS
+  'Push deliveries waiting for retry, and dead letters that failed every retry; delivered retries are removed';
+
+COMMENT ON COLUMN push_retry_queue.next_attempt_at IS
+  'Backoff doubles with every attempt; a claimed retry is pushed back by a lease so other instances skip it';
@@ -0,0 +1,60 @@
+-- ============================================================================
+-- Role-Based Access Control Migration
+-- ============================================================================
+-- Description: Adds a global role to users and per-event membership so only an
+--              event's owner and operators can mutate it, while viewers get
+--              read-only access
+-- ============================================================================
+
+-- ============================================================================
+-- Global user role
+-- ============================================================================
+-- ADMIN     - full access to every event
+-- ORGANIZER - can create events and owns the events they create
+-- OPERATOR  - venue staff, acts on events they are a member of
+-- VIEWER    - read-only dashboards for events they are a member of
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'ORGANIZER';
+
+ALTER TABLE users
+DROP CONSTRAINT IF EXISTS valid_user_role;
+
+ALTER TABLE users
+ADD CONSTRAINT valid_user_role CHECK (role IN ('ADMIN', 'ORGANIZER', 'OPERATOR', 'VIEWER'));
+
+-- ============================================================================
+-- Table: event_members
+-- Purpose: Grants users access to events they do not own
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.event_members (
+  id BIGSERIAL PRIMARY KEY,
+  event_id VARCHAR(255) NOT NULL REFERENCES events(event_id) ON DELETE CASCADE,
+  user_id VARCHAR(255) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('OPERATOR', 'VIEWER')),
+  added_by VARCHAR(255),  -- user_id of the owner/admin who granted access
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One membership per user per event
+CREATE UNIQUE INDEX IF NOT EXISTS unique_event_member
+  ON public.event_members(event_id, user_id);
+
+-- Fast lookups of all events a user can access
+CREATE INDEX IF NOT EXISTS idx_event_members_user_id
+  ON public.event_members(user_id);
+
+DROP TRIGGER IF EXISTS update_event_members_updated_at ON public.event_members;
+CREATE TRIGGER update_event_members_updated_at
+  BEFORE UPDATE ON public.event_members
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON COLUMN users.role IS
+  'Global role: ADMIN, ORGANIZER, OPERATOR or VIEWER';
+
+COMMENT ON TABLE public.event_members IS
+  'Per-event access grants; the event owner (events.owner_user_id) is implicit and not stored here';
@@ -0,0 +1,63 @@
+-- ============================================================================
+-- Scheduled Broadcasts Migration
+-- ============================================================================
+-- Description: Stores broadcasts organizers schedule ahead of time, relative to
+--              the event start or end, to an event_schedule item, or at a fixed
+--              time. The broadcast cron job sends them when due.
+-- Requires:    add-organizations.sql, new-schema.sql (event_schedule)
+-- ============================================================================
+
+-- ============================================================================
+-- Table: scheduled_broadcasts
+-- ============================================================================
+-- type           - announcement (templated) or event_starting (built-in "starting soon")
+-- *_template     - title and body with {{variables}}; NULL for event_starting
+-- anchor         - event_start, event_end, schedule_item or absolute
+-- offset_minutes - minutes after the anchor (negative: before); ignored for absolute
+-- send_at        - resolved send time, moved when the event or schedule item moves
+-- claimed_at     - when an instance claimed the broadcast for sending
+-- result         - delivered/failed/skipped counts of the dispatched notification
+CREATE TABLE IF NOT EXISTS scheduled_broadcasts (
+  id BIGSERIAL PRIMARY KEY,
+  broadcast_id VARCHAR(255) UNIQUE NOT NULL,
+  event_id VARCHAR(255) NOT NULL REFERENCES events(event_id) ON DELETE CASCADE,
+  org_id VARCHAR(255) REFERENCES organizations(org_id) ON DELETE SET NULL,
+  type VARCHAR(50) NOT NULL DEFAULT 'announcement',
+  title_template TEXT,
+  body_template TEXT,
+  audiences TEXT[],                          -- NULL: the type's default audiences
+  gate VARCHAR(255),
+  zone_id VARCHAR(255),
+  anchor VARCHAR(20) NOT NULL,
+  schedule_id VARCHAR(255) REFERENCES event_schedule(schedule_id) ON DELETE SET NULL,
+  offset_minutes INTEGER NOT NULL DEFAULT 0,
+  send_at TIMESTAMPTZ NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  claimed_at TIMESTAMPTZ,
+  notification_id UUID,
+  result JSONB,
+  last_error TEXT,
+  created_by VARCHAR(255),
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT valid_broadcast_type CHECK (type IN ('announcement', 'event_starting')),
+  CONSTRAINT valid_broadcast_anchor CHECK (anchor IN ('event_start', 'event_end', 'schedule_item', 'absolute')),
+  CONSTRAINT valid_broadcast_status CHECK (status IN ('pending', 'sending', 'sent', 'cancelled', 'missed', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_broadcasts_due
+  ON scheduled_broadcasts(send_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_broadcasts_event
+  ON scheduled_broadcasts(event_id, send_at);
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON TABLE scheduled_broadcasts IS
+  'Broadcasts scheduled by organizers; sent by the broadcast cron job when send_at is reached';
+
+COMMENT ON COLUMN scheduled_broadcasts.status IS
+  'pending until claimed; sending while an instance sends it; failed when sending stays interrupted past BROADCAST_SENDING_TIMEOUT_MINUTES; missed when the server was down past BROADCAST_MISSED_AFTER_MINUTES; cancelled by an organizer or when the schedule item is deleted';
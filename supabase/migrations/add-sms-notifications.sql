@@ -0,0 +1,40 @@
+-- ============================================================================
+-- SMS Notifications Migration
+-- ============================================================================
+-- Description: Marks event members as on-call so critical alerts (falls,
+--              overcrowded gates, emergency broadcasts) are texted to their
+--              users.phone, and logs SMS deliveries in notification_logs
+-- Requires:    add-rbac.sql, add-email-notifications.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: event_members
+-- ============================================================================
+ALTER TABLE public.event_members
+ADD COLUMN IF NOT EXISTS on_call BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Fast lookups of an event's on-call members
+CREATE INDEX IF NOT EXISTS idx_event_members_on_call
+  ON public.event_members(event_id) WHERE on_call;
+
+-- ============================================================================
+-- Table: notification_logs
+-- ============================================================================
+ALTER TABLE public.notification_logs
+DROP CONSTRAINT IF EXISTS notification_logs_channel_check;
+
+ALTER TABLE public.notification_logs
+ADD CONSTRAINT notification_logs_channel_check
+  CHECK (channel IN ('push', 'email', 'sms'));
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON COLUMN public.event_members.on_call IS
+  'TRUE if the member gets critical alerts by SMS on users.phone';
+
+COMMENT ON COLUMN public.notification_logs.recipient IS
+  'Email address or phone number the message was sent to; NULL for push notifications';
+
+COMMENT ON COLUMN public.notification_logs.status IS
+  'sent, delivered, failed, or rate_limited (SMS over the per-recipient limit)';
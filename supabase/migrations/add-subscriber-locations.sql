@@ -0,0 +1,26 @@
+-- ============================================================================
+-- Subscriber Locations Migration
+-- ============================================================================
+-- Description: Lets attendees share where they are (coordinates) and the gate
+--              on their ticket, so congestion alerts only reach people near the
+--              affected gate
+-- Requires:    add-notification-audiences.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: push_subscriptions
+-- ============================================================================
+ALTER TABLE public.push_subscriptions
+ADD COLUMN IF NOT EXISTS ticket_gate VARCHAR(255),       -- gate printed on the ticket
+ADD COLUMN IF NOT EXISTS latitude NUMERIC(9, 6),
+ADD COLUMN IF NOT EXISTS longitude NUMERIC(9, 6),
+ADD COLUMN IF NOT EXISTS location_updated_at TIMESTAMPTZ;
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON COLUMN public.push_subscriptions.ticket_gate IS
+  'Gate on the attendee''s ticket; congestion alerts for this gate are delivered';
+
+COMMENT ON COLUMN public.push_subscriptions.location_updated_at IS
+  'When latitude/longitude were shared; stale locations are not used for nearby alerts';
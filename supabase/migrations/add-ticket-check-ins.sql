@@ -0,0 +1,64 @@
+-- ============================================================================
+-- Ticket Check-In Migration
+-- ============================================================================
+-- Description: Records ticket scans per gate in the ticketing table from
+--              new-schema.sql and exposes rolling per-gate arrival counts, which
+--              the prediction cron uses as the real `actual` values
+-- Requires:    add-event-gates-zones.sql, add-api-keys.sql
+-- ============================================================================
+
+-- ============================================================================
+-- Table: ticketing
+-- ============================================================================
+-- source - how the scan arrived: 'api' (JSON batch) or 'csv' (file upload)
+ALTER TABLE ticketing
+ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'api';
+
+-- Rolling arrival counts filter by event and gate over a time window
+CREATE INDEX IF NOT EXISTS idx_ticketing_event_gate_check_in
+  ON ticketing(event_id, gate_id, check_in_time);
+
+-- ============================================================================
+-- Function: get_gate_arrival_counts
+-- Purpose: Check-ins per gate within (p_window_start, p_window_end] and in total
+--          up to p_window_end
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.get_gate_arrival_counts(
+  p_event_id VARCHAR,
+  p_window_start TIMESTAMPTZ,
+  p_window_end TIMESTAMPTZ
+)
+RETURNS TABLE (gate_id VARCHAR, window_count BIGINT, total_count BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    t.gate_id,
+    COUNT(*) FILTER (WHERE t.check_in_time > p_window_start) AS window_count,
+    COUNT(*) AS total_count
+  FROM ticketing t
+  WHERE t.event_id = p_event_id
+    AND t.gate_id IS NOT NULL
+    AND t.check_in_time <= p_window_end
+  GROUP BY t.gate_id;
+$$;
+
+-- ============================================================================
+-- API keys: allow ticket scanners to push check-ins
+-- ============================================================================
+ALTER TABLE public.api_keys
+DROP CONSTRAINT IF EXISTS valid_api_key_scopes;
+
+ALTER TABLE public.api_keys
+ADD CONSTRAINT valid_api_key_scopes CHECK (
+  scopes <@ ARRAY['read:events', 'read:predictions', 'write:notifications', 'write:check-ins']::TEXT[]
+);
+
+-- ============================================================================
+-- Comments for Documentation
+-- ============================================================================
+COMMENT ON COLUMN ticketing.check_in_time IS
+  'When the ticket was scanned at gate_id; one row per ticket';
+
+COMMENT ON FUNCTION public.get_gate_arrival_counts IS
+  'Per-gate check-in counts for a rolling window and cumulatively, used for predict_result actual values';
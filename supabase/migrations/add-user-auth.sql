@@ -0,0 +1,32 @@
+-- ============================================================================
+-- User Authentication Migration
+-- ============================================================================
+-- Description: Adds password hashes and OAuth provider binding to users so the
+--              API can issue signed JWT access/refresh tokens
+-- ============================================================================
+
+-- bcrypt hash for users who sign in with email + password (NULL for OAuth-only)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255);
+
+-- OAuth provider identity, bound on first OAuth sign-in
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS oauth_provider VARCHAR(50);
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS oauth_provider_id VARCHAR(255);
+
+-- Bumped on logout/password change to invalidate outstanding refresh tokens
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS unique_users_oauth_identity
+  ON users(oauth_provider, oauth_provider_id)
+  WHERE oauth_provider IS NOT NULL;
+
+COMMENT ON COLUMN users.password_hash IS 'bcrypt hash of the user password; never returned by the API';
+COMMENT ON COLUMN users.oauth_provider_id IS 'Subject ID from the OAuth provider, must match on subsequent OAuth sign-ins';
+COMMENT ON COLUMN users.token_version IS 'Refresh tokens carry this version; incrementing it revokes them';
@@ -0,0 +1,141 @@
+process.env.LOG_LEVEL = 'error';
+
+jest.mock('../../src/services/supabaseService', () => ({ client: {} }));
+
+const alertStateService = require('../../src/services/alertStateService');
+const { resolveGatePolicy } = require('../../src/utils/alertPolicy');
+
+// Defaults: high notifies subscribers, moderate nobody; 15 minute cooldown
+const gatePolicy = resolveGatePolicy(null, 'A');
+
+const START = new Date('2025-10-09T10:00:00Z');
+const minutesLater = (minutes) => new Date(START.getTime() + minutes * 60 * 1000);
+
+const transition = (current, sustainedLevel, recoveryLevel, now) =>
+  alertStateService.transition(current, { sustainedLevel, recoveryLevel, gatePolicy, now });
+
+// A gate alerted about `level` at START
+const alertedAt = (level) => {
+  const { state } = transition(null, level, level, START);
+  return alertStateService.markNotified(state, level, START);
+};
+
+describe('alertStateService.transition', () => {
+  it('stays NORMAL below the first level that notifies anyone', () => {
+    const { state, notify } = transition(null, 'moderate', 'moderate', START);
+
+    expect(state).toMatchObject({ state: 'NORMAL', level: 'low', alertedSince: null });
+    expect(notify).toBeNull();
+  });
+
+  it('enters ELEVATED and notifies at a level with recipients', () => {
+    const { state, changed, notify } = transition(null, 'high', 'high', START);
+
+    expect(state).toMatchObject({ state: 'ELEVATED', level: 'high', alertedSince: START.toISOString() });
+    expect(changed).toBe(true);
+    expect(notify).toEqual({ type: 'escalation', level: 'high' });
+  });
+
+  it('enters CRITICAL directly at critical and overcrowded', () => {
+    expect(transition(null, 'critical', 'critical', START).state.state).toBe('CRITICAL');
+    expect(transition(null, 'overcrowded', 'overcrowded', START).state.state).toBe('CRITICAL');
+  });
+
+  it('does not notify the same level twice in an episode', () => {
+    const { state, changed, notify } = transition(alertedAt('high'), 'high', 'high', minutesLater(5));
+
+    expect(state.state).toBe('ELEVATED');
+    expect(changed).toBe(false);
+    expect(notify).toBeNull();
+  });
+
+  it('escalates from ELEVATED to CRITICAL within the same episode', () => {
+    const { state, notify } = transition(alertedAt('high'), 'critical', 'critical', minutesLater(5));
+
+    expect(state).toMatchObject({ state: 'CRITICAL', level: 'critical', alertedSince: START.toISOString() });
+    expect(notify).toEqual({ type: 'escalation', level: 'critical' });
+  });
+
+  it('holds the level while the reading with the hysteresis margin has not dropped', () => {
+    const { state, changed } = transition(alertedAt('critical'), 'high', 'critical', minutesLater(5));
+
+    expect(state).toMatchObject({ state: 'CRITICAL', level: 'critical' });
+    expect(changed).toBe(false);
+  });
+
+  it('steps down from CRITICAL to ELEVATED without notifying', () => {
+    const { state, changed, notify } = transition(alertedAt('critical'), 'high', 'high', minutesLater(5));
+
+    expect(state).toMatchObject({ state: 'ELEVATED', level: 'high' });
+    expect(changed).toBe(true);
+    expect(notify).toBeNull();
+  });
+
+  it('moves to RECOVERING once no level with recipients is reached', () => {
+    const { state, notify } = transition(alertedAt('high'), 'moderate', 'moderate', minutesLater(5));
+
+    expect(state).toMatchObject({ state: 'RECOVERING', level: 'high', recoveringSince: minutesLater(5).toISOString() });
+    expect(notify).toBeNull();
+  });
+
+  it('returns to NORMAL with an all clear after the cooldown', () => {
+    const recovering = transition(alertedAt('high'), 'low', 'low', minutesLater(5)).state;
+
+    expect(transition(recovering, 'low', 'low', minutesLater(19)).state.state).toBe('RECOVERING');
+
+    const { state, notify } = transition(recovering, 'low', 'low', minutesLater(20));
+    expect(state).toMatchObject({ state: 'NORMAL', level: 'low', alertedSince: null, recoveringSince: null });
+    expect(notify).toEqual({ type: 'all_clear', level: 'high' });
+  });
+
+  it('sends no all clear for an episode subscribers never heard of', () => {
+    const { state: elevated } = transition(null, 'high', 'high', START);
+    const recovering = transition(elevated, 'low', 'low', minutesLater(5)).state;
+
+    const { state, notify } = transition(recovering, 'low', 'low', minutesLater(20));
+    expect(state.state).toBe('NORMAL');
+    expect(notify).toBeNull();
+  });
+
+  it('restarts the calm period when RECOVERING falls back within the hysteresis margin', () => {
+    const recovering = transition(alertedAt('high'), 'low', 'low', minutesLater(5)).state;
+
+    const { state } = transition(recovering, 'moderate', 'high', minutesLater(10));
+    expect(state).toMatchObject({ state: 'RECOVERING', recoveringSince: minutesLater(10).toISOString() });
+  });
+
+  it('continues the episode when RECOVERING rises again, without repeating its alert', () => {
+    const recovering = transition(alertedAt('high'), 'low', 'low', minutesLater(5)).state;
+
+    const { state, notify } = transition(recovering, 'high', 'high', minutesLater(10));
+    expect(state).toMatchObject({ state: 'ELEVATED', alertedSince: START.toISOString(), recoveringSince: null });
+    expect(notify).toBeNull();
+  });
+
+  it('does not repeat a level within the cooldown of the previous episode', () => {
+    const recovering = transition(alertedAt('high'), 'low', 'low', minutesLater(1)).state;
+    const normal = transition(recovering, 'low', 'low', minutesLater(16)).state;
+
+    // A new episode shortly after: within the cooldown of the last alert at 10:00
+    expect(transition(normal, 'high', 'high', minutesLater(14)).notify).toBeNull();
+    expect(transition(normal, 'high', 'high', minutesLater(15)).notify).toEqual({ type: 'escalation', level: 'high' });
+  });
+});
+
+describe('alertStateService.isEarlyWarningDue', () => {
+  it('warns about a level the gate is not already alerting at', () => {
+    const { state } = transition(null, 'low', 'low', START);
+
+    expect(alertStateService.isEarlyWarningDue(state, 'high', gatePolicy, START)).toBe(true);
+    expect(alertStateService.isEarlyWarningDue(alertedAt('critical'), 'high', gatePolicy, START)).toBe(false);
+  });
+
+  it('does not repeat a warning within the cooldown', () => {
+    const { state } = transition(null, 'low', 'low', START);
+    const warned = alertStateService.markEarlyWarning(state, 'high', START);
+
+    expect(alertStateService.isEarlyWarningDue(warned, 'high', gatePolicy, minutesLater(10))).toBe(false);
+    expect(alertStateService.isEarlyWarningDue(warned, 'critical', gatePolicy, minutesLater(10))).toBe(true);
+    expect(alertStateService.isEarlyWarningDue(warned, 'high', gatePolicy, minutesLater(15))).toBe(true);
+  });
+});
@@ -0,0 +1,133 @@
+process.env.LOG_LEVEL = 'error';
+
+// Records each query and answers with the next queued result ({ data, error })
+const mockSupabase = {
+  queries: [],
+  results: [],
+  client: {
+    from(table) {
+      const query = { table, calls: [] };
+      mockSupabase.queries.push(query);
+
+      const builder = {
+        then(resolve, reject) {
+          return Promise.resolve(mockSupabase.results.shift() || { data: null, error: null }).then(resolve, reject);
+        }
+      };
+      ['select', 'insert', 'update', 'eq', 'is', 'order', 'single'].forEach(method => {
+        builder[method] = (...args) => {
+          query.calls.push([method, ...args]);
+          return builder;
+        };
+      });
+
+      return builder;
+    }
+  }
+};
+
+jest.mock('../../src/services/supabaseService', () => ({ client: mockSupabase.client }));
+
+const crypto = require('crypto');
+const apiKeyService = require('../../src/services/apiKeyService');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Arguments of the first call of a method in a query
+const argsOf = (query, method) => query.calls.find(call => call[0] === method).slice(1);
+
+const keyRecord = (overrides = {}) => ({
+  key_id: 'key_1',
+  org_id: 'org-1',
+  name: 'n8n',
+  key_prefix: 'eai_abcdefgh',
+  key_hash: 'stored-hash',
+  scopes: ['read:events'],
+  expires_at: null,
+  revoked_at: null,
+  ...overrides
+});
+
+beforeEach(() => {
+  mockSupabase.queries = [];
+  mockSupabase.results = [];
+  apiKeyService.lastUsedWrites.clear();
+});
+
+describe('apiKeyService.createApiKey', () => {
+  it('stores only the hash and prefix of the key and returns the key once', async () => {
+    mockSupabase.results.push({ data: keyRecord(), error: null });
+
+    const created = await apiKeyService.createApiKey('org-1', { name: 'n8n', scopes: ['read:events'] }, 'user-1');
+
+    expect(created.apiKey).toMatch(/^eai_[A-Za-z0-9_-]{43}$/);
+
+    const [row] = argsOf(mockSupabase.queries[0], 'insert');
+    expect(row.key_hash).toBe(sha256(created.apiKey));
+    expect(row.key_prefix).toBe(created.apiKey.substring(0, 12));
+    expect(Object.values(row)).not.toContain(created.apiKey);
+    expect(created).not.toHaveProperty('keyHash');
+  });
+
+  it('creates a different key every time', async () => {
+    mockSupabase.results.push({ data: keyRecord(), error: null }, { data: keyRecord(), error: null });
+
+    const first = await apiKeyService.createApiKey('org-1', { name: 'a', scopes: [] }, 'user-1');
+    const second = await apiKeyService.createApiKey('org-1', { name: 'b', scopes: [] }, 'user-1');
+
+    expect(first.apiKey).not.toBe(second.apiKey);
+  });
+});
+
+describe('apiKeyService.authenticate', () => {
+  it('looks keys up by their hash', async () => {
+    mockSupabase.results.push({ data: keyRecord(), error: null });
+
+    await expect(apiKeyService.authenticate('eai_secret')).resolves.toMatchObject({
+      keyId: 'key_1',
+      orgId: 'org-1',
+      scopes: ['read:events']
+    });
+    expect(mockSupabase.queries[0].calls).toContainEqual(['eq', 'key_hash', sha256('eai_secret')]);
+  });
+
+  it('rejects keys without the prefix without a lookup', async () => {
+    await expect(apiKeyService.authenticate('secret')).resolves.toBeNull();
+    await expect(apiKeyService.authenticate(undefined)).resolves.toBeNull();
+    expect(mockSupabase.queries).toHaveLength(0);
+  });
+
+  it('rejects unknown, revoked and expired keys', async () => {
+    mockSupabase.results.push(
+      { data: null, error: { code: 'PGRST116', message: 'no rows' } },
+      { data: keyRecord({ revoked_at: '2025-10-01T00:00:00Z' }), error: null },
+      { data: keyRecord({ expires_at: '2000-01-01T00:00:00Z' }), error: null }
+    );
+
+    await expect(apiKeyService.authenticate('eai_unknown')).resolves.toBeNull();
+    await expect(apiKeyService.authenticate('eai_revoked')).resolves.toBeNull();
+    await expect(apiKeyService.authenticate('eai_expired')).resolves.toBeNull();
+  });
+
+  it('fails when the lookup fails', async () => {
+    mockSupabase.results.push({ data: null, error: { code: '08006', message: 'connection failure' } });
+
+    await expect(apiKeyService.authenticate('eai_secret')).rejects.toThrow('Failed to verify API key: connection failure');
+  });
+});
+
+describe('apiKeyService.recordUsage', () => {
+  it('writes usage at most once a minute per key', async () => {
+    await apiKeyService.recordUsage('key_1', '10.0.0.1');
+    await apiKeyService.recordUsage('key_1', '10.0.0.1');
+    await apiKeyService.recordUsage('key_2', '10.0.0.2');
+
+    expect(mockSupabase.queries).toHaveLength(2);
+  });
+
+  it('never fails the request', async () => {
+    mockSupabase.results.push({ error: new Error('database unreachable') });
+
+    await expect(apiKeyService.recordUsage('key_1', '10.0.0.1')).resolves.toBeUndefined();
+  });
+});
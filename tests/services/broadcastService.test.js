@@ -0,0 +1,170 @@
+process.env.LOG_LEVEL = 'error';
+
+// Records each query and answers with the next queued result ({ data, error })
+const mockSupabase = {
+  queries: [],
+  results: [],
+  client: {
+    from(table) {
+      const query = { table, calls: [] };
+      mockSupabase.queries.push(query);
+
+      const builder = {
+        then(resolve, reject) {
+          return Promise.resolve(mockSupabase.results.shift() || { data: [], error: null }).then(resolve, reject);
+        }
+      };
+      ['select', 'insert', 'update', 'eq', 'in', 'is', 'lt', 'lte', 'order', 'limit'].forEach(method => {
+        builder[method] = (...args) => {
+          query.calls.push([method, ...args]);
+          return builder;
+        };
+      });
+
+      return builder;
+    }
+  }
+};
+
+jest.mock('../../src/services/supabaseService', () => ({ client: mockSupabase.client }));
+jest.mock('../../src/services/eventService', () => ({ getEventsByIds: jest.fn() }));
+jest.mock('../../src/services/scheduleService', () => ({ getScheduleItemsByIds: jest.fn() }));
+jest.mock('../../src/services/notificationDispatcher', () => ({ dispatch: jest.fn() }));
+
+const eventService = require('../../src/services/eventService');
+const scheduleService = require('../../src/services/scheduleService');
+const notificationDispatcher = require('../../src/services/notificationDispatcher');
+const broadcastService = require('../../src/services/broadcastService');
+
+const NOW = new Date('2025-10-09T10:00:00Z');
+const minutesFromNow = (minutes) => new Date(NOW.getTime() + minutes * 60 * 1000).toISOString();
+
+// Arguments of the first call of a method in a query
+const argsOf = (query, method) => query.calls.find(call => call[0] === method).slice(1);
+
+const event = {
+  eventId: 'evt-1',
+  name: 'Harbour Lights',
+  dateOfEventStart: '2025-10-09T10:15:00Z',
+  dateOfEventEnd: '2025-10-09T16:00:00Z'
+};
+
+const row = (fields) => ({
+  broadcast_id: 'bcast-1',
+  event_id: 'evt-1',
+  type: 'announcement',
+  title_template: 'Doors open in {{minutes}} minutes',
+  body_template: 'See you at {{venue}}',
+  anchor: 'event_start',
+  schedule_id: null,
+  offset_minutes: -15,
+  send_at: NOW.toISOString(),
+  status: 'pending',
+  ...fields
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSupabase.queries = [];
+  mockSupabase.results = [];
+  eventService.getEventsByIds.mockResolvedValue(new Map([['evt-1', event]]));
+  scheduleService.getScheduleItemsByIds.mockResolvedValue(new Map());
+  notificationDispatcher.dispatch.mockResolvedValue({ notificationId: 'n-1', delivered: 3, failed: 0, skipped: 0 });
+});
+
+describe('broadcastService.processDueBroadcasts', () => {
+  it('only loads broadcasts that are due, with their events in one lookup', async () => {
+    mockSupabase.results.push(
+      { data: [], error: null },
+      { data: [row()], error: null },
+      { data: [row({ status: 'sending' })], error: null }
+    );
+
+    await expect(broadcastService.processDueBroadcasts(NOW)).resolves.toMatchObject({ sent: 1, interrupted: 0 });
+
+    const [, due, claim] = mockSupabase.queries;
+    expect(due.calls).toContainEqual(['lte', 'send_at', NOW.toISOString()]);
+    expect(due.calls).toContainEqual(['limit', 100]);
+    expect(eventService.getEventsByIds).toHaveBeenCalledWith(['evt-1']);
+    expect(scheduleService.getScheduleItemsByIds).toHaveBeenCalledWith([]);
+    expect(argsOf(claim, 'update')[0]).toMatchObject({ status: 'sending', claimed_at: NOW.toISOString() });
+    expect(claim.calls).toContainEqual(['eq', 'status', 'pending']);
+  });
+
+  it('fails broadcasts whose sending was interrupted, without sending them again', async () => {
+    mockSupabase.results.push({ data: [{ broadcast_id: 'bcast-1', event_id: 'evt-1' }], error: null });
+
+    await expect(broadcastService.processDueBroadcasts(NOW)).resolves.toMatchObject({ interrupted: 1, sent: 0 });
+
+    const [stale] = mockSupabase.queries;
+    expect(argsOf(stale, 'update')[0]).toMatchObject({ status: 'failed' });
+    expect(stale.calls).toContainEqual(['eq', 'status', 'sending']);
+    expect(stale.calls).toContainEqual(['lt', 'claimed_at', minutesFromNow(-10)]);
+    expect(notificationDispatcher.dispatch).not.toHaveBeenCalled();
+  });
+
+  it('does not send a broadcast another instance claimed first', async () => {
+    mockSupabase.results.push({ data: [], error: null }, { data: [row()], error: null }, { data: [], error: null });
+
+    await expect(broadcastService.processDueBroadcasts(NOW)).resolves.toMatchObject({ sent: 0, failed: 0 });
+    expect(notificationDispatcher.dispatch).not.toHaveBeenCalled();
+  });
+
+  it('marks broadcasts past their send time by more than the grace period as missed', async () => {
+    mockSupabase.results.push({ data: [], error: null }, { data: [row({ send_at: minutesFromNow(-20) })], error: null });
+
+    await expect(broadcastService.processDueBroadcasts(NOW)).resolves.toMatchObject({ missed: 1 });
+    expect(argsOf(mockSupabase.queries[2], 'update')[0]).toMatchObject({ status: 'missed' });
+  });
+
+  it('cancels broadcasts whose schedule item no longer exists', async () => {
+    mockSupabase.results.push(
+      { data: [], error: null },
+      { data: [row({ anchor: 'schedule_item', schedule_id: 'sched-1' })], error: null }
+    );
+
+    await expect(broadcastService.processDueBroadcasts(NOW)).resolves.toMatchObject({ cancelled: 1 });
+    expect(scheduleService.getScheduleItemsByIds).toHaveBeenCalledWith(['sched-1']);
+    expect(argsOf(mockSupabase.queries[2], 'update')[0]).toMatchObject({
+      status: 'cancelled',
+      last_error: 'Schedule item was deleted'
+    });
+  });
+});
+
+describe('broadcastService.rescheduleEventBroadcasts', () => {
+  it('moves the pending broadcasts anchored to the event to its new dates', async () => {
+    mockSupabase.results.push({
+      data: [
+        row({ send_at: '2025-10-09T09:45:00Z' }),
+        row({ broadcast_id: 'bcast-2', anchor: 'event_end', offset_minutes: 0, send_at: '2025-10-09T16:00:00Z' })
+      ],
+      error: null
+    });
+
+    await expect(broadcastService.rescheduleEventBroadcasts(event)).resolves.toBe(1);
+
+    const [pending, moved] = mockSupabase.queries;
+    expect(pending.calls).toContainEqual(['in', 'anchor', ['event_start', 'event_end']]);
+    expect(argsOf(moved, 'update')[0]).toMatchObject({ send_at: '2025-10-09T10:00:00.000Z' });
+    expect(moved.calls).toContainEqual(['eq', 'broadcast_id', 'bcast-1']);
+    expect(moved.calls).toContainEqual(['eq', 'status', 'pending']);
+  });
+});
+
+describe('broadcastService.cancelBroadcast', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('cancels a broadcast whose sending was interrupted', async () => {
+    jest.useFakeTimers({ now: NOW });
+    mockSupabase.results.push({ data: [], error: null }, { data: [row({ status: 'cancelled' })], error: null });
+
+    await expect(broadcastService.cancelBroadcast('evt-1', 'bcast-1')).resolves.toMatchObject({ status: 'cancelled' });
+
+    const [, interrupted] = mockSupabase.queries;
+    expect(interrupted.calls).toContainEqual(['eq', 'status', 'sending']);
+    expect(interrupted.calls).toContainEqual(['lt', 'claimed_at', minutesFromNow(-10)]);
+  });
+});
@@ -0,0 +1,186 @@
+process.env.CRON_LOCK_PROVIDER = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+jest.mock('../../src/services/supabaseService', () => ({ client: {} }));
+
+const cronLockService = require('../../src/services/cronLockService');
+
+const CronLockService = cronLockService.constructor;
+
+const LEASE_MS = 3000;
+const MIN_HOLD_MS = 500;
+const MAX_RUN_MS = 5000;
+
+// One of several server instances sharing the lock provider
+const createInstance = (ownerId, provider) => {
+  const instance = new CronLockService();
+  instance.ownerId = ownerId;
+  instance.leaseMs = LEASE_MS;
+  instance.minHoldMs = MIN_HOLD_MS;
+  instance.maxRunMs = MAX_RUN_MS;
+  if (provider) instance.setProvider(provider);
+  return instance;
+};
+
+// A job that runs until the test finishes it
+const createJob = () => {
+  let finish;
+  const job = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+  return { job, finish: () => finish() };
+};
+
+let first;
+let second;
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2025-10-09T10:00:00Z') });
+  first = createInstance('host-a:1');
+  second = createInstance('host-b:1', first.provider);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('cronLockService.runExclusive', () => {
+  it('runs the job on the instance that gets the lock', async () => {
+    const job = jest.fn().mockResolvedValue();
+
+    await expect(first.runExclusive('prediction', job)).resolves.toBe(true);
+    expect(job).toHaveBeenCalledTimes(1);
+    expect(first.getStatus().jobs.prediction.ranAt).toBeTruthy();
+  });
+
+  it('skips the tick on other instances while the job runs', async () => {
+    const running = createJob();
+    const other = jest.fn().mockResolvedValue();
+
+    const run = first.runExclusive('prediction', running.job);
+    await jest.advanceTimersByTimeAsync(0);
+
+    await expect(second.runExclusive('prediction', other)).resolves.toBe(false);
+    expect(other).not.toHaveBeenCalled();
+    expect(second.getStatus().jobs.prediction.skippedAt).toBeTruthy();
+
+    running.finish();
+    await expect(run).resolves.toBe(true);
+  });
+
+  it('does not start a job again on an instance still running it', async () => {
+    const running = createJob();
+    const again = jest.fn().mockResolvedValue();
+
+    const run = first.runExclusive('prediction', running.job);
+    await jest.advanceTimersByTimeAsync(0);
+
+    await expect(first.runExclusive('prediction', again)).resolves.toBe(false);
+    expect(again).not.toHaveBeenCalled();
+    expect(first.getStatus().running.prediction).toBeTruthy();
+
+    running.finish();
+    await run;
+    expect(first.getStatus().running).toEqual({});
+  });
+
+  it('keeps a finished job locked for the minimum hold, then frees it', async () => {
+    await first.runExclusive('prediction', jest.fn().mockResolvedValue());
+
+    await expect(second.runExclusive('prediction', jest.fn().mockResolvedValue())).resolves.toBe(false);
+
+    await jest.advanceTimersByTimeAsync(MIN_HOLD_MS);
+    await expect(second.runExclusive('prediction', jest.fn().mockResolvedValue())).resolves.toBe(true);
+  });
+
+  it('locks each job separately', async () => {
+    const running = createJob();
+
+    const run = first.runExclusive('prediction', running.job);
+    await jest.advanceTimersByTimeAsync(0);
+
+    await expect(second.runExclusive('daily_digest', jest.fn().mockResolvedValue())).resolves.toBe(true);
+
+    running.finish();
+    await run;
+  });
+
+  it('renews the lease of a job running longer than the lease', async () => {
+    const running = createJob();
+
+    const run = first.runExclusive('prediction', running.job);
+    await jest.advanceTimersByTimeAsync(LEASE_MS + 1000);
+
+    await expect(second.runExclusive('prediction', jest.fn().mockResolvedValue())).resolves.toBe(false);
+
+    running.finish();
+    await run;
+  });
+
+  it('lets another instance take over a hung job once it exceeded the max run time', async () => {
+    const hung = createJob();
+    const takeover = createJob();
+
+    const hungRun = first.runExclusive('prediction', hung.job);
+
+    // Renewed until the max run time, then left to expire
+    await jest.advanceTimersByTimeAsync(MAX_RUN_MS);
+    await expect(second.runExclusive('prediction', jest.fn().mockResolvedValue())).resolves.toBe(false);
+
+    await jest.advanceTimersByTimeAsync(LEASE_MS);
+    const takeoverRun = second.runExclusive('prediction', takeover.job);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(takeover.job).toHaveBeenCalledTimes(1);
+
+    // The hung run finishing late neither releases nor renews the new holder's lock
+    hung.finish();
+    await expect(hungRun).resolves.toBe(true);
+    expect(first.provider.locks.get('prediction').ownerId).toBe('host-b:1');
+    await expect(first.runExclusive('prediction', jest.fn().mockResolvedValue())).resolves.toBe(false);
+
+    takeover.finish();
+    await expect(takeoverRun).resolves.toBe(true);
+  });
+
+  it('frees the job on this instance when it fails', async () => {
+    await expect(first.runExclusive('prediction', jest.fn().mockRejectedValue(new Error('boom'))))
+      .rejects.toThrow('boom');
+
+    expect(first.getStatus().running).toEqual({});
+    await jest.advanceTimersByTimeAsync(MIN_HOLD_MS);
+    await expect(first.runExclusive('prediction', jest.fn().mockResolvedValue())).resolves.toBe(true);
+  });
+
+  it('skips the tick when the lock cannot be checked', async () => {
+    const job = jest.fn().mockResolvedValue();
+    first.setProvider({
+      name: 'broken',
+      acquire: jest.fn().mockRejectedValue(new Error('database unreachable')),
+      renew: jest.fn(),
+      release: jest.fn()
+    });
+
+    await expect(first.runExclusive('prediction', job)).resolves.toBe(false);
+    expect(job).not.toHaveBeenCalled();
+    expect(first.getStatus().running).toEqual({});
+  });
+});
+
+describe('InMemoryCronLockProvider', () => {
+  it('does not let the holder acquire its unexpired lock again', async () => {
+    const { provider } = first;
+
+    await expect(provider.acquire('prediction', 'host-a:1', LEASE_MS)).resolves.toBe(true);
+    await expect(provider.acquire('prediction', 'host-a:1', LEASE_MS)).resolves.toBe(false);
+    await expect(provider.renew('prediction', 'host-a:1', LEASE_MS)).resolves.toBe(true);
+  });
+
+  it('only renews an unexpired lease of its holder', async () => {
+    const { provider } = first;
+
+    await provider.acquire('prediction', 'host-a:1', LEASE_MS);
+    await expect(provider.renew('prediction', 'host-b:1', LEASE_MS)).resolves.toBe(false);
+
+    jest.advanceTimersByTime(LEASE_MS);
+    await expect(provider.renew('prediction', 'host-a:1', LEASE_MS)).resolves.toBe(false);
+    await expect(provider.acquire('prediction', 'host-b:1', LEASE_MS)).resolves.toBe(true);
+  });
+});
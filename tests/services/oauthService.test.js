@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+jest.mock('axios');
+const axios = require('axios');
+
+process.env.GOOGLE_OAUTH_CLIENT_IDS = 'client-1.apps.googleusercontent.com';
+process.env.LOG_LEVEL = 'error';
+
+const oauthService = require('../../src/services/oauthService');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+const signIdToken = (claims = {}, options = {}, key = privateKey) => jwt.sign({
+  email: 'Organizer@Example.com',
+  email_verified: true,
+  name: 'Event Organizer',
+  ...claims
+}, key, {
+  algorithm: 'RS256',
+  keyid: 'key-1',
+  issuer: 'https://accounts.google.com',
+  audience: 'client-1.apps.googleusercontent.com',
+  subject: 'google-sub-123',
+  expiresIn: '5m',
+  ...options
+});
+
+const expectCode = async (promise, code) => {
+  await expect(promise).rejects.toMatchObject({ code });
+};
+
+beforeEach(() => {
+  oauthService.jwksCache.clear();
+  axios.get.mockReset();
+  axios.get.mockResolvedValue({
+    data: { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' }] }
+  });
+});
+
+describe('oauthService.verifyIdToken', () => {
+  it('returns the identity from a valid token', async () => {
+    const identity = await oauthService.verifyIdToken('google', signIdToken());
+
+    expect(identity).toMatchObject({
+      provider: 'google',
+      providerId: 'google-sub-123',
+      email: 'organizer@example.com',
+      name: 'Event Organizer'
+    });
+  });
+
+  it('caches the signing keys', async () => {
+    await oauthService.verifyIdToken('google', signIdToken());
+    await oauthService.verifyIdToken('google', signIdToken());
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a token signed with another key', async () => {
+    await expectCode(oauthService.verifyIdToken('google', signIdToken({}, {}, otherKey)), 'INVALID_ID_TOKEN');
+  });
+
+  it('rejects a token for another audience', async () => {
+    await expectCode(
+      oauthService.verifyIdToken('google', signIdToken({}, { audience: 'someone-else' })),
+      'INVALID_ID_TOKEN'
+    );
+  });
+
+  it('rejects a token from another issuer', async () => {
+    await expectCode(
+      oauthService.verifyIdToken('google', signIdToken({}, { issuer: 'https://evil.example.com' })),
+      'INVALID_ID_TOKEN'
+    );
+  });
+
+  it('rejects an expired token', async () => {
+    await expectCode(
+      oauthService.verifyIdToken('google', signIdToken({}, { expiresIn: -60 })),
+      'INVALID_ID_TOKEN'
+    );
+  });
+
+  it('rejects an unverified email', async () => {
+    await expectCode(
+      oauthService.verifyIdToken('google', signIdToken({ email_verified: false })),
+      'EMAIL_NOT_VERIFIED'
+    );
+  });
+
+  it('rejects an unsigned token', async () => {
+    const unsigned = jwt.sign({ email: 'a@b.com', email_verified: true }, null, { algorithm: 'none', subject: 'x' });
+    await expectCode(oauthService.verifyIdToken('google', unsigned), 'INVALID_ID_TOKEN');
+  });
+
+  it('rejects providers without OpenID Connect', async () => {
+    await expectCode(oauthService.verifyIdToken('github', signIdToken()), 'UNSUPPORTED_OAUTH_PROVIDER');
+  });
+
+  it('rejects a provider without configured client IDs', async () => {
+    await expectCode(oauthService.verifyIdToken('linkedin', signIdToken()), 'OAUTH_PROVIDER_NOT_CONFIGURED');
+  });
+});
@@ -0,0 +1,171 @@
+process.env.LOG_LEVEL = 'error';
+
+// Records each query and answers with the next queued result ({ data, error })
+const mockSupabase = {
+  queries: [],
+  results: [],
+  client: {
+    from(table) {
+      const query = { table, calls: [] };
+      mockSupabase.queries.push(query);
+
+      const builder = {
+        then(resolve, reject) {
+          return Promise.resolve(mockSupabase.results.shift() || { data: [], error: null }).then(resolve, reject);
+        }
+      };
+      ['select', 'insert', 'update', 'delete', 'eq', 'lte', 'order', 'limit'].forEach(method => {
+        builder[method] = (...args) => {
+          query.calls.push([method, ...args]);
+          return builder;
+        };
+      });
+
+      return builder;
+    }
+  }
+};
+
+jest.mock('../../src/services/supabaseService', () => ({ client: mockSupabase.client }));
+
+const pushRetryService = require('../../src/services/pushRetryService');
+
+const NOW = new Date('2025-10-09T10:00:00Z');
+const secondsLater = (seconds) => new Date(NOW.getTime() + seconds * 1000).toISOString();
+
+// Arguments of the first call of a method in a query
+const argsOf = (query, method) => query.calls.find(call => call[0] === method).slice(1);
+
+const subscription = { id: 'sub-1', org_id: 'org-1' };
+const payload = { title: 'Gate A is busy', body: 'Use Gate B' };
+const temporaryError = Object.assign(new Error('Service unavailable'), { statusCode: 503 });
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+  mockSupabase.queries = [];
+  mockSupabase.results = [];
+  pushRetryService.unsavedRetries = [];
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('pushRetryService.getBackoffDelay', () => {
+  it('doubles with every attempt up to the maximum', () => {
+    expect(pushRetryService.getBackoffDelay(0)).toBe(30 * 1000);
+    expect(pushRetryService.getBackoffDelay(1)).toBe(60 * 1000);
+    expect(pushRetryService.getBackoffDelay(3)).toBe(240 * 1000);
+    expect(pushRetryService.getBackoffDelay(20)).toBe(3600 * 1000);
+  });
+});
+
+describe('pushRetryService.enqueue', () => {
+  it('queues a failed delivery for its first retry', async () => {
+    await expect(pushRetryService.enqueue(subscription, 'evt-1', payload, temporaryError,
+      { type: 'congestion', severity: 'warning' })).resolves.toBe(true);
+
+    const [row] = argsOf(mockSupabase.queries[0], 'insert');
+    expect(row).toMatchObject({
+      subscription_id: 'sub-1',
+      event_id: 'evt-1',
+      org_id: 'org-1',
+      status: 'pending',
+      attempts: 0,
+      max_attempts: 5,
+      next_attempt_at: secondsLater(30),
+      last_error: 'Service unavailable',
+      last_status_code: 503
+    });
+  });
+
+  it('retries critical notifications and emergencies for longer', async () => {
+    await pushRetryService.enqueue(subscription, 'evt-1', payload, temporaryError, { type: 'congestion', severity: 'critical' });
+    await pushRetryService.enqueue(subscription, 'evt-1', payload, temporaryError, { type: 'emergency', severity: 'info' });
+
+    expect(argsOf(mockSupabase.queries[0], 'insert')[0].max_attempts).toBe(10);
+    expect(argsOf(mockSupabase.queries[1], 'insert')[0].max_attempts).toBe(10);
+  });
+
+  it('keeps critical retries that could not be stored until the next run', async () => {
+    mockSupabase.results.push({ error: new Error('database unreachable') }, { error: new Error('database unreachable') });
+
+    await expect(pushRetryService.enqueue(subscription, 'evt-1', payload, temporaryError,
+      { type: 'emergency', severity: 'critical' })).resolves.toBe(false);
+    await pushRetryService.enqueue(subscription, 'evt-1', payload, temporaryError, { type: 'congestion', severity: 'info' });
+    expect(pushRetryService.unsavedRetries).toHaveLength(1);
+
+    await expect(pushRetryService.saveUnsavedRetries()).resolves.toBe(1);
+    expect(pushRetryService.unsavedRetries).toHaveLength(0);
+  });
+});
+
+describe('pushRetryService.claimDue', () => {
+  it('claims only the retries no other instance claimed first', async () => {
+    mockSupabase.results.push(
+      { data: [{ id: 1, attempts: 0 }, { id: 2, attempts: 2 }], error: null },
+      { data: [{ id: 1 }], error: null },
+      { data: [], error: null }
+    );
+
+    const claimed = await pushRetryService.claimDue();
+
+    expect(claimed).toEqual([{ id: 1, attempts: 1 }]);
+
+    const [, firstClaim] = mockSupabase.queries;
+    expect(argsOf(firstClaim, 'update')[0]).toMatchObject({ attempts: 1, next_attempt_at: secondsLater(5 * 60) });
+    expect(firstClaim.calls).toContainEqual(['eq', 'attempts', 0]);
+    expect(firstClaim.calls).toContainEqual(['eq', 'status', 'pending']);
+  });
+});
+
+describe('pushRetryService.fail', () => {
+  it('schedules the next attempt with backoff while attempts remain', async () => {
+    await expect(pushRetryService.fail({ id: 1, attempts: 2, max_attempts: 5 }, temporaryError)).resolves.toBe(false);
+
+    expect(argsOf(mockSupabase.queries[0], 'update')[0]).toMatchObject({
+      status: 'pending',
+      next_attempt_at: secondsLater(120),
+      last_status_code: 503
+    });
+  });
+
+  it('dead-letters a retry that ran out of attempts', async () => {
+    await expect(pushRetryService.fail({ id: 1, attempts: 5, max_attempts: 5 }, temporaryError)).resolves.toBe(true);
+
+    expect(argsOf(mockSupabase.queries[0], 'update')[0]).toMatchObject({ status: 'dead', next_attempt_at: null });
+  });
+
+  it('dead-letters a retry that cannot succeed at once', async () => {
+    const gone = Object.assign(new Error('Subscription expired'), { statusCode: 410 });
+
+    await expect(pushRetryService.fail({ id: 1, attempts: 1, max_attempts: 5 }, gone, true)).resolves.toBe(true);
+    expect(argsOf(mockSupabase.queries[0], 'update')[0]).toMatchObject({ status: 'dead', last_status_code: 410 });
+  });
+});
+
+describe('pushRetryService.getDeadLetters', () => {
+  it('lists the dead letters of an event', async () => {
+    mockSupabase.results.push({
+      data: [{
+        id: 1,
+        subscription_id: 'sub-1',
+        notification_type: 'congestion',
+        severity: 'critical',
+        payload,
+        attempts: 10,
+        max_attempts: 10,
+        last_error: 'Service unavailable',
+        last_status_code: 503,
+        created_at: '2025-10-09T09:00:00Z',
+        updated_at: '2025-10-09T09:59:00Z'
+      }],
+      error: null
+    });
+
+    const [deadLetter] = await pushRetryService.getDeadLetters('evt-1');
+
+    expect(deadLetter).toMatchObject({ id: 1, title: 'Gate A is busy', attempts: 10, deadAt: '2025-10-09T09:59:00Z' });
+    expect(mockSupabase.queries[0].calls).toContainEqual(['eq', 'status', 'dead']);
+  });
+});
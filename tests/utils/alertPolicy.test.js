@@ -0,0 +1,139 @@
+const {
+  DEFAULT_ALERT_POLICY,
+  validateAlertPolicy,
+  resolveGatePolicy,
+  getUtilizationLevel,
+  getSustainedLevel,
+  getRecoveryLevel,
+  getAlertRecipients
+} = require('../../src/utils/alertPolicy');
+
+describe('validateAlertPolicy', () => {
+  it('accepts an empty policy and a full one', () => {
+    expect(validateAlertPolicy({})).toEqual([]);
+    expect(validateAlertPolicy({
+      thresholds: { moderate: 40, high: 70, critical: 85, overcrowded: 100 },
+      minConsecutiveBreaches: 2,
+      hysteresis: 10,
+      cooldownMinutes: 30,
+      recipients: { high: [], critical: ['subscribers'] },
+      gates: { A: { thresholds: { high: 60 }, minConsecutiveBreaches: 3 } }
+    })).toEqual([]);
+  });
+
+  it('rejects a policy that is not an object', () => {
+    expect(validateAlertPolicy(null)).toEqual(['Alert policy must be an object']);
+    expect(validateAlertPolicy([])).toEqual(['Alert policy must be an object']);
+  });
+
+  it('rejects unknown fields and levels', () => {
+    expect(validateAlertPolicy({ colour: 'red' })).toEqual(['Unknown alert policy field: colour']);
+    expect(validateAlertPolicy({ thresholds: { extreme: 120 } })).toEqual([
+      'thresholds.extreme is not a level (moderate, high, critical, overcrowded)'
+    ]);
+  });
+
+  it('rejects out-of-range settings', () => {
+    expect(validateAlertPolicy({
+      thresholds: { high: 0 },
+      minConsecutiveBreaches: 0,
+      hysteresis: 51,
+      cooldownMinutes: 1.5
+    })).toEqual([
+      'thresholds.high must be a percentage between 0 and 1000',
+      'minConsecutiveBreaches must be an integer between 1 and 12',
+      'hysteresis must be a number of percentage points between 0 and 50',
+      'cooldownMinutes must be an integer between 0 and 1440'
+    ]);
+  });
+
+  it('rejects unknown recipients', () => {
+    expect(validateAlertPolicy({ recipients: { high: ['everyone'] } }))
+      .toEqual([expect.stringMatching(/^recipients\.high must be an array of: subscribers/)]);
+  });
+
+  it('rejects thresholds that do not rise, after defaults and gate overrides apply', () => {
+    expect(validateAlertPolicy({ thresholds: { high: 95 } })).toEqual([
+      'thresholds.critical (90) must be greater than high (95)'
+    ]);
+    expect(validateAlertPolicy({ gates: { A: { thresholds: { moderate: 85 } } } })).toEqual([
+      'gates.A.thresholds.high (80) must be greater than moderate (85)'
+    ]);
+  });
+
+  it('rejects gate overrides of event-wide fields', () => {
+    expect(validateAlertPolicy({ gates: { A: { gates: {} } } })).toEqual(['Unknown gate override field: gates.A.gates']);
+    expect(validateAlertPolicy({ gates: { A: 5 } })).toEqual(['gates.A must be an object']);
+  });
+});
+
+describe('resolveGatePolicy', () => {
+  it('uses the defaults without a policy', () => {
+    const gatePolicy = resolveGatePolicy(null, 'A');
+
+    expect(gatePolicy.thresholds).toEqual(DEFAULT_ALERT_POLICY.thresholds);
+    expect(gatePolicy.minConsecutiveBreaches).toBe(1);
+    expect(gatePolicy.recipients).toEqual(DEFAULT_ALERT_POLICY.recipients);
+  });
+
+  it('layers the event policy and then the gate override over the defaults', () => {
+    const policy = {
+      thresholds: { high: 70 },
+      hysteresis: 0,
+      recipients: { high: [] },
+      gates: { A: { thresholds: { moderate: 30 }, minConsecutiveBreaches: 3, recipients: { high: ['subscribers'] } } }
+    };
+
+    expect(resolveGatePolicy(policy, 'A')).toMatchObject({
+      thresholds: { moderate: 30, high: 70, critical: 90, overcrowded: 100 },
+      minConsecutiveBreaches: 3,
+      hysteresis: 0,
+      recipients: { high: ['subscribers'] }
+    });
+    expect(resolveGatePolicy(policy, 'B')).toMatchObject({
+      thresholds: { moderate: 50, high: 70, critical: 90, overcrowded: 100 },
+      minConsecutiveBreaches: 1,
+      recipients: { high: [] }
+    });
+  });
+});
+
+describe('levels', () => {
+  const gatePolicy = resolveGatePolicy({ minConsecutiveBreaches: 2 }, 'A');
+
+  it('maps utilization to a level', () => {
+    expect(getUtilizationLevel(49, gatePolicy.thresholds)).toBe('low');
+    expect(getUtilizationLevel(80, gatePolicy.thresholds)).toBe('high');
+    expect(getUtilizationLevel(120, gatePolicy.thresholds)).toBe('overcrowded');
+  });
+
+  it('only counts a level sustained over the required readings', () => {
+    expect(getSustainedLevel([95], gatePolicy)).toBe('low');
+    expect(getSustainedLevel([60, 95], gatePolicy)).toBe('moderate');
+    expect(getSustainedLevel([92, 95], gatePolicy)).toBe('critical');
+  });
+
+  it('holds the level on the way down within the hysteresis margin', () => {
+    expect(getRecoveryLevel([78, 76], gatePolicy)).toBe('high');
+    expect(getRecoveryLevel([74, 70], gatePolicy)).toBe('moderate');
+  });
+});
+
+describe('getAlertRecipients', () => {
+  it('notifies the recipients configured for the level', () => {
+    const gatePolicy = resolveGatePolicy(null, 'A');
+
+    expect(getAlertRecipients(gatePolicy, 'moderate')).toEqual([]);
+    expect(getAlertRecipients(gatePolicy, 'high')).toEqual(['subscribers']);
+  });
+
+  it('only notifies levels at or above the minimum level of a quiet period', () => {
+    const gatePolicy = resolveGatePolicy({
+      quietPeriods: [{ startTime: '2025-10-09T13:00:00Z', endTime: '2025-10-09T14:00:00Z', minLevel: 'critical' }]
+    }, 'A');
+
+    expect(getAlertRecipients(gatePolicy, 'high', '2025-10-09T13:30:00Z')).toEqual([]);
+    expect(getAlertRecipients(gatePolicy, 'critical', '2025-10-09T13:30:00Z')).not.toEqual([]);
+    expect(getAlertRecipients(gatePolicy, 'high', '2025-10-09T14:00:00Z')).toEqual(['subscribers']);
+  });
+});
@@ -0,0 +1,71 @@
+process.env.LOG_LEVEL = 'error';
+
+jest.mock('../../src/services/authService', () => ({ verifyAccessToken: jest.fn() }));
+jest.mock('../../src/services/userService', () => ({ getUserById: jest.fn() }));
+jest.mock('../../src/services/organizationService', () => ({ getOrganizationsForUser: jest.fn() }));
+jest.mock('../../src/services/apiKeyService', () => ({ authenticate: jest.fn(), recordUsage: jest.fn() }));
+
+const apiKeyService = require('../../src/services/apiKeyService');
+const { authenticate } = require('../../src/utils/authMiddleware');
+
+const middleware = authenticate({
+  publicRoutes: ['GET /health'],
+  apiKeyRoutes: {
+    'GET /events': 'read:events',
+    'GET /prediction/:eventId': 'read:predictions'
+  }
+});
+
+// Runs the middleware and resolves with what it passed to next()
+const run = (method, path, headers = {}) => {
+  const req = { method, path, originalUrl: path, headers, ip: '10.0.0.1' };
+
+  return new Promise(resolve => {
+    middleware(req, {}, (error) => resolve({ req, error }));
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('authenticate with an API key', () => {
+  const key = { keyId: 'key_1', orgId: 'org-1', name: 'n8n', scopes: ['read:events'] };
+
+  it('admits a key with the scope of the route as a member of its organization', async () => {
+    apiKeyService.authenticate.mockResolvedValue(key);
+
+    const { req, error } = await run('GET', '/events', { 'x-api-key': 'eai_secret' });
+
+    expect(error).toBeUndefined();
+    expect(req.user).toMatchObject({
+      isApiKey: true,
+      scopes: ['read:events'],
+      organizations: [{ orgId: 'org-1', role: 'MEMBER' }]
+    });
+    expect(apiKeyService.recordUsage).toHaveBeenCalledWith('key_1', '10.0.0.1');
+  });
+
+  it('rejects a key without the scope of the route', async () => {
+    apiKeyService.authenticate.mockResolvedValue(key);
+
+    const { error } = await run('GET', '/prediction/evt-1', { 'x-api-key': 'eai_secret' });
+
+    expect(error).toMatchObject({ statusCode: 403, details: { code: 'INSUFFICIENT_SCOPE' } });
+  });
+
+  it('rejects keys on routes that do not accept them', async () => {
+    const { error } = await run('DELETE', '/events', { 'x-api-key': 'eai_secret' });
+
+    expect(error).toMatchObject({ statusCode: 403, details: { code: 'API_KEY_NOT_ALLOWED' } });
+    expect(apiKeyService.authenticate).not.toHaveBeenCalled();
+  });
+
+  it('rejects invalid keys', async () => {
+    apiKeyService.authenticate.mockResolvedValue(null);
+
+    const { error } = await run('GET', '/events', { 'x-api-key': 'eai_revoked' });
+
+    expect(error).toMatchObject({ statusCode: 401, details: { code: 'INVALID_API_KEY' } });
+  });
+});
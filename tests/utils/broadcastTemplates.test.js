@@ -0,0 +1,96 @@
+const {
+  getTemplateVariables,
+  validateTemplate,
+  renderTemplate,
+  buildTemplateVariables,
+  resolveSendAt
+} = require('../../src/utils/broadcastTemplates');
+
+const event = {
+  name: 'Harbour Lights',
+  venue: 'Pier 3',
+  dateOfEventStart: '2025-10-09T10:00:00Z',
+  dateOfEventEnd: '2025-10-09T16:00:00Z'
+};
+const scheduleItem = { activity: 'Fireworks', startTime: '2025-10-09T13:30:00Z' };
+
+describe('validateTemplate', () => {
+  it('accepts the known variables', () => {
+    expect(validateTemplate('{{eventName}} at {{venue}}: {{gate}} in {{minutes}} min ({{time}})', 'event_start'))
+      .toEqual([]);
+    expect(validateTemplate('{{ activity }} starts soon', 'schedule_item')).toEqual([]);
+  });
+
+  it('rejects unknown variables', () => {
+    expect(validateTemplate('Hello {{name}}', 'event_start')).toEqual([
+      'Unknown template variable {{name}}; use: eventName, venue, gate, activity, time, minutes'
+    ]);
+  });
+
+  it('only allows {{activity}} for broadcasts anchored to a schedule item', () => {
+    expect(validateTemplate('{{activity}} starts soon', 'event_start')).toEqual([
+      '{{activity}} is only available for broadcasts anchored to a schedule item'
+    ]);
+  });
+
+  it('rejects unclosed variables', () => {
+    expect(validateTemplate('Doors open in {{minutes minutes', 'event_start'))
+      .toEqual(['Template variables must be written as {{name}}']);
+    expect(validateTemplate('Doors open }}', 'event_start'))
+      .toEqual(['Template variables must be written as {{name}}']);
+  });
+
+  it('lists each variable once', () => {
+    expect(getTemplateVariables('{{gate}} {{gate}} {{time}}')).toEqual(['gate', 'time']);
+  });
+});
+
+describe('renderTemplate', () => {
+  it('fills in variables and drops missing ones', () => {
+    expect(renderTemplate('Doors open in {{minutes}} minutes', { minutes: 15 })).toBe('Doors open in 15 minutes');
+    expect(renderTemplate('Head to {{gate}} now', { gate: '' })).toBe('Head to now');
+  });
+});
+
+describe('resolveSendAt', () => {
+  it('offsets from the event start or end', () => {
+    expect(resolveSendAt({ anchor: 'event_start', offsetMinutes: -15 }, { event }).toISOString())
+      .toBe('2025-10-09T09:45:00.000Z');
+    expect(resolveSendAt({ anchor: 'event_end', offsetMinutes: 30 }, { event }).toISOString())
+      .toBe('2025-10-09T16:30:00.000Z');
+  });
+
+  it('offsets from the start of a schedule item', () => {
+    expect(resolveSendAt({ anchor: 'schedule_item', offsetMinutes: -10 }, { event, scheduleItem }).toISOString())
+      .toBe('2025-10-09T13:20:00.000Z');
+  });
+
+  it('ignores the offset of an absolute broadcast', () => {
+    expect(resolveSendAt({ anchor: 'absolute', sendAt: '2025-10-09T12:00:00Z', offsetMinutes: 30 }, { event })
+      .toISOString()).toBe('2025-10-09T12:00:00.000Z');
+  });
+
+  it('returns null once the anchor no longer exists', () => {
+    expect(resolveSendAt({ anchor: 'schedule_item', offsetMinutes: -10 }, { event, scheduleItem: null })).toBeNull();
+    expect(resolveSendAt({ anchor: 'event_start', offsetMinutes: 0 }, { event: null })).toBeNull();
+  });
+});
+
+describe('buildTemplateVariables', () => {
+  it('gives the anchor time in the event time zone', () => {
+    const variables = buildTemplateVariables(
+      { anchor: 'schedule_item', offsetMinutes: -10, gate: 'Gate B' },
+      { event, scheduleItem },
+      'Asia/Kuala_Lumpur'
+    );
+
+    expect(variables).toEqual({
+      eventName: 'Harbour Lights',
+      venue: 'Pier 3',
+      gate: 'Gate B',
+      activity: 'Fireworks',
+      time: '21:30',
+      minutes: 10
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const { localToUTC } = require('../../src/utils/timezoneHelper');
+const {
+  EVENT_DAY_ROLLOVER_HOUR,
+  getEventDayDate,
+  getEventDay,
+  countEventDays,
+  summarizeEventDays
+} = require('../../src/utils/eventDays');
+
+const TIME_ZONE = 'Asia/Kuala_Lumpur';
+
+// Concert from 2025-10-09 18:00 to 2025-10-11 02:00 Kuala Lumpur time
+const concert = {
+  dateOfEventStart: localToUTC('2025-10-09 18:00:00', TIME_ZONE),
+  dateOfEventEnd: localToUTC('2025-10-11 02:00:00', TIME_ZONE),
+  timeZone: TIME_ZONE
+};
+
+const at = (local, timeZone = TIME_ZONE) => localToUTC(local, timeZone);
+
+describe('getEventDay', () => {
+  it('uses a 06:00 rollover by default', () => {
+    expect(EVENT_DAY_ROLLOVER_HOUR).toBe(6);
+  });
+
+  it('keeps the hours after midnight on the day they started', () => {
+    expect(getEventDay(at('2025-10-09 19:30:00'), concert)).toEqual({ day: 1, date: '2025-10-09' });
+    expect(getEventDay(at('2025-10-10 01:15:00'), concert)).toEqual({ day: 1, date: '2025-10-09' });
+    expect(getEventDay(at('2025-10-10 05:59:00'), concert)).toEqual({ day: 1, date: '2025-10-09' });
+    expect(getEventDay(at('2025-10-10 06:00:00'), concert)).toEqual({ day: 2, date: '2025-10-10' });
+    expect(getEventDay(at('2025-10-10 20:00:00'), concert)).toEqual({ day: 2, date: '2025-10-10' });
+    expect(getEventDay(at('2025-10-11 01:45:00'), concert)).toEqual({ day: 2, date: '2025-10-10' });
+  });
+
+  it('counts moments before the start as day 1', () => {
+    expect(getEventDay(at('2025-10-09 17:00:00'), concert)).toEqual({ day: 1, date: '2025-10-09' });
+  });
+
+  it('splits days in the event time zone rather than UTC', () => {
+    // 2025-10-09 17:15 UTC is 01:15 on the 10th in Kuala Lumpur
+    expect(getEventDayDate('2025-10-09T17:15:00Z', TIME_ZONE)).toBe('2025-10-09');
+    expect(getEventDayDate('2025-10-09T23:00:00Z', TIME_ZONE)).toBe('2025-10-10');
+  });
+
+  it('keeps whole days across a DST change', () => {
+    // Sydney moves its clocks forward at 02:00 on 2025-10-05
+    const festival = {
+      dateOfEventStart: at('2025-10-04 18:00:00', 'Australia/Sydney'),
+      dateOfEventEnd: at('2025-10-05 23:00:00', 'Australia/Sydney'),
+      timeZone: 'Australia/Sydney'
+    };
+
+    expect(getEventDay(at('2025-10-05 01:30:00', 'Australia/Sydney'), festival).day).toBe(1);
+    expect(getEventDay(at('2025-10-05 05:30:00', 'Australia/Sydney'), festival).day).toBe(1);
+    expect(getEventDay(at('2025-10-05 06:00:00', 'Australia/Sydney'), festival).day).toBe(2);
+  });
+});
+
+describe('countEventDays', () => {
+  it('counts the event days an event spans', () => {
+    expect(countEventDays(concert)).toBe(2);
+    expect(countEventDays({ ...concert, dateOfEventEnd: at('2025-10-09 23:00:00') })).toBe(1);
+    expect(countEventDays({ ...concert, dateOfEventEnd: at('2025-10-12 22:00:00') })).toBe(4);
+  });
+
+  it('counts one day without an end', () => {
+    expect(countEventDays({ dateOfEventStart: concert.dateOfEventStart })).toBe(1);
+  });
+});
+
+describe('summarizeEventDays', () => {
+  it('summarizes each event day in order', () => {
+    const timeFrames = [
+      { timestamp: '2025-10-10T12:00:00Z', eventDay: 2, eventDate: '2025-10-10', predicted: 40, actual: 35 },
+      { timestamp: '2025-10-09T11:00:00Z', eventDay: 1, eventDate: '2025-10-09', predicted: 70, actual: null },
+      { timestamp: '2025-10-09T17:00:00Z', eventDay: 1, eventDate: '2025-10-09', predicted: 90, actual: 85 },
+      { timestamp: '2025-10-10T17:00:00Z', eventDay: 2, eventDate: '2025-10-10', predicted: 60, actual: 65 },
+      { timestamp: '2025-10-09T10:00:00Z', predicted: 10 }
+    ];
+
+    expect(summarizeEventDays(timeFrames)).toEqual([
+      {
+        day: 1,
+        date: '2025-10-09',
+        timeFrameCount: 2,
+        firstTimestamp: '2025-10-09T11:00:00Z',
+        lastTimestamp: '2025-10-09T17:00:00Z',
+        peakPredicted: 90,
+        peakActual: 85
+      },
+      {
+        day: 2,
+        date: '2025-10-10',
+        timeFrameCount: 2,
+        firstTimestamp: '2025-10-10T12:00:00Z',
+        lastTimestamp: '2025-10-10T17:00:00Z',
+        peakPredicted: 60,
+        peakActual: 65
+      }
+    ]);
+  });
+
+  it('returns no days without timeframes', () => {
+    expect(summarizeEventDays(null)).toEqual([]);
+  });
+});
+
+describe('EVENT_DAY_ROLLOVER_HOUR', () => {
+  const loadWithRollover = (value) => {
+    let eventDays;
+    const previous = process.env.EVENT_DAY_ROLLOVER_HOUR;
+
+    process.env.EVENT_DAY_ROLLOVER_HOUR = value;
+    jest.isolateModules(() => {
+      eventDays = require('../../src/utils/eventDays');
+    });
+    if (previous === undefined) delete process.env.EVENT_DAY_ROLLOVER_HOUR;
+    else process.env.EVENT_DAY_ROLLOVER_HOUR = previous;
+
+    return eventDays;
+  };
+
+  it('splits days at midnight when set to 0', () => {
+    const eventDays = loadWithRollover('0');
+
+    expect(eventDays.EVENT_DAY_ROLLOVER_HOUR).toBe(0);
+    expect(eventDays.getEventDay(at('2025-10-10 01:15:00'), concert)).toEqual({ day: 2, date: '2025-10-10' });
+  });
+
+  it('falls back to 6 when invalid and clamps to an hour of the day', () => {
+    expect(loadWithRollover('soon').EVENT_DAY_ROLLOVER_HOUR).toBe(6);
+    expect(loadWithRollover('30').EVENT_DAY_ROLLOVER_HOUR).toBe(23);
+    expect(loadWithRollover('-1').EVENT_DAY_ROLLOVER_HOUR).toBe(0);
+  });
+});
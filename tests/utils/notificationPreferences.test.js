@@ -0,0 +1,115 @@
+const {
+  validateNotificationPreferences,
+  normalizeNotificationPreferences,
+  isInQuietHours,
+  getBlockReason,
+  orderChannels
+} = require('../../src/utils/notificationPreferences');
+
+const TIME_ZONE = 'Asia/Kuala_Lumpur'; // UTC+8
+
+// A moment at a local time of day in TIME_ZONE on 2025-10-09
+const localTime = (time) => new Date(`2025-10-09T${time}:00+08:00`);
+
+describe('isInQuietHours', () => {
+  const overnight = { start: '22:00', end: '07:00' };
+  const afternoon = { start: '13:00', end: '15:00' };
+
+  it('covers both sides of midnight for overnight quiet hours', () => {
+    expect(isInQuietHours(overnight, localTime('23:30'), TIME_ZONE)).toBe(true);
+    expect(isInQuietHours(overnight, localTime('03:00'), TIME_ZONE)).toBe(true);
+    expect(isInQuietHours(overnight, localTime('12:00'), TIME_ZONE)).toBe(false);
+  });
+
+  it('covers quiet hours within one day', () => {
+    expect(isInQuietHours(afternoon, localTime('14:00'), TIME_ZONE)).toBe(true);
+    expect(isInQuietHours(afternoon, localTime('16:00'), TIME_ZONE)).toBe(false);
+  });
+
+  it('includes the start and excludes the end', () => {
+    expect(isInQuietHours(overnight, localTime('22:00'), TIME_ZONE)).toBe(true);
+    expect(isInQuietHours(overnight, localTime('07:00'), TIME_ZONE)).toBe(false);
+  });
+
+  it('uses the local time of the event time zone', () => {
+    // 15:30 UTC is 23:30 in Kuala Lumpur but 11:30 in New York
+    expect(isInQuietHours(overnight, '2025-10-09T15:30:00Z', TIME_ZONE)).toBe(true);
+    expect(isInQuietHours(overnight, '2025-10-09T15:30:00Z', 'America/New_York')).toBe(false);
+  });
+
+  it('is never quiet without quiet hours', () => {
+    expect(isInQuietHours(null, localTime('23:30'), TIME_ZONE)).toBe(false);
+  });
+});
+
+describe('getBlockReason', () => {
+  const preferences = normalizeNotificationPreferences({
+    mutedTypes: ['event_live'],
+    minSeverity: 'warning',
+    quietHours: { start: '22:00', end: '07:00' }
+  });
+  const night = { at: localTime('23:30'), timeZone: TIME_ZONE };
+  const day = { at: localTime('12:00'), timeZone: TIME_ZONE };
+
+  it('holds back non-critical notifications in quiet hours', () => {
+    expect(getBlockReason(preferences, { type: 'congestion', severity: 'warning' }, night)).toBe('quiet_hours');
+    expect(getBlockReason(preferences, { type: 'congestion', severity: 'warning' }, day)).toBeNull();
+  });
+
+  it('lets critical notifications through quiet hours', () => {
+    expect(getBlockReason(preferences, { type: 'congestion', severity: 'critical' }, night)).toBeNull();
+  });
+
+  it('does not hold back email in quiet hours', () => {
+    expect(getBlockReason(preferences, { type: 'congestion', severity: 'warning' }, { ...night, channel: 'email' }))
+      .toBeNull();
+  });
+
+  it('skips quiet hours without an event time zone', () => {
+    expect(getBlockReason(preferences, { type: 'congestion', severity: 'warning' }, { at: night.at })).toBeNull();
+  });
+
+  it('checks muted types and the minimum severity before quiet hours', () => {
+    expect(getBlockReason(preferences, { type: 'event_live', severity: 'critical' }, day)).toBe('muted');
+    expect(getBlockReason(preferences, { type: 'announcement', severity: 'info' }, night)).toBe('below_min_severity');
+  });
+
+  it('never holds back emergencies', () => {
+    expect(getBlockReason(preferences, { type: 'emergency', severity: 'info' }, night)).toBeNull();
+  });
+});
+
+describe('validateNotificationPreferences', () => {
+  it('accepts quiet hours spanning midnight', () => {
+    expect(validateNotificationPreferences({ quietHours: { start: '22:00', end: '07:00' } })).toEqual([]);
+    expect(validateNotificationPreferences({ quietHours: null })).toEqual([]);
+  });
+
+  it('rejects quiet hours that are not times of day or have no length', () => {
+    expect(validateNotificationPreferences({ quietHours: { start: '24:00', end: '7:00' } })).toEqual([
+      'quietHours.start must be a time of day (HH:mm)',
+      'quietHours.end must be a time of day (HH:mm)'
+    ]);
+    expect(validateNotificationPreferences({ quietHours: { start: '22:00', end: '22:00' } }))
+      .toEqual(['quietHours.end must differ from start']);
+    expect(validateNotificationPreferences({ quietHours: { start: '22:00', end: '07:00', days: [] } }))
+      .toEqual(['Unknown quiet hours field: quietHours.days']);
+  });
+
+  it('rejects muting emergencies and channels on push subscriptions', () => {
+    expect(validateNotificationPreferences({ mutedTypes: ['emergency'] }))
+      .toEqual(['Emergency notifications cannot be muted']);
+    expect(validateNotificationPreferences({ channels: ['push'] }, { channels: false }))
+      .toEqual(['Unknown notification preference: channels']);
+  });
+});
+
+describe('orderChannels', () => {
+  it('keeps the channels the recipient accepts, in the recipient order', () => {
+    const preferences = normalizeNotificationPreferences({ channels: ['whatsapp', 'push'] });
+
+    expect(orderChannels(preferences, ['push', 'email', 'whatsapp'], 'congestion')).toEqual(['whatsapp', 'push']);
+    expect(orderChannels(preferences, ['email'], 'congestion')).toEqual([]);
+    expect(orderChannels(preferences, ['email'], 'emergency')).toEqual(['email']);
+  });
+});
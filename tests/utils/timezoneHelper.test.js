@@ -0,0 +1,112 @@
+const {
+  getTimeZoneOffsetMs,
+  localToUTC,
+  utcToLocal,
+  formatLocalTime,
+  getLocalDate,
+  getEventTimeZone
+} = require('../../src/utils/timezoneHelper');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('getTimeZoneOffsetMs', () => {
+  it('follows daylight saving time', () => {
+    expect(getTimeZoneOffsetMs('2025-01-15T00:00:00Z', 'Australia/Sydney')).toBe(11 * HOUR_MS);
+    expect(getTimeZoneOffsetMs('2025-07-15T00:00:00Z', 'Australia/Sydney')).toBe(10 * HOUR_MS);
+    expect(getTimeZoneOffsetMs('2025-01-15T00:00:00Z', 'America/New_York')).toBe(-5 * HOUR_MS);
+    expect(getTimeZoneOffsetMs('2025-07-15T00:00:00Z', 'America/New_York')).toBe(-4 * HOUR_MS);
+  });
+
+  it('is constant in zones without daylight saving time', () => {
+    expect(getTimeZoneOffsetMs('2025-01-15T00:00:00Z', 'Asia/Kuala_Lumpur')).toBe(8 * HOUR_MS);
+    expect(getTimeZoneOffsetMs('2025-07-15T00:00:00Z', 'Asia/Kuala_Lumpur')).toBe(8 * HOUR_MS);
+  });
+});
+
+describe('localToUTC', () => {
+  it('uses the offset in effect on the local date', () => {
+    expect(localToUTC('2025-01-15 12:00:00', 'Australia/Sydney')).toBe('2025-01-15T01:00:00.000Z');
+    expect(localToUTC('2025-07-15 12:00:00', 'Australia/Sydney')).toBe('2025-07-15T02:00:00.000Z');
+    expect(localToUTC('2025-01-15 12:00:00', 'America/New_York')).toBe('2025-01-15T17:00:00.000Z');
+    expect(localToUTC('2025-07-15 12:00:00', 'America/New_York')).toBe('2025-07-15T16:00:00.000Z');
+  });
+
+  it('uses the new offset right after clocks change', () => {
+    expect(localToUTC('2025-03-09 03:00:00', 'America/New_York')).toBe('2025-03-09T07:00:00.000Z');
+    expect(localToUTC('2025-10-05 03:00:00', 'Australia/Sydney')).toBe('2025-10-04T16:00:00.000Z');
+  });
+
+  it('moves a time skipped when clocks go forward an hour later', () => {
+    // Times in the skipped hour do not exist; they become daylight time an hour later
+    expect(localToUTC('2025-03-09 02:30:00', 'America/New_York')).toBe('2025-03-09T07:30:00.000Z');
+    expect(localToUTC('2025-10-05 02:30:00', 'Australia/Sydney')).toBe('2025-10-04T16:30:00.000Z');
+    expect(localToUTC('2025-03-30 01:30:00', 'Europe/London')).toBe('2025-03-30T01:30:00.000Z');
+  });
+
+  it('resolves a time repeated when clocks go back to one of its occurrences', () => {
+    [
+      ['2025-11-02 01:30:00', 'America/New_York', ['2025-11-02T05:30:00.000Z', '2025-11-02T06:30:00.000Z']],
+      ['2025-04-06 02:30:00', 'Australia/Sydney', ['2025-04-05T15:30:00.000Z', '2025-04-05T16:30:00.000Z']],
+      ['2025-10-26 01:30:00', 'Europe/London', ['2025-10-26T00:30:00.000Z', '2025-10-26T01:30:00.000Z']]
+    ].forEach(([local, timeZone, occurrences]) => {
+      expect(occurrences).toContain(localToUTC(local, timeZone));
+    });
+  });
+
+  it('keeps milliseconds', () => {
+    expect(localToUTC('2025-10-09 13:30:00.250', 'Asia/Jakarta')).toBe('2025-10-09T06:30:00.250Z');
+  });
+
+  it('rejects malformed local times', () => {
+    expect(() => localToUTC('', 'Asia/Jakarta')).toThrow('Local time string is required');
+    expect(() => localToUTC('2025-10-09', 'Asia/Jakarta')).toThrow('Invalid local time format');
+  });
+});
+
+describe('utcToLocal', () => {
+  it('shows the wall-clock time on both sides of a DST change', () => {
+    expect(utcToLocal('2025-03-09T06:59:59Z', 'America/New_York')).toBe('2025-03-09 01:59:59');
+    expect(utcToLocal('2025-03-09T07:00:00Z', 'America/New_York')).toBe('2025-03-09 03:00:00');
+    expect(utcToLocal('2025-11-02T05:30:00Z', 'America/New_York')).toBe('2025-11-02 01:30:00');
+    expect(utcToLocal('2025-11-02T06:30:00Z', 'America/New_York')).toBe('2025-11-02 01:30:00');
+  });
+
+  it('includes milliseconds when asked', () => {
+    expect(utcToLocal('2025-10-09T05:30:00.500Z', 'Australia/Sydney', { milliseconds: true }))
+      .toBe('2025-10-09 16:30:00.500');
+  });
+
+  it('round-trips with localToUTC across the year', () => {
+    for (let month = 0; month < 12; month++) {
+      const utc = new Date(Date.UTC(2025, month, 10, 9, 15)).toISOString();
+      ['Australia/Sydney', 'America/New_York', 'Europe/London', 'Asia/Kuala_Lumpur'].forEach(timeZone => {
+        expect(localToUTC(utcToLocal(utc, timeZone), timeZone)).toBe(utc);
+      });
+    }
+  });
+
+  it('rejects invalid timestamps', () => {
+    expect(() => utcToLocal('not a date', 'Asia/Jakarta')).toThrow('Invalid UTC ISO string');
+  });
+});
+
+describe('formatLocalTime', () => {
+  it('labels the time with the abbreviation in effect', () => {
+    expect(formatLocalTime('2025-01-15T00:00:00Z', 'Australia/Sydney')).toBe('2025-01-15 11:00:00 AEDT');
+    expect(formatLocalTime('2025-07-15T00:00:00Z', 'Australia/Sydney')).toBe('2025-07-15 10:00:00 AEST');
+  });
+});
+
+describe('getLocalDate', () => {
+  it('gives the calendar date in the time zone', () => {
+    expect(getLocalDate('2025-10-09T20:00:00.000Z', 'Asia/Singapore')).toBe('2025-10-10');
+    expect(getLocalDate('2025-10-09T20:00:00.000Z', 'America/New_York')).toBe('2025-10-09');
+  });
+});
+
+describe('getEventTimeZone', () => {
+  it('uses the event time zone, or the default', () => {
+    expect(getEventTimeZone({ timeZone: 'Australia/Sydney' })).toBe('Australia/Sydney');
+    expect(getEventTimeZone({})).toBe('Asia/Kuala_Lumpur');
+  });
+});